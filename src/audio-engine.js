@@ -3,6 +3,18 @@ import { BinauralBeatGenerator } from './binaural-beat.js';
 import { PitchShifter } from './pitch-shifter.js';
 import { Spatializer } from './spatializer.js';
 import { HallwayReverb } from './walking-sim/hallway-reverb.js';
+import { encodeWav } from './wav-encoder.js';
+import { AutomationController } from './automation.js';
+import { Stem, loopSeam } from './stem.js';
+import { LiveInput } from './live-input.js';
+import { analyseTrack } from './track-analysis.js';
+import { DEFAULT_TONE_SAFETY } from './tone-safety.js';
+import { prepareHrtf } from './hrtf-set.js';
+import { glideParam } from './param-glide.js';
+
+const MIN_LOOP_LENGTH = 0.05; // seconds
+const END_TOLERANCE = 0.01; // seconds a source may end before the session end and still end it
+const PROFILE_CROSSFADE = 0.05; // seconds a pitch profile switch crossfades over
 
 /**
  * AudioEngine — manages the Web Audio context, node graph, file loading,
@@ -11,13 +23,21 @@ import { HallwayReverb } from './walking-sim/hallway-reverb.js';
 export class AudioEngine {
   constructor() {
     this.ctx = null;
-    this.bufferL = null;
-    this.bufferR = null;
     this.duration = 0;
 
-    // Source nodes (recreated each play)
-    this.sourceL = null;
-    this.sourceR = null;
+    // Session stems (each owns its buffers and gain pair)
+    this.stems = [];
+    this.nextStemId = 0;
+
+    // Source nodes (recreated each play), one L/R pair per stem
+    this.sources = [];
+
+    // Live microphone / line input (set by startLiveInput)
+    this.liveInput = null;
+
+    // Next track for gapless/crossfaded playback (set by queueNext)
+    this._queued = null;
+    this.onQueueAdvanced = null; // callback(info) when the queued track takes over
 
     // Transport state
     this.playing = false;
@@ -25,13 +45,30 @@ export class AudioEngine {
     this.pauseOffset = 0;
     this.loop = false;
 
+    // A/B loop region (loopEnd 0 = end of session) and seam crossfade
+    this.loopStart = 0;
+    this.loopEnd = 0;
+    this.loopCrossfade = 0;
+
     // Stored parameter values
     this.detuneL = 0;
     this.detuneR = 0;
+    this.formantL = false;
+    this.formantR = false;
+    this.pitchQuality = 'standard';
+    this.pitchProfile = 'balanced';
     this.dryWetMix = 0;
+    this.masterVolume = 0.8;
     this.compressorActive = true;
+    this.toneSafety = { ...DEFAULT_TONE_SAFETY }; // fades, exposure limit and ceiling of the tone bus
+    this.onToneExposureExpired = null; // callback() when the exposure limit switches the tones off
 
     // Persistent nodes (set in buildGraph)
+    this.processBusL = null;
+    this.processBusR = null;
+    this.bypassBusL = null;
+    this.bypassBusR = null;
+    this._bypassLine = null; // { delayL, delayR, gainL, gainR }
     this.dryGainL = null;
     this.dryGainR = null;
     this.wetGainL = null;
@@ -46,6 +83,7 @@ export class AudioEngine {
     this.compressorBypass = null;
     this.safetyGain = null;
     this.masterGain = null;
+    this.masterLevel = null; // master volume as a signal, shared with the tone ceiling
     this.phaseSmearL = null;
     this.phaseSmearR = null;
     this.pitchShifterL = null;
@@ -53,10 +91,15 @@ export class AudioEngine {
     this.binauralBeat = null;
     this.spatializer = null;
     this.spatialActive = false;
+    this.hrtfSet = null; // custom HRTF set (see hrtf-set.js), null = browser built-in
+    this._hrtf = null; // hrtfSet prepared for this context's sample rate
 
     // Walking mode speaker array
     this._speakerArray = null;
     this._hallwayReverb = null;
+
+    // Breakpoint automation, evaluated against getCurrentTime()
+    this.automation = new AutomationController(this);
   }
 
   /**
@@ -73,6 +116,19 @@ export class AudioEngine {
     }
     this.ctx = ctx;
     this.buildGraph();
+    this.binauralBeat.startSafety(
+      () => this.masterLevel.offset.value,
+      () => { if (this.onToneExposureExpired) this.onToneExposureExpired(); },
+    );
+
+    // An HRTF set chosen before the context existed is prepared now
+    if (this.hrtfSet) {
+      try {
+        await this.setHrtfSet(this.hrtfSet);
+      } catch (_) {
+        this.hrtfSet = null; // fall back to the built-in HRTF
+      }
+    }
   }
 
   /**
@@ -104,26 +160,25 @@ export class AudioEngine {
     // Spatializer (HRTF binaural positioning)
     this.spatializer = new Spatializer(ctx);
 
-    // Pitch shifters (AudioWorklet granular)
-    this.pitchShifterL = PitchShifter.create(ctx);
-    this.pitchShifterR = PitchShifter.create(ctx);
-
-    // Wire spatializer outputs → pitch shifter inputs
-    this.spatializer.directGainL.connect(this.pitchShifterL.input);
-    this.spatializer.directGainR.connect(this.pitchShifterR.input);
-    this.spatializer.spatGainL.connect(this.pitchShifterL.input);
-    this.spatializer.spatGainR.connect(this.pitchShifterR.input);
+    // Process buses: every stem routed through the effect chain sums here
+    this.processBusL = ctx.createGain();
+    this.processBusR = ctx.createGain();
+    this._connectToSpatializer(this.processBusL, this.processBusR);
 
     // Phase smear processors
     this.phaseSmearL = new PhaseSmearProcessor(ctx);
     this.phaseSmearR = new PhaseSmearProcessor(ctx);
 
-    // Wire persistent paths: pitchShifter output → dry + wet (phaseSmear)
-    // Source → spatializer paths is connected at play time
-    this.pitchShifterL.output.connect(this.dryGainL);
-    this.pitchShifterL.output.connect(this.phaseSmearL.input);
-    this.pitchShifterR.output.connect(this.dryGainR);
-    this.pitchShifterR.output.connect(this.phaseSmearR.input);
+    // Pitch shifters (AudioWorklet phase vocoder), wired spatializer → shifter → dry + wet
+    this.pitchShifterL = PitchShifter.create(ctx, { profile: this.pitchProfile });
+    this.pitchShifterR = PitchShifter.create(ctx, { profile: this.pitchProfile });
+    this._wirePitchShifters();
+
+    // Bypass buses: stems that skip the effect chain, delayed by the pitch
+    // shifter latency so they stay time-aligned with processed stems
+    this.bypassBusL = ctx.createGain();
+    this.bypassBusR = ctx.createGain();
+    this._updateLatencyCompensation();
 
     // PhaseSmear output → wetGain → sum
     this.phaseSmearL.output.connect(this.wetGainL);
@@ -148,6 +203,7 @@ export class AudioEngine {
     // Binaural beat generator
     this.binauralBeat = new BinauralBeatGenerator(ctx);
     this.binauralBeat.connectToMerger(this.merger);
+    this.setToneSafety(this.toneSafety);
 
     // Compressor (limiter settings)
     this.compressor = ctx.createDynamicsCompressor();
@@ -164,9 +220,14 @@ export class AudioEngine {
     this.safetyGain = ctx.createGain();
     this.safetyGain.gain.value = 1.0;
 
-    // Master gain
+    // Master gain, driven by a signal so the tone ceiling follows it exactly
+    this.masterLevel = ctx.createConstantSource();
+    this.masterLevel.offset.value = this.masterVolume;
+    this.masterLevel.start();
     this.masterGain = ctx.createGain();
-    this.masterGain.gain.value = 0.8;
+    this.masterGain.gain.value = 0;
+    this.masterLevel.connect(this.masterGain.gain);
+    this.binauralBeat.safety.followOutputGain(this.masterLevel);
 
     // Master analyser
     this.analyserMaster = ctx.createAnalyser();
@@ -186,7 +247,7 @@ export class AudioEngine {
   }
 
   /**
-   * Load and decode an audio file. Extracts mono L/R buffers.
+   * Load and decode an audio file, replacing the whole session with it.
    */
   async loadFile(file) {
     if (!this.ctx) await this.init();
@@ -195,17 +256,31 @@ export class AudioEngine {
     if (this.playing) this.stop();
     this.pauseOffset = 0;
 
+    for (const stem of this.stems) stem.dispose();
+    this.stems = [];
+    this.clearQueue();
+    this.loopStart = 0;
+    this.loopEnd = 0;
+
+    return this.addStem(file);
+  }
+
+  /**
+   * Decode an audio file into mono L/R buffers without adding it to the session.
+   * @param {File} file
+   */
+  async decodeFile(file) {
+    if (!this.ctx) await this.init();
+
     const arrayBuffer = await file.arrayBuffer();
     const audioBuffer = await this.ctx.decodeAudioData(arrayBuffer);
 
-    this.duration = audioBuffer.duration;
-
     // Extract mono L and R buffers
     const length = audioBuffer.length;
     const sampleRate = audioBuffer.sampleRate;
 
-    this.bufferL = this.ctx.createBuffer(1, length, sampleRate);
-    this.bufferR = this.ctx.createBuffer(1, length, sampleRate);
+    const bufferL = this.ctx.createBuffer(1, length, sampleRate);
+    const bufferR = this.ctx.createBuffer(1, length, sampleRate);
 
     const sourceDataL = audioBuffer.getChannelData(0);
     // Use channel 1 if stereo, otherwise duplicate channel 0
@@ -213,11 +288,13 @@ export class AudioEngine {
       ? audioBuffer.getChannelData(1)
       : sourceDataL;
 
-    this.bufferL.copyToChannel(sourceDataL, 0);
-    this.bufferR.copyToChannel(sourceDataR, 0);
+    bufferL.copyToChannel(sourceDataL, 0);
+    bufferR.copyToChannel(sourceDataR, 0);
 
     return {
       name: file.name,
+      bufferL,
+      bufferR,
       duration: audioBuffer.duration,
       channels: audioBuffer.numberOfChannels,
       sampleRate: audioBuffer.sampleRate,
@@ -225,58 +302,210 @@ export class AudioEngine {
   }
 
   /**
-   * Start or resume playback from a given offset.
+   * Decode an audio file and add it to the session as a new stem.
+   * @param {File} file
+   * @param {{ offset?: number, processed?: boolean }} [options]
    */
-  play(offset = 0) {
-    if (!this.bufferL || !this.bufferR) return;
-    if (this.playing) return;
+  async addStem(file, { offset = 0, processed = true } = {}) {
+    const track = await this.decodeFile(file);
+
+    const stem = new Stem(this.ctx, {
+      id: this.nextStemId++, name: track.name, bufferL: track.bufferL, bufferR: track.bufferR, offset,
+    });
+    stem.processed = processed;
+    this.stems.push(stem);
+    this._routeStem(stem);
+    this._updateStemGains();
+    this._layoutStems([stem]);
+
+    return {
+      id: stem.id,
+      name: track.name,
+      duration: track.duration,
+      channels: track.channels,
+      sampleRate: track.sampleRate,
+    };
+  }
+
+  /**
+   * Remove a stem from the session.
+   */
+  removeStem(id) {
+    const index = this.stems.findIndex((s) => s.id === id);
+    if (index === -1) return;
+    const [stem] = this.stems.splice(index, 1);
+    this._stopStemSources(stem);
+    stem.dispose();
+    this._updateStemGains();
+    this._layoutStems();
+  }
+
+  getStem(id) {
+    return this.stems.find((s) => s.id === id);
+  }
+
+  setStemGain(id, value) {
+    const stem = this.getStem(id);
+    if (!stem) return;
+    stem.gain = value;
+    this._updateStemGains();
+  }
+
+  setStemMute(id, muted) {
+    const stem = this.getStem(id);
+    if (!stem) return;
+    stem.muted = muted;
+    this._updateStemGains();
+  }
+
+  setStemSolo(id, solo) {
+    const stem = this.getStem(id);
+    if (!stem) return;
+    stem.solo = solo;
+    this._updateStemGains();
+  }
+
+  /**
+   * Set where a stem starts on the session timeline (seconds).
+   */
+  setStemOffset(id, offset) {
+    const stem = this.getStem(id);
+    if (!stem) return;
+    stem.offset = Math.max(0, offset);
+    this._layoutStems([stem]);
+  }
+
+  /**
+   * Route a stem through the detune/smear chain (true) or straight to the
+   * latency-compensated bypass bus (false).
+   */
+  setStemProcessed(id, processed) {
+    const stem = this.getStem(id);
+    if (!stem || stem.processed === processed) return;
+    stem.processed = processed;
+    stem.gainL.disconnect();
+    stem.gainR.disconnect();
+    this._routeStem(stem);
+  }
+
+  /**
+   * List available audio input devices. Labels are only filled in once the
+   * user has granted microphone permission.
+   * @returns {Promise<MediaDeviceInfo[]>}
+   */
+  static async listInputDevices() {
+    if (!navigator.mediaDevices?.enumerateDevices) return [];
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices.filter((d) => d.kind === 'audioinput');
+  }
+
+  /**
+   * Feed a live input through the spatializer → pitch shifter → smear chain.
+   * Runs independently of the file transport, alongside any loaded stems.
+   *
+   * Pass `stream` to use an existing MediaStream (e.g. a test signal from a
+   * MediaStreamAudioDestinationNode); otherwise getUserMedia is called with
+   * browser voice processing disabled so the signal arrives untouched.
+   *
+   * @param {{ stream?: MediaStream, deviceId?: string, channelL?: number, channelR?: number }} [options]
+   */
+  async startLiveInput({ stream, deviceId, channelL, channelR } = {}) {
+    if (!this.ctx) await this.init();
+    this.stopLiveInput();
+
+    const ownsStream = !stream;
+    if (!stream) {
+      if (!navigator.mediaDevices?.getUserMedia) {
+        throw new Error('Live input is not supported in this browser');
+      }
+      stream = await navigator.mediaDevices.getUserMedia({
+        audio: {
+          deviceId: deviceId ? { exact: deviceId } : undefined,
+          channelCount: { ideal: 2 },
+          echoCancellation: false,
+          noiseSuppression: false,
+          autoGainControl: false,
+        },
+      });
+    }
 
-    // Resume context if suspended (autoplay policy)
     if (this.ctx.state === 'suspended') {
       this.ctx.resume();
     }
 
-    // Create fresh source nodes (no detune — pitch shifter handles it)
-    this.sourceL = this.ctx.createBufferSource();
-    this.sourceL.buffer = this.bufferL;
-    this.sourceL.loop = this.loop;
+    let input;
+    try {
+      input = new LiveInput(this.ctx, stream, { ownsStream });
+    } catch (err) {
+      if (ownsStream) stream.getTracks().forEach((track) => track.stop());
+      throw err;
+    }
+    if (channelL !== undefined || channelR !== undefined) {
+      input.setRouting(channelL ?? input.channelL, channelR ?? input.channelR);
+    }
+    input.gainL.connect(this.processBusL);
+    input.gainR.connect(this.processBusR);
+    this.liveInput = input;
+    this._updateProgramClock();
+
+    return {
+      label: input.label,
+      channels: input.channelCount,
+      channelL: input.channelL,
+      channelR: input.channelR,
+    };
+  }
 
-    this.sourceR = this.ctx.createBufferSource();
-    this.sourceR.buffer = this.bufferR;
-    this.sourceR.loop = this.loop;
+  /**
+   * Disconnect the live input. Streams opened by the engine are stopped;
+   * caller-supplied streams are left running.
+   */
+  stopLiveInput() {
+    if (!this.liveInput) return;
+    this.liveInput.dispose();
+    this.liveInput = null;
+    this._updateProgramClock();
+  }
 
-    // Connect sources to spatializer paths (both direct and spatial always wired)
-    this.sourceL.connect(this.spatializer.directGainL);
-    this.sourceR.connect(this.spatializer.directGainR);
-    this.sourceL.connect(this.spatializer.inputMerger, 0, 0);
-    this.sourceR.connect(this.spatializer.inputMerger, 0, 1);
+  /**
+   * Choose which input channels feed the left and right ears.
+   */
+  setLiveInputRouting(channelL, channelR) {
+    if (!this.liveInput) return;
+    this.liveInput.setRouting(channelL, channelR);
+  }
+
+  setLiveInputGain(value) {
+    if (!this.liveInput) return;
+    this.liveInput.setGain(value);
+  }
+
+  /**
+   * Start or resume playback from a given offset.
+   */
+  play(offset = 0) {
+    if (this.stems.length === 0) return;
+    if (this.playing) return;
 
-    // When walking mode is active, also connect sources to speaker array
-    if (this._speakerArray) {
-      this.sourceL.connect(this._speakerArray.getInputMerger(), 0, 0);
-      this.sourceR.connect(this._speakerArray.getInputMerger(), 0, 1);
+    // Resume context if suspended (autoplay policy)
+    if (this.ctx.state === 'suspended') {
+      this.ctx.resume();
     }
 
-    // Handle end of playback — fire when either source ends
-    const onEnded = () => {
-      if (this.playing && !this.loop) {
-        this._stopSources();
-        this.playing = false;
-        this.pauseOffset = 0;
-        if (this.onPlaybackEnded) this.onPlaybackEnded();
-      }
-    };
-    this.sourceL.onended = onEnded;
-    this.sourceR.onended = onEnded;
+    // Starting past the loop-out point would wrap straight to loop-in
+    const { start, end } = this._loopBounds();
+    if (this.loop && offset >= end) offset = start;
 
-    // Start both sources at the same time
+    // Start every stem's sources at the same time
     const now = this.ctx.currentTime;
-    this.sourceL.start(now, offset);
-    this.sourceR.start(now, offset);
+    this.sources = this._startSources(now, offset, () => this._handleSourcesEnded());
 
     this.startTime = now;
     this.pauseOffset = offset;
     this.playing = true;
+    if (this._queued && !this.loop) this._scheduleQueued();
+    this.automation.start();
+    this._updateProgramClock();
   }
 
   /**
@@ -288,6 +517,8 @@ export class AudioEngine {
     this.pauseOffset = this.getCurrentTime();
     this._stopSources();
     this.playing = false;
+    this.automation.stop();
+    this._updateProgramClock();
   }
 
   /**
@@ -305,6 +536,9 @@ export class AudioEngine {
     this._stopSources();
     this.playing = false;
     this.pauseOffset = 0;
+    this.automation.stop();
+    this.automation.apply(0);
+    this._updateProgramClock();
   }
 
   /**
@@ -318,9 +552,22 @@ export class AudioEngine {
       this.play(time);
     } else {
       this.pauseOffset = time;
+      this.automation.apply(time);
     }
   }
 
+  /**
+   * Detect the tempo and key of the main (first) stem. Runs offline on the
+   * decoded buffers; the result is cached on the stem.
+   * @returns {Promise<?{bpm: ?number, key: ?{tonic:number, mode:string, name:string}}>}
+   */
+  async analyseTrack() {
+    const stem = this.stems[0];
+    if (!stem) return null;
+    if (!stem.analysis) stem.analysis = await analyseTrack(stem.bufferL, stem.bufferR);
+    return stem.analysis;
+  }
+
   /**
    * Get current playback time.
    */
@@ -328,7 +575,8 @@ export class AudioEngine {
     if (!this.playing) return this.pauseOffset;
     let elapsed = this.pauseOffset + (this.ctx.currentTime - this.startTime);
     if (this.loop && this.duration > 0) {
-      elapsed = elapsed % this.duration;
+      const { start, end, wrap } = this._loopBounds();
+      if (elapsed >= end) elapsed = start + wrap + ((elapsed - end) % (end - start - wrap));
     }
     return Math.min(elapsed, this.duration);
   }
@@ -348,6 +596,75 @@ export class AudioEngine {
     }
   }
 
+  /**
+   * Enable/disable formant preservation for a specific ear's pitch shifter.
+   * @param {'L'|'R'} ear
+   * @param {boolean} on
+   */
+  setFormantPreservation(ear, on) {
+    if (ear === 'L') {
+      this.formantL = on;
+      if (this.pitchShifterL) this.pitchShifterL.setPreserveFormants(on);
+    } else {
+      this.formantR = on;
+      if (this.pitchShifterR) this.pitchShifterR.setPreserveFormants(on);
+    }
+  }
+
+  /**
+   * Select the pitch shifter quality mode for both ears.
+   * @param {'standard'|'identity'|'scaled'} mode
+   */
+  setPitchQuality(mode) {
+    this.pitchQuality = mode;
+    if (this.pitchShifterL) this.pitchShifterL.setQuality(mode);
+    if (this.pitchShifterR) this.pitchShifterR.setQuality(mode);
+  }
+
+  /**
+   * Switch the pitch shifters to a different FFT size / overlap profile.
+   * The worklets are recreated (buffers are sized at construction) with
+   * the current detune, formant and quality settings, then crossfaded in
+   * against the old pair — together with the bypass compensation — once
+   * their FIFOs have filled.
+   * @param {'lowLatency'|'balanced'|'highResolution'} profile
+   */
+  setPitchProfile(profile) {
+    if (profile === this.pitchProfile) return;
+    this.pitchProfile = profile;
+    if (!this.ctx) return;
+
+    const oldL = this.pitchShifterL;
+    const oldR = this.pitchShifterR;
+
+    this.pitchShifterL = PitchShifter.create(this.ctx, { profile });
+    this.pitchShifterR = PitchShifter.create(this.ctx, { profile });
+    this.setDetune('L', this.detuneL);
+    this.setDetune('R', this.detuneR);
+    this.setFormantPreservation('L', this.formantL);
+    this.setFormantPreservation('R', this.formantR);
+    this.setPitchQuality(this.pitchQuality);
+
+    const t = this.ctx.currentTime + 2 * this.pitchShifterL.fftSize / this.ctx.sampleRate;
+    for (const shifter of [this.pitchShifterL, this.pitchShifterR]) {
+      shifter.output.gain.setValueAtTime(0, this.ctx.currentTime);
+      shifter.output.gain.setValueAtTime(0, t);
+      shifter.output.gain.linearRampToValueAtTime(1, t + PROFILE_CROSSFADE);
+    }
+    for (const shifter of [oldL, oldR]) {
+      shifter.output.gain.setValueAtTime(1, t);
+      shifter.output.gain.linearRampToValueAtTime(0, t + PROFILE_CROSSFADE);
+    }
+    this._wirePitchShifters();
+    this._updateLatencyCompensation(t);
+
+    setTimeout(() => {
+      this._unwirePitchShifters(oldL, oldR);
+      oldL.dispose();
+      oldR.dispose();
+    }, (t - this.ctx.currentTime + PROFILE_CROSSFADE) * 1000 + 100);
+  }
+
   /**
    * Set dry/wet mix with equal-power crossfade.
    * @param {number} value 0 (fully dry) to 1 (fully wet)
@@ -355,31 +672,136 @@ export class AudioEngine {
   setDryWetMix(value) {
     this.dryWetMix = value;
     if (!this.ctx) return;
-    const t = this.ctx.currentTime;
-    const dryLevel = Math.cos(value * Math.PI / 2);
-    const wetLevel = Math.sin(value * Math.PI / 2);
+    for (const [param, level] of this.dryWetParams()) glideParam(this.ctx, param, level(value));
+  }
 
-    this.dryGainL.gain.setTargetAtTime(dryLevel, t, 0.02);
-    this.dryGainR.gain.setTargetAtTime(dryLevel, t, 0.02);
-    this.wetGainL.gain.setTargetAtTime(wetLevel, t, 0.02);
-    this.wetGainR.gain.setTargetAtTime(wetLevel, t, 0.02);
+  /** Dry and wet gains (equal-power) with their level for a mix value. */
+  dryWetParams() {
+    const dry = (value) => Math.cos(value * Math.PI / 2);
+    const wet = (value) => Math.sin(value * Math.PI / 2);
+    return [
+      [this.dryGainL.gain, dry],
+      [this.dryGainR.gain, dry],
+      [this.wetGainL.gain, wet],
+      [this.wetGainR.gain, wet],
+    ];
   }
 
   /**
    * Set master volume (0–1).
    */
   setMasterVolume(value) {
+    this.masterVolume = value;
     if (!this.ctx) return;
-    this.masterGain.gain.setTargetAtTime(value, this.ctx.currentTime, 0.02);
+    glideParam(this.ctx, this.masterLevel.offset, value);
   }
 
   /**
    * Set loop mode.
    */
   setLoop(enabled) {
+    const position = this.getCurrentTime();
     this.loop = enabled;
-    if (this.sourceL) this.sourceL.loop = enabled;
-    if (this.sourceR) this.sourceR.loop = enabled;
+    this._refreshLoop(position);
+
+    // Looping holds the current track; the queued one waits until loop is off
+    if (enabled) {
+      this._unscheduleQueued();
+    } else if (this.playing && this._queued) {
+      this._scheduleQueued();
+    }
+  }
+
+  /**
+   * Set the loop-in/out points in seconds. Pass null to keep a point as is;
+   * a loop-out at or before loop-in resets it to the end of the session.
+   */
+  setLoopRegion(start = null, end = null) {
+    const position = this.getCurrentTime();
+    if (start !== null) this.loopStart = Math.max(0, Math.min(start, this.duration));
+    if (end !== null) this.loopEnd = Math.max(0, Math.min(end, this.duration));
+    if (this.loopEnd && this.loopEnd - this.loopStart < MIN_LOOP_LENGTH) this.loopEnd = 0;
+    this._refreshLoop(position);
+  }
+
+  /**
+   * Loop the whole session again.
+   */
+  clearLoopRegion() {
+    this.setLoopRegion(0, 0);
+  }
+
+  /**
+   * Crossfade length at the loop seam in seconds (0 = hard wrap).
+   */
+  setLoopCrossfade(seconds) {
+    const position = this.getCurrentTime();
+    this.loopCrossfade = Math.max(0, seconds);
+    this._refreshLoop(position);
+  }
+
+  /**
+   * Queue a decoded track (see decodeFile) to replace the session when the
+   * current one ends. It is started sample-accurately at the end of the
+   * session, or `crossfade` seconds earlier with an equal-power crossfade.
+   * @param {{ name: string, bufferL: AudioBuffer, bufferR: AudioBuffer }} track
+   * @param {{ crossfade?: number }} [options]
+   */
+  queueNext(track, { crossfade = 0 } = {}) {
+    crossfade = Math.max(0, crossfade);
+    if (this._queued && this._queued.track === track && this._queued.crossfade === crossfade) return;
+
+    this.clearQueue();
+    this._queued = { track, crossfade, stem: null, sources: [], startAt: 0 };
+    if (this.playing && !this.loop) this._scheduleQueued();
+  }
+
+  /**
+   * Drop the queued track (playback then ends normally).
+   */
+  clearQueue() {
+    this._unscheduleQueued();
+    this._queued = null;
+  }
+
+  /**
+   * Update tone safety settings (undefined fields are left as is).
+   * @param {{ fadeIn?: number, fadeOut?: number, maxExposure?: number, ceilingDb?: number }} settings
+   *   fades and exposure in seconds (maxExposure 0 = no limit), ceiling in dBFS at the master analyser
+   */
+  setToneSafety(settings) {
+    for (const key of Object.keys(DEFAULT_TONE_SAFETY)) {
+      if (settings[key] !== undefined) this.toneSafety[key] = settings[key];
+    }
+    if (!this.binauralBeat) return;
+    const { fadeIn, fadeOut, maxExposure, ceilingDb } = this.toneSafety;
+    this.binauralBeat.setFadeTimes(fadeIn, fadeOut);
+    this.binauralBeat.safety.setMaxExposure(maxExposure);
+    this.binauralBeat.safety.setCeiling(ceilingDb);
+  }
+
+  getToneSafety() {
+    return { ...this.toneSafety };
+  }
+
+  /**
+   * Tone bus level and exposure, plus the master peak for reference (all dBFS).
+   * @returns {?{ levelDb: number, masterDb: number, reductionDb: number, exposure: number, maxExposure: number, expired: boolean }}
+   */
+  getToneSafetyStatus() {
+    if (!this.binauralBeat) return null;
+    const samples = new Float32Array(this.analyserMaster.fftSize);
+    this.analyserMaster.getFloatTimeDomainData(samples);
+    let peak = 0;
+    for (let i = 0; i < samples.length; i++) peak = Math.max(peak, Math.abs(samples[i]));
+    return { ...this.binauralBeat.safety.getStatus(), masterDb: peak > 0 ? 20 * Math.log10(peak) : -Infinity };
+  }
+
+  /**
+   * Restart the exposure clock for a new listener and reopen the tone bus.
+   */
+  resetToneExposure() {
+    if (this.binauralBeat) this.binauralBeat.safety.resetExposure();
   }
 
   /**
@@ -388,13 +810,12 @@ export class AudioEngine {
   setCompressorActive(active) {
     this.compressorActive = active;
     if (!this.ctx) return;
-    const t = this.ctx.currentTime;
     if (active) {
-      this.safetyGain.gain.setTargetAtTime(1, t, 0.02);
-      this.compressorBypass.gain.setTargetAtTime(0, t, 0.02);
+      glideParam(this.ctx, this.safetyGain.gain, 1);
+      glideParam(this.ctx, this.compressorBypass.gain, 0);
     } else {
-      this.safetyGain.gain.setTargetAtTime(0, t, 0.02);
-      this.compressorBypass.gain.setTargetAtTime(1, t, 0.02);
+      glideParam(this.ctx, this.safetyGain.gain, 0);
+      glideParam(this.ctx, this.compressorBypass.gain, 1);
     }
   }
 
@@ -413,6 +834,117 @@ export class AudioEngine {
     if (this.spatializer) this.spatializer.setPosition(x, y, z);
   }
 
+  /**
+   * Place the two source channels separately (a pair of virtual speakers)
+   * instead of as one downmixed source.
+   */
+  setSpatialStereo(on) {
+    if (this.spatializer) this.spatializer.setStereo(on);
+  }
+
+  /**
+   * Angle in degrees between the L and R virtual speakers in stereo mode.
+   */
+  setSpatialWidth(degrees) {
+    if (this.spatializer) this.spatializer.setWidth(degrees);
+  }
+
+  /**
+   * Move one source channel's virtual speaker (stereo mode).
+   * @param {'L'|'R'} channel
+   */
+  setSpatialChannelPosition(channel, x, y, z) {
+    if (this.spatializer) this.spatializer.setChannelPosition(channel, x, y, z);
+  }
+
+  /**
+   * Doppler shift for the moving spatial source (see Spatializer.setDoppler).
+   */
+  setSpatialDoppler(on) {
+    if (this.spatializer) this.spatializer.setDoppler(on);
+  }
+
+  /**
+   * Near-field level and tone for close spatial sources (see Spatializer.setNearField).
+   */
+  setSpatialNearField(on) {
+    if (this.spatializer) this.spatializer.setNearField(on);
+  }
+
+  /**
+   * Move the spatial source along a motion path (see Spatializer.setMotion).
+   * Placing the source with setSpatialPosition ends the motion.
+   * @param {?{path:string, speed:number, radius:number, elevation:number, points?:?Array}} settings null = stop
+   */
+  setSpatialMotion(settings) {
+    if (this.spatializer) this.spatializer.setMotion(settings);
+  }
+
+  /**
+   * Spatialize with a measured HRTF set (spatializer and walking-mode
+   * speakers), or with the browser's built-in HRTF when null. Before init()
+   * the set is only stored; it is prepared once the context exists.
+   * @param {?object} set HRTF set from parseHrtfFile
+   */
+  async setHrtfSet(set) {
+    if (!this.ctx) {
+      this.hrtfSet = set;
+      return;
+    }
+    const hrtf = set ? await prepareHrtf(set, this.ctx.sampleRate) : null;
+    this.hrtfSet = set;
+    this._hrtf = hrtf;
+    this.spatializer.setHrtf(hrtf);
+    if (this._speakerArray) this._speakerArray.setHrtf(hrtf);
+  }
+
+  /**
+   * Render the loaded file through the full processing chain in an
+   * OfflineAudioContext, using the current parameter state. Automation lanes
+   * and running beat programs are scheduled on the offline params, so the
+   * render changes over time the way playback does. Walking mode is
+   * driven live by the player and is not rendered: the export uses the
+   * spatializer settings.
+   * @param {{ tail?: number }} [options] seconds of tail rendered past the end
+   * @returns {Promise<AudioBuffer>}
+   */
+  async renderOffline({ tail = 0.25 } = {}) {
+    if (this.stems.length === 0) throw new Error('No audio file loaded');
+
+    const sampleRate = this.ctx.sampleRate;
+    const length = Math.ceil((this.duration + tail) * sampleRate);
+    const offlineCtx = new OfflineAudioContext(2, length, sampleRate);
+    await PitchShifter.register(offlineCtx);
+
+    // Build an identical graph on the offline context and mirror our state into it
+    const offline = new AudioEngine();
+    offline.ctx = offlineCtx;
+    offline.pitchProfile = this.pitchProfile;
+    offline.buildGraph();
+    const toneIds = this._copyStateTo(offline);
+    // The render is the transport running from 0: programs and lanes play out
+    offline.binauralBeat.setProgramsRunning(true);
+    this.automation.scheduleOffline(offline, toneIds);
+
+    offline.stems = this.stems.map((stem) => stem.cloneFor(offlineCtx));
+    offline.duration = this.duration;
+    for (const stem of offline.stems) offline._routeStem(stem);
+    offline._updateStemGains();
+    offline.sources = offline._startSources(0, 0, null);
+
+    return offlineCtx.startRendering();
+  }
+
+  /**
+   * Render offline and encode as a WAV file.
+   * @param {{ format?: 'int16'|'int24'|'float32', tail?: number }} [options]
+   * @returns {Promise<Blob>}
+   */
+  async exportWav({ format = 'int16', tail } = {}) {
+    const rendered = await this.renderOffline({ tail });
+    return encodeWav(rendered, format);
+  }
+
   /**
    * Expose AudioContext for walking mode.
    */
@@ -450,11 +982,11 @@ export class AudioEngine {
     this._hallwayReverb.outputL.connect(this.pitchShifterL.input);
     this._hallwayReverb.outputR.connect(this.pitchShifterR.input);
 
-    // If currently playing, also connect sources to speaker array input
-    if (this.sourceL && this.sourceR) {
-      this.sourceL.connect(speakerArray.getInputMerger(), 0, 0);
-      this.sourceR.connect(speakerArray.getInputMerger(), 0, 1);
-    }
+    if (this._hrtf) speakerArray.setHrtf(this._hrtf);
+
+    // Feed the process buses into the speaker array as well
+    this.processBusL.connect(speakerArray.getInputMerger(), 0, 0);
+    this.processBusR.connect(speakerArray.getInputMerger(), 0, 1);
   }
 
   /**
@@ -474,13 +1006,9 @@ export class AudioEngine {
       this._hallwayReverb = null;
     }
 
-    // Disconnect sources from speaker array input merger
-    if (this.sourceL) {
-      try { this.sourceL.disconnect(this._speakerArray.getInputMerger()); } catch (_) {}
-    }
-    if (this.sourceR) {
-      try { this.sourceR.disconnect(this._speakerArray.getInputMerger()); } catch (_) {}
-    }
+    // Disconnect process buses from speaker array input merger
+    try { this.processBusL.disconnect(this._speakerArray.getInputMerger()); } catch (_) {}
+    try { this.processBusR.disconnect(this._speakerArray.getInputMerger()); } catch (_) {}
 
     this._speakerArray = null;
 
@@ -515,21 +1043,462 @@ export class AudioEngine {
     }
   }
 
+  /**
+   * Internal: wire a pair of mono sources into both spatializer paths
+   * (direct and spatial are always connected; their gains pick the active one).
+   */
+  _connectToSpatializer(nodeL, nodeR) {
+    nodeL.connect(this.spatializer.directGainL);
+    nodeR.connect(this.spatializer.directGainR);
+    nodeL.connect(this.spatializer.inputMerger, 0, 0);
+    nodeR.connect(this.spatializer.inputMerger, 0, 1);
+  }
+
+  /**
+   * Internal: wire the current pitch shifters into the graph.
+   * Inputs: spatializer paths (and hallway reverb in walking mode).
+   * Outputs: dry gain + phase smear (wet) per ear.
+   */
+  _wirePitchShifters() {
+    const shL = this.pitchShifterL;
+    const shR = this.pitchShifterR;
+
+    this.spatializer.directGainL.connect(shL.input);
+    this.spatializer.directGainR.connect(shR.input);
+    this.spatializer.spatGainL.connect(shL.input);
+    this.spatializer.spatGainR.connect(shR.input);
+    if (this._hallwayReverb) {
+      this._hallwayReverb.outputL.connect(shL.input);
+      this._hallwayReverb.outputR.connect(shR.input);
+    }
+
+    shL.output.connect(this.dryGainL);
+    shL.output.connect(this.phaseSmearL.input);
+    shR.output.connect(this.dryGainR);
+    shR.output.connect(this.phaseSmearR.input);
+  }
+
+  /**
+   * Internal: match the bypass bus delay to the pitch shifter latency.
+   * Delay times aren't changed in place (that jumps the read head and
+   * clicks): a new delay line is built and crossfaded in at `at`, and the
+   * old one dropped after the fade.
+   * @param {number} [at] context time of the crossfade; omit to swap outright
+   */
+  _updateLatencyCompensation(at) {
+    const ctx = this.ctx;
+    const latency = this.pitchShifterL.latencySamples / ctx.sampleRate;
+    const line = {
+      delayL: ctx.createDelay(1),
+      delayR: ctx.createDelay(1),
+      gainL: ctx.createGain(),
+      gainR: ctx.createGain(),
+    };
+    line.delayL.delayTime.value = latency;
+    line.delayR.delayTime.value = latency;
+    this.bypassBusL.connect(line.delayL).connect(line.gainL).connect(this.sumGainL);
+    this.bypassBusR.connect(line.delayR).connect(line.gainR).connect(this.sumGainR);
+
+    const old = this._bypassLine;
+    this._bypassLine = line;
+    if (!old) return;
+    if (at === undefined) {
+      this._disconnectBypassLine(old);
+      return;
+    }
+    for (const channel of ['L', 'R']) {
+      line[`gain${channel}`].gain.setValueAtTime(0, ctx.currentTime);
+      line[`gain${channel}`].gain.setValueAtTime(0, at);
+      line[`gain${channel}`].gain.linearRampToValueAtTime(1, at + PROFILE_CROSSFADE);
+      old[`gain${channel}`].gain.setValueAtTime(1, at);
+      old[`gain${channel}`].gain.linearRampToValueAtTime(0, at + PROFILE_CROSSFADE);
+    }
+    setTimeout(() => this._disconnectBypassLine(old), (at - ctx.currentTime + PROFILE_CROSSFADE) * 1000 + 100);
+  }
+
+  /**
+   * Internal: detach a retired bypass delay line.
+   */
+  _disconnectBypassLine(line) {
+    try { this.bypassBusL.disconnect(line.delayL); } catch (_) {}
+    try { this.bypassBusR.disconnect(line.delayR); } catch (_) {}
+    for (const node of Object.values(line)) {
+      try { node.disconnect(); } catch (_) {}
+    }
+  }
+
+  /**
+   * Internal: disconnect upstream nodes from a pair of pitch shifters.
+   */
+  _unwirePitchShifters(shL, shR) {
+    const upstreamL = [this.spatializer.directGainL, this.spatializer.spatGainL];
+    const upstreamR = [this.spatializer.directGainR, this.spatializer.spatGainR];
+    if (this._hallwayReverb) {
+      upstreamL.push(this._hallwayReverb.outputL);
+      upstreamR.push(this._hallwayReverb.outputR);
+    }
+    for (const node of upstreamL) {
+      try { node.disconnect(shL.input); } catch (_) {}
+    }
+    for (const node of upstreamR) {
+      try { node.disconnect(shR.input); } catch (_) {}
+    }
+  }
+
+  /**
+   * Internal: apply this engine's parameter state to another engine's graph.
+   * Running beat programs carry over paused where they are now.
+   * @returns {Map<number, number>} this engine's tone ids → the target's
+   */
+  _copyStateTo(target) {
+    target.setDetune('L', this.detuneL);
+    target.setDetune('R', this.detuneR);
+    target.setFormantPreservation('L', this.formantL);
+    target.setFormantPreservation('R', this.formantR);
+    target.setPitchQuality(this.pitchQuality);
+    target.setDryWetMix(this.dryWetMix);
+    target.setMasterVolume(this.masterVolume);
+    target.setCompressorActive(this.compressorActive);
+
+    target.phaseSmearL.setDepth(this.phaseSmearL.depth);
+    target.phaseSmearR.setDepth(this.phaseSmearR.depth);
+    target.phaseSmearL.setRate(this.phaseSmearL.rate);
+    target.phaseSmearR.setRate(this.phaseSmearR.rate);
+
+    target.setSpatialActive(this.spatialActive);
+    const { x, y, z } = this.spatializer.position;
+    target.setSpatialPosition(x, y, z);
+    const { width, positionL, positionR, stereo } = this.spatializer;
+    target.setSpatialWidth(width);
+    target.setSpatialChannelPosition('L', positionL.x, positionL.y, positionL.z);
+    target.setSpatialChannelPosition('R', positionR.x, positionR.y, positionR.z);
+    target.spatializer.setStereo(stereo, 0);
+    if (this._hrtf) {
+      target.hrtfSet = this.hrtfSet;
+      target._hrtf = this._hrtf;
+      target.spatializer.setHrtf(this._hrtf, 0);
+    }
+    target.spatializer.setDoppler(this.spatializer.doppler, 0);
+    target.spatializer.setNearField(this.spatializer.nearField);
+    if (this.spatializer.motion) target.spatializer.continueMotion(this.spatializer);
+
+    // Offline graphs have no metering loop: hold the ceiling gain applied right now
+    target.setToneSafety(this.toneSafety);
+    target.binauralBeat.safety.applyGain(this.binauralBeat.safety.ceilingGain.gain.value);
+    const toneIds = new Map();
+    for (const tone of this.binauralBeat.tones.values()) {
+      const id = target.binauralBeat.addTone(tone.getSettings());
+      target.binauralBeat.getTone(id).continueProgram(tone);
+      toneIds.set(tone.id, id);
+    }
+    return toneIds;
+  }
+
+  /**
+   * Internal: beat programs advance while the transport plays or live input runs.
+   */
+  _updateProgramClock() {
+    if (this.binauralBeat) this.binauralBeat.setProgramsRunning(this.playing || !!this.liveInput);
+  }
+
+  /**
+   * Internal: connect a stem's gain pair to the process bus or the bypass (sum) bus.
+   */
+  _routeStem(stem) {
+    if (stem.processed) {
+      stem.gainL.connect(this.processBusL);
+      stem.gainR.connect(this.processBusR);
+    } else {
+      stem.gainL.connect(this.bypassBusL);
+      stem.gainR.connect(this.bypassBusR);
+    }
+  }
+
+  /**
+   * Internal: apply gain, mute and solo state to every stem.
+   */
+  _updateStemGains() {
+    const anySolo = this.stems.some((s) => s.solo);
+    for (const stem of this.stems) {
+      stem.applyGain(!stem.muted && (!anySolo || stem.solo));
+    }
+  }
+
+  /**
+   * Internal: recompute the session length after stems were added, removed
+   * or moved. While playing, only the `changed` stems are restarted, unless
+   * the loop region moved with the session end.
+   * @param {Stem[]} [changed]
+   */
+  _layoutStems(changed = []) {
+    if (this.stems.length === 0) {
+      if (this.playing) this.stop();
+      this.duration = 0;
+      this.pauseOffset = 0;
+      return;
+    }
+
+    const position = this.getCurrentTime();
+    const before = this._loopBounds();
+    this.duration = Math.max(...this.stems.map((stem) => stem.end));
+    this.loopStart = Math.min(this.loopStart, this.duration);
+    this.loopEnd = Math.min(this.loopEnd, this.duration);
+    this._updateLoopBuffers();
+
+    if (!this.playing) {
+      this.pauseOffset = Math.min(this.pauseOffset, this.duration);
+      return;
+    }
+    const after = this._loopBounds();
+    if (this.loop && (before.start !== after.start || before.end !== after.end)) {
+      this.seek(position);
+      return;
+    }
+    if (!this.loop && position >= this.duration) {
+      this._handleSourcesEnded();
+      return;
+    }
+
+    // Rebase the clock so the restarted stems line up with the others
+    this.startTime = this.ctx.currentTime;
+    this.pauseOffset = position;
+    for (const stem of changed) {
+      this._stopStemSources(stem);
+      this.sources.push(...this._startSources(this.startTime, position, () => this._handleSourcesEnded(), [stem]));
+    }
+    if (this._queued && this._queued.stem) this._scheduleQueued();
+  }
+
+  /**
+   * Internal: create and start the source nodes for each stem at a session
+   * position. Stems that start later are scheduled at their offset. While
+   * looping, a stem covering the loop region loops its own buffer; any other
+   * stem plays up to loop-in and then its loop-region copy on repeat.
+   * @param {number} when context time to start at
+   * @param {number} offset session position in seconds
+   * @param {?Function} onEnded called when a source finishes
+   * @param {Stem[]} [stems]
+   * @returns {AudioBufferSourceNode[]}
+   */
+  _startSources(when, offset, onEnded, stems = this.stems) {
+    const { start, end, wrap } = this._loopBounds();
+    const sources = [];
+    for (const stem of stems) {
+      // Fresh source nodes (no detune — pitch shifter handles it)
+      const play = (buffers, delay, bufferOffset, { duration, loop } = {}) => {
+        for (const [buffer, fade] of [[buffers[0], stem.fadeL], [buffers[1], stem.fadeR]]) {
+          const source = this.ctx.createBufferSource();
+          source.buffer = buffer;
+          if (loop) {
+            source.loop = true;
+            [source.loopStart, source.loopEnd] = loop;
+          }
+          source.connect(fade);
+          source.onended = onEnded;
+          if (duration === undefined) source.start(when + delay, bufferOffset);
+          else source.start(when + delay, bufferOffset, duration);
+          stem.sources.push(source);
+          sources.push(source);
+        }
+      };
+      const decoded = [stem.bufferL, stem.bufferR];
+      const delay = Math.max(0, stem.offset - offset);
+      const bufferOffset = Math.max(0, offset - stem.offset);
+
+      if (!this.loop) {
+        if (offset < stem.end) play(decoded, delay, bufferOffset);
+      } else if (!stem.loopL && stem.covers(start, end)) {
+        play(decoded, delay, bufferOffset, { loop: [start - stem.offset, end - stem.offset] });
+      } else {
+        const from = Math.max(offset, stem.offset);
+        const to = Math.min(start, stem.end);
+        if (from < to) play(decoded, from - offset, from - stem.offset, { duration: to - from });
+        if (stem.loopL) {
+          play([stem.loopL, stem.loopR], Math.max(0, start - offset), Math.max(0, offset - start), {
+            loop: [wrap, stem.loopL.duration],
+          });
+        }
+      }
+    }
+    return sources;
+  }
+
+  /**
+   * Internal: stop a stem's running sources.
+   */
+  _stopStemSources(stem) {
+    for (const source of stem.sources) {
+      source.onended = null;
+      try { source.stop(); } catch (_) {}
+      source.disconnect();
+    }
+    this.sources = this.sources.filter((source) => !stem.sources.includes(source));
+    stem.sources = [];
+  }
+
+  /**
+   * Internal: effective loop region in seconds, and how far past loop-in
+   * repeats start when the seam wraps onto the region itself (see loopSeam).
+   */
+  _loopBounds() {
+    const start = Math.min(this.loopStart, this.duration);
+    const end = this.loopEnd > start ? Math.min(this.loopEnd, this.duration) : this.duration;
+    const { wrap } = loopSeam(start, end, this.loopCrossfade, this.duration, this.ctx.sampleRate);
+    return { start, end, wrap };
+  }
+
+  /**
+   * Internal: bring the stems' loop-region copies up to date (each stem
+   * rebuilds only when its region, seam or offset changed).
+   */
+  _updateLoopBuffers() {
+    const { start, end } = this._loopBounds();
+    for (const stem of this.stems) {
+      if (this.loop) stem.buildLoopBuffers(start, end, this.loopCrossfade, this.duration);
+      else stem.clearLoopBuffers();
+    }
+  }
+
+  /**
+   * Internal: apply loop flag/region changes. Running sources are restarted
+   * at the current position (looping changes how each stem is played).
+   * @param {number} position playhead before the change
+   */
+  _refreshLoop(position) {
+    this._updateLoopBuffers();
+    if (!this.playing) return;
+    const { start, end } = this._loopBounds();
+    this.seek(this.loop && position >= end ? start : position);
+  }
+
+  /**
+   * Internal: end of the session — hand over to the queued track if one is
+   * scheduled, otherwise stop the transport.
+   */
+  _handleSourcesEnded() {
+    if (!this.playing || this.loop) return;
+    // Shorter stems finish first; the session ends with the last one
+    const sessionEnd = this.startTime + (this.duration - this.pauseOffset);
+    if (this.ctx.currentTime < sessionEnd - END_TOLERANCE) return;
+
+    if (this._queued && this._queued.stem) {
+      this._advanceQueue();
+      return;
+    }
+
+    this._stopSources();
+    this.playing = false;
+    this.pauseOffset = 0;
+    this.automation.stop();
+    this.automation.apply(0);
+    this._updateProgramClock();
+    if (this.onPlaybackEnded) this.onPlaybackEnded();
+  }
+
+  /**
+   * Internal: start the queued track's sources at the end of the session,
+   * with fades for the crossfade overlap.
+   */
+  _scheduleQueued() {
+    this._unscheduleQueued();
+    const queued = this._queued;
+    const { track } = queued;
+
+    const now = this.ctx.currentTime;
+    const endTime = this.startTime + (this.duration - this.pauseOffset);
+    const startAt = Math.max(now, endTime - queued.crossfade);
+
+    const stem = new Stem(this.ctx, {
+      id: this.nextStemId++, name: track.name, bufferL: track.bufferL, bufferR: track.bufferR,
+    });
+    this._routeStem(stem);
+
+    const fade = endTime - startAt;
+    if (fade > 0) {
+      const { fadeIn, fadeOut } = equalPowerCurves();
+      stem.scheduleFade(fadeIn, startAt, fade);
+      for (const s of this.stems) s.scheduleFade(fadeOut, startAt, fade);
+    }
+
+    queued.stem = stem;
+    queued.startAt = startAt;
+    queued.sources = this._startSources(startAt, 0, null, [stem]);
+  }
+
+  /**
+   * Internal: cancel a scheduled queued track, keeping it queued.
+   */
+  _unscheduleQueued() {
+    const queued = this._queued;
+    if (!queued || !queued.stem) return;
+
+    for (const source of queued.sources) {
+      try { source.stop(); } catch (_) {}
+      source.disconnect();
+    }
+    queued.stem.dispose();
+    queued.stem = null;
+    queued.sources = [];
+    for (const stem of this.stems) stem.resetFade();
+  }
+
+  /**
+   * Internal: the queued track's sources are already running — make it the session.
+   */
+  _advanceQueue() {
+    const { stem, sources, startAt, track } = this._queued;
+    this._queued = null;
+
+    for (const source of this.sources) {
+      source.onended = null;
+      source.disconnect();
+    }
+    for (const old of this.stems) old.dispose();
+
+    this.stems = [stem];
+    this.sources = sources;
+    this.loopStart = 0;
+    this.loopEnd = 0;
+    for (const source of sources) source.onended = () => this._handleSourcesEnded();
+    this.duration = stem.duration;
+    this.startTime = startAt;
+    this.pauseOffset = 0;
+    this._updateStemGains();
+
+    if (this.onQueueAdvanced) {
+      this.onQueueAdvanced({
+        id: stem.id,
+        name: track.name,
+        duration: track.duration,
+        channels: track.channels,
+        sampleRate: track.sampleRate,
+      });
+    }
+  }
+
   /**
    * Internal: stop and disconnect source nodes.
    */
   _stopSources() {
-    if (this.sourceL) {
-      this.sourceL.onended = null;
-      try { this.sourceL.stop(); } catch (_) {}
-      this.sourceL.disconnect();
-      this.sourceL = null;
-    }
-    if (this.sourceR) {
-      this.sourceR.onended = null;
-      try { this.sourceR.stop(); } catch (_) {}
-      this.sourceR.disconnect();
-      this.sourceR = null;
+    this._unscheduleQueued();
+    for (const source of this.sources) {
+      source.onended = null;
+      try { source.stop(); } catch (_) {}
+      source.disconnect();
     }
+    this.sources = [];
+    for (const stem of this.stems) stem.sources = [];
+  }
+}
+
+/** Equal-power (sin/cos) gain curves for crossfades. */
+function equalPowerCurves(steps = 64) {
+  const fadeIn = new Float32Array(steps);
+  const fadeOut = new Float32Array(steps);
+  for (let i = 0; i < steps; i++) {
+    const theta = (i / (steps - 1)) * Math.PI / 2;
+    fadeIn[i] = Math.sin(theta);
+    fadeOut[i] = Math.cos(theta);
   }
+  return { fadeIn, fadeOut };
 }
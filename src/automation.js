@@ -0,0 +1,364 @@
+/**
+ * Parameter automation — breakpoint envelopes driven by the engine transport.
+ *
+ * Lanes are evaluated against AudioEngine.getCurrentTime(), so they follow
+ * seek, pause and loop wrap without any extra bookkeeping: whatever the
+ * transport reports is the position the envelope is read at. Offline
+ * renders have no timer to follow: there the lanes are scheduled up front as
+ * AudioParam ramps (scheduleOffline).
+ */
+
+const TICK_MS = 20;
+const CURVE_TOLERANCE = 0.001; // relative error allowed when a ramp stands in for a curved mapping
+const MIN_SEGMENT = 0.01; // s, shortest ramp a curved mapping is split into
+
+/** Parameters that can be automated, with display labels. */
+export const AUTOMATION_PARAMS = {
+  detuneL: 'Detune L',
+  detuneR: 'Detune R',
+  smearDepth: 'Smear Depth',
+  smearRate: 'Smear Rate',
+  dryWet: 'Dry / Wet',
+  beatDiff: 'Beat Diff',
+  spatialX: 'Spatial X',
+  spatialY: 'Spatial Y',
+  spatialZ: 'Spatial Z',
+};
+
+/** Value range of each parameter, [min, max], as on its control. */
+export const AUTOMATION_RANGES = {
+  detuneL: [-100, 100],
+  detuneR: [-100, 100],
+  smearDepth: [0, 1],
+  smearRate: [0.1, 10],
+  dryWet: [0, 1],
+  beatDiff: [0.1, 100],
+  spatialX: [-10, 10],
+  spatialY: [-5, 5],
+  spatialZ: [-10, 10],
+};
+
+/**
+ * AutomationLane — breakpoint envelope for a single parameter.
+ * Values are linearly interpolated between points and held flat
+ * before the first and after the last point.
+ */
+export class AutomationLane {
+  /**
+   * @param {string} param key of AUTOMATION_PARAMS
+   * @param {{ toneId?: number|null, points?: Array<{time:number, value:number}> }} [options]
+   */
+  constructor(param, { toneId = null, points = [] } = {}) {
+    this.param = param;
+    this.toneId = toneId;
+    this.points = [];
+    for (const p of points) this.addPoint(p.time, p.value);
+  }
+
+  /**
+   * Add a breakpoint, replacing any existing point at the same time.
+   * @returns {number} index of the point
+   */
+  addPoint(time, value) {
+    const existing = this.points.findIndex((p) => Math.abs(p.time - time) < 0.001);
+    if (existing !== -1) {
+      this.points[existing].value = value;
+      return existing;
+    }
+    const point = { time, value };
+    this.points.push(point);
+    this.points.sort((a, b) => a.time - b.time);
+    return this.points.indexOf(point);
+  }
+
+  /**
+   * Move a breakpoint. It keeps its place between its neighbours (a point
+   * can't be dragged past another one).
+   */
+  movePoint(index, time, value) {
+    const point = this.points[index];
+    if (!point) return;
+    const prev = this.points[index - 1];
+    const next = this.points[index + 1];
+    const min = prev ? prev.time + 0.001 : 0;
+    const max = next ? next.time - 0.001 : Infinity;
+    point.time = Math.min(Math.max(time, min), max);
+    point.value = value;
+  }
+
+  removePoint(index) {
+    this.points.splice(index, 1);
+  }
+
+  clear() {
+    this.points = [];
+  }
+
+  /**
+   * Evaluate the envelope at a transport time (seconds).
+   * @returns {number|null} null when the lane has no points
+   */
+  valueAt(time) {
+    const pts = this.points;
+    if (pts.length === 0) return null;
+    if (time <= pts[0].time) return pts[0].value;
+    const last = pts[pts.length - 1];
+    if (time >= last.time) return last.value;
+
+    for (let i = 1; i < pts.length; i++) {
+      const b = pts[i];
+      if (time <= b.time) {
+        const a = pts[i - 1];
+        const frac = (time - a.time) / (b.time - a.time);
+        return a.value + (b.value - a.value) * frac;
+      }
+    }
+    return last.value;
+  }
+
+  toJSON() {
+    return { param: this.param, toneId: this.toneId, points: this.points.map((p) => ({ ...p })) };
+  }
+}
+
+/**
+ * AutomationController — owns the lanes for an engine and applies them on a
+ * timer while the transport is running.
+ */
+export class AutomationController {
+  /**
+   * @param {import('./audio-engine.js').AudioEngine} engine
+   */
+  constructor(engine) {
+    this.engine = engine;
+    this.lanes = new Map();
+    this.enabled = true;
+    this.onApply = null; // callback({ [laneKey]: value })
+
+    this._timer = null;
+    this._lastValues = new Map();
+  }
+
+  static laneKey(param, toneId = null) {
+    return toneId === null ? param : `${param}:${toneId}`;
+  }
+
+  /**
+   * Get a lane, creating an empty one if it doesn't exist yet.
+   */
+  getLane(param, toneId = null) {
+    const key = AutomationController.laneKey(param, toneId);
+    let lane = this.lanes.get(key);
+    if (!lane) {
+      lane = new AutomationLane(param, { toneId });
+      this.lanes.set(key, lane);
+    }
+    return lane;
+  }
+
+  removeLane(param, toneId = null) {
+    const key = AutomationController.laneKey(param, toneId);
+    this.lanes.delete(key);
+    this._lastValues.delete(key);
+  }
+
+  clear() {
+    this.lanes.clear();
+    this._lastValues.clear();
+  }
+
+  setEnabled(on) {
+    this.enabled = on;
+    this.refresh();
+  }
+
+  /**
+   * Apply every lane again at the current position (after points were edited).
+   */
+  refresh() {
+    this._lastValues.clear();
+    if (this.enabled) this.apply();
+  }
+
+  /**
+   * Start applying lanes on a timer (called when the transport starts).
+   */
+  start() {
+    this.stop();
+    this._lastValues.clear();
+    this.apply();
+    this._timer = setInterval(() => this.apply(), TICK_MS);
+  }
+
+  /**
+   * Stop the timer (called when the transport pauses or stops).
+   */
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  /**
+   * Evaluate every lane at the given transport time and push values into the engine.
+   * @param {number} [time] defaults to the engine's current playback time
+   */
+  apply(time = this.engine.getCurrentTime()) {
+    if (!this.enabled || this.lanes.size === 0 || !this.engine.ctx) return;
+
+    const engine = this.engine;
+    const applied = {};
+    let position = null;
+
+    for (const [key, lane] of this.lanes) {
+      const value = lane.valueAt(time);
+      if (value === null || this._lastValues.get(key) === value) continue;
+      this._lastValues.set(key, value);
+      applied[key] = value;
+
+      switch (lane.param) {
+        case 'detuneL':
+          engine.setDetune('L', value);
+          break;
+        case 'detuneR':
+          engine.setDetune('R', value);
+          break;
+        case 'smearDepth':
+          engine.phaseSmearL.setDepth(value);
+          engine.phaseSmearR.setDepth(value);
+          break;
+        case 'smearRate':
+          engine.phaseSmearL.setRate(value);
+          engine.phaseSmearR.setRate(value);
+          break;
+        case 'dryWet':
+          engine.setDryWetMix(value);
+          break;
+        case 'beatDiff':
+          // A tone's own lane takes precedence over the all-tones lane
+          for (const tone of engine.binauralBeat.tones.values()) {
+            const own = lane.toneId === null
+              ? !this.lanes.has(AutomationController.laneKey('beatDiff', tone.id))
+              : tone.id === lane.toneId;
+            if (own) tone.setBeatDifference(value);
+          }
+          break;
+        case 'spatialX':
+        case 'spatialY':
+        case 'spatialZ':
+          position = position || { ...engine.spatializer.position };
+          position[lane.param.slice(-1).toLowerCase()] = value;
+          break;
+      }
+    }
+
+    if (position) engine.setSpatialPosition(position.x, position.y, position.z);
+    if (this.onApply && Object.keys(applied).length) this.onApply(applied);
+  }
+
+  /**
+   * Schedule every lane onto an offline engine's params before it renders,
+   * so an export follows the envelopes the way playback does. The render
+   * starts at transport time 0, so context time is transport time.
+   * @param {import('./audio-engine.js').AudioEngine} target
+   * @param {Map<number, number>} toneIds this engine's tone ids → the target's
+   */
+  scheduleOffline(target, toneIds) {
+    if (!this.enabled) return;
+
+    const tones = this.engine.binauralBeat.tones;
+    for (const lane of this.lanes.values()) {
+      if (lane.points.length === 0) continue;
+      let params = [];
+      switch (lane.param) {
+        case 'detuneL':
+          params = [[target.pitchShifterL.centsParam, (v) => v]];
+          break;
+        case 'detuneR':
+          params = [[target.pitchShifterR.centsParam, (v) => v]];
+          break;
+        case 'smearDepth':
+          params = [...target.phaseSmearL.depthParams(), ...target.phaseSmearR.depthParams()];
+          break;
+        case 'smearRate':
+          params = [...target.phaseSmearL.rateParams(), ...target.phaseSmearR.rateParams()];
+          break;
+        case 'dryWet':
+          params = target.dryWetParams();
+          break;
+        case 'beatDiff':
+          // As in apply(): a tone's own lane takes precedence, and a lane ends a program
+          for (const id of tones.keys()) {
+            const own = lane.toneId === null
+              ? !this.lanes.has(AutomationController.laneKey('beatDiff', id))
+              : id === lane.toneId;
+            const tone = own && target.binauralBeat.getTone(toneIds.get(id));
+            if (!tone) continue;
+            tone.stopProgram();
+            params.push(...tone.beatDiffParams());
+          }
+          break;
+      }
+      for (const [param, map] of params) scheduleLane(param, lane, map);
+    }
+
+    const axes = ['x', 'y', 'z'].map((axis) => [axis, this.lanes.get(`spatial${axis.toUpperCase()}`)]);
+    if (axes.some(([, lane]) => lane && lane.points.length)) {
+      const spatializer = target.spatializer;
+      spatializer.setMotion(null);
+      const held = { ...spatializer.position };
+      spatializer.followTrajectory((t) => {
+        const point = { ...held };
+        for (const [axis, lane] of axes) if (lane && lane.points.length) point[axis] = lane.valueAt(t);
+        return point;
+      });
+    }
+  }
+
+  toJSON() {
+    return [...this.lanes.values()].map((lane) => lane.toJSON());
+  }
+
+  /**
+   * Replace all lanes from serialized data (see toJSON).
+   */
+  load(data) {
+    this.clear();
+    for (const l of data || []) {
+      const lane = new AutomationLane(l.param, { toneId: l.toneId ?? null, points: l.points });
+      this.lanes.set(AutomationController.laneKey(lane.param, lane.toneId), lane);
+    }
+  }
+}
+
+/**
+ * Schedule a lane's envelope onto an AudioParam from context time 0, mapped
+ * through `map` (lane value → param value). Segments a curved mapping bends
+ * (e.g. equal-power dry/wet) are split until straight ramps follow it.
+ * @param {AudioParam} param
+ * @param {AutomationLane} lane
+ * @param {(value:number) => number} map
+ */
+function scheduleLane(param, lane, map) {
+  const rampTo = (a, b) => {
+    const mid = { time: (a.time + b.time) / 2, value: (a.value + b.value) / 2 };
+    const straight = (map(a.value) + map(b.value)) / 2;
+    const error = Math.abs(map(mid.value) - straight);
+    if (b.time - a.time > MIN_SEGMENT && error > CURVE_TOLERANCE * Math.max(Math.abs(straight), CURVE_TOLERANCE)) {
+      rampTo(a, mid);
+      rampTo(mid, b);
+    } else {
+      param.linearRampToValueAtTime(map(b.value), b.time);
+    }
+  };
+
+  const [first] = lane.points;
+  param.cancelScheduledValues(0);
+  param.setValueAtTime(map(first.value), 0);
+  let prev = { time: 0, value: first.value };
+  for (const point of lane.points) {
+    if (point.time > prev.time) rampTo(prev, point);
+    prev = point;
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * Beat programs — multi-stage schedules for a tone's beatDiff and baseFreq
+ * (e.g. 14 Hz → 10 Hz over 5 minutes, hold, then → 6 Hz).
+ *
+ * A program is a list of stages `{ duration, beatDiff?, baseFreq? }`. Each
+ * stage ramps linearly from the previous values to its targets over
+ * `duration` seconds; a stage without targets holds. A zero-duration stage
+ * jumps. BinauralTone turns the breakpoints into AudioParam ramps.
+ *
+ * Text form (used by the program editor), comma-separated stages:
+ *   `0s 14Hz, 5m 10Hz, 2m hold, 5m 6Hz base 180`
+ */
+
+const UNIT_SECONDS = { s: 1, m: 60, h: 3600 };
+
+/**
+ * Parse the text form of a program.
+ * @param {string} text
+ * @returns {Array<{duration:number, beatDiff?:number, baseFreq?:number}>}
+ */
+export function parseProgramStages(text) {
+  const parts = text.split(',').map((p) => p.trim()).filter(Boolean);
+  if (parts.length === 0) throw new Error('Program has no stages');
+
+  return parts.map((part, i) => {
+    const where = `Stage ${i + 1} ("${part}")`;
+    const duration = part.match(/^(\d+(?:\.\d+)?)\s*([smh])\b/i);
+    if (!duration) throw new Error(`${where} must start with a duration like 30s, 5m or 1h`);
+
+    const stage = { duration: parseFloat(duration[1]) * UNIT_SECONDS[duration[2].toLowerCase()] };
+    let rest = part.slice(duration[0].length);
+
+    const base = rest.match(/\bbase\s*(\d+(?:\.\d+)?)\s*(?:hz)?/i);
+    if (base) {
+      stage.baseFreq = parseFloat(base[1]);
+      rest = rest.replace(base[0], '');
+    }
+    const beat = rest.match(/(\d+(?:\.\d+)?)\s*hz/i);
+    if (beat) {
+      stage.beatDiff = parseFloat(beat[1]);
+      rest = rest.replace(beat[0], '');
+    }
+    if (rest.replace(/\bhold\b/i, '').trim()) throw new Error(`${where} has unrecognised text`);
+    return stage;
+  });
+}
+
+/**
+ * Inverse of parseProgramStages().
+ */
+export function formatProgramStages(stages) {
+  return stages.map((stage) => {
+    const parts = [formatDuration(stage.duration)];
+    if (stage.beatDiff !== undefined) parts.push(`${stage.beatDiff}Hz`);
+    if (stage.baseFreq !== undefined) parts.push(`base ${stage.baseFreq}`);
+    if (parts.length === 1) parts.push('hold');
+    return parts.join(' ');
+  }).join(', ');
+}
+
+/**
+ * Breakpoints of a program starting from the given values.
+ * @param {Array<{duration:number, beatDiff?:number, baseFreq?:number}>} stages
+ * @param {{baseFreq:number, beatDiff:number}} from
+ * @returns {Array<{time:number, baseFreq:number, beatDiff:number}>} first point at time 0
+ */
+export function programBreakpoints(stages, from) {
+  const points = [{ time: 0, baseFreq: from.baseFreq, beatDiff: from.beatDiff }];
+  for (const stage of stages) {
+    const prev = points[points.length - 1];
+    points.push({
+      time: prev.time + Math.max(0, stage.duration),
+      baseFreq: stage.baseFreq ?? prev.baseFreq,
+      beatDiff: stage.beatDiff ?? prev.beatDiff,
+    });
+  }
+  return points;
+}
+
+/**
+ * Values at `elapsed` seconds into a program, and the stage index it falls in.
+ * @returns {{baseFreq:number, beatDiff:number, stage:number}}
+ */
+export function programValueAt(points, elapsed) {
+  for (let i = 1; i < points.length; i++) {
+    const a = points[i - 1];
+    const b = points[i];
+    if (elapsed < b.time) {
+      const t = (elapsed - a.time) / (b.time - a.time);
+      return {
+        baseFreq: a.baseFreq + (b.baseFreq - a.baseFreq) * t,
+        beatDiff: a.beatDiff + (b.beatDiff - a.beatDiff) * t,
+        stage: i - 1,
+      };
+    }
+  }
+  const last = points[points.length - 1];
+  return { baseFreq: last.baseFreq, beatDiff: last.beatDiff, stage: points.length - 2 };
+}
+
+function formatDuration(seconds) {
+  if (seconds > 0 && seconds % 3600 === 0) return `${seconds / 3600}h`;
+  if (seconds > 0 && seconds % 60 === 0) return `${seconds / 60}m`;
+  return `${seconds}s`;
+}
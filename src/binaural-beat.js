@@ -1,109 +1,933 @@
+import { programBreakpoints, programValueAt } from './beat-program.js';
+import { ToneSafety } from './tone-safety.js';
+import { glideParam, isPreRender } from './param-glide.js';
+
+/** Beat modes a tone can run in. */
+export const TONE_MODES = ['binaural', 'monaural', 'isochronic'];
+
+/** Envelope shapes for isochronic pulses. */
+export const PULSE_SHAPES = ['square', 'triangle', 'sine'];
+
+/**
+ * Carrier signals. Waveforms run on the oscillators; noise carriers are
+ * band-passed noise centred on each ear's frequency, so the interaural
+ * frequency difference survives with a softer texture.
+ */
+export const CARRIERS = ['sine', 'triangle', 'square', 'custom', 'pink', 'brown'];
+
+/** Harmonic amplitudes (fundamental first) for the 'custom' carrier when none are given. */
+export const DEFAULT_HARMONICS = [1, 0.35, 0.12, 0.05];
+
+/** Where a tone is placed when first made spatial: 2 m in front of the listener. */
+export const DEFAULT_TONE_POSITION = Object.freeze({ x: 0, y: 0, z: -2 });
+
+const NOISE_CARRIERS = ['pink', 'brown'];
+const NOISE_Q = 4;
+const NOISE_SECONDS = 8;
+
+// Gains bringing each carrier to the RMS level of a unit sine. Band-passed
+// noise is levelled per band centre from each buffer's measured band levels
+// (see measureNoiseBands); NOISE_BED_GAIN does the same for broadband pink
+// noise.
+const WAVEFORM_GAIN = { sine: 1, triangle: Math.sqrt(3) * Math.SQRT1_2, square: Math.SQRT1_2 };
+const NOISE_BED_GAIN = 2.9;
+
+// Band centres the noise level is measured at: third-octave steps covering
+// base frequency plus beat (10 Hz to 10.1 kHz)
+const NOISE_BAND_MIN = 10;
+const NOISE_BAND_STEPS = 31;
+
+/**
+ * Oscillator → ear weights per mode: [L osc → L ear, L osc → R ear, R osc → L ear, R osc → R ear].
+ * Binaural splits the pair across the ears, monaural sums both into each ear,
+ * isochronic plays the base carrier alone in both ears.
+ */
+const MODE_MIX = {
+  binaural: [1, 0, 0, 1],
+  monaural: [0.5, 0.5, 0.5, 0.5],
+  isochronic: [1, 1, 0, 0],
+};
+
+// Harmonics in the pulse envelope — enough for crisp pulses at beat rates,
+// few enough that edges stay a few ms long and don't click.
+const PULSE_HARMONICS = 24;
+const PULSE_SAMPLES = 1024;
+
 /**
- * BinauralTone — a single binaural beat oscillator pair (L + R).
+ * Fourier series of one isochronic pulse period: the envelope is `shape` for
+ * the first `duty` of the period and silent for the rest.
+ * Lanczos sigma factors tame the overshoot of the truncated series.
+ * @returns {{ mean: number, real: Float32Array, imag: Float32Array }}
+ */
+function pulseSeries(shape, duty) {
+  const env = new Float32Array(PULSE_SAMPLES);
+  for (let i = 0; i < PULSE_SAMPLES; i++) {
+    const x = i / PULSE_SAMPLES / duty;
+    if (x >= 1) continue;
+    if (shape === 'triangle') env[i] = 1 - Math.abs(2 * x - 1);
+    else if (shape === 'sine') env[i] = Math.sin(Math.PI * x);
+    else env[i] = 1;
+  }
+
+  const real = new Float32Array(PULSE_HARMONICS + 1);
+  const imag = new Float32Array(PULSE_HARMONICS + 1);
+  let mean = 0;
+  for (let i = 0; i < PULSE_SAMPLES; i++) mean += env[i];
+  mean /= PULSE_SAMPLES;
+
+  for (let k = 1; k <= PULSE_HARMONICS; k++) {
+    let a = 0;
+    let b = 0;
+    for (let i = 0; i < PULSE_SAMPLES; i++) {
+      const phase = (2 * Math.PI * k * i) / PULSE_SAMPLES;
+      a += env[i] * Math.cos(phase);
+      b += env[i] * Math.sin(phase);
+    }
+    const s = (Math.PI * k) / (PULSE_HARMONICS + 1);
+    const sigma = Math.sin(s) / s;
+    real[k] = (2 * a / PULSE_SAMPLES) * sigma;
+    imag[k] = (2 * b / PULSE_SAMPLES) * sigma;
+  }
+  return { mean, real, imag };
+}
+
+/** Loop buffers of pink and brown noise, generated once per context. */
+const noiseBuffers = new WeakMap();
+
+/** Per noise buffer: gain levelling a NOISE_Q band at each measured centre. */
+const noiseBandGains = new WeakMap();
+
+function getNoiseBuffer(ctx, color) {
+  let buffers = noiseBuffers.get(ctx);
+  if (!buffers) noiseBuffers.set(ctx, buffers = {});
+  if (!buffers[color]) {
+    buffers[color] = createNoiseBuffer(ctx, color);
+    noiseBandGains.set(buffers[color], measureNoiseBands(buffers[color]));
+  }
+  return buffers[color];
+}
+
+/**
+ * Gain bringing a NOISE_Q band of the given noise buffer, centred on `hz`,
+ * to the RMS level of a unit sine (interpolated in dB between the measured
+ * centres).
+ */
+function noiseBandGain(buffer, hz) {
+  const gains = noiseBandGains.get(buffer);
+  const pos = Math.max(0, Math.min(NOISE_BAND_STEPS - 1, 3 * Math.log2(hz / NOISE_BAND_MIN)));
+  const i = Math.min(Math.floor(pos), NOISE_BAND_STEPS - 2);
+  const t = pos - i;
+  return Math.exp(Math.log(gains[i]) * (1 - t) + Math.log(gains[i + 1]) * t);
+}
+
+/**
+ * Run the buffer through the same band-pass the tone uses (the Web Audio
+ * biquad, constant 0 dB peak gain) at each band centre and return the gains
+ * that level the band RMS. Pink noise comes out nearly flat (a constant-Q
+ * band collects equal power per octave); brown noise falls by about 3 dB per
+ * octave above its leak corner.
+ */
+function measureNoiseBands(buffer) {
+  const data = buffer.getChannelData(0);
+  const gains = new Float32Array(NOISE_BAND_STEPS);
+  for (let k = 0; k < NOISE_BAND_STEPS; k++) {
+    const hz = Math.min(NOISE_BAND_MIN * 2 ** (k / 3), buffer.sampleRate * 0.45);
+    const w0 = (2 * Math.PI * hz) / buffer.sampleRate;
+    const alpha = Math.sin(w0) / (2 * NOISE_Q);
+    const a0 = 1 + alpha;
+    const b0 = alpha / a0;
+    const a1 = (-2 * Math.cos(w0)) / a0;
+    const a2 = (1 - alpha) / a0;
+
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0, sumSq = 0;
+    for (let i = 0; i < data.length; i++) {
+      const x = data[i];
+      const y = b0 * (x - x2) - a1 * y1 - a2 * y2;
+      x2 = x1; x1 = x;
+      y2 = y1; y1 = y;
+      sumSq += y * y;
+    }
+    gains[k] = Math.SQRT1_2 / (Math.sqrt(sumSq / data.length) || 1);
+  }
+  return gains;
+}
+
+/**
+ * Mono noise, peak-normalized, with matching loop endpoints.
+ * Pink uses Paul Kellet's filter; brown is leaky-integrated white noise.
+ */
+function createNoiseBuffer(ctx, color) {
+  const length = Math.round(ctx.sampleRate * NOISE_SECONDS);
+  const buffer = ctx.createBuffer(1, length, ctx.sampleRate);
+  const data = buffer.getChannelData(0);
+
+  let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
+  for (let i = 0; i < length; i++) {
+    const white = Math.random() * 2 - 1;
+    if (color === 'brown') {
+      b0 = (b0 + 0.02 * white) / 1.02;
+      data[i] = b0;
+    } else {
+      b0 = 0.99886 * b0 + white * 0.0555179;
+      b1 = 0.99332 * b1 + white * 0.0750759;
+      b2 = 0.969 * b2 + white * 0.153852;
+      b3 = 0.8665 * b3 + white * 0.3104856;
+      b4 = 0.55 * b4 + white * 0.5329522;
+      b5 = -0.7616 * b5 - white * 0.016898;
+      data[i] = b0 + b1 + b2 + b3 + b4 + b5 + b6 + white * 0.5362;
+      b6 = white * 0.115926;
+    }
+  }
+
+  // Remove the drift between the ends so the loop point doesn't click
+  const drift = data[length - 1] - data[0];
+  let peak = 0;
+  for (let i = 0; i < length; i++) {
+    data[i] -= (drift * i) / (length - 1);
+    peak = Math.max(peak, Math.abs(data[i]));
+  }
+  for (let i = 0; i < length; i++) data[i] /= peak;
+  return buffer;
+}
+
+/**
+ * Gain that brings a peak-normalized harmonic series to the RMS of a unit sine.
+ */
+function harmonicsGain(harmonics) {
+  const n = 512;
+  let peak = 0;
+  let sumSq = 0;
+  for (let i = 0; i < n; i++) {
+    let v = 0;
+    harmonics.forEach((a, k) => { v += a * Math.sin((2 * Math.PI * (k + 1) * i) / n); });
+    peak = Math.max(peak, Math.abs(v));
+    sumSq += v * v;
+  }
+  const rms = Math.sqrt(sumSq / n) / (peak || 1);
+  return rms > 0 ? Math.SQRT1_2 / rms : 1;
+}
+
+/**
+ * BinauralTone — an oscillator pair (base, base + beatDiff) rendered as a
+ * binaural, monaural or isochronic beat.
+ *
+ * Graph: carrier{L,R} → mix gains → gate{L,R} → gain{L,R} → env{L,R} → merger, where
+ * each carrier sums an oscillator and band-passed noise (one of the two muted
+ * depending on the carrier). In isochronic mode a pulse-shaped LFO running at
+ * beatDiff drives the gates; otherwise the gates sit at unity. An optional
+ * broadband noise bed feeds gain{L,R} directly, ungated. gain{L,R} holds the
+ * volume; env{L,R} fades the tone on and off over fadeIn / fadeOut seconds.
+ *
+ * A tone can follow a beat program (see beat-program.js): its frequencies are
+ * scheduled as AudioParam ramps, re-scheduled from the program position
+ * whenever the program clock resumes.
+ *
+ * Placement: env{L,R} → direct{L,R} → merger, crossfaded with an HRTF path
+ * env{L,R} → panner{L,R} → splitter → spat{L,R} → merger. Each ear has its
+ * own panner and keeps only that ear's output, so the beat's interaural
+ * frequency difference survives the placement. Panners sit at `position`
+ * (listener-relative, standard mode) or `scenePosition` (world space, walking
+ * mode) and are built the first time the tone is made spatial.
  */
 class BinauralTone {
-  constructor(ctx, id, baseFreq = 200, beatDiff = 10, volume = 0.15) {
+  constructor(ctx, id, baseFreq = 200, beatDiff = 10, volume = 0.15,
+    {
+      mode = 'binaural', pulseShape = 'square', dutyCycle = 0.5,
+      carrier = 'sine', harmonics = DEFAULT_HARMONICS, noiseLevel = 0,
+      spatial = false, position = DEFAULT_TONE_POSITION, scenePosition = null,
+    } = {}) {
     this.ctx = ctx;
     this.id = id;
     this.active = false;
     this.baseFreq = baseFreq;
     this.beatDiff = beatDiff;
     this.volume = volume;
+    this.mode = TONE_MODES.includes(mode) ? mode : 'binaural';
+    this.pulseShape = PULSE_SHAPES.includes(pulseShape) ? pulseShape : 'square';
+    this.dutyCycle = clampDuty(dutyCycle);
+    this.carrier = 'sine';
+    this.harmonics = DEFAULT_HARMONICS;
+    this.noiseLevel = 0;
     this._distanceGain = 1.0;
+    this.program = null; // { name, stages, points, elapsed, resumedAt }
+    this.spatial = false;
+    this.position = { ...position };
+    this.scenePosition = scenePosition ? { ...scenePosition } : null;
+    this.walking = false; // panners follow scenePosition while walking mode runs
 
     this.oscL = ctx.createOscillator();
-    this.oscL.type = 'sine';
     this.oscL.frequency.value = baseFreq;
-    this.gainL = ctx.createGain();
-    this.gainL.gain.value = 0;
-    this.oscL.connect(this.gainL);
-    this.oscL.start();
-
     this.oscR = ctx.createOscillator();
-    this.oscR.type = 'sine';
     this.oscR.frequency.value = baseFreq + beatDiff;
+
+    // Carrier sums: oscillator and band-passed noise, one of them muted
+    this.carrierL = ctx.createGain();
+    this.carrierR = ctx.createGain();
+    this.oscGainL = ctx.createGain();
+    this.oscL.connect(this.oscGainL).connect(this.carrierL);
+    this.oscGainR = ctx.createGain();
+    this.oscR.connect(this.oscGainR).connect(this.carrierR);
+
+    this.bandL = ctx.createBiquadFilter();
+    this.bandL.type = 'bandpass';
+    this.bandL.Q.value = NOISE_Q;
+    this.bandL.frequency.value = baseFreq;
+    this.bandR = ctx.createBiquadFilter();
+    this.bandR.type = 'bandpass';
+    this.bandR.Q.value = NOISE_Q;
+    this.bandR.frequency.value = baseFreq + beatDiff;
+    // Band level trims follow the band centres (see noiseBandGain)
+    this.bandTrimL = ctx.createGain();
+    this.bandTrimR = ctx.createGain();
+    this.noiseGainL = ctx.createGain();
+    this.noiseGainL.gain.value = 0;
+    this.bandL.connect(this.bandTrimL).connect(this.noiseGainL).connect(this.carrierL);
+    this.noiseGainR = ctx.createGain();
+    this.noiseGainR.gain.value = 0;
+    this.bandR.connect(this.bandTrimR).connect(this.noiseGainR).connect(this.carrierR);
+    this.noiseSource = null; // created on first use of a noise carrier
+
+    this.gateL = ctx.createGain();
+    this.gateR = ctx.createGain();
+    this.gainL = ctx.createGain();
+    this.gainL.gain.value = volume;
     this.gainR = ctx.createGain();
-    this.gainR.gain.value = 0;
-    this.oscR.connect(this.gainR);
+    this.gainR.gain.value = volume;
+    this.gateL.connect(this.gainL);
+    this.gateR.connect(this.gainR);
+
+    this.fadeIn = 0; // seconds; the generator applies its safety settings
+    this.fadeOut = 0;
+    this.envL = ctx.createGain();
+    this.envL.gain.value = 0;
+    this.envR = ctx.createGain();
+    this.envR.gain.value = 0;
+    this.gainL.connect(this.envL);
+    this.gainR.connect(this.envR);
+
+    this.directL = ctx.createGain();
+    this.directR = ctx.createGain();
+    this.envL.connect(this.directL);
+    this.envR.connect(this.directR);
+    this.merger = null;
+    this.panners = null; // { pannerL, pannerR, splitterL, splitterR, spatL, spatR }, see _ensurePanners
+
+    const weights = MODE_MIX[this.mode];
+    this.mix = [
+      [this.carrierL, this.gateL], [this.carrierL, this.gateR],
+      [this.carrierR, this.gateL], [this.carrierR, this.gateR],
+    ].map(([carrierNode, gate], i) => {
+      const g = ctx.createGain();
+      g.gain.value = weights[i];
+      carrierNode.connect(g);
+      g.connect(gate);
+      return g;
+    });
+
+    // Noise bed: decorrelated pink noise per ear, created when first raised
+    this.bedGainL = ctx.createGain();
+    this.bedGainL.gain.value = 0;
+    this.bedGainL.connect(this.gainL);
+    this.bedGainR = ctx.createGain();
+    this.bedGainR.gain.value = 0;
+    this.bedGainR.connect(this.gainR);
+    this.bedSources = null;
+
+    // Pulse LFO: gate gain = envelope mean + its AC part (pulseDepth 0 or 1)
+    this.pulse = ctx.createOscillator();
+    this.pulse.frequency.value = beatDiff;
+    this.pulseDepth = ctx.createGain();
+    this.pulse.connect(this.pulseDepth);
+    this.pulseDepth.connect(this.gateL.gain);
+    this.pulseDepth.connect(this.gateR.gain);
+    this._updatePulseWave();
+    this._applyGate(0);
+
+    this.setCarrier(carrier, { harmonics, smoothing: 0 });
+    this.setNoiseLevel(noiseLevel, 0);
+    if (spatial) this.setSpatial(true, 0);
+
+    this.oscL.start();
     this.oscR.start();
+    this.pulse.start();
   }
 
   connectToMerger(merger) {
-    this.gainL.connect(merger, 0, 0);
-    this.gainR.connect(merger, 0, 1);
+    this.merger = merger;
+    this.directL.connect(merger, 0, 0);
+    this.directR.connect(merger, 0, 1);
+    if (this.panners) {
+      this.panners.spatL.connect(merger, 0, 0);
+      this.panners.spatR.connect(merger, 0, 1);
+    }
+  }
+
+  /**
+   * Settings in the form BinauralBeatGenerator.addTone() accepts.
+   */
+  getSettings() {
+    this._syncProgramValues();
+    return {
+      baseFreq: this.baseFreq,
+      beatDiff: this.beatDiff,
+      volume: this.volume,
+      active: this.active,
+      mode: this.mode,
+      pulseShape: this.pulseShape,
+      dutyCycle: this.dutyCycle,
+      carrier: this.carrier,
+      harmonics: [...this.harmonics],
+      noiseLevel: this.noiseLevel,
+      spatial: this.spatial,
+      position: { ...this.position },
+      scenePosition: this.scenePosition ? { ...this.scenePosition } : null,
+    };
   }
 
+  /**
+   * Fade the tone on or off (linear ramp over fadeIn / fadeOut, from wherever
+   * the envelope is now).
+   */
   setActive(on) {
     this.active = on;
     const t = this.ctx.currentTime;
-    const vol = on ? this.volume * this._distanceGain : 0;
-    this.gainL.gain.setTargetAtTime(vol, t, 0.02);
-    this.gainR.gain.setTargetAtTime(vol, t, 0.02);
+    // An export starts with the tone already at its level, as it is heard now
+    const seconds = isPreRender(this.ctx) ? 0 : on ? this.fadeIn : this.fadeOut;
+    for (const param of [this.envL.gain, this.envR.gain]) {
+      const from = param.value;
+      param.cancelScheduledValues(t);
+      if (seconds > 0) {
+        param.setValueAtTime(from, t);
+        param.linearRampToValueAtTime(on ? 1 : 0, t + seconds);
+      } else {
+        glideParam(this.ctx, param, on ? 1 : 0);
+      }
+    }
+  }
+
+  setFadeTimes(fadeIn, fadeOut) {
+    this.fadeIn = Math.max(0, fadeIn);
+    this.fadeOut = Math.max(0, fadeOut);
   }
 
   setBaseFrequency(hz) {
+    this.stopProgram();
     this.baseFreq = hz;
-    const t = this.ctx.currentTime;
-    this.oscL.frequency.setTargetAtTime(hz, t, 0.02);
-    this.oscR.frequency.setTargetAtTime(hz + this.beatDiff, t, 0.02);
+    glideParam(this.ctx, this.oscL.frequency, hz);
+    glideParam(this.ctx, this.oscR.frequency, hz + this.beatDiff);
+    glideParam(this.ctx, this.bandL.frequency, hz);
+    glideParam(this.ctx, this.bandR.frequency, hz + this.beatDiff);
+    glideParam(this.ctx, this.bandTrimL.gain, this._bandTrim(hz));
+    glideParam(this.ctx, this.bandTrimR.gain, this._bandTrim(hz + this.beatDiff));
   }
 
   setBeatDifference(hz) {
+    this.stopProgram();
     this.beatDiff = hz;
+    for (const [param, value] of this.beatDiffParams()) glideParam(this.ctx, param, value(hz));
+  }
+
+  /** Params that follow the beat difference, with their value for one (base held). */
+  beatDiffParams() {
+    return [
+      [this.oscR.frequency, (hz) => this.baseFreq + hz],
+      [this.bandR.frequency, (hz) => this.baseFreq + hz],
+      [this.bandTrimR.gain, (hz) => this._bandTrim(this.baseFreq + hz)],
+      [this.pulse.frequency, (hz) => hz],
+    ];
+  }
+
+  /**
+   * @param {'sine'|'triangle'|'square'|'custom'|'pink'|'brown'} carrier
+   * @param {object} [opts]
+   * @param {number[]} [opts.harmonics] harmonic amplitudes for 'custom' (fundamental first)
+   * @param {number} [opts.smoothing] crossfade time constant in seconds
+   */
+  setCarrier(carrier, { harmonics = this.harmonics, smoothing = 0.02 } = {}) {
+    if (!CARRIERS.includes(carrier)) return;
+    this.carrier = carrier;
+    if (Array.isArray(harmonics) && harmonics.some((a) => a > 0)) this.harmonics = harmonics.slice(0, 64);
+
+    const noise = NOISE_CARRIERS.includes(carrier);
+    let oscLevel = 0;
+    if (carrier === 'custom') {
+      const imag = new Float32Array([0, ...this.harmonics]);
+      const wave = this.ctx.createPeriodicWave(new Float32Array(imag.length), imag);
+      this.oscL.setPeriodicWave(wave);
+      this.oscR.setPeriodicWave(wave);
+      oscLevel = harmonicsGain(this.harmonics);
+    } else if (!noise) {
+      this.oscL.type = carrier;
+      this.oscR.type = carrier;
+      oscLevel = WAVEFORM_GAIN[carrier];
+    } else {
+      this._setNoiseColor(carrier);
+    }
+
+    const targets = [
+      [this.oscGainL.gain, oscLevel],
+      [this.oscGainR.gain, oscLevel],
+      [this.noiseGainL.gain, noise ? 1 : 0],
+      [this.noiseGainR.gain, noise ? 1 : 0],
+    ];
     const t = this.ctx.currentTime;
-    this.oscR.frequency.setTargetAtTime(this.baseFreq + hz, t, 0.02);
+    for (const [param, value] of targets) {
+      if (smoothing > 0) param.setTargetAtTime(value, t, smoothing);
+      else param.value = value;
+    }
+  }
+
+  /**
+   * Level of the broadband noise bed, relative to the carrier (0 = off).
+   */
+  setNoiseLevel(level, smoothing = 0.05) {
+    this.noiseLevel = Math.max(0, Math.min(1, level));
+    if (this.noiseLevel > 0 && !this.bedSources) {
+      const buffer = getNoiseBuffer(this.ctx, 'pink');
+      this.bedSources = [this.bedGainL, this.bedGainR].map((gain, i) => {
+        const source = this.ctx.createBufferSource();
+        source.buffer = buffer;
+        source.loop = true;
+        source.connect(gain);
+        // Offset the right ear by half the loop so the ears are decorrelated
+        source.start(0, (i * buffer.duration) / 2);
+        return source;
+      });
+    }
+
+    const value = this.noiseLevel * NOISE_BED_GAIN;
+    const t = this.ctx.currentTime;
+    for (const param of [this.bedGainL.gain, this.bedGainR.gain]) {
+      if (smoothing > 0) param.setTargetAtTime(value, t, smoothing);
+      else param.value = value;
+    }
+  }
+
+  /**
+   * @param {'binaural'|'monaural'|'isochronic'} mode
+   */
+  setMode(mode) {
+    if (!TONE_MODES.includes(mode)) return;
+    this.mode = mode;
+    const t = this.ctx.currentTime;
+    MODE_MIX[mode].forEach((w, i) => this.mix[i].gain.setTargetAtTime(w, t, 0.02));
+    this._applyGate(0.02);
+  }
+
+  /**
+   * @param {'square'|'triangle'|'sine'} shape isochronic pulse envelope
+   */
+  setPulseShape(shape) {
+    if (!PULSE_SHAPES.includes(shape)) return;
+    this.pulseShape = shape;
+    this._updatePulseWave();
+    this._applyGate(0.02);
+  }
+
+  /**
+   * @param {number} duty fraction of each isochronic period the pulse is on (0.05–0.95)
+   */
+  setDutyCycle(duty) {
+    this.dutyCycle = clampDuty(duty);
+    this._updatePulseWave();
+    this._applyGate(0.02);
   }
 
   setVolume(val) {
     this.volume = val;
-    if (this.active) {
-      const t = this.ctx.currentTime;
-      const effective = val * this._distanceGain;
-      this.gainL.gain.setTargetAtTime(effective, t, 0.02);
-      this.gainR.gain.setTargetAtTime(effective, t, 0.02);
-    }
+    const effective = this._effectiveVolume();
+    glideParam(this.ctx, this.gainL.gain, effective);
+    glideParam(this.ctx, this.gainR.gain, effective);
   }
 
+  /**
+   * Walking-mode attenuation by distance from the soda machine. Spatial tones
+   * ignore it: their panners attenuate by distance from their own position.
+   */
   setDistanceAttenuation(gain) {
     this._distanceGain = gain;
-    if (this.active) {
-      const t = this.ctx.currentTime;
-      const effective = this.volume * gain;
-      this.gainL.gain.setTargetAtTime(effective, t, 0.05);
-      this.gainR.gain.setTargetAtTime(effective, t, 0.05);
+    if (!this.spatial) {
+      const effective = this._effectiveVolume();
+      glideParam(this.ctx, this.gainL.gain, effective, 0.05);
+      glideParam(this.ctx, this.gainR.gain, effective, 0.05);
+    }
+  }
+
+  _effectiveVolume() {
+    return this.spatial ? this.volume : this.volume * this._distanceGain;
+  }
+
+  // ─── Placement ───
+
+  /**
+   * Switch between the plain stereo output and HRTF placement.
+   * @param {boolean} on
+   * @param {number} [smoothing] crossfade time constant in seconds (0 = immediate)
+   */
+  setSpatial(on, smoothing = 0.02) {
+    this.spatial = !!on;
+    if (this.spatial) this._ensurePanners();
+    const t = this.ctx.currentTime;
+    const targets = [[this.directL.gain, on ? 0 : 1], [this.directR.gain, on ? 0 : 1]];
+    if (this.panners) {
+      targets.push([this.panners.spatL.gain, on ? 1 : 0], [this.panners.spatR.gain, on ? 1 : 0]);
+    }
+    for (const [param, value] of targets) {
+      if (smoothing > 0) param.setTargetAtTime(value, t, smoothing);
+      else param.value = value;
+    }
+    this.setVolume(this.volume);
+  }
+
+  /**
+   * Listener-relative position used in standard mode (same axes as the
+   * Spatializer: right = +X, up = +Y, front = -Z).
+   */
+  setPosition(x, y, z) {
+    this.position = { x, y, z };
+    if (!this.walking) this._updatePanners();
+  }
+
+  /**
+   * World-space position used in walking mode (null = not placed yet).
+   */
+  setScenePosition(position) {
+    this.scenePosition = position ? { x: position.x, y: position.y, z: position.z } : null;
+    if (this.walking) this._updatePanners();
+  }
+
+  setWalking(walking) {
+    this.walking = walking;
+    this._updatePanners(0);
+  }
+
+  _pannerPosition() {
+    return (this.walking && this.scenePosition) || this.position;
+  }
+
+  _ensurePanners() {
+    if (this.panners) return;
+    const ctx = this.ctx;
+    const { x, y, z } = this._pannerPosition();
+    const makePanner = () => new PannerNode(ctx, {
+      panningModel: 'HRTF',
+      distanceModel: 'inverse',
+      refDistance: 1,
+      maxDistance: 10000,
+      rolloffFactor: 1,
+      positionX: x,
+      positionY: y,
+      positionZ: z,
+    });
+    const panners = {
+      pannerL: makePanner(),
+      pannerR: makePanner(),
+      splitterL: ctx.createChannelSplitter(2),
+      splitterR: ctx.createChannelSplitter(2),
+      spatL: ctx.createGain(),
+      spatR: ctx.createGain(),
+    };
+    panners.spatL.gain.value = 0;
+    panners.spatR.gain.value = 0;
+    this.envL.connect(panners.pannerL).connect(panners.splitterL);
+    this.envR.connect(panners.pannerR).connect(panners.splitterR);
+    panners.splitterL.connect(panners.spatL, 0);
+    panners.splitterR.connect(panners.spatR, 1);
+    if (this.merger) {
+      panners.spatL.connect(this.merger, 0, 0);
+      panners.spatR.connect(this.merger, 0, 1);
+    }
+    this.panners = panners;
+  }
+
+  /**
+   * @param {number} [smoothing] time constant in seconds (0 = jump)
+   */
+  _updatePanners(smoothing = 0.02) {
+    if (!this.panners) return;
+    const { x, y, z } = this._pannerPosition();
+    const t = this.ctx.currentTime;
+    for (const panner of [this.panners.pannerL, this.panners.pannerR]) {
+      for (const [param, value] of [[panner.positionX, x], [panner.positionY, y], [panner.positionZ, z]]) {
+        if (smoothing > 0) {
+          param.setTargetAtTime(value, t, smoothing);
+        } else {
+          param.cancelScheduledValues(t);
+          param.setValueAtTime(value, t);
+        }
+      }
+    }
+  }
+
+  // ─── Programs ───
+
+  /**
+   * Start a program from the tone's current frequencies. Setting a frequency
+   * directly (slider, automation, morph) ends the program.
+   * @param {Array<{duration:number, beatDiff?:number, baseFreq?:number}>} stages
+   * @param {object} [opts]
+   * @param {string} [opts.name]
+   * @param {boolean} [opts.running] start the program clock immediately
+   */
+  startProgram(stages, { name = '', running = true } = {}) {
+    this.stopProgram();
+    this.program = {
+      name,
+      stages,
+      points: programBreakpoints(stages, { baseFreq: this.baseFreq, beatDiff: this.beatDiff }),
+      elapsed: 0,
+      resumedAt: null,
+    };
+    if (running) this.resumeProgram();
+  }
+
+  /**
+   * Continue the program clock, scheduling the remaining ramps.
+   */
+  resumeProgram() {
+    const p = this.program;
+    if (!p || p.resumedAt !== null) return;
+    const now = this.ctx.currentTime;
+    p.resumedAt = now;
+
+    const params = this._programParams();
+    const current = programValueAt(p.points, p.elapsed);
+    for (const [param, value] of params) {
+      param.cancelScheduledValues(now);
+      param.setValueAtTime(value(current), now);
+    }
+    for (const point of p.points) {
+      if (point.time <= p.elapsed) continue;
+      const when = now + point.time - p.elapsed;
+      for (const [param, value] of params) param.linearRampToValueAtTime(value(point), when);
+    }
+  }
+
+  /**
+   * Freeze the program clock, holding the current frequencies.
+   */
+  pauseProgram() {
+    const p = this.program;
+    if (!p || p.resumedAt === null) return;
+    p.elapsed = this._programElapsed();
+    p.resumedAt = null;
+    this._syncProgramValues();
+
+    const now = this.ctx.currentTime;
+    const current = programValueAt(p.points, p.elapsed);
+    for (const [param, value] of this._programParams()) {
+      param.cancelScheduledValues(now);
+      param.setValueAtTime(value(current), now);
+    }
+  }
+
+  /**
+   * Take over another tone's program where it is now, paused (the clock
+   * resumes with this tone's context, e.g. when an offline render starts).
+   * @param {BinauralTone} source
+   */
+  continueProgram(source) {
+    this.stopProgram();
+    const p = source.program;
+    if (!p) return;
+    this.program = { name: p.name, stages: p.stages, points: p.points, elapsed: source._programElapsed(), resumedAt: null };
+  }
+
+  /**
+   * End the program, keeping the frequencies it has reached.
+   */
+  stopProgram() {
+    if (!this.program) return;
+    this.pauseProgram();
+    this.program = null;
+  }
+
+  /**
+   * @returns {?{name:string, stage:number, stageCount:number, elapsed:number, duration:number, running:boolean}}
+   *   null when no program is loaded (a finished program is cleared here)
+   */
+  getProgramProgress() {
+    const p = this.program;
+    if (!p) return null;
+    this._syncProgramValues();
+    const elapsed = this._programElapsed();
+    const duration = p.points[p.points.length - 1].time;
+    if (elapsed >= duration) {
+      this.program = null;
+      return null;
+    }
+    return {
+      name: p.name,
+      stage: programValueAt(p.points, elapsed).stage,
+      stageCount: p.stages.length,
+      elapsed,
+      duration,
+      running: p.resumedAt !== null,
+    };
+  }
+
+  _programElapsed() {
+    const p = this.program;
+    return p.resumedAt === null ? p.elapsed : p.elapsed + this.ctx.currentTime - p.resumedAt;
+  }
+
+  /**
+   * Bring baseFreq/beatDiff up to date with the program position.
+   */
+  _syncProgramValues() {
+    if (!this.program) return;
+    const { baseFreq, beatDiff } = programValueAt(this.program.points, this._programElapsed());
+    this.baseFreq = baseFreq;
+    this.beatDiff = beatDiff;
+  }
+
+  /** Frequency params a program drives, with their value from {baseFreq, beatDiff}. */
+  _programParams() {
+    return [
+      [this.oscL.frequency, (v) => v.baseFreq],
+      [this.oscR.frequency, (v) => v.baseFreq + v.beatDiff],
+      [this.bandL.frequency, (v) => v.baseFreq],
+      [this.bandR.frequency, (v) => v.baseFreq + v.beatDiff],
+      [this.bandTrimL.gain, (v) => this._bandTrim(v.baseFreq)],
+      [this.bandTrimR.gain, (v) => this._bandTrim(v.baseFreq + v.beatDiff)],
+      [this.pulse.frequency, (v) => v.beatDiff],
+    ];
+  }
+
+  /** Band level trim at a band centre for the current noise colour. */
+  _bandTrim(hz) {
+    return this.noiseSource ? noiseBandGain(this.noiseSource.buffer, hz) : 1;
+  }
+
+  /**
+   * Swap the looped noise feeding both band-pass filters.
+   */
+  _setNoiseColor(color) {
+    if (this.noiseSource && this.noiseSource.buffer === getNoiseBuffer(this.ctx, color)) return;
+    const old = this.noiseSource;
+    const source = this.ctx.createBufferSource();
+    source.buffer = getNoiseBuffer(this.ctx, color);
+    source.loop = true;
+    source.connect(this.bandL);
+    source.connect(this.bandR);
+    source.start();
+    this.noiseSource = source;
+    if (old) {
+      try { old.stop(); } catch (_) {}
+      old.disconnect();
+    }
+    this._updateBandTrims();
+  }
+
+  /**
+   * Re-level the noise bands for a new colour (a running program's ramps are
+   * rescheduled with the new trims).
+   */
+  _updateBandTrims() {
+    if (this.program && this.program.resumedAt !== null) {
+      this.pauseProgram();
+      this.resumeProgram();
+      return;
+    }
+    const t = this.ctx.currentTime;
+    for (const [param, hz] of [[this.bandTrimL.gain, this.baseFreq], [this.bandTrimR.gain, this.baseFreq + this.beatDiff]]) {
+      param.cancelScheduledValues(t);
+      param.setValueAtTime(this._bandTrim(hz), t);
+    }
+  }
+
+  _updatePulseWave() {
+    const { mean, real, imag } = pulseSeries(this.pulseShape, this.dutyCycle);
+    this._pulseMean = mean;
+    this.pulse.setPeriodicWave(this.ctx.createPeriodicWave(real, imag, { disableNormalization: true }));
+  }
+
+  /**
+   * Set the gate offset and pulse depth for the current mode.
+   * @param {number} smoothing time constant in seconds (0 = immediate)
+   */
+  _applyGate(smoothing) {
+    const iso = this.mode === 'isochronic';
+    const targets = [
+      [this.gateL.gain, iso ? this._pulseMean : 1],
+      [this.gateR.gain, iso ? this._pulseMean : 1],
+      [this.pulseDepth.gain, iso ? 1 : 0],
+    ];
+    const t = this.ctx.currentTime;
+    for (const [param, value] of targets) {
+      if (smoothing > 0) param.setTargetAtTime(value, t, smoothing);
+      else param.value = value;
     }
   }
 
   dispose() {
     try { this.oscL.stop(); } catch (_) {}
     try { this.oscR.stop(); } catch (_) {}
+    try { this.pulse.stop(); } catch (_) {}
     this.oscL.disconnect();
     this.oscR.disconnect();
+    this.pulse.disconnect();
+    this.pulseDepth.disconnect();
+    for (const source of [this.noiseSource, ...(this.bedSources || [])]) {
+      if (!source) continue;
+      try { source.stop(); } catch (_) {}
+      source.disconnect();
+    }
+    for (const node of [this.oscGainL, this.oscGainR, this.bandL, this.bandR, this.bandTrimL, this.bandTrimR,
+      this.noiseGainL, this.noiseGainR,
+      this.carrierL, this.carrierR, this.bedGainL, this.bedGainR]) {
+      node.disconnect();
+    }
+    for (const g of this.mix) g.disconnect();
+    this.gateL.disconnect();
+    this.gateR.disconnect();
     this.gainL.disconnect();
     this.gainR.disconnect();
+    this.envL.disconnect();
+    this.envR.disconnect();
+    this.directL.disconnect();
+    this.directR.disconnect();
+    if (this.panners) {
+      for (const node of Object.values(this.panners)) node.disconnect();
+    }
   }
 }
 
+function clampDuty(duty) {
+  return Number.isFinite(duty) ? Math.max(0.05, Math.min(0.95, duty)) : 0.5;
+}
+
 /**
- * BinauralBeatGenerator — manages multiple binaural beat tones.
- * Each tone is an independent L/R oscillator pair routed to the stereo merger.
+ * BinauralBeatGenerator — manages multiple beat tones (binaural, monaural or isochronic).
+ * Each tone is an independent L/R oscillator pair routed through the tone
+ * bus (ToneSafety: level ceiling and exposure limit) to the stereo merger.
  */
 export class BinauralBeatGenerator {
   constructor(ctx) {
     this.ctx = ctx;
-    this.merger = null;
+    this.safety = new ToneSafety(ctx);
     this.tones = new Map();
     this.nextId = 0;
+    this.programsRunning = false; // program clocks advance only with the transport
+    this.walking = false;
+    this._retiring = new Set(); // removed tones still fading out
   }
 
   connectToMerger(merger) {
-    this.merger = merger;
+    this.safety.connect(merger);
   }
 
-  addTone({ baseFreq = 200, beatDiff = 10, volume = 0.15, active = false } = {}) {
+  /**
+   * @param {object} [settings] baseFreq, beatDiff, volume, active, plus the
+   *   optional BinauralTone settings (mode, carrier, spatial, position, ...)
+   * @returns {number} tone id
+   */
+  addTone({ baseFreq = 200, beatDiff = 10, volume = 0.15, active = false, ...options } = {}) {
     const id = this.nextId++;
-    const tone = new BinauralTone(this.ctx, id, baseFreq, beatDiff, volume);
-    if (this.merger) tone.connectToMerger(this.merger);
+    const tone = new BinauralTone(this.ctx, id, baseFreq, beatDiff, volume, options);
+    tone.connectToMerger(this.safety.input);
+    tone.setFadeTimes(this.safety.fadeIn, this.safety.fadeOut);
+    if (this.walking) tone.setWalking(true);
     if (active) tone.setActive(true);
     this.tones.set(id, tone);
     return id;
@@ -112,8 +936,7 @@ export class BinauralBeatGenerator {
   removeTone(id) {
     const tone = this.tones.get(id);
     if (tone) {
-      tone.setActive(false);
-      tone.dispose();
+      this._retire(tone);
       this.tones.delete(id);
     }
   }
@@ -123,11 +946,87 @@ export class BinauralBeatGenerator {
   }
 
   removeAllTones() {
-    for (const tone of this.tones.values()) {
-      tone.setActive(false);
+    for (const tone of this.tones.values()) this._retire(tone);
+    this.tones.clear();
+  }
+
+  /**
+   * Fade a removed tone out, then dispose it.
+   */
+  _retire(tone) {
+    const audible = tone.active;
+    tone.setActive(false);
+    if (!audible || tone.fadeOut === 0) {
       tone.dispose();
+      return;
     }
-    this.tones.clear();
+    this._retiring.add(tone);
+    setTimeout(() => {
+      if (!this._retiring.delete(tone)) return;
+      tone.dispose();
+    }, tone.fadeOut * 1000 + 100);
+  }
+
+  // ─── Safety ───
+
+  /**
+   * Fade times (seconds) used whenever a tone is switched on or off.
+   */
+  setFadeTimes(fadeIn, fadeOut) {
+    this.safety.fadeIn = Math.max(0, fadeIn);
+    this.safety.fadeOut = Math.max(0, fadeOut);
+    for (const tone of this.tones.values()) tone.setFadeTimes(fadeIn, fadeOut);
+  }
+
+  /**
+   * Meter the tone bus and run the exposure clock (live contexts only).
+   * Tones are switched off when the exposure limit is reached.
+   * @param {() => number} outputGain gain from the tone bus to the master analyser
+   * @param {() => void} [onExpire]
+   */
+  startSafety(outputGain, onExpire = null) {
+    this.safety.onExpire = () => {
+      for (const tone of this.tones.values()) tone.setActive(false);
+      if (onExpire) onExpire();
+    };
+    this.safety.start(outputGain, () => [...this.tones.values()].some((tone) => tone.active));
+  }
+
+  /**
+   * Make a tone follow a beat program (see beat-program.js).
+   */
+  startProgram(id, stages, { name = '' } = {}) {
+    const tone = this.tones.get(id);
+    if (tone) tone.startProgram(stages, { name, running: this.programsRunning });
+  }
+
+  stopProgram(id) {
+    const tone = this.tones.get(id);
+    if (tone) tone.stopProgram();
+  }
+
+  getProgramProgress(id) {
+    const tone = this.tones.get(id);
+    return tone ? tone.getProgramProgress() : null;
+  }
+
+  /**
+   * Run or freeze every tone's program clock (tracks transport play/pause).
+   */
+  setProgramsRunning(running) {
+    this.programsRunning = running;
+    for (const tone of this.tones.values()) {
+      if (running) tone.resumeProgram();
+      else tone.pauseProgram();
+    }
+  }
+
+  /**
+   * Move spatial tones between their standard and walking-mode positions.
+   */
+  setWalkingActive(walking) {
+    this.walking = walking;
+    for (const tone of this.tones.values()) tone.setWalking(walking);
   }
 
   updateDistanceAttenuation(gain) {
@@ -137,6 +1036,9 @@ export class BinauralBeatGenerator {
   }
 
   dispose() {
-    this.removeAllTones();
+    for (const tone of [...this.tones.values(), ...this._retiring]) tone.dispose();
+    this.tones.clear();
+    this._retiring.clear();
+    this.safety.dispose();
   }
 }
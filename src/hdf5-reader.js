@@ -0,0 +1,836 @@
+/**
+ * Hdf5File — a small read-only HDF5 reader, enough for SOFA files (which are
+ * netCDF-4, i.e. HDF5): root-level datasets of numbers or strings and the
+ * attributes stored on them.
+ *
+ * Supported:
+ *  - superblock versions 0–3, object header versions 1 and 2
+ *  - groups with a symbol table (v1 B-tree + local heap), link messages, or
+ *    dense link storage (fractal heap + v2 B-tree)
+ *  - compact or dense (fractal heap) attribute storage
+ *  - fixed-point, floating-point and string datatypes (fixed or variable length)
+ *  - compact, contiguous and chunked layouts (v1 B-tree index, or the
+ *    single-chunk / implicit / unpaged fixed-array indexes of layout v4)
+ *  - deflate, shuffle and fletcher32 filters
+ *
+ * Anything else throws an Error naming the unsupported feature.
+ */
+
+const UNDEFINED_ADDRESS = -1;
+
+const MSG_DATASPACE = 0x0001;
+const MSG_LINK_INFO = 0x0002;
+const MSG_DATATYPE = 0x0003;
+const MSG_LINK = 0x0006;
+const MSG_LAYOUT = 0x0008;
+const MSG_FILTERS = 0x000b;
+const MSG_ATTRIBUTE = 0x000c;
+const MSG_CONTINUATION = 0x0010;
+const MSG_SYMBOL_TABLE = 0x0011;
+const MSG_ATTRIBUTE_INFO = 0x0015;
+
+const FILTER_DEFLATE = 1;
+const FILTER_SHUFFLE = 2;
+const FILTER_FLETCHER32 = 3;
+
+const SIGNATURE = [0x89, 0x48, 0x44, 0x46, 0x0d, 0x0a, 0x1a, 0x0a];
+
+export class Hdf5File {
+  /**
+   * @param {ArrayBuffer} buffer the whole file
+   */
+  constructor(buffer) {
+    this.buffer = buffer;
+    this.view = new DataView(buffer);
+    this.bytes = new Uint8Array(buffer);
+    this._headers = new Map(); // object header address → messages
+    this._readSuperblock();
+  }
+
+  /**
+   * Whether a buffer starts with the HDF5 signature (at 0 or a user-block offset).
+   */
+  static isHdf5(buffer) {
+    return findSignature(new Uint8Array(buffer)) >= 0;
+  }
+
+  /**
+   * Names of the links in a group.
+   * @param {string} [path='/']
+   * @returns {string[]}
+   */
+  list(path = '/') {
+    return [...this._links(this._resolve(path)).keys()];
+  }
+
+  has(path) {
+    try {
+      this._resolve(path);
+      return true;
+    } catch (_) {
+      return false;
+    }
+  }
+
+  /**
+   * Read a whole dataset.
+   * @param {string} path
+   * @returns {Promise<{shape:number[], data:Float64Array|string[]}>} numbers in row-major order, or strings
+   */
+  async read(path) {
+    const messages = this._objectMessages(this._resolve(path));
+    const type = this._datatype(messages);
+    const shape = this._dataspace(messages).shape;
+    const layout = this._layout(messages);
+    const filters = this._filters(messages);
+    const count = shape.reduce((n, d) => n * d, 1);
+
+    let raw;
+    if (layout.type === 'compact') {
+      raw = layout.data;
+    } else if (layout.type === 'contiguous') {
+      raw = layout.address === UNDEFINED_ADDRESS
+        ? new Uint8Array(count * type.size)
+        : this.bytes.subarray(layout.address, layout.address + count * type.size);
+    } else {
+      raw = await this._readChunked(layout, filters, shape, type.size);
+    }
+    return { shape, data: this._decode(raw, type, count) };
+  }
+
+  /**
+   * Read an attribute of an object.
+   * @param {string} path object path ('/' for the root group)
+   * @param {string} name
+   * @returns {?(number|string|Array<number|string>)} scalars unwrapped, undefined if absent
+   */
+  attribute(path, name) {
+    for (const offset of this._attributeOffsets(this._resolve(path))) {
+      const attr = this._attributeMessage(offset);
+      if (attr.name !== name) continue;
+      const type = this._parseDatatype(attr.typeOffset);
+      const { shape } = this._parseDataspace(attr.spaceOffset);
+      const count = shape.reduce((n, d) => n * d, 1);
+      const values = this._decode(this.bytes.subarray(attr.dataOffset, attr.dataOffset + count * type.size), type, count);
+      return shape.length === 0 || (count === 1 && type.cls === 'string') ? values[0] : Array.from(values);
+    }
+    return undefined;
+  }
+
+  // ─── Superblock ───
+
+  _readSuperblock() {
+    const base = findSignature(this.bytes);
+    if (base < 0) throw new Error('Not an HDF5 file');
+    const version = this.bytes[base + 8];
+
+    if (version <= 1) {
+      this.offsetSize = this.bytes[base + 13];
+      this.lengthSize = this.bytes[base + 14];
+      let p = base + 24 + (version === 1 ? 4 : 0);
+      this.baseAddress = this._uint(p, this.offsetSize);
+      p += this.offsetSize * 4; // base, free-space, end-of-file and driver info addresses
+      // Root group symbol table entry: link name offset, object header address, ...
+      this.rootAddress = this._uint(p + this.offsetSize, this.offsetSize);
+    } else if (version <= 3) {
+      this.offsetSize = this.bytes[base + 9];
+      this.lengthSize = this.bytes[base + 10];
+      const p = base + 12;
+      this.baseAddress = this._uint(p, this.offsetSize);
+      this.rootAddress = this._uint(p + this.offsetSize * 3, this.offsetSize);
+    } else {
+      throw new Error(`Unsupported HDF5 superblock version ${version}`);
+    }
+  }
+
+  // ─── Byte access ───
+
+  /** Unsigned little-endian integer of 1–8 bytes; all-ones reads as UNDEFINED_ADDRESS. */
+  _uint(p, size) {
+    let value = 0;
+    let allOnes = true;
+    for (let i = size - 1; i >= 0; i--) {
+      const b = this.bytes[p + i];
+      if (b !== 0xff) allOnes = false;
+      value = value * 256 + b;
+    }
+    return allOnes && size >= 4 ? UNDEFINED_ADDRESS : value;
+  }
+
+  _addr(p) {
+    const a = this._uint(p, this.offsetSize);
+    return a === UNDEFINED_ADDRESS ? a : a + this.baseAddress;
+  }
+
+  _len(p) {
+    return this._uint(p, this.lengthSize);
+  }
+
+  _string(p, max) {
+    let end = p;
+    while (end < p + max && this.bytes[end] !== 0) end++;
+    return new TextDecoder().decode(this.bytes.subarray(p, end));
+  }
+
+  _checkSignature(p, sig) {
+    for (let i = 0; i < 4; i++) {
+      if (this.bytes[p + i] !== sig.charCodeAt(i)) throw new Error(`Corrupt HDF5 file: expected ${sig} at ${p}`);
+    }
+  }
+
+  // ─── Object headers ───
+
+  _objectMessages(address) {
+    if (!this._headers.has(address)) {
+      const messages = [];
+      if (this.bytes[address] === 1) this._readHeaderV1(address, messages);
+      else this._readHeaderV2(address, messages);
+      this._headers.set(address, messages);
+    }
+    return this._headers.get(address);
+  }
+
+  _readHeaderV1(address, messages) {
+    const count = this.view.getUint16(address + 2, true);
+    const size = this.view.getUint32(address + 8, true);
+    const blocks = [[address + 16, size]];
+    while (blocks.length && messages.length < count) {
+      const [start, length] = blocks.shift();
+      let p = start;
+      while (p + 8 <= start + length && messages.length < count) {
+        const type = this.view.getUint16(p, true);
+        const msgSize = this.view.getUint16(p + 2, true);
+        const flags = this.bytes[p + 4];
+        const msg = { type, flags, offset: p + 8, size: msgSize };
+        if (type === MSG_CONTINUATION) blocks.push([this._addr(p + 8), this._len(p + 8 + this.offsetSize)]);
+        messages.push(msg);
+        p += 8 + msgSize;
+      }
+    }
+  }
+
+  _readHeaderV2(address, messages) {
+    this._checkSignature(address, 'OHDR');
+    const flags = this.bytes[address + 5];
+    let p = address + 6;
+    if (flags & 0x20) p += 16;
+    if (flags & 0x10) p += 4;
+    const sizeBytes = 1 << (flags & 0x03);
+    const chunkSize = this._uint(p, sizeBytes);
+    p += sizeBytes;
+
+    const headerSize = 4 + ((flags & 0x04) ? 2 : 0);
+    const blocks = [[p, chunkSize]];
+    while (blocks.length) {
+      const [start, length] = blocks.shift();
+      let q = start;
+      while (q + headerSize <= start + length) {
+        const type = this.bytes[q];
+        const msgSize = this.view.getUint16(q + 1, true);
+        const msgFlags = this.bytes[q + 3];
+        const msg = { type, flags: msgFlags, offset: q + headerSize, size: msgSize };
+        if (type === MSG_CONTINUATION) {
+          const blockAddress = this._addr(msg.offset);
+          const blockLength = this._len(msg.offset + this.offsetSize);
+          this._checkSignature(blockAddress, 'OCHK');
+          blocks.push([blockAddress + 4, blockLength - 8]);
+        }
+        messages.push(msg);
+        q += headerSize + msgSize;
+      }
+    }
+  }
+
+  _message(messages, type, required = true) {
+    const msg = messages.find((m) => m.type === type);
+    if (!msg && required) throw new Error(`HDF5 object has no message of type ${type}`);
+    if (msg && (msg.flags & 0x02)) return this._sharedMessage(msg, type);
+    return msg;
+  }
+
+  /** Shared messages stored in another object header (committed datatypes). */
+  _sharedMessage(msg, type) {
+    const version = this.bytes[msg.offset];
+    const kind = version === 3 ? this.bytes[msg.offset + 1] : 0;
+    if (version === 3 && kind !== 2) throw new Error('Unsupported HDF5 shared message storage');
+    const address = this._addr(msg.offset + (version === 1 ? 8 : 2));
+    return this._message(this._objectMessages(address), type);
+  }
+
+  // ─── Groups ───
+
+  _resolve(path) {
+    let address = this.rootAddress;
+    for (const name of path.split('/').filter(Boolean)) {
+      const target = this._links(address).get(name);
+      if (target === undefined) throw new Error(`HDF5 object not found: ${path}`);
+      address = target;
+    }
+    return address;
+  }
+
+  /** @returns {Map<string, number>} link name → object header address */
+  _links(address) {
+    const messages = this._objectMessages(address);
+    const links = new Map();
+
+    const table = this._message(messages, MSG_SYMBOL_TABLE, false);
+    if (table) {
+      const btree = this._addr(table.offset);
+      const heap = this._localHeapData(this._addr(table.offset + this.offsetSize));
+      this._walkGroupBtree(btree, heap, links);
+      return links;
+    }
+
+    for (const msg of messages) {
+      if (msg.type === MSG_LINK) this._parseLink(msg.offset, links);
+    }
+
+    const info = this._message(messages, MSG_LINK_INFO, false);
+    if (info) {
+      const flags = this.bytes[info.offset + 1];
+      const p = info.offset + 2 + ((flags & 0x01) ? 8 : 0);
+      const heapAddress = this._addr(p);
+      const nameIndex = this._addr(p + this.offsetSize);
+      if (heapAddress !== UNDEFINED_ADDRESS && nameIndex !== UNDEFINED_ADDRESS) {
+        const heap = this._fractalHeap(heapAddress);
+        this._walkBtree2(nameIndex, (record) => {
+          this._parseLink(this._heapObject(heap, record.subarray(4, 4 + heap.idLength)), links);
+        });
+      }
+    }
+    return links;
+  }
+
+  _localHeapData(address) {
+    this._checkSignature(address, 'HEAP');
+    return this._addr(address + 8 + this.lengthSize * 2);
+  }
+
+  _walkGroupBtree(address, heapData, links) {
+    this._checkSignature(address, 'TREE');
+    const level = this.bytes[address + 5];
+    const entries = this.view.getUint16(address + 6, true);
+    let p = address + 8 + this.offsetSize * 2;
+    for (let i = 0; i < entries; i++) {
+      p += this.lengthSize; // key
+      const child = this._addr(p);
+      p += this.offsetSize;
+      if (level > 0) this._walkGroupBtree(child, heapData, links);
+      else this._readSymbolNode(child, heapData, links);
+    }
+  }
+
+  _readSymbolNode(address, heapData, links) {
+    this._checkSignature(address, 'SNOD');
+    const count = this.view.getUint16(address + 6, true);
+    const entrySize = this.offsetSize * 2 + 24;
+    for (let i = 0; i < count; i++) {
+      const p = address + 8 + i * entrySize;
+      const name = this._string(heapData + this._uint(p, this.offsetSize), 1024);
+      links.set(name, this._addr(p + this.offsetSize));
+    }
+  }
+
+  /** Parse a link message (at a file offset or in a byte array) into `links`. */
+  _parseLink(source, links) {
+    const bytes = typeof source === 'number' ? this.bytes.subarray(source) : source;
+    const flags = bytes[1];
+    let p = 2;
+    let linkType = 0;
+    if (flags & 0x08) linkType = bytes[p++];
+    if (flags & 0x04) p += 8;
+    if (flags & 0x10) p++;
+    const lengthSize = 1 << (flags & 0x03);
+    let nameLength = 0;
+    for (let i = lengthSize - 1; i >= 0; i--) nameLength = nameLength * 256 + bytes[p + i];
+    p += lengthSize;
+    const name = new TextDecoder().decode(bytes.subarray(p, p + nameLength));
+    p += nameLength;
+    if (linkType !== 0) return; // soft and external links are not followed
+    let address = 0;
+    for (let i = this.offsetSize - 1; i >= 0; i--) address = address * 256 + bytes[p + i];
+    links.set(name, address + this.baseAddress);
+  }
+
+  // ─── Fractal heap ───
+
+  _fractalHeap(address) {
+    this._checkSignature(address, 'FRHP');
+    const O = this.offsetSize;
+    const L = this.lengthSize;
+    const heap = { address };
+    heap.idLength = this.view.getUint16(address + 5, true);
+    heap.filterLength = this.view.getUint16(address + 7, true);
+    heap.flags = this.bytes[address + 9];
+    heap.maxManagedSize = this.view.getUint32(address + 10, true);
+    let p = address + 14 + L + O + L + O + L * 8;
+    heap.tableWidth = this.view.getUint16(p, true);
+    heap.startBlockSize = this._len(p + 2);
+    heap.maxDirectSize = this._len(p + 2 + L);
+    heap.maxHeapBits = this.view.getUint16(p + 2 + L * 2, true);
+    p += 4 + L * 2 + 2; // starting row count
+    heap.rootAddress = this._addr(p);
+    heap.rootRows = this.view.getUint16(p + O, true);
+    if (heap.filterLength) throw new Error('Unsupported HDF5 filtered fractal heap');
+
+    heap.offsetBytes = Math.ceil(heap.maxHeapBits / 8);
+    heap.lengthBytes = Math.min(
+      Math.ceil(Math.log2(heap.maxDirectSize) / 8),
+      Math.floor(Math.log2(heap.maxManagedSize) / 8) + 1,
+    );
+    heap.maxDirectRows = Math.log2(heap.maxDirectSize) - Math.log2(heap.startBlockSize) + 2;
+    heap.blockHeader = 5 + O + heap.offsetBytes + ((heap.flags & 0x02) ? 4 : 0);
+    return heap;
+  }
+
+  /** Bytes of a heap object addressed by a heap ID. */
+  _heapObject(heap, id) {
+    const kind = (id[0] >> 4) & 0x03;
+    if (kind === 2) return id.subarray(1, 1 + (id[0] & 0x0f) + 1); // tiny: stored in the ID
+    if (kind !== 0) throw new Error('Unsupported HDF5 huge heap object');
+
+    let offset = 0;
+    for (let i = heap.offsetBytes; i >= 1; i--) offset = offset * 256 + id[i];
+    let length = 0;
+    for (let i = heap.lengthBytes; i >= 1; i--) length = length * 256 + id[heap.offsetBytes + i];
+
+    const address = heap.rootRows === 0
+      ? heap.rootAddress + offset
+      : this._heapIndirect(heap, heap.rootAddress, heap.rootRows, offset);
+    return this.bytes.subarray(address, address + length);
+  }
+
+  _heapIndirect(heap, address, rows, offset) {
+    this._checkSignature(address, 'FHIB');
+    const blockOffsetAt = address + 5 + this.offsetSize;
+    let start = 0;
+    for (let i = heap.offsetBytes - 1; i >= 0; i--) start = start * 256 + this.bytes[blockOffsetAt + i];
+
+    let p = blockOffsetAt + heap.offsetBytes;
+    for (let row = 0; row < rows; row++) {
+      const size = heap.startBlockSize * (row === 0 ? 1 : 2 ** (row - 1));
+      for (let col = 0; col < heap.tableWidth; col++) {
+        const child = this._addr(p);
+        p += this.offsetSize;
+        if (offset >= start && offset < start + size) {
+          if (row < heap.maxDirectRows) return child + (offset - start);
+          const childRows = Math.log2(size) - Math.log2(heap.startBlockSize * heap.tableWidth) + 1;
+          return this._heapIndirect(heap, child, childRows, offset);
+        }
+        start += size;
+      }
+    }
+    throw new Error('Corrupt HDF5 file: heap offset out of range');
+  }
+
+  // ─── Version 2 B-trees ───
+
+  /** Call visit(recordBytes) for every record of a v2 B-tree. */
+  _walkBtree2(address, visit) {
+    this._checkSignature(address, 'BTHD');
+    const nodeSize = this.view.getUint32(address + 6, true);
+    const recordSize = this.view.getUint16(address + 10, true);
+    const depth = this.view.getUint16(address + 12, true);
+    const root = this._addr(address + 16);
+    const rootRecords = this.view.getUint16(address + 16 + this.offsetSize, true);
+
+    // Widths of the record-count fields in internal nodes, per level
+    const encSize = (n) => Math.floor(Math.log2(n) / 8) + 1;
+    const maxRecords = [Math.floor((nodeSize - 10) / recordSize)];
+    const cumulative = [maxRecords[0]];
+    const cumulativeSize = [0];
+    const maxRecordsSize = encSize(maxRecords[0]);
+    const pointerSize = (d) => this.offsetSize + maxRecordsSize + (d > 1 ? cumulativeSize[d - 1] : 0);
+    for (let d = 1; d <= depth; d++) {
+      maxRecords[d] = Math.floor((nodeSize - (10 + pointerSize(d))) / (recordSize + pointerSize(d)));
+      cumulative[d] = (maxRecords[d] + 1) * cumulative[d - 1] + maxRecords[d];
+      cumulativeSize[d] = encSize(cumulative[d]);
+    }
+
+    const walk = (node, records, d) => {
+      this._checkSignature(node, d === 0 ? 'BTLF' : 'BTIN');
+      let p = node + 6;
+      for (let i = 0; i < records; i++) visit(this.bytes.subarray(p + i * recordSize, p + (i + 1) * recordSize));
+      if (d === 0) return;
+      p += records * recordSize;
+      for (let i = 0; i <= records; i++) {
+        const child = this._addr(p);
+        const childRecords = this._uint(p + this.offsetSize, maxRecordsSize);
+        p += pointerSize(d);
+        walk(child, childRecords, d - 1);
+      }
+    };
+    if (root !== UNDEFINED_ADDRESS && rootRecords > 0) walk(root, rootRecords, depth);
+  }
+
+  // ─── Datatype, dataspace, layout, filters ───
+
+  _datatype(messages) {
+    return this._parseDatatype(this._message(messages, MSG_DATATYPE).offset);
+  }
+
+  _parseDatatype(p) {
+    const cls = this.bytes[p] & 0x0f;
+    const bits = this.bytes[p + 1];
+    const size = this.view.getUint32(p + 4, true);
+    switch (cls) {
+      case 0:
+        return { cls: 'int', size, littleEndian: !(bits & 0x01), signed: !!(bits & 0x08) };
+      case 1:
+        return { cls: 'float', size, littleEndian: !(bits & 0x01) };
+      case 3:
+        return { cls: 'string', size };
+      case 9:
+        if ((bits & 0x0f) !== 1) throw new Error('Unsupported HDF5 variable-length sequence');
+        return { cls: 'vlen-string', size };
+      default:
+        throw new Error(`Unsupported HDF5 datatype class ${cls}`);
+    }
+  }
+
+  _dataspace(messages) {
+    return this._parseDataspace(this._message(messages, MSG_DATASPACE).offset);
+  }
+
+  _parseDataspace(p) {
+    const version = this.bytes[p];
+    const rank = this.bytes[p + 1];
+    if (version === 2 && this.bytes[p + 3] === 2) return { shape: [0] }; // null dataspace
+    let q = p + (version === 1 ? 8 : 4);
+    const shape = [];
+    for (let i = 0; i < rank; i++, q += this.lengthSize) shape.push(this._len(q));
+    return { shape };
+  }
+
+  _layout(messages) {
+    const msg = this._message(messages, MSG_LAYOUT);
+    const p = msg.offset;
+    const version = this.bytes[p];
+    if (version < 3) throw new Error(`Unsupported HDF5 layout version ${version}`);
+    const cls = this.bytes[p + 1];
+
+    if (cls === 0) {
+      const size = this.view.getUint16(p + 2, true);
+      return { type: 'compact', data: this.bytes.subarray(p + 4, p + 4 + size) };
+    }
+    if (cls === 1) return { type: 'contiguous', address: this._addr(p + 2) };
+    if (cls !== 2) throw new Error(`Unsupported HDF5 layout class ${cls}`);
+
+    if (version === 3) {
+      const dims = this.bytes[p + 2];
+      const address = this._addr(p + 3);
+      const chunk = [];
+      for (let i = 0; i < dims - 1; i++) chunk.push(this.view.getUint32(p + 3 + this.offsetSize + i * 4, true));
+      return { type: 'chunked', index: 'btree1', address, chunk };
+    }
+
+    // Layout v4
+    const flags = this.bytes[p + 2];
+    const dims = this.bytes[p + 3];
+    const dimBytes = this.bytes[p + 4];
+    let q = p + 5;
+    const chunk = [];
+    for (let i = 0; i < dims; i++, q += dimBytes) chunk.push(this._uint(q, dimBytes));
+    chunk.pop(); // element size
+    const indexType = this.bytes[q++];
+    const layout = { type: 'chunked', chunk };
+    if (indexType === 1) {
+      layout.index = 'single';
+      if (flags & 0x02) {
+        layout.filteredSize = this._len(q);
+        layout.filterMask = this.view.getUint32(q + this.lengthSize, true);
+        q += this.lengthSize + 4;
+      }
+    } else if (indexType === 2) {
+      layout.index = 'implicit';
+    } else if (indexType === 3) {
+      layout.index = 'fixed-array';
+      q += 1; // page bits
+    } else {
+      throw new Error(`Unsupported HDF5 chunk index type ${indexType}`);
+    }
+    layout.address = this._addr(q);
+    return layout;
+  }
+
+  _filters(messages) {
+    const msg = this._message(messages, MSG_FILTERS, false);
+    if (!msg) return [];
+    const p = msg.offset;
+    const version = this.bytes[p];
+    const count = this.bytes[p + 1];
+    let q = p + (version === 1 ? 8 : 2);
+    const filters = [];
+    for (let i = 0; i < count; i++) {
+      const id = this.view.getUint16(q, true);
+      let nameLength = 0;
+      q += 2;
+      if (version === 1 || id >= 256) {
+        nameLength = this.view.getUint16(q, true);
+        q += 2;
+      }
+      const values = this.view.getUint16(q + 2, true);
+      q += 4;
+      q += version === 1 ? Math.ceil(nameLength / 8) * 8 : nameLength;
+      const params = [];
+      for (let v = 0; v < values; v++, q += 4) params.push(this.view.getUint32(q, true));
+      if (version === 1 && values % 2 === 1) q += 4;
+      filters.push({ id, params });
+    }
+    return filters;
+  }
+
+  /** File offsets of an object's attribute messages, compact and dense. */
+  _attributeOffsets(address) {
+    const messages = this._objectMessages(address);
+    const offsets = messages.filter((m) => m.type === MSG_ATTRIBUTE).map((m) => m.offset);
+
+    const info = this._message(messages, MSG_ATTRIBUTE_INFO, false);
+    if (info) {
+      const flags = this.bytes[info.offset + 1];
+      const p = info.offset + 2 + ((flags & 0x01) ? 2 : 0);
+      const heapAddress = this._addr(p);
+      const nameIndex = this._addr(p + this.offsetSize);
+      if (heapAddress !== UNDEFINED_ADDRESS && nameIndex !== UNDEFINED_ADDRESS) {
+        const heap = this._fractalHeap(heapAddress);
+        this._walkBtree2(nameIndex, (record) => {
+          // Heap objects are views into the file, so their offset is a file offset
+          offsets.push(this._heapObject(heap, record.subarray(0, heap.idLength)).byteOffset - this.bytes.byteOffset);
+        });
+      }
+    }
+    return offsets;
+  }
+
+  _attributeMessage(p) {
+    const version = this.bytes[p];
+    const nameSize = this.view.getUint16(p + 2, true);
+    const typeSize = this.view.getUint16(p + 4, true);
+    const spaceSize = this.view.getUint16(p + 6, true);
+    const pad = (n) => (version === 1 ? Math.ceil(n / 8) * 8 : n);
+    let q = p + 8 + (version === 3 ? 1 : 0);
+    const name = this._string(q, nameSize);
+    q += pad(nameSize);
+    const typeOffset = q;
+    q += pad(typeSize);
+    const spaceOffset = q;
+    q += pad(spaceSize);
+    return { name, typeOffset, spaceOffset, dataOffset: q };
+  }
+
+  // ─── Chunked data ───
+
+  async _readChunked(layout, filters, shape, elementSize) {
+    const rank = shape.length;
+    const out = new Uint8Array(shape.reduce((n, d) => n * d, 1) * elementSize);
+    const chunks = this._chunkList(layout, shape, elementSize);
+
+    for (const { offsets, address, size, mask } of chunks) {
+      let data = this.bytes.subarray(address, address + size);
+      data = await unfilter(data, filters, mask, elementSize);
+      copyChunk(data, out, offsets, layout.chunk, shape, rank, elementSize);
+    }
+    return out;
+  }
+
+  /** @returns {Array<{offsets:number[], address:number, size:number, mask:number}>} */
+  _chunkList(layout, shape, elementSize) {
+    const chunkBytes = layout.chunk.reduce((n, d) => n * d, elementSize);
+    if (layout.address === UNDEFINED_ADDRESS) return [];
+
+    if (layout.index === 'btree1') {
+      const chunks = [];
+      this._walkChunkBtree(layout.address, shape.length + 1, chunks);
+      return chunks;
+    }
+    if (layout.index === 'single') {
+      return [{
+        offsets: shape.map(() => 0),
+        address: layout.address,
+        size: layout.filteredSize ?? chunkBytes,
+        mask: layout.filterMask ?? 0,
+      }];
+    }
+
+    // Implicit and fixed-array indexes list chunks in row-major grid order
+    const grid = shape.map((d, i) => Math.ceil(d / layout.chunk[i]));
+    const total = grid.reduce((n, d) => n * d, 1);
+    const gridOffsets = (index) => {
+      const offsets = new Array(shape.length);
+      for (let i = shape.length - 1; i >= 0; i--) {
+        offsets[i] = (index % grid[i]) * layout.chunk[i];
+        index = Math.floor(index / grid[i]);
+      }
+      return offsets;
+    };
+
+    if (layout.index === 'implicit') {
+      return Array.from({ length: total }, (_, i) => ({
+        offsets: gridOffsets(i), address: layout.address + i * chunkBytes, size: chunkBytes, mask: 0,
+      }));
+    }
+
+    this._checkSignature(layout.address, 'FAHD');
+    const filtered = this.bytes[layout.address + 5] === 1;
+    const entrySize = this.bytes[layout.address + 6];
+    if (this.bytes[layout.address + 7] < Math.log2(total)) throw new Error('Unsupported HDF5 paged fixed array');
+    const block = this._addr(layout.address + 8 + this.lengthSize);
+    this._checkSignature(block, 'FADB');
+    const chunks = [];
+    for (let i = 0; i < total; i++) {
+      const p = block + 6 + this.offsetSize + i * entrySize;
+      const address = this._addr(p);
+      if (address === UNDEFINED_ADDRESS) continue;
+      const size = filtered ? this._uint(p + this.offsetSize, entrySize - this.offsetSize - 4) : chunkBytes;
+      const mask = filtered ? this.view.getUint32(p + entrySize - 4, true) : 0;
+      chunks.push({ offsets: gridOffsets(i), address, size, mask });
+    }
+    return chunks;
+  }
+
+  _walkChunkBtree(address, dims, chunks) {
+    this._checkSignature(address, 'TREE');
+    const level = this.bytes[address + 5];
+    const entries = this.view.getUint16(address + 6, true);
+    const keySize = 8 + dims * 8;
+    let p = address + 8 + this.offsetSize * 2;
+    for (let i = 0; i < entries; i++) {
+      const size = this.view.getUint32(p, true);
+      const mask = this.view.getUint32(p + 4, true);
+      const offsets = [];
+      for (let d = 0; d < dims - 1; d++) offsets.push(this._uint(p + 8 + d * 8, 8));
+      const child = this._addr(p + keySize);
+      if (level > 0) this._walkChunkBtree(child, dims, chunks);
+      else chunks.push({ offsets, address: child, size, mask });
+      p += keySize + this.offsetSize;
+    }
+  }
+
+  // ─── Decoding ───
+
+  _decode(raw, type, count) {
+    const view = new DataView(raw.buffer, raw.byteOffset, raw.byteLength);
+
+    if (type.cls === 'string') {
+      const strings = [];
+      for (let i = 0; i < count; i++) {
+        const bytes = raw.subarray(i * type.size, (i + 1) * type.size);
+        const end = bytes.indexOf(0);
+        strings.push(new TextDecoder().decode(end >= 0 ? bytes.subarray(0, end) : bytes).trimEnd());
+      }
+      return strings;
+    }
+    if (type.cls === 'vlen-string') {
+      const strings = [];
+      for (let i = 0; i < count; i++) {
+        const p = i * type.size;
+        const length = view.getUint32(p, true);
+        const collection = this._addrFrom(raw, p + 4);
+        const index = view.getUint32(p + 4 + this.offsetSize, true);
+        strings.push(this._globalHeapString(collection, index, length));
+      }
+      return strings;
+    }
+
+    const out = new Float64Array(count);
+    const le = type.littleEndian;
+    for (let i = 0; i < count; i++) {
+      const p = i * type.size;
+      if (type.cls === 'float') {
+        out[i] = type.size === 4 ? view.getFloat32(p, le) : view.getFloat64(p, le);
+      } else if (type.size === 1) {
+        out[i] = type.signed ? view.getInt8(p) : view.getUint8(p);
+      } else if (type.size === 2) {
+        out[i] = type.signed ? view.getInt16(p, le) : view.getUint16(p, le);
+      } else if (type.size === 4) {
+        out[i] = type.signed ? view.getInt32(p, le) : view.getUint32(p, le);
+      } else {
+        out[i] = Number(type.signed ? view.getBigInt64(p, le) : view.getBigUint64(p, le));
+      }
+    }
+    return out;
+  }
+
+  _addrFrom(bytes, p) {
+    let a = 0;
+    for (let i = this.offsetSize - 1; i >= 0; i--) a = a * 256 + bytes[p + i];
+    return a + this.baseAddress;
+  }
+
+  _globalHeapString(collection, index, length) {
+    this._checkSignature(collection, 'GCOL');
+    const end = collection + this._len(collection + 8);
+    let p = collection + 8 + this.lengthSize;
+    while (p + 8 + this.lengthSize <= end) {
+      const objectIndex = this.view.getUint16(p, true);
+      const size = this._len(p + 8);
+      if (objectIndex === 0) break;
+      const data = p + 8 + this.lengthSize;
+      if (objectIndex === index) return new TextDecoder().decode(this.bytes.subarray(data, data + Math.min(size, length)));
+      p = data + Math.ceil(size / 8) * 8;
+    }
+    return '';
+  }
+}
+
+function findSignature(bytes) {
+  for (let base = 0; base + 8 <= bytes.length; base = base === 0 ? 512 : base * 2) {
+    if (SIGNATURE.every((b, i) => bytes[base + i] === b)) return base;
+  }
+  return -1;
+}
+
+/** Undo a chunk's filter pipeline (filters are applied in order, so undone in reverse). */
+async function unfilter(data, filters, mask, elementSize) {
+  for (let i = filters.length - 1; i >= 0; i--) {
+    if (mask & (1 << i)) continue;
+    const { id, params } = filters[i];
+    if (id === FILTER_DEFLATE) data = await inflate(data);
+    else if (id === FILTER_SHUFFLE) data = unshuffle(data, params[0] || elementSize);
+    else if (id === FILTER_FLETCHER32) data = data.subarray(0, data.length - 4);
+    else throw new Error(`Unsupported HDF5 filter ${id}`);
+  }
+  return data;
+}
+
+async function inflate(data) {
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function unshuffle(data, size) {
+  const count = Math.floor(data.length / size);
+  const out = new Uint8Array(data.length);
+  for (let b = 0; b < size; b++) {
+    for (let i = 0; i < count; i++) out[i * size + b] = data[b * count + i];
+  }
+  out.set(data.subarray(count * size), count * size);
+  return out;
+}
+
+/** Copy one chunk (full chunk dimensions) into the dataset, clipping edge chunks. */
+function copyChunk(data, out, offsets, chunk, shape, rank, elementSize) {
+  if (rank === 0) {
+    out.set(data.subarray(0, elementSize));
+    return;
+  }
+  const rowLength = Math.min(chunk[rank - 1], shape[rank - 1] - offsets[rank - 1]) * elementSize;
+  const index = new Array(rank - 1).fill(0);
+  for (;;) {
+    let src = 0;
+    let dst = 0;
+    let inside = true;
+    for (let d = 0; d < rank; d++) {
+      const i = d < rank - 1 ? index[d] : 0;
+      if (offsets[d] + i >= shape[d]) inside = false;
+      src = src * chunk[d] + i;
+      dst = dst * shape[d] + offsets[d] + i;
+    }
+    if (inside) out.set(data.subarray(src * elementSize, src * elementSize + rowLength), dst * elementSize);
+
+    let d = rank - 2;
+    while (d >= 0 && ++index[d] >= chunk[d]) index[d--] = 0;
+    if (d < 0) return;
+  }
+}
@@ -0,0 +1,274 @@
+/**
+ * HrtfRenderer — convolution binaural renderer for a measured HRTF set, the
+ * custom-HRTF alternative to an HRTF PannerNode.
+ *
+ * Signal flow:
+ *   input (mono) → distanceGain ─┬→ slot A: Convolver (L/R HRIR) → splitter → delayL/delayR → merger → fadeGain ─┬→ output
+ *                                └→ slot B: (same)                                                             ─┘
+ *
+ * The HRIR for a direction interpolates the three nearest measured directions
+ * (tapered inverse-angle weights) over time-aligned IRs; the interaural time
+ * difference is applied separately by the per-ear delays. A new direction is
+ * loaded into the idle slot and crossfaded in, so moving sources don't click.
+ * Each slot keeps its convolver, IR buffer and scratch arrays for its
+ * lifetime; loading a direction refills them rather than allocating.
+ *
+ * Distance and cone gains follow the PannerNode 'inverse' distance model and
+ * cone definition. The listener pose is passed in (AudioListener values
+ * can't be read back reliably), defaulting to the AudioContext defaults.
+ */
+
+import { glideParam } from './param-glide.js';
+
+const CROSSFADE = 0.03; // seconds
+export const MIN_ANGLE = 1; // degrees a source must move before a new HRIR is loaded
+const SNAP_COS = Math.cos((0.5 * Math.PI) / 180);
+
+export const DEFAULT_LISTENER = Object.freeze({
+  position: Object.freeze({ x: 0, y: 0, z: 0 }),
+  forward: Object.freeze({ x: 0, y: 0, z: -1 }),
+  up: Object.freeze({ x: 0, y: 1, z: 0 }),
+});
+
+export class HrtfRenderer {
+  /**
+   * @param {BaseAudioContext} ctx
+   * @param {object} hrtf prepared set from prepareHrtf (at ctx.sampleRate)
+   * @param {{ refDistance?: number, maxDistance?: number, rolloffFactor?: number,
+   *   coneInnerAngle?: number, coneOuterAngle?: number, coneOuterGain?: number,
+   *   position?: {x:number, y:number, z:number}, orientation?: {x:number, y:number, z:number},
+   *   listener?: {position:object, forward:object, up:object}}} [options]
+   */
+  constructor(ctx, hrtf, options = {}) {
+    this.ctx = ctx;
+    this.hrtf = hrtf;
+    this.refDistance = options.refDistance ?? 1;
+    this.maxDistance = options.maxDistance ?? 10000;
+    this.rolloffFactor = options.rolloffFactor ?? 1;
+    this.coneInnerAngle = options.coneInnerAngle ?? 360;
+    this.coneOuterAngle = options.coneOuterAngle ?? 360;
+    this.coneOuterGain = options.coneOuterGain ?? 0;
+
+    // Stereo inputs are downmixed to mono, as PannerNode does
+    this.input = new GainNode(ctx, { channelCount: 1, channelCountMode: 'explicit', channelInterpretation: 'speakers' });
+    this.distanceGain = ctx.createGain();
+    this.output = ctx.createGain();
+    this.input.connect(this.distanceGain);
+
+    const maxDelay = Math.max(0.01, ...hrtf.delays) + 0.01;
+    this.slots = [0, 1].map(() => {
+      const slot = {
+        convolver: new ConvolverNode(ctx, { disableNormalization: true }),
+        buffer: new AudioBuffer({ numberOfChannels: 2, length: hrtf.length, sampleRate: hrtf.sampleRate }),
+        left: new Float32Array(hrtf.length),
+        right: new Float32Array(hrtf.length),
+        splitter: ctx.createChannelSplitter(2),
+        delayL: ctx.createDelay(maxDelay),
+        delayR: ctx.createDelay(maxDelay),
+        merger: ctx.createChannelMerger(2),
+        fadeGain: ctx.createGain(),
+      };
+      slot.fadeGain.gain.value = 0;
+      this.distanceGain.connect(slot.convolver).connect(slot.splitter);
+      slot.splitter.connect(slot.delayL, 0);
+      slot.splitter.connect(slot.delayR, 1);
+      slot.delayL.connect(slot.merger, 0, 0);
+      slot.delayR.connect(slot.merger, 0, 1);
+      slot.merger.connect(slot.fadeGain);
+      slot.fadeGain.connect(this.output);
+      return slot;
+    });
+    this.activeSlot = -1;
+
+    this.position = { x: 0, y: 0, z: 0, ...options.position };
+    this.orientation = { x: 1, y: 0, z: 0, ...options.orientation };
+    this.listener = options.listener || DEFAULT_LISTENER;
+
+    this._direction = null; // direction of the loaded HRIR, listener frame [right, up, front]
+    this._fadeEnd = 0;
+    this._timer = null;
+    this._update();
+  }
+
+  connect(destination, output, input) {
+    return this.output.connect(destination, output, input);
+  }
+
+  disconnect(...args) {
+    this.output.disconnect(...args);
+  }
+
+  setPosition(x, y, z) {
+    this.position = { x, y, z };
+    this._update();
+  }
+
+  setOrientation(x, y, z) {
+    this.orientation = { x, y, z };
+    this._update();
+  }
+
+  /**
+   * @param {{x:number, y:number, z:number}} position
+   * @param {{x:number, y:number, z:number}} forward
+   * @param {{x:number, y:number, z:number}} up
+   */
+  setListener(position, forward, up) {
+    this.listener = { position: { ...position }, forward: { ...forward }, up: { ...up } };
+    this._update();
+  }
+
+  dispose() {
+    clearTimeout(this._timer);
+    this._timer = null;
+    this.input.disconnect();
+    this.distanceGain.disconnect();
+    this.output.disconnect();
+    for (const slot of this.slots) {
+      for (const node of [slot.convolver, slot.splitter, slot.delayL, slot.delayR, slot.merger, slot.fadeGain]) {
+        node.disconnect();
+      }
+    }
+  }
+
+  // ─── Internal ───
+
+  _update() {
+    const { position: l, forward, up } = this.listener;
+    const rel = { x: this.position.x - l.x, y: this.position.y - l.y, z: this.position.z - l.z };
+    const dist = Math.hypot(rel.x, rel.y, rel.z);
+    const t = this.ctx.currentTime;
+    glideParam(this.ctx, this.distanceGain.gain, this._distanceGain(dist) * this._coneGain(rel, dist));
+
+    // Source direction in the listener's frame
+    const f = normalize(forward);
+    const r = normalize(cross(f, up));
+    const u = cross(r, f);
+    const direction = dist > 1e-6 ? [dot(rel, r) / dist, dot(rel, u) / dist, dot(rel, f) / dist] : [0, 0, 1];
+
+    if (this._direction && dot3(direction, this._direction) > Math.cos((MIN_ANGLE * Math.PI) / 180)) return;
+
+    // Let a running crossfade finish, then load the latest direction. A
+    // context that isn't running has no clock to wait for (and no output).
+    if (this.activeSlot >= 0 && t < this._fadeEnd && this.ctx.state === 'running') {
+      if (!this._timer) {
+        this._timer = setTimeout(() => {
+          this._timer = null;
+          this._update();
+        }, (this._fadeEnd - t) * 1000);
+      }
+      return;
+    }
+    this._load(direction, t);
+  }
+
+  _load(direction, t) {
+    const next = this.activeSlot === 0 ? 1 : 0;
+    const slot = this.slots[next];
+    const delays = this._interpolate(direction, slot.left, slot.right);
+    // The convolver copies the IR when its buffer is assigned, so the slot's
+    // buffer can be refilled and handed over again
+    slot.buffer.copyToChannel(slot.left, 0);
+    slot.buffer.copyToChannel(slot.right, 1);
+    slot.convolver.buffer = slot.buffer;
+    slot.delayL.delayTime.setValueAtTime(delays[0], t);
+    slot.delayR.delayTime.setValueAtTime(delays[1], t);
+
+    if (this.activeSlot < 0) {
+      slot.fadeGain.gain.setValueAtTime(1, t);
+    } else {
+      rampTo(this.slots[this.activeSlot].fadeGain.gain, 0, t, CROSSFADE);
+      rampTo(slot.fadeGain.gain, 1, t, CROSSFADE);
+      this._fadeEnd = t + CROSSFADE;
+    }
+    this.activeSlot = next;
+    this._direction = direction;
+  }
+
+  /**
+   * Weighted mix of the three measured directions nearest to `direction`,
+   * written into outL/outR.
+   * @returns {number[]} [left, right] delays in seconds
+   */
+  _interpolate(direction, outL, outR) {
+    const { directions, left, right, delays, length } = this.hrtf;
+    const nearest = [];
+    for (let i = 0; i < directions.length / 3; i++) {
+      const cos = direction[0] * directions[i * 3] + direction[1] * directions[i * 3 + 1] + direction[2] * directions[i * 3 + 2];
+      if (nearest.length < 3 || cos > nearest[2].cos) {
+        nearest.push({ i, cos });
+        nearest.sort((a, b) => b.cos - a.cos);
+        if (nearest.length > 3) nearest.pop();
+      }
+    }
+
+    let picks;
+    if (nearest[0].cos >= SNAP_COS) {
+      picks = [{ i: nearest[0].i, w: 1 }];
+    } else {
+      // Inverse-angle weights, tapered to zero at twice the nearest angle so
+      // directions on the far side of the source don't bleed in
+      const limit = 1 / (2 * Math.acos(nearest[0].cos));
+      picks = nearest.map(({ i, cos }) => ({ i, w: Math.max(0, 1 / Math.acos(Math.min(1, cos)) - limit) }));
+      const sum = picks.reduce((s, p) => s + p.w, 0);
+      for (const p of picks) p.w /= sum;
+    }
+
+    outL.fill(0);
+    outR.fill(0);
+    const outDelays = [0, 0];
+    for (const { i, w } of picks) {
+      for (let n = 0; n < length; n++) {
+        outL[n] += w * left[i][n];
+        outR[n] += w * right[i][n];
+      }
+      outDelays[0] += w * delays[i * 2];
+      outDelays[1] += w * delays[i * 2 + 1];
+    }
+    return outDelays;
+  }
+
+  _distanceGain(dist) {
+    const d = Math.min(Math.max(dist, this.refDistance), this.maxDistance);
+    return this.refDistance / (this.refDistance + this.rolloffFactor * (d - this.refDistance));
+  }
+
+  _coneGain(rel, dist) {
+    const o = this.orientation;
+    const length = Math.hypot(o.x, o.y, o.z);
+    if (this.coneInnerAngle >= 360 || length === 0 || dist < 1e-6) return 1;
+
+    // Angle between the source's orientation and the direction to the listener
+    const cos = -dot(rel, o) / (length * dist);
+    const angle = (Math.acos(Math.max(-1, Math.min(1, cos))) * 180) / Math.PI;
+    const inner = this.coneInnerAngle / 2;
+    const outer = this.coneOuterAngle / 2;
+    if (angle <= inner) return 1;
+    if (angle >= outer) return this.coneOuterGain;
+    const x = (angle - inner) / (outer - inner);
+    return 1 - x + this.coneOuterGain * x;
+  }
+}
+
+function rampTo(param, value, t, duration) {
+  param.cancelScheduledValues(t);
+  param.setValueAtTime(param.value, t);
+  param.linearRampToValueAtTime(value, t + duration);
+}
+
+function dot(a, b) {
+  return a.x * b.x + a.y * b.y + a.z * b.z;
+}
+
+function dot3(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function cross(a, b) {
+  return { x: a.y * b.z - a.z * b.y, y: a.z * b.x - a.x * b.z, z: a.x * b.y - a.y * b.x };
+}
+
+function normalize(v) {
+  const length = Math.hypot(v.x, v.y, v.z) || 1;
+  return { x: v.x / length, y: v.y / length, z: v.z / length };
+}
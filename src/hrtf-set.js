@@ -0,0 +1,238 @@
+/**
+ * HRTF sets — measured head-related impulse responses loaded from a SOFA file
+ * (AES69, SimpleFreeFieldHRIR convention) or a JSON HRIR set, for the
+ * convolution renderer (see hrtf-renderer.js).
+ *
+ * JSON HRIR sets mirror the SOFA variables, so a SOFA file converts 1:1:
+ *
+ *   {
+ *     "name": "Subject 003",                 // optional
+ *     "Data.SamplingRate": 48000,            // Hz
+ *     "SourcePosition": [[0, 0, 1.2], ...],  // one per measurement
+ *     "SourcePositionType": "spherical",     // optional: "spherical" (default) or "cartesian"
+ *     "Data.IR": [[[...left], [...right]], ...],
+ *     "Data.Delay": [[0, 0]]                 // optional, samples: one [left, right] pair or one per measurement
+ *   }
+ *
+ * Spherical positions are [azimuth°, elevation°, distance m] with azimuth
+ * counter-clockwise from the front (90° = left) and elevation up from the
+ * horizontal plane; cartesian positions are [x front, y left, z up] in metres.
+ * Receiver 0 is the left ear.
+ *
+ * A parsed set is a plain, structured-cloneable object (it is kept in
+ * IndexedDB): { name, sampleRate, measurements: [{ azimuth, elevation,
+ * distance, left, right, delayL, delayR }] } with Float32Array IRs and delays
+ * in samples.
+ */
+
+import { Hdf5File } from './hdf5-reader.js';
+
+/** Samples kept before the detected onset when time-aligning IRs. */
+const ONSET_LEAD = 8;
+/** Onset threshold relative to each IR's peak (-20 dB). */
+const ONSET_THRESHOLD = 0.1;
+/** Silence between IRs packed into one buffer for resampling. */
+const RESAMPLE_GAP = 64;
+
+/**
+ * Parse an HRTF file: SOFA (HDF5) or a JSON HRIR set.
+ * @param {ArrayBuffer} buffer
+ * @param {string} [name] fallback name (e.g. the file name)
+ * @returns {Promise<object>} HRTF set
+ */
+export async function parseHrtfFile(buffer, name = 'Custom HRTF') {
+  if (Hdf5File.isHdf5(buffer)) return parseSofa(buffer, name);
+
+  let data;
+  try {
+    data = JSON.parse(new TextDecoder().decode(buffer));
+  } catch (_) {
+    throw new Error('Not a SOFA file or JSON HRIR set');
+  }
+  return parseHrirJson(data, name);
+}
+
+async function parseSofa(buffer, name) {
+  const file = new Hdf5File(buffer);
+  const conventions = file.attribute('/', 'SOFAConventions');
+  if (conventions && conventions !== 'SimpleFreeFieldHRIR') {
+    throw new Error(`Unsupported SOFA convention ${conventions} (expected SimpleFreeFieldHRIR)`);
+  }
+
+  const ir = await file.read('Data.IR');
+  const rate = await file.read('Data.SamplingRate');
+  const positions = await file.read('SourcePosition');
+  const delay = file.has('Data.Delay') ? await file.read('Data.Delay') : null;
+
+  const [m, r, n] = ir.shape;
+  const positionAt = (i) => (positions.shape[0] === 1 ? 0 : i) * 3;
+  const title = file.attribute('/', 'ListenerShortName') || file.attribute('/', 'Title');
+  return buildSet({
+    name: typeof title === 'string' && title ? title : name,
+    sampleRate: rate.data[0],
+    count: m,
+    receivers: r,
+    position: (i) => Array.from(positions.data.subarray(positionAt(i), positionAt(i) + 3)),
+    cartesian: file.attribute('SourcePosition', 'Type') === 'cartesian',
+    ir: (i, ear) => ir.data.subarray((i * r + ear) * n, (i * r + ear + 1) * n),
+    delay: (i, ear) => (delay ? delay.data[(delay.shape[0] === 1 ? 0 : i) * r + ear] : 0),
+  });
+}
+
+function parseHrirJson(data, name) {
+  const irs = data && data['Data.IR'];
+  const positions = data && data.SourcePosition;
+  if (!Array.isArray(irs) || !Array.isArray(positions)) {
+    throw new Error('JSON HRIR set needs "Data.IR" and "SourcePosition" arrays');
+  }
+  const delays = Array.isArray(data['Data.Delay']) ? data['Data.Delay'] : null;
+  return buildSet({
+    name: typeof data.name === 'string' && data.name ? data.name : name,
+    sampleRate: Array.isArray(data['Data.SamplingRate']) ? data['Data.SamplingRate'][0] : data['Data.SamplingRate'],
+    count: irs.length,
+    receivers: Array.isArray(irs[0]) ? irs[0].length : 0,
+    position: (i) => positions[positions.length === 1 ? 0 : i],
+    cartesian: data.SourcePositionType === 'cartesian',
+    ir: (i, ear) => irs[i][ear],
+    delay: (i, ear) => (delays ? delays[delays.length === 1 ? 0 : i][ear] : 0),
+  });
+}
+
+/** Validate and normalize measurements from either source format. */
+function buildSet({ name, sampleRate, count, receivers, position, cartesian, ir, delay }) {
+  if (!(sampleRate > 0)) throw new Error('HRTF set has no valid sampling rate');
+  if (receivers !== 2) throw new Error(`HRTF set needs 2 receivers (ears), found ${receivers}`);
+  if (count === 0) throw new Error('HRTF set has no measurements');
+
+  const measurements = [];
+  for (let i = 0; i < count; i++) {
+    const pos = position(i);
+    const left = ir(i, 0);
+    const right = ir(i, 1);
+    if (!pos || pos.length < 3 || !left || !right || left.length === 0 || left.length !== right.length) {
+      throw new Error(`HRTF measurement ${i + 1} is incomplete`);
+    }
+    const [azimuth, elevation, distance] = cartesian ? toSpherical(pos) : pos;
+    measurements.push({
+      azimuth,
+      elevation,
+      distance,
+      left: Float32Array.from(left),
+      right: Float32Array.from(right),
+      delayL: Number(delay(i, 0)) || 0,
+      delayR: Number(delay(i, 1)) || 0,
+    });
+  }
+  return { name, sampleRate, measurements };
+}
+
+function toSpherical([x, y, z]) {
+  const toDeg = 180 / Math.PI;
+  return [Math.atan2(y, x) * toDeg, Math.atan2(z, Math.hypot(x, y)) * toDeg, Math.hypot(x, y, z)];
+}
+
+/**
+ * Prepare a set for rendering at a context's sample rate: resample, split
+ * each IR into a time-aligned response plus an onset delay (the interaural
+ * time difference), and precompute measurement directions.
+ *
+ * Directions are unit vectors in the listener's frame: [right, up, front].
+ * @param {object} set HRTF set from parseHrtfFile
+ * @param {number} sampleRate
+ * @returns {Promise<{name:string, sampleRate:number, length:number, directions:Float32Array, left:Float32Array[], right:Float32Array[], delays:Float32Array}>}
+ *   delays in seconds, [left, right] per measurement
+ */
+export async function prepareHrtf(set, sampleRate) {
+  const { left, right, ratio } = await resample(set, sampleRate);
+  const count = set.measurements.length;
+
+  const starts = new Int32Array(count * 2);
+  const delays = new Float32Array(count * 2);
+  let length = 0;
+  for (let i = 0; i < count; i++) {
+    [left[i], right[i]].forEach((ir, ear) => {
+      const start = Math.max(0, onset(ir) - ONSET_LEAD);
+      const m = set.measurements[i];
+      starts[i * 2 + ear] = start;
+      delays[i * 2 + ear] = start + (ear === 0 ? m.delayL : m.delayR) * ratio;
+      length = Math.max(length, ir.length - start);
+    });
+  }
+
+  // Drop the delay both ears share across the set (measurement distance, IR latency)
+  const common = Math.min(...delays);
+  for (let i = 0; i < delays.length; i++) delays[i] = (delays[i] - common) / sampleRate;
+
+  const aligned = (ir, start) => {
+    const out = new Float32Array(length);
+    out.set(ir.subarray(start));
+    return out;
+  };
+  const directions = new Float32Array(count * 3);
+  for (let i = 0; i < count; i++) {
+    const { azimuth, elevation } = set.measurements[i];
+    const az = (azimuth * Math.PI) / 180;
+    const el = (elevation * Math.PI) / 180;
+    directions[i * 3] = -Math.cos(el) * Math.sin(az);
+    directions[i * 3 + 1] = Math.sin(el);
+    directions[i * 3 + 2] = Math.cos(el) * Math.cos(az);
+    left[i] = aligned(left[i], starts[i * 2]);
+    right[i] = aligned(right[i], starts[i * 2 + 1]);
+  }
+
+  return { name: set.name, sampleRate, length, directions, left, right, delays };
+}
+
+/** First sample reaching ONSET_THRESHOLD of the IR's peak. */
+function onset(ir) {
+  let peak = 0;
+  for (let i = 0; i < ir.length; i++) peak = Math.max(peak, Math.abs(ir[i]));
+  for (let i = 0; i < ir.length; i++) {
+    if (Math.abs(ir[i]) >= peak * ONSET_THRESHOLD) return i;
+  }
+  return 0;
+}
+
+/**
+ * Resample every IR to `sampleRate` in one offline render: IRs are packed
+ * back to back (left and right of a measurement in the same slot of a stereo
+ * buffer, so their time difference is preserved).
+ */
+async function resample(set, sampleRate) {
+  const { measurements } = set;
+  const irLength = measurements[0].left.length;
+  if (set.sampleRate === sampleRate) {
+    return {
+      left: measurements.map((m) => m.left),
+      right: measurements.map((m) => m.right),
+      ratio: 1,
+    };
+  }
+
+  const ratio = sampleRate / set.sampleRate;
+  const stride = irLength + RESAMPLE_GAP;
+  const offline = new OfflineAudioContext(2, Math.ceil(stride * measurements.length * ratio), sampleRate);
+  const packed = offline.createBuffer(2, stride * measurements.length, set.sampleRate);
+  measurements.forEach((m, i) => {
+    packed.copyToChannel(m.left.subarray(0, irLength), 0, i * stride);
+    packed.copyToChannel(m.right.subarray(0, irLength), 1, i * stride);
+  });
+  const source = offline.createBufferSource();
+  source.buffer = packed;
+  source.connect(offline.destination);
+  source.start();
+  const rendered = await offline.startRendering();
+
+  const outLength = Math.ceil(irLength * ratio);
+  const dataL = rendered.getChannelData(0);
+  const dataR = rendered.getChannelData(1);
+  const slice = (data, i) => {
+    const start = Math.round(i * stride * ratio);
+    return data.slice(start, start + outLength);
+  };
+  return {
+    left: measurements.map((_, i) => slice(dataL, i)),
+    right: measurements.map((_, i) => slice(dataR, i)),
+    ratio,
+  };
+}
@@ -0,0 +1,91 @@
+/**
+ * LiveInput — a getUserMedia (or any MediaStream) source for the engine.
+ *
+ * The stream is split into its channels and any two of them are picked as the
+ * left/right feeds, so a multi-input interface can send e.g. inputs 3+4 into
+ * the effect chain. Mono streams feed the same channel to both ears.
+ *
+ * Signal flow:
+ *   MediaStreamSource → splitter → (channelL / channelR) → gainL/R → engine process bus
+ */
+
+const MAX_CHANNELS = 8;
+
+export class LiveInput {
+  /**
+   * @param {AudioContext} ctx
+   * @param {MediaStream} stream
+   * @param {{ ownsStream?: boolean }} [options] true to stop the stream's tracks on dispose
+   */
+  constructor(ctx, stream, { ownsStream = false } = {}) {
+    this.ctx = ctx;
+    this.stream = stream;
+    this.ownsStream = ownsStream;
+
+    const track = stream.getAudioTracks()[0];
+    if (!track) throw new Error('Media stream has no audio track');
+    this.label = track.label || 'Live input';
+
+    const reported = track.getSettings ? track.getSettings().channelCount : undefined;
+    this.channelCount = Math.max(1, Math.min(MAX_CHANNELS, reported || 2));
+
+    this.gain = 1;
+    this.channelL = 0;
+    this.channelR = this.channelCount > 1 ? 1 : 0;
+
+    this.source = ctx.createMediaStreamSource(stream);
+    this.splitter = ctx.createChannelSplitter(this.channelCount);
+    this.source.connect(this.splitter);
+
+    this.gainL = ctx.createGain();
+    this.gainR = ctx.createGain();
+
+    this._connectChannels();
+  }
+
+  /**
+   * Pick which stream channels feed the left and right ears.
+   * Out-of-range indices are clamped to the last channel.
+   */
+  setRouting(channelL, channelR) {
+    this._disconnectChannels();
+    this.channelL = this._clampChannel(channelL);
+    this.channelR = this._clampChannel(channelR);
+    this._connectChannels();
+  }
+
+  setGain(value) {
+    this.gain = value;
+    const t = this.ctx.currentTime;
+    this.gainL.gain.setTargetAtTime(value, t, 0.02);
+    this.gainR.gain.setTargetAtTime(value, t, 0.02);
+  }
+
+  /**
+   * Disconnect all nodes (and stop the tracks if the stream is ours).
+   */
+  dispose() {
+    try { this.source.disconnect(); } catch (_) {}
+    try { this.splitter.disconnect(); } catch (_) {}
+    try { this.gainL.disconnect(); } catch (_) {}
+    try { this.gainR.disconnect(); } catch (_) {}
+    if (this.ownsStream) {
+      for (const track of this.stream.getTracks()) track.stop();
+    }
+  }
+
+  _clampChannel(index) {
+    const i = Math.floor(Number(index) || 0);
+    return Math.max(0, Math.min(this.channelCount - 1, i));
+  }
+
+  _connectChannels() {
+    this.splitter.connect(this.gainL, this.channelL);
+    this.splitter.connect(this.gainR, this.channelR);
+  }
+
+  _disconnectChannels() {
+    try { this.splitter.disconnect(this.gainL, this.channelL); } catch (_) {}
+    try { this.splitter.disconnect(this.gainR, this.channelR); } catch (_) {}
+  }
+}
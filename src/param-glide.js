@@ -0,0 +1,27 @@
+/**
+ * Parameter glides — control changes reach their AudioParam through a short
+ * setTargetAtTime glide so live edits don't click.
+ *
+ * An OfflineAudioContext that hasn't started rendering has nothing to
+ * protect: there the value is set outright, so an export starts at the
+ * copied settings instead of gliding from the node defaults.
+ */
+
+/**
+ * @param {BaseAudioContext} ctx
+ * @returns {boolean} true for an offline context that hasn't rendered yet
+ */
+export function isPreRender(ctx) {
+  return typeof OfflineAudioContext !== 'undefined' && ctx instanceof OfflineAudioContext && ctx.currentTime === 0;
+}
+
+/**
+ * @param {BaseAudioContext} ctx
+ * @param {AudioParam} param
+ * @param {number} value
+ * @param {number} [timeConstant] seconds
+ */
+export function glideParam(ctx, param, value, timeConstant = 0.02) {
+  if (isPreRender(ctx)) param.value = value;
+  else param.setTargetAtTime(value, ctx.currentTime, timeConstant);
+}
@@ -1,3 +1,5 @@
+import { glideParam } from './param-glide.js';
+
 /**
  * PhaseSmearProcessor — per-ear phase smear effect.
  * 3 cascaded DelayNodes with LFO-modulated delay times + trailing allpass filter.
@@ -5,6 +7,8 @@
 export class PhaseSmearProcessor {
   constructor(ctx) {
     this.ctx = ctx;
+    this.depth = 0;
+    this.rate = 1.0;
 
     // Input / output gain nodes for clean patching
     this.input = ctx.createGain();
@@ -50,22 +54,27 @@ export class PhaseSmearProcessor {
    * Set modulation depth (0–1). Maps to 0–25ms of delay modulation.
    */
   setDepth(value) {
-    const maxMod = 0.020; // 20ms — stays within [10ms, 50ms] range of 30ms center
-    const t = this.ctx.currentTime;
-    for (const stage of this.stages) {
-      stage.depthGain.gain.setTargetAtTime(value * maxMod, t, 0.02);
-    }
+    this.depth = value;
+    for (const [param, map] of this.depthParams()) glideParam(this.ctx, param, map(value));
   }
 
   /**
    * Set LFO rate in Hz. Rates are offset per stage for decorrelation.
    */
   setRate(hz) {
-    const t = this.ctx.currentTime;
-    this.stages.forEach((stage, i) => {
-      const stageRate = hz * (1 + i * 0.15);
-      stage.lfo.frequency.setTargetAtTime(stageRate, t, 0.02);
-    });
+    this.rate = hz;
+    for (const [param, map] of this.rateParams()) glideParam(this.ctx, param, map(hz));
+  }
+
+  /** Params the depth drives, with their value for a depth (0–1). */
+  depthParams() {
+    const maxMod = 0.020; // 20ms — stays within [10ms, 50ms] range of 30ms center
+    return this.stages.map((stage) => [stage.depthGain.gain, (value) => value * maxMod]);
+  }
+
+  /** Params the rate drives, with their value for a rate in Hz. */
+  rateParams() {
+    return this.stages.map((stage, i) => [stage.lfo.frequency, (hz) => hz * (1 + i * 0.15)]);
   }
 
   /**
@@ -4,14 +4,45 @@
  * Based on the Bernsee smbPitchShift algorithm. Shifts pitch in the frequency
  * domain without changing playback speed. Clean output with no comb filtering.
  *
- * Latency: FFT_SIZE - HOP samples (~32ms at 48kHz with current settings).
+ * FFT size, overlap and latency come from processorOptions ({ fftSize, osamp,
+ * latency }, see profileGeometry in pitch-shifter.js) and all buffers are
+ * allocated to match (~32ms latency at 48kHz with the balanced 2048 / 4x
+ * profile).
+ *
+ * Bypass (|cents| below BYPASS_CENTS) keeps the same latency: the dry signal
+ * is read from the input FIFO delayed by `latency`, and entering/leaving
+ * bypass crossfades between that and the processed output. On leaving bypass
+ * the vocoder first runs `osamp` warm-up frames so the overlap-add is full
+ * before the crossfade starts — no clicks, no timing jump.
+ *
+ * Optional formant preservation: the spectral envelope is estimated per frame
+ * by cepstral smoothing (low-quefrency lifter on the log-magnitude spectrum),
+ * divided out before the bin remap and re-applied afterwards, so the
+ * envelope stays put while the harmonics move.
+ *
+ * Quality modes (`quality` parameter):
+ *   0 — standard: plain per-bin phase propagation (original Bernsee behaviour)
+ *   1 — identity phase locking: only spectral peaks are propagated; bins in a
+ *       peak's region keep their analysis phase offset to that peak
+ *   2 — scaled phase locking: as 1, with the offsets scaled by the pitch ratio
+ * Modes 1 and 2 also detect transients (relative spectral flux) and reset the
+ * synthesis phases to the analysis phases on onset frames, keeping attacks sharp.
  */
 
-const FFT_SIZE = 2048;
-const HALF = FFT_SIZE / 2;
-const OSAMP = 4;               // 75% overlap
-const HOP = FFT_SIZE / OSAMP;  // 512
-const LATENCY = FFT_SIZE - HOP; // 1536
+const MIN_FFT_SIZE = 256;
+const MAX_FFT_SIZE = 8192;
+const MIN_HOP = 32;
+
+// Detune below this (in cents) is treated as bypass
+const BYPASS_CENTS = 0.01;
+// Dry ↔ processed crossfade length in seconds
+const BYPASS_XFADE = 0.01;
+
+// Cepstral lifter cutoff in seconds — below the pitch period of typical voices
+const LIFTER_QUEFRENCY = 0.001;
+
+// Relative positive spectral flux above which a frame counts as an onset
+const TRANSIENT_THRESHOLD = 0.6;
 
 class PitchShifterProcessor extends AudioWorkletProcessor {
   static get parameterDescriptors() {
@@ -21,39 +52,97 @@ class PitchShifterProcessor extends AudioWorkletProcessor {
       minValue: -1200,
       maxValue: 1200,
       automationRate: 'k-rate',
+    }, {
+      name: 'preserveFormants',
+      defaultValue: 0,
+      minValue: 0,
+      maxValue: 1,
+      automationRate: 'k-rate',
+    }, {
+      name: 'quality',
+      defaultValue: 0,
+      minValue: 0,
+      maxValue: 2,
+      automationRate: 'k-rate',
     }];
   }
 
-  constructor() {
+  constructor(options) {
     super();
 
+    // Frame geometry from processorOptions. The latency the main thread
+    // compensates for fixes the hop (the FIFOs keep `latency` samples);
+    // both must be powers of two within sane bounds.
+    const { fftSize, latency } = options?.processorOptions || {};
+    const hop = fftSize - latency;
+    const valid = isPowerOfTwo(fftSize) && fftSize >= MIN_FFT_SIZE && fftSize <= MAX_FFT_SIZE &&
+      isPowerOfTwo(hop) && hop >= MIN_HOP && hop <= fftSize / 2;
+    if (!valid) throw new Error(`Invalid pitch shifter geometry: ${JSON.stringify(options?.processorOptions)}`);
+    const half = fftSize / 2;
+
+    this.fftSize = fftSize;
+    this.half = half;
+    this.osamp = fftSize / hop;
+    this.hop = hop;
+    this.latency = latency;
+
     // I/O FIFOs
-    this.inFifo = new Float32Array(FFT_SIZE);
-    this.outFifo = new Float32Array(FFT_SIZE);
-    this.rover = LATENCY;
+    this.inFifo = new Float32Array(fftSize);
+    this.outFifo = new Float32Array(fftSize);
+    this.rover = this.latency;
 
     // Overlap-add accumulator
-    this.outAccum = new Float32Array(2 * FFT_SIZE);
+    this.outAccum = new Float32Array(2 * fftSize);
 
     // FFT work arrays
-    this.re = new Float32Array(FFT_SIZE);
-    this.im = new Float32Array(FFT_SIZE);
+    this.re = new Float32Array(fftSize);
+    this.im = new Float32Array(fftSize);
 
     // Phase vocoder state (Float64 for long-playback precision)
-    this.lastPhase = new Float64Array(HALF + 1);
-    this.sumPhase = new Float64Array(HALF + 1);
+    this.lastPhase = new Float64Array(half + 1);
+    this.sumPhase = new Float64Array(half + 1);
 
     // Pre-allocated per-frame arrays
-    this.anaMag = new Float32Array(HALF + 1);
-    this.anaFreq = new Float32Array(HALF + 1);
-    this.synMag = new Float32Array(HALF + 1);
-    this.synFreq = new Float32Array(HALF + 1);
+    this.anaMag = new Float32Array(half + 1);
+    this.anaFreq = new Float32Array(half + 1);
+    this.synMag = new Float32Array(half + 1);
+    this.synFreq = new Float32Array(half + 1);
+
+    // Phase locking / transient state
+    this.anaPhase = new Float32Array(half + 1);
+    this.prevMag = new Float32Array(half + 1);
+    this.synSrc = new Int32Array(half + 1);
+    this.peaks = new Int32Array(half + 1);
+    this.holdoff = 0;
+
+    // Spectral envelope (formant preservation)
+    this.env = new Float32Array(half + 1);
+    this.cepRe = new Float32Array(fftSize);
+    this.cepIm = new Float32Array(fftSize);
+    this.lifter = Math.max(1, Math.min(half - 1, Math.round(sampleRate * LIFTER_QUEFRENCY)));
+
+    // Latency-compensated bypass state
+    this.mix = 0;           // 0 = delayed dry, 1 = processed
+    this.processing = false;
+    this.warmup = 0;        // frames left before processed output is valid
+    this.mixStep = 1 / Math.max(1, Math.round(sampleRate * BYPASS_XFADE));
 
     // Hann window
-    this.win = new Float32Array(FFT_SIZE);
-    for (let i = 0; i < FFT_SIZE; i++) {
-      this.win[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / FFT_SIZE));
+    this.win = new Float32Array(fftSize);
+    for (let i = 0; i < fftSize; i++) {
+      this.win[i] = 0.5 * (1 - Math.cos(2 * Math.PI * i / fftSize));
     }
+
+    // Overlap-add normalization. Each output sample sums the analysis ×
+    // synthesis window (Hann²) of every frame overlapping it: measure that
+    // overlap sum and divide it out, with the N of the unnormalized inverse
+    // FFT. The sum is flat from osamp 4 up; at osamp 2 it ripples and this
+    // is its mean.
+    let overlap = 0;
+    for (let n = 0; n < hop; n++) {
+      for (let k = n; k < fftSize; k += hop) overlap += this.win[k] * this.win[k];
+    }
+    this.olaScale = 1 / (fftSize * overlap / hop);
   }
 
   process(inputs, outputs, parameters) {
@@ -65,49 +154,73 @@ class PitchShifterProcessor extends AudioWorkletProcessor {
     const inCh = inputs[0][0];
     const outCh = outputs[0][0];
     const cents = parameters.pitchCents[0];
+    const preserveFormants = parameters.preserveFormants[0] >= 0.5;
+    const quality = Math.round(parameters.quality[0]);
 
-    // Bypass at 0 cents (no latency, no CPU)
-    if (cents === 0) {
-      outCh.set(inCh);
-      return true;
+    const shift = Math.pow(2, cents / 1200);
+    const active = Math.abs(cents) >= BYPASS_CENTS;
+    const { fftSize, hop, latency } = this;
+
+    // Leaving bypass: start the vocoder, hold the dry path until it has warmed up
+    if (active && !this.processing) {
+      this.processing = true;
+      this.warmup = this.osamp;
     }
 
-    const shift = Math.pow(2, cents / 1200);
+    const target = active && this.warmup === 0 ? 1 : 0;
 
     for (let i = 0; i < inCh.length; i++) {
       this.inFifo[this.rover] = inCh[i];
-      outCh[i] = this.outFifo[this.rover - LATENCY];
+      const dry = this.inFifo[this.rover - latency];
+      const wet = this.outFifo[this.rover - latency];
       this.rover++;
 
-      if (this.rover >= FFT_SIZE) {
-        this.rover = LATENCY;
-        this._processFrame(shift);
+      // Linear crossfade — both paths are the same signal at the same delay
+      if (this.mix < target) this.mix = Math.min(target, this.mix + this.mixStep);
+      else if (this.mix > target) this.mix = Math.max(target, this.mix - this.mixStep);
+      outCh[i] = this.mix === 0 ? dry : dry + (wet - dry) * this.mix;
+
+      if (this.rover >= fftSize) {
+        this.rover = latency;
+
+        if (this.processing) {
+          this._processFrame(shift, preserveFormants, quality);
+          if (this.warmup > 0) this.warmup--;
+        }
 
-        // Shift input FIFO: keep last LATENCY samples
-        for (let k = 0; k < LATENCY; k++) {
-          this.inFifo[k] = this.inFifo[k + HOP];
+        // Shift input FIFO: keep last latency samples
+        for (let k = 0; k < latency; k++) {
+          this.inFifo[k] = this.inFifo[k + hop];
         }
 
-        // Copy HOP output samples from accumulator
-        for (let k = 0; k < HOP; k++) {
+        // Copy hop output samples from accumulator
+        for (let k = 0; k < hop; k++) {
           this.outFifo[k] = this.outAccum[k];
         }
 
-        // Shift accumulator left by HOP, zero the freed tail
-        this.outAccum.copyWithin(0, HOP);
-        this.outAccum.fill(0, FFT_SIZE);
+        // Shift accumulator left by hop, zero the freed tail
+        this.outAccum.copyWithin(0, hop);
+        this.outAccum.fill(0, fftSize);
+
+        // Fully faded into bypass: stop the vocoder (no FFT CPU while idle)
+        if (!active && this.mix === 0 && this.processing) {
+          this.processing = false;
+          this.outAccum.fill(0);
+          this.outFifo.fill(0);
+        }
       }
     }
 
     return true;
   }
 
-  _processFrame(shift) {
+  _processFrame(shift, preserveFormants, quality) {
+    const { fftSize, half, osamp, hop } = this;
     const re = this.re;
     const im = this.im;
 
     // Window input into FFT buffer
-    for (let k = 0; k < FFT_SIZE; k++) {
+    for (let k = 0; k < fftSize; k++) {
       re[k] = this.inFifo[k] * this.win[k];
       im[k] = 0;
     }
@@ -115,9 +228,11 @@ class PitchShifterProcessor extends AudioWorkletProcessor {
     this._fft(re, im);
 
     // --- Analysis: extract magnitude + true frequency per bin ---
-    const expct = 2 * Math.PI * HOP / FFT_SIZE;
+    const expct = 2 * Math.PI * hop / fftSize;
+    let flux = 0;
+    let prevSum = 0;
 
-    for (let k = 0; k <= HALF; k++) {
+    for (let k = 0; k <= half; k++) {
       const mag = 2 * Math.sqrt(re[k] * re[k] + im[k] * im[k]);
       const phase = Math.atan2(im[k], re[k]);
 
@@ -132,51 +247,178 @@ class PitchShifterProcessor extends AudioWorkletProcessor {
       dp = dp - Math.round(dp / (2 * Math.PI)) * 2 * Math.PI;
 
       // True frequency of this bin (in bin units)
-      this.anaFreq[k] = k + dp * OSAMP / (2 * Math.PI);
+      this.anaFreq[k] = k + dp * osamp / (2 * Math.PI);
       this.anaMag[k] = mag;
+      this.anaPhase[k] = phase;
+
+      // Positive spectral flux against the previous frame (onset detection)
+      const rise = mag - this.prevMag[k];
+      if (rise > 0) flux += rise;
+      prevSum += this.prevMag[k];
+      this.prevMag[k] = mag;
+    }
+
+    let transient = false;
+    if (this.holdoff > 0) {
+      this.holdoff--;
+    } else if (quality > 0 && flux > TRANSIENT_THRESHOLD * (prevSum + 1e-6)) {
+      transient = true;
+      this.holdoff = osamp; // wait one window length before the next reset
+    }
+
+    // --- Formants: flatten the spectrum by its envelope before shifting ---
+    if (preserveFormants) {
+      this._computeEnvelope();
+      for (let k = 0; k <= half; k++) this.anaMag[k] /= this.env[k];
     }
 
     // --- Pitch shift: remap bins ---
     this.synMag.fill(0);
     this.synFreq.fill(0);
+    this.synSrc.fill(-1);
 
-    for (let k = 0; k <= HALF; k++) {
+    for (let k = 0; k <= half; k++) {
       const target = Math.round(k * shift);
-      if (target <= HALF) {
+      if (target <= half) {
         this.synMag[target] += this.anaMag[k];
         this.synFreq[target] = this.anaFreq[k] * shift;
+        this.synSrc[target] = k;
       }
     }
 
-    // --- Synthesis: rebuild complex spectrum from shifted bins ---
-    for (let k = 0; k <= HALF; k++) {
+    // Re-apply the unshifted envelope at the output bins
+    if (preserveFormants) {
+      for (let k = 0; k <= half; k++) this.synMag[k] *= this.env[k];
+    }
+
+    // --- Synthesis: advance each output bin's phase by its true frequency ---
+    for (let k = 0; k <= half; k++) {
       // Convert frequency back to phase increment
       let dp = this.synFreq[k] - k;
-      dp = 2 * Math.PI * dp / OSAMP;
+      dp = 2 * Math.PI * dp / osamp;
       dp += k * expct;
 
       this.sumPhase[k] += dp;
-      const ph = this.sumPhase[k];
+    }
+
+    if (transient) {
+      this._resetPhases();
+    } else if (quality > 0) {
+      this._lockPhases(quality === 2 ? shift : 1);
+    }
 
+    // Rebuild complex spectrum from shifted bins
+    for (let k = 0; k <= half; k++) {
+      const ph = this.sumPhase[k];
       re[k] = this.synMag[k] * Math.cos(ph);
       im[k] = this.synMag[k] * Math.sin(ph);
     }
 
     // Zero negative frequencies (Bernsee convention — take real part of IFFT)
-    for (let k = HALF + 1; k < FFT_SIZE; k++) {
+    for (let k = half + 1; k < fftSize; k++) {
       re[k] = 0;
       im[k] = 0;
     }
 
     // Inverse FFT via conjugate trick (unnormalized)
-    for (let k = 0; k < FFT_SIZE; k++) im[k] = -im[k];
+    for (let k = 0; k < fftSize; k++) im[k] = -im[k];
     this._fft(re, im);
 
     // Window + normalize + overlap-add
-    // 2 / (HALF * OSAMP) compensates for the 2x magnitude, analysis window,
-    // and overlap. No 1/N — our FFT is unnormalized, matching Bernsee.
-    for (let k = 0; k < FFT_SIZE; k++) {
-      this.outAccum[k] += 2.0 * this.win[k] * re[k] / (HALF * OSAMP);
+    // The 2x magnitude restores the zeroed negative bins; olaScale undoes
+    // the inverse FFT and the window overlap. An unshifted frame comes back
+    // at unity gain, so the bypass crossfade near 0 cents is level-matched.
+    // Larger shifts move partials between bins and their level varies a
+    // little with frequency.
+    for (let k = 0; k < fftSize; k++) {
+      this.outAccum[k] += this.win[k] * re[k] * this.olaScale;
+    }
+  }
+
+  /**
+   * Phase locking (Laroche & Dolson): keep the propagated phase only at
+   * spectral peaks and lock every other bin in a peak's region of influence
+   * to it, preserving the analysis phase relationships around the peak.
+   * @param {number} beta 1 for identity locking, the pitch ratio for scaled locking
+   */
+  _lockPhases(beta) {
+    const half = this.half;
+    const mag = this.synMag;
+    const src = this.synSrc;
+    const peaks = this.peaks;
+
+    // Local maxima over ±2 bins
+    let n = 0;
+    for (let k = 2; k <= half - 2; k++) {
+      const m = mag[k];
+      if (m > 0 && m > mag[k - 1] && m >= mag[k + 1] && m > mag[k - 2] && m >= mag[k + 2]) {
+        peaks[n++] = k;
+      }
+    }
+    if (n === 0) return;
+
+    // Regions of influence split halfway between neighbouring peaks
+    let start = 0;
+    for (let i = 0; i < n; i++) {
+      const p = peaks[i];
+      const end = i < n - 1 ? (p + peaks[i + 1]) >> 1 : half;
+      const srcP = src[p];
+      if (srcP >= 0) {
+        const peakPhase = this.sumPhase[p];
+        const peakAna = this.anaPhase[srcP];
+        for (let k = start; k <= end; k++) {
+          if (k === p || src[k] < 0) continue;
+          this.sumPhase[k] = peakPhase + beta * (this.anaPhase[src[k]] - peakAna);
+        }
+      }
+      start = end + 1;
+    }
+  }
+
+  /**
+   * Transient phase reset: take synthesis phases straight from the analysis
+   * frame so the onset keeps its vertical phase coherence.
+   */
+  _resetPhases() {
+    const half = this.half;
+    for (let k = 0; k <= half; k++) {
+      const s = this.synSrc[k];
+      if (s >= 0) this.sumPhase[k] = this.anaPhase[s];
+    }
+  }
+
+  /**
+   * Estimate the spectral envelope of anaMag into env via the real cepstrum:
+   * log-magnitude → FFT → keep low quefrencies → FFT → exp.
+   */
+  _computeEnvelope() {
+    const { fftSize, half } = this;
+    const re = this.cepRe;
+    const im = this.cepIm;
+    const L = this.lifter;
+
+    // Symmetric log-magnitude spectrum
+    for (let k = 0; k <= half; k++) {
+      re[k] = Math.log(Math.max(this.anaMag[k], 1e-9));
+      im[k] = 0;
+    }
+    for (let k = half + 1; k < fftSize; k++) {
+      re[k] = re[fftSize - k];
+      im[k] = 0;
+    }
+
+    this._fft(re, im);
+
+    // Lifter: zero everything above the cutoff quefrency (both halves)
+    for (let q = L; q <= fftSize - L; q++) {
+      re[q] = 0;
+      im[q] = 0;
+    }
+
+    // Forward FFT of a real symmetric sequence twice returns N * the original
+    this._fft(re, im);
+    for (let k = 0; k <= half; k++) {
+      this.env[k] = Math.exp(re[k] / fftSize);
     }
   }
 
@@ -222,4 +464,8 @@ class PitchShifterProcessor extends AudioWorkletProcessor {
   }
 }
 
+function isPowerOfTwo(n) {
+  return Number.isInteger(n) && n > 0 && (n & (n - 1)) === 0;
+}
+
 registerProcessor('pitch-shifter-processor', PitchShifterProcessor);
@@ -1,11 +1,46 @@
+import { glideParam } from './param-glide.js';
+
+/** Worklet `quality` values by mode name. */
+export const PITCH_QUALITY_MODES = {
+  standard: 0,   // per-bin phase propagation
+  identity: 1,   // identity phase locking + transient phase reset
+  scaled: 2,     // scaled phase locking + transient phase reset
+};
+
+/**
+ * FFT size / overlap profiles (see profileGeometry for the worklet options).
+ */
+export const PITCH_PROFILES = {
+  lowLatency: { fftSize: 1024, osamp: 4 },      // ~16ms at 48kHz, for live input
+  balanced: { fftSize: 2048, osamp: 4 },        // ~32ms at 48kHz (default)
+  highResolution: { fftSize: 4096, osamp: 8 },  // ~75ms at 48kHz, for bass-heavy material
+};
+
+/**
+ * Frame geometry of a profile as passed to the worklet in processorOptions.
+ * The latency (fftSize - hop samples) is derived here only: the worklet
+ * takes its hop from it and the engine's bypass compensation matches it.
+ * @param {keyof PITCH_PROFILES} profile
+ * @returns {{ fftSize: number, osamp: number, latency: number }}
+ */
+export function profileGeometry(profile) {
+  const { fftSize, osamp } = PITCH_PROFILES[profile] || PITCH_PROFILES.balanced;
+  return { fftSize, osamp, latency: fftSize - fftSize / osamp };
+}
+
 /**
  * PitchShifter — wrapper around the pitch-shifter AudioWorklet.
  * Provides input/output GainNodes for clean patching into the signal graph.
  */
 export class PitchShifter {
-  constructor(ctx, workletNode) {
+  constructor(ctx, workletNode, profile = 'balanced') {
     this.ctx = ctx;
     this.workletNode = workletNode;
+    this.profile = profile;
+
+    const { fftSize, latency } = profileGeometry(profile);
+    this.fftSize = fftSize;
+    this.latencySamples = latency;
 
     // Input / output gain nodes for clean patching
     this.input = ctx.createGain();
@@ -15,8 +50,12 @@ export class PitchShifter {
     this.input.connect(this.workletNode);
     this.workletNode.connect(this.output);
 
-    // Keep a reference to the pitchCents AudioParam
+    // Keep references to the worklet AudioParams
     this.centsParam = this.workletNode.parameters.get('pitchCents');
+    this.formantParam = this.workletNode.parameters.get('preserveFormants');
+    this.qualityParam = this.workletNode.parameters.get('quality');
+    this.preserveFormants = false;
+    this.quality = 'standard';
   }
 
   /**
@@ -30,21 +69,43 @@ export class PitchShifter {
 
   /**
    * Create a new PitchShifter instance.
+   * @param {BaseAudioContext} ctx
+   * @param {{ profile?: keyof PITCH_PROFILES }} [options]
    */
-  static create(ctx) {
+  static create(ctx, { profile = 'balanced' } = {}) {
+    if (!(profile in PITCH_PROFILES)) profile = 'balanced';
     const workletNode = new AudioWorkletNode(ctx, 'pitch-shifter-processor', {
       numberOfInputs: 1,
       numberOfOutputs: 1,
       outputChannelCount: [1],
+      processorOptions: profileGeometry(profile),
     });
-    return new PitchShifter(ctx, workletNode);
+    return new PitchShifter(ctx, workletNode, profile);
   }
 
   /**
    * Set the pitch shift in cents with a smooth ramp.
    */
   setCents(cents) {
-    this.centsParam.setTargetAtTime(cents, this.ctx.currentTime, 0.02);
+    glideParam(this.ctx, this.centsParam, cents);
+  }
+
+  /**
+   * Enable/disable spectral-envelope (formant) preservation.
+   */
+  setPreserveFormants(on) {
+    this.preserveFormants = on;
+    this.formantParam.setValueAtTime(on ? 1 : 0, this.ctx.currentTime);
+  }
+
+  /**
+   * Select the phase-vocoder quality mode (see PITCH_QUALITY_MODES).
+   * @param {'standard'|'identity'|'scaled'} mode
+   */
+  setQuality(mode) {
+    if (!(mode in PITCH_QUALITY_MODES)) return;
+    this.quality = mode;
+    this.qualityParam.setValueAtTime(PITCH_QUALITY_MODES[mode], this.ctx.currentTime);
   }
 
   /**
@@ -0,0 +1,145 @@
+/**
+ * Playlist — an ordered queue of files played back-to-back on one engine.
+ *
+ * The current item is loaded with AudioEngine.loadFile(). The next item is
+ * decoded ahead of time and handed to AudioEngine.queueNext(), which starts
+ * it sample-accurately when the current track ends (or overlapped by an
+ * equal-power crossfade), so track changes need no user action. Items that
+ * fail to decode are marked and skipped.
+ */
+export class Playlist {
+  /**
+   * @param {import('./audio-engine.js').AudioEngine} engine
+   */
+  constructor(engine) {
+    this.engine = engine;
+    this.items = []; // { id, file, name, error }
+    this.currentIndex = -1;
+    this.crossfade = 0;
+    this.nextItemId = 0;
+
+    this.onChange = null; // callback() when items or order change
+    this.onTrackChange = null; // callback(info) when the engine moves on to the next item
+
+    this._decoded = null; // { item, track } — next item, already decoded
+    this._prepareToken = 0;
+
+    engine.onQueueAdvanced = (info) => this._onAdvanced(info);
+  }
+
+  get current() {
+    return this.items[this.currentIndex] || null;
+  }
+
+  /** The first item after the current one that hasn't failed to decode. */
+  get next() {
+    return this.items.slice(this.currentIndex + 1).find((item) => !item.error) || null;
+  }
+
+  /**
+   * Replace the queue with a single file that is already loaded in the engine.
+   */
+  reset(file) {
+    this.items = [{ id: this.nextItemId++, file, name: file.name, error: null }];
+    this.currentIndex = 0;
+    this._decoded = null;
+    this._changed();
+  }
+
+  /**
+   * Append files to the end of the queue.
+   * @param {Iterable<File>} files
+   */
+  add(files) {
+    for (const file of files) {
+      this.items.push({ id: this.nextItemId++, file, name: file.name, error: null });
+    }
+    this._changed();
+  }
+
+  /**
+   * Remove an item. The item currently playing cannot be removed.
+   */
+  remove(id) {
+    const index = this.items.findIndex((item) => item.id === id);
+    if (index === -1 || index === this.currentIndex) return;
+    this.items.splice(index, 1);
+    if (index < this.currentIndex) this.currentIndex--;
+    this._changed();
+  }
+
+  /**
+   * Move an item to a new position in the queue.
+   */
+  move(id, toIndex) {
+    const index = this.items.findIndex((item) => item.id === id);
+    if (index === -1) return;
+    toIndex = Math.max(0, Math.min(this.items.length - 1, toIndex));
+    if (toIndex === index) return;
+
+    const current = this.current;
+    const [item] = this.items.splice(index, 1);
+    this.items.splice(toIndex, 0, item);
+    this.currentIndex = this.items.indexOf(current);
+    this._changed();
+  }
+
+  /**
+   * Load an item into the engine (replacing the session) and make it current.
+   */
+  async load(index) {
+    const item = this.items[index];
+    if (!item) return null;
+    const info = await this.engine.loadFile(item.file);
+    this.currentIndex = this.items.indexOf(item);
+    this._changed();
+    return info;
+  }
+
+  /**
+   * Overlap between consecutive tracks in seconds (0 = gapless).
+   */
+  setCrossfade(seconds) {
+    this.crossfade = Math.max(0, seconds);
+    this._prepareNext();
+  }
+
+  _changed() {
+    this._prepareNext();
+    if (this.onChange) this.onChange();
+  }
+
+  /**
+   * Decode the item after the current one (if not already) and queue it.
+   * An item that fails is marked and the one after it is tried instead.
+   */
+  async _prepareNext() {
+    const token = ++this._prepareToken;
+    const next = this.next;
+    if (!next) {
+      this.engine.clearQueue();
+      return;
+    }
+
+    try {
+      if (!this._decoded || this._decoded.item !== next) {
+        const track = await this.engine.decodeFile(next.file);
+        if (token !== this._prepareToken) return;
+        this._decoded = { item: next, track };
+      }
+      this.engine.queueNext(this._decoded.track, { crossfade: this.crossfade });
+    } catch (err) {
+      if (token !== this._prepareToken) return;
+      next.error = err.message;
+      this._changed();
+    }
+  }
+
+  _onAdvanced(info) {
+    const item = this._decoded ? this._decoded.item : null;
+    this._decoded = null;
+    this.currentIndex = this.items.indexOf(item);
+    this._changed();
+    if (this.onTrackChange) this.onTrackChange(info);
+  }
+}
@@ -0,0 +1,201 @@
+/**
+ * Preset library — user presets persisted in IndexedDB, plus import/export
+ * as versioned JSON files. The same database also holds saved beat programs
+ * and loaded HRTF sets.
+ *
+ * A preset's `state` is the object produced by UIController._capturePreset()
+ * and consumed by _applyPreset(): detune (with link mode), formant/quality
+ * settings, smear, every binaural tone, the spatial source, and output.
+ * Stored and imported states are migrated to the current schema on the way
+ * in, so every field is present when a preset is applied.
+ */
+
+/**
+ * Current preset state schema version.
+ *   1 — detune, formants, pitch quality and profile, smear, tones (base,
+ *       beat, volume, on), spatial on and position, output
+ *   2 — tone mode, pulse, carrier, noise and placement; the spatial stereo
+ *       pair, motion path, Doppler and near-field
+ */
+export const PRESET_VERSION = 2;
+
+/**
+ * Values of the fields version 2 added, as a version 1 preset sounded:
+ * effects it predates are off and the pair is laid out around the source
+ * (null channel positions).
+ */
+const V2_FIELDS = {
+  spatialStereo: false,
+  spatialWidth: 60,
+  spatialPositionL: null,
+  spatialPositionR: null,
+  spatialMotion: null,
+  spatialDoppler: false,
+  spatialNearField: false,
+};
+
+const V2_TONE_FIELDS = {
+  mode: 'binaural',
+  pulseShape: 'square',
+  dutyCycle: 0.5,
+  carrier: 'sine',
+  harmonics: [1, 0.35, 0.12, 0.05],
+  noiseLevel: 0,
+  spatial: false,
+  position: { x: 0, y: 0, z: -2 },
+  scenePosition: null,
+};
+
+const FILE_TYPE = 'binaural-dissonance-presets';
+const DB_NAME = 'binaural-dissonance';
+const DB_VERSION = 3;
+const STORES = ['presets', 'programs', 'hrtfs'];
+
+/**
+ * PresetStore — CRUD over one IndexedDB object store ('presets', 'programs' or 'hrtfs').
+ * Records: { id, name, version, state, updatedAt }
+ */
+export class PresetStore {
+  constructor(storeName = 'presets') {
+    this.storeName = storeName;
+    this._db = null;
+  }
+
+  /**
+   * All presets, sorted by name.
+   * @returns {Promise<Array<{id:string, name:string, version:number, state:object, updatedAt:number}>>}
+   */
+  async list() {
+    const records = await this._request('readonly', (store) => store.getAll());
+    return records.map(migrateRecord).sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  async get(id) {
+    const record = await this._request('readonly', (store) => store.get(id));
+    return record && migrateRecord(record);
+  }
+
+  /**
+   * Save a preset. Saving under an existing name overwrites that preset.
+   * @returns {Promise<string>} the preset id
+   */
+  async save(name, state) {
+    const existing = (await this.list()).find((p) => p.name === name);
+    const record = {
+      id: existing ? existing.id : createId(),
+      name,
+      version: PRESET_VERSION,
+      state,
+      updatedAt: Date.now(),
+    };
+    await this._request('readwrite', (store) => store.put(record));
+    return record.id;
+  }
+
+  async rename(id, name) {
+    const record = await this.get(id);
+    if (!record) return;
+    record.name = name;
+    record.updatedAt = Date.now();
+    await this._request('readwrite', (store) => store.put(record));
+  }
+
+  async remove(id) {
+    await this._request('readwrite', (store) => store.delete(id));
+  }
+
+  async _open() {
+    if (this._db) return this._db;
+    if (typeof indexedDB === 'undefined') throw new Error('IndexedDB is not available');
+
+    this._db = await new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        for (const name of STORES) {
+          if (!db.objectStoreNames.contains(name)) db.createObjectStore(name, { keyPath: 'id' });
+        }
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    return this._db;
+  }
+
+  async _request(mode, fn) {
+    const db = await this._open();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      const req = fn(tx.objectStore(this.storeName));
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+}
+
+/**
+ * Serialize presets to a JSON export file.
+ * @param {Array<{name:string, version?:number, state:object}>} presets
+ * @returns {Blob}
+ */
+export function exportPresets(presets) {
+  const data = {
+    type: FILE_TYPE,
+    version: PRESET_VERSION,
+    presets: presets.map((p) => ({ name: p.name, version: p.version ?? PRESET_VERSION, state: p.state })),
+  };
+  return new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+}
+
+/**
+ * Parse and validate a preset export file.
+ * @param {string} text
+ * @returns {Array<{name:string, state:object}>} presets migrated to PRESET_VERSION
+ */
+export function parsePresetFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (_) {
+    throw new Error('Not a valid JSON file');
+  }
+  if (!data || data.type !== FILE_TYPE || !Array.isArray(data.presets)) {
+    throw new Error('Not a preset export file');
+  }
+
+  return data.presets.map((p, i) => {
+    if (!p || typeof p.state !== 'object' || p.state === null) {
+      throw new Error(`Preset ${i + 1} has no state`);
+    }
+    const name = typeof p.name === 'string' && p.name.trim() ? p.name.trim() : `Imported ${i + 1}`;
+    return { name, state: migratePresetState(p.state, p.version ?? data.version ?? 1) };
+  });
+}
+
+/**
+ * Bring a preset state from an older schema version up to PRESET_VERSION.
+ */
+export function migratePresetState(state, version) {
+  if (!Number.isInteger(version) || version < 1) {
+    throw new Error(`Unknown preset version: ${version}`);
+  }
+  if (version > PRESET_VERSION) {
+    throw new Error(`Preset version ${version} is newer than this app supports (${PRESET_VERSION})`);
+  }
+  let migrated = { ...state };
+  if (version < 2) {
+    migrated = { ...structuredClone(V2_FIELDS), ...migrated };
+    migrated.binauralTones = (migrated.binauralTones || []).map((tone) => ({ ...structuredClone(V2_TONE_FIELDS), ...tone }));
+  }
+  return migrated;
+}
+
+/** A stored record with its state brought up to PRESET_VERSION. */
+function migrateRecord(record) {
+  return { ...record, version: PRESET_VERSION, state: migratePresetState(record.state, record.version ?? 1) };
+}
+
+function createId() {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
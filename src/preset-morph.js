@@ -0,0 +1,124 @@
+/**
+ * Preset morphing — timed interpolation between two preset states (the
+ * objects produced by UIController._capturePreset()).
+ *
+ * Only continuous parameters are interpolated here; switches (link mode,
+ * formant preservation, compressor, ...) flip at the start of the morph and
+ * tone add/remove fades are coordinated by the caller.
+ */
+
+const TICK_MS = 30;
+
+const lerp = (a, b, t) => a + (b - a) * t;
+
+/**
+ * Interpolate the continuous parameters of two preset states.
+ * Frequencies move geometrically so the sweep sounds even across octaves.
+ * @param {object} from
+ * @param {object} to
+ * @param {number} t progress 0–1
+ */
+export function interpolatePreset(from, to, t) {
+  const a = from.spatialPosition;
+  const b = to.spatialPosition;
+  return {
+    detuneL: lerp(from.detuneL, to.detuneL, t),
+    detuneR: lerp(from.detuneR, to.detuneR, t),
+    smearDepth: lerp(from.smearDepth, to.smearDepth, t),
+    smearRate: lerp(from.smearRate, to.smearRate, t),
+    smearRateL: lerp(from.smearRateL, to.smearRateL, t),
+    smearRateR: lerp(from.smearRateR, to.smearRateR, t),
+    dryWet: lerp(from.dryWet, to.dryWet, t),
+    masterVol: lerp(from.masterVol, to.masterVol, t),
+    spatialWidth: lerp(from.spatialWidth, to.spatialWidth, t),
+    spatialPosition: {
+      x: lerp(a.x, b.x, t),
+      y: lerp(a.y, b.y, t),
+      z: lerp(a.z, b.z, t),
+    },
+  };
+}
+
+/**
+ * Interpolate one binaural tone's settings.
+ * @param {{baseFreq:number, beatDiff:number, volume:number}} from
+ * @param {{baseFreq:number, beatDiff:number, volume:number}} to
+ * @param {number} t progress 0–1
+ */
+export function interpolateTone(from, to, t) {
+  return {
+    baseFreq: from.baseFreq * Math.pow(to.baseFreq / from.baseFreq, t),
+    beatDiff: lerp(from.beatDiff, to.beatDiff, t),
+    volume: lerp(from.volume, to.volume, t),
+  };
+}
+
+/**
+ * Keys of an interpolation whose start and end differ. A morph drives only
+ * these, so a value that isn't changing keeps whatever is moving it now (a
+ * motion path, a beat program).
+ * @param {(from: object, to: object, t: number) => object} interpolate interpolatePreset or interpolateTone
+ * @param {object} from
+ * @param {object} to
+ * @returns {Set<string>}
+ */
+export function changedKeys(interpolate, from, to) {
+  const start = interpolate(from, to, 0);
+  const end = interpolate(from, to, 1);
+  const same = (a, b) => (typeof a === 'number' ? a === b : Object.keys(a).every((k) => a[k] === b[k]));
+  return new Set(Object.keys(start).filter((key) => !same(start[key], end[key])));
+}
+
+/**
+ * PresetMorph — drives a frame callback from 0 to 1 over a duration.
+ */
+export class PresetMorph {
+  constructor() {
+    this._timer = null;
+    this._onComplete = null;
+  }
+
+  get active() {
+    return this._timer !== null;
+  }
+
+  /**
+   * @param {number} seconds
+   * @param {(t: number) => void} onFrame called with progress 0–1 on every tick
+   * @param {() => void} [onComplete] called after the final frame
+   */
+  start(seconds, onFrame, onComplete = null) {
+    this.cancel();
+    const startedAt = performance.now();
+    const durationMs = Math.max(0, seconds) * 1000;
+    this._onComplete = onComplete;
+
+    const tick = () => {
+      const t = durationMs > 0 ? Math.min(1, (performance.now() - startedAt) / durationMs) : 1;
+      onFrame(t);
+      if (t >= 1) this.finish();
+    };
+    this._timer = setInterval(tick, TICK_MS);
+    tick();
+  }
+
+  /**
+   * Stop where the morph is; the completion callback is not called.
+   */
+  cancel() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+    this._onComplete = null;
+  }
+
+  /**
+   * Stop the timer and run the completion callback.
+   */
+  finish() {
+    const onComplete = this._onComplete;
+    this.cancel();
+    if (onComplete) onComplete();
+  }
+}
@@ -0,0 +1,219 @@
+/**
+ * Session URLs — the full control state packed into a compact URL fragment
+ * (`#s=<base64url JSON>`) so a configuration can be shared as a link.
+ *
+ * The JSON uses short keys (see FIELDS) plus a format version `v`. Decoding
+ * is forgiving: unknown keys, values of the wrong type and option names
+ * this build doesn't know are skipped, so links from newer or older builds
+ * restore whatever this build understands.
+ */
+
+import { MOTION_PATHS } from './spatial-motion.js';
+import { PITCH_PROFILES, PITCH_QUALITY_MODES } from './pitch-shifter.js';
+import { TONE_MODES, PULSE_SHAPES, CARRIERS } from './binaural-beat.js';
+
+/** Current session URL format version. */
+export const SESSION_URL_VERSION = 1;
+
+const PARAM = 's';
+
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const isBool = (v) => typeof v === 'boolean';
+const isString = (v) => typeof v === 'string';
+const isPoint = (v) => Array.isArray(v) && v.length === 3 && v.every(isNumber);
+const oneOf = (options) => (v) => isString(v) && options.includes(v);
+
+/** Detune link modes (the #detune-link-mode options). */
+const LINK_MODES = ['mirror', 'parallel'];
+
+/**
+ * Scalar fields: [short key, state path, validator].
+ * Paths starting with `walking.` live in the walking-mode settings object,
+ * `safety.` in the engine's tone safety settings.
+ */
+const FIELDS = [
+  ['dl', 'detuneL', isNumber],
+  ['dr', 'detuneR', isNumber],
+  ['lk', 'detuneLink', isBool],
+  ['lm', 'detuneLinkMode', oneOf(LINK_MODES)],
+  ['fl', 'formantL', isBool],
+  ['fr', 'formantR', isBool],
+  ['pq', 'pitchQuality', oneOf(Object.keys(PITCH_QUALITY_MODES))],
+  ['pp', 'pitchProfile', oneOf(Object.keys(PITCH_PROFILES))],
+  ['sd', 'smearDepth', isNumber],
+  ['sr', 'smearRate', isNumber],
+  ['si', 'smearIndependent', isBool],
+  ['sl', 'smearRateL', isNumber],
+  ['sR', 'smearRateR', isNumber],
+  ['sa', 'spatialActive', isBool],
+  ['ss', 'spatialStereo', isBool],
+  ['sw', 'spatialWidth', isNumber],
+  ['dp', 'spatialDoppler', isBool],
+  ['nf', 'spatialNearField', isBool],
+  ['mv', 'masterVol', isNumber],
+  ['dw', 'dryWet', isNumber],
+  ['ca', 'compressorActive', isBool],
+  ['wa', 'walking.active', isBool],
+  ['wv', 'walking.speakerVolume', isNumber],
+  ['ra', 'walking.reverbAmount', isNumber],
+  ['rd', 'walking.reverbDecay', isNumber],
+  ['rf', 'walking.reverbDamping', isNumber],
+  ['wd', 'walking.doppler', isBool],
+  ['fi', 'safety.fadeIn', isNumber],
+  ['fo', 'safety.fadeOut', isNumber],
+  ['mx', 'safety.maxExposure', isNumber],
+  ['tc', 'safety.ceilingDb', isNumber],
+];
+
+/**
+ * Optional per-tone fields after [baseFreq, beatDiff, volume, active], in
+ * order: [state key, default, validator]. Trailing defaults are dropped.
+ * Positions travel as [x, y, z] and only for spatial tones.
+ */
+const TONE_EXTRAS = [
+  ['mode', 'binaural', oneOf(TONE_MODES)],
+  ['pulseShape', 'square', oneOf(PULSE_SHAPES)],
+  ['dutyCycle', 0.5, isNumber],
+  ['carrier', 'sine', oneOf(CARRIERS)],
+  ['harmonics', null, (v) => Array.isArray(v) && v.every(isNumber)],
+  ['noiseLevel', 0, isNumber],
+  ['spatial', false, isBool],
+  ['position', null, isPoint],
+  ['scenePosition', null, isPoint],
+];
+
+const POINT_KEYS = ['position', 'scenePosition'];
+
+/** Spatial source points, [x, y, z]: [short key, state key]. */
+const SPATIAL_POINTS = [
+  ['p', 'spatialPosition'],
+  ['pl', 'spatialPositionL'],
+  ['pr', 'spatialPositionR'],
+];
+
+/** Motion paths travel as [path, speed, radius, elevation, freehand points?]. */
+const isMotion = (v) => Array.isArray(v) && Object.hasOwn(MOTION_PATHS, v[0]) && v.slice(1, 4).every(isNumber);
+const isRecording = (v) => Array.isArray(v) && v.length >= 2 && v.every(isPoint);
+
+/** Round to 3 decimals to keep links short. */
+const round = (v) => Math.round(v * 1000) / 1000;
+
+/**
+ * Encode a session state into a URL fragment (including the leading '#').
+ * @param {object} state preset state (see UIController._capturePreset) plus optional `walking` and `safety` settings
+ * @returns {string}
+ */
+export function encodeSessionState(state) {
+  const data = { v: SESSION_URL_VERSION };
+
+  for (const [key, path, valid] of FIELDS) {
+    const value = readPath(state, path);
+    if (value === undefined || !valid(value)) continue;
+    data[key] = isNumber(value) ? round(value) : value;
+  }
+
+  if (Array.isArray(state.binauralTones)) {
+    data.t = state.binauralTones.map((t) => {
+      const tone = [round(t.baseFreq), round(t.beatDiff), round(t.volume), t.active ? 1 : 0];
+      const extras = TONE_EXTRAS.map(([key, fallback, valid]) => {
+        const value = POINT_KEYS.includes(key) && t[key] ? [t[key].x, t[key].y, t[key].z] : t[key];
+        if (value === undefined || !valid(value)) return fallback;
+        if (key === 'harmonics') return t.carrier === 'custom' ? value.map(round) : null;
+        if (POINT_KEYS.includes(key)) return t.spatial ? value.map(round) : null;
+        return isNumber(value) ? round(value) : value;
+      });
+      while (extras.length && extras[extras.length - 1] === TONE_EXTRAS[extras.length - 1][1]) extras.pop();
+      return tone.concat(extras);
+    });
+  }
+  for (const [key, name] of SPATIAL_POINTS) {
+    if (!state[name]) continue;
+    // The stereo pair's channel positions only matter in stereo mode
+    if (key !== 'p' && !state.spatialStereo) continue;
+    const { x, y, z } = state[name];
+    data[key] = [round(x), round(y), round(z)];
+  }
+
+  if (state.spatialMotion) {
+    const { path, speed, radius, elevation, points } = state.spatialMotion;
+    data.m = [path, round(speed), round(radius), round(elevation)];
+    if (path === 'freehand' && points) data.m.push(points.map((p) => p.map(round)));
+  }
+
+  const params = new URLSearchParams();
+  params.set(PARAM, toBase64Url(JSON.stringify(data)));
+  return `#${params.toString()}`;
+}
+
+/**
+ * Decode a URL fragment produced by encodeSessionState.
+ * @param {string} hash location.hash (with or without the leading '#')
+ * @returns {?object} partial session state, or null if the fragment holds none
+ */
+export function decodeSessionState(hash) {
+  const encoded = new URLSearchParams(hash.replace(/^#/, '')).get(PARAM);
+  if (!encoded) return null;
+
+  let data;
+  try {
+    data = JSON.parse(fromBase64Url(encoded));
+  } catch (_) {
+    return null;
+  }
+  if (!data || typeof data !== 'object' || !isNumber(data.v) || data.v < 1) return null;
+
+  const state = {};
+  for (const [key, path, valid] of FIELDS) {
+    if (key in data && valid(data[key])) writePath(state, path, data[key]);
+  }
+
+  if (Array.isArray(data.t)) {
+    state.binauralTones = data.t
+      .filter((t) => Array.isArray(t) && isNumber(t[0]) && isNumber(t[1]) && isNumber(t[2]))
+      .map(([baseFreq, beatDiff, volume, active, ...extras]) => {
+        const tone = { baseFreq, beatDiff, volume, active: !!active };
+        TONE_EXTRAS.forEach(([key, , valid], i) => {
+          if (i >= extras.length || !valid(extras[i])) return;
+          if (POINT_KEYS.includes(key)) {
+            const [x, y, z] = extras[i];
+            tone[key] = { x, y, z };
+          } else {
+            tone[key] = extras[i];
+          }
+        });
+        return tone;
+      });
+  }
+  for (const [key, name] of SPATIAL_POINTS) {
+    if (!isPoint(data[key])) continue;
+    const [x, y, z] = data[key];
+    state[name] = { x, y, z };
+  }
+  if (isMotion(data.m)) {
+    const [path, speed, radius, elevation, points] = data.m;
+    state.spatialMotion = { path, speed, radius, elevation, points: isRecording(points) ? points : null };
+  }
+
+  return state;
+}
+
+function readPath(obj, path) {
+  return path.split('.').reduce((o, k) => (o == null ? undefined : o[k]), obj);
+}
+
+function writePath(obj, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let target = obj;
+  for (const k of keys) target = target[k] = target[k] || {};
+  target[last] = value;
+}
+
+function toBase64Url(str) {
+  return btoa(str).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(str) {
+  const b64 = str.replace(/-/g, '+').replace(/_/g, '/');
+  return atob(b64 + '='.repeat((4 - (b64.length % 4)) % 4));
+}
@@ -0,0 +1,139 @@
+/**
+ * Spatial motion paths — trajectories for the spatial source: circle orbit,
+ * figure-eight, random walk, and freehand (a recorded pad drag, looped).
+ *
+ * Paths are evaluated by phase in cycles (one orbit, one figure-eight, one
+ * random-walk step, one pass of the recording), so the speed is simply cycles
+ * per second. Points are world coordinates around the listener (+X right,
+ * -Z front): `radius` scales the path in the horizontal plane and
+ * `elevation` sets its height. The Spatializer turns them into AudioParam
+ * ramps (see Spatializer.setMotion).
+ */
+
+/** Motion path types, with display labels. */
+export const MOTION_PATHS = {
+  circle: 'Circle',
+  figure8: 'Figure-eight',
+  random: 'Random walk',
+  freehand: 'Freehand',
+};
+
+/** Random-walk step length as a fraction of the radius. */
+const WALK_STEP = 0.75;
+
+/**
+ * MotionPath — one trajectory. `radius` and `elevation` may be changed in
+ * place; a random walk keeps the waypoints it has already taken.
+ */
+export class MotionPath {
+  /**
+   * @param {{ path: string, radius?: number, elevation?: number, points?: ?Array<[number, number, number]> }} settings
+   *   freehand `points` are [time s, x, z] as recorded
+   */
+  constructor({ path, radius = 2, elevation = 0, points = null }) {
+    if (!MOTION_PATHS[path]) throw new Error(`Unknown motion path "${path}"`);
+    if (path === 'freehand' && !(Array.isArray(points) && points.length >= 2)) {
+      throw new Error('Freehand motion needs a recorded path');
+    }
+    this.type = path;
+    this.radius = radius;
+    this.elevation = elevation;
+    this._recording = path === 'freehand' ? normalizeRecording(points) : null;
+    this._waypoints = []; // random walk, unit disc, one per cycle
+  }
+
+  /**
+   * Copy of the path, including the random-walk waypoints taken so far (so
+   * both copies agree up to there and walk on independently after).
+   */
+  clone() {
+    const copy = Object.create(MotionPath.prototype);
+    Object.assign(copy, this);
+    copy._waypoints = this._waypoints.map((point) => point.slice());
+    return copy;
+  }
+
+  /**
+   * @param {number} phase cycles since the start of the path (≥ 0)
+   * @returns {{x:number, y:number, z:number}}
+   */
+  pointAt(phase) {
+    const [u, v] = this._unitPoint(phase);
+    return { x: u * this.radius, y: this.elevation, z: v * this.radius };
+  }
+
+  /** Point on the unit-radius path: [right, back]. */
+  _unitPoint(phase) {
+    const a = 2 * Math.PI * phase;
+    switch (this.type) {
+      case 'circle':
+        // Clockwise seen from above, starting in front
+        return [Math.sin(a), -Math.cos(a)];
+      case 'figure8':
+        // Lobes to the left and right, crossing over the listener
+        return [Math.sin(a), -Math.sin(2 * a) / 2];
+      case 'random':
+        return this._walkPoint(phase);
+      default:
+        return this._recordingPoint(phase);
+    }
+  }
+
+  /** Catmull-Rom spline through the random waypoints, one span per cycle. */
+  _walkPoint(phase) {
+    const i = Math.floor(phase);
+    const f = phase - i;
+    const [p0, p1, p2, p3] = [i - 1, i, i + 1, i + 2].map((k) => this._waypoint(Math.max(0, k)));
+    const spline = (a, b, c, d) =>
+      0.5 * (2 * b + (c - a) * f + (2 * a - 5 * b + 4 * c - d) * f * f + (3 * b - a - 3 * c + d) * f * f * f);
+    return [spline(p0[0], p1[0], p2[0], p3[0]), spline(p0[1], p1[1], p2[1], p3[1])];
+  }
+
+  _waypoint(index) {
+    const points = this._waypoints;
+    if (points.length === 0) points.push([0, -1]);
+    while (points.length <= index) {
+      const [x, z] = points[points.length - 1];
+      const angle = Math.random() * 2 * Math.PI;
+      let nx = x + Math.cos(angle) * WALK_STEP;
+      let nz = z + Math.sin(angle) * WALK_STEP;
+      // Stay inside the radius
+      const length = Math.hypot(nx, nz);
+      if (length > 1) {
+        nx /= length;
+        nz /= length;
+      }
+      points.push([nx, nz]);
+    }
+    return points[index];
+  }
+
+  /** Linear interpolation along the looped recording. */
+  _recordingPoint(phase) {
+    const { times, xs, zs } = this._recording;
+    const f = phase - Math.floor(phase);
+    let hi = times.findIndex((t) => t > f);
+    if (hi === -1) hi = times.length; // closing segment back to the start
+    const lo = hi - 1;
+    const end = hi === times.length ? 1 : times[hi];
+    const next = hi === times.length ? 0 : hi;
+    const s = (f - times[lo]) / (end - times[lo]);
+    return [xs[lo] + (xs[next] - xs[lo]) * s, zs[lo] + (zs[next] - zs[lo]) * s];
+  }
+}
+
+/**
+ * Recorded [time, x, z] points → loop times 0–1 and unit-radius positions.
+ * The loop closes back to the first point over one average sample interval.
+ */
+function normalizeRecording(points) {
+  const t0 = points[0][0];
+  const last = points[points.length - 1][0] - t0;
+  const duration = last + (last > 0 ? last / (points.length - 1) : 1);
+  const scale = Math.max(...points.map(([, x, z]) => Math.hypot(x, z))) || 1;
+  return {
+    times: points.map(([t]) => (t - t0) / duration),
+    xs: points.map(([, x]) => x / scale),
+    zs: points.map(([, , z]) => z / scale),
+  };
+}
@@ -1,12 +1,66 @@
 /**
- * Spatializer — HRTF binaural spatialization via PannerNode.
+ * Spatializer — HRTF binaural spatialization via PannerNode, or via a
+ * convolution renderer when a custom HRTF set is loaded.
+ *
+ * In the default (mono) mode both source channels are downmixed and placed
+ * as one point. In stereo mode each channel gets its own panner and position
+ * — a pair of virtual speakers spread `width` degrees around the source
+ * position, or dragged apart individually.
+ *
+ * A motion path (see spatial-motion.js) moves the source on its own: path
+ * points are scheduled a little ahead as linear ramps on the panners'
+ * position params, so the movement stays smooth between timer ticks.
+ *
+ * With Doppler on, each panner is fed through a propagation delay
+ * (distance / speed of sound) that follows the source as linear ramps: the
+ * delay's rate of change is the radial velocity, which shifts the pitch.
+ *
+ * Sources closer than about 1 m get a near-field model on top of the
+ * (far-field) HRTF: per-ear level for a larger ILD, a low shelf for the bass
+ * proximity effect and a high shelf that darkens the shadowed ear. Every
+ * virtual speaker has its own stage before the speakers are summed, so in
+ * stereo mode each channel of the pair is coloured by its own distance.
  *
  * Signal flow:
- *   Source_L ──┬── directGainL ──────────────────────────→ (output L)
- *              └── inputMerger(ch0) → Panner → splitter ─→ spatGainL → (output L)
- *   Source_R ──┬── directGainR ──────────────────────────→ (output R)
- *              └── inputMerger(ch1) ─┘           └──────→ spatGainR → (output R)
+ *   Source_L ──┬── directGainL ──────────────────────────────────────────────────────→ (output L)
+ *              └── inputMerger(ch0) ─┐
+ *   Source_R ──┬── directGainR ──────│───────────────────────────────────────────────→ (output R)
+ *              └── inputMerger(ch1) ─┴─┬→ sourceDelay ─┬→ Panner → builtinGain ─┬→ splitter ──→ nearFieldL/R ─┬→ spatGainL → (output L)
+ *                                      │               └→ HrtfRenderer ─────────┘                             └→ spatGainR → (output R)
+ *                                      └→ inputSplitter ─┬→ delayL ─┬→ pannerL → pair.gainL ─┬→ pair.splitterL → pair.nearFieldL ─┤
+ *                                                        │          └→ HrtfRenderer L ───────┘                                    │
+ *                                                        └→ delayR ─┬→ pannerR → pair.gainR ─┬→ pair.splitterR → pair.nearFieldR ─┘
+ *                                                                   └→ HrtfRenderer R ───────┘
  */
+import { HrtfRenderer, MIN_ANGLE } from './hrtf-renderer.js';
+import { MotionPath } from './spatial-motion.js';
+import { glideParam } from './param-glide.js';
+
+const RENDERER_OPTIONS = { refDistance: 1, maxDistance: 10000, rolloffFactor: 1 };
+const PANNER_OPTIONS = {
+  panningModel: 'HRTF',
+  distanceModel: 'inverse',
+  ...RENDERER_OPTIONS,
+  coneInnerAngle: 360,
+  coneOuterAngle: 360,
+  coneOuterGain: 0,
+};
+
+export const DEFAULT_STEREO_WIDTH = 60; // degrees between the L and R virtual speakers
+
+const MOTION_STEP = 0.05; // seconds between scheduled motion breakpoints
+const MOTION_LOOKAHEAD = 0.5; // seconds of motion scheduled ahead
+const MOTION_TICK_MS = 100;
+
+const SPEED_OF_SOUND = 343; // m/s
+const MAX_DOPPLER_DELAY = 0.1; // s, ~34 m
+const DOPPLER_LEAD = 0.05; // s a placed source's delay takes to catch up
+const DOPPLER_GLIDE = 0.5; // s to ramp the delays when Doppler is switched
+
+const NEAR_FIELD_DISTANCE = 1; // m, where near-field effects begin
+const HEAD_RADIUS = 0.09; // m, closest modelled distance
+const FAR_FIELD = { L: { level: 0, low: 0, high: 0 }, R: { level: 0, low: 0, high: 0 } };
+
 export class Spatializer {
   constructor(ctx) {
     this.ctx = ctx;
@@ -21,23 +75,31 @@ export class Spatializer {
     // This gives right = +X, left = -X, front = -Z, back = +Z.
 
     // HRTF panner
-    this.panner = new PannerNode(ctx, {
-      panningModel: 'HRTF',
-      distanceModel: 'inverse',
-      refDistance: 1,
-      maxDistance: 10000,
-      rolloffFactor: 1,
-      coneInnerAngle: 360,
-      coneOuterAngle: 360,
-      coneOuterGain: 0,
-    });
+    this.panner = new PannerNode(ctx, PANNER_OPTIONS);
 
     // Split HRTF stereo back to per-ear
     this.splitter = ctx.createChannelSplitter(2);
 
-    // Wire merger → panner → splitter
-    this.inputMerger.connect(this.panner);
-    this.panner.connect(this.splitter);
+    // Propagation delay for Doppler (0 while it is off)
+    this.sourceDelay = ctx.createDelay(MAX_DOPPLER_DELAY);
+    this.doppler = false;
+    this._delayRampEnds = new Map(); // delay → end of its last _followDelay ramp
+
+    // Wire merger → delay → panner → splitter. builtinGain fades the panner
+    // out while a custom HRTF renderer is in use.
+    this.builtinGain = ctx.createGain();
+    this.inputMerger.connect(this.sourceDelay);
+    this.sourceDelay.connect(this.panner);
+    this.panner.connect(this.builtinGain);
+    this.builtinGain.connect(this.splitter);
+    this.renderer = null; // HrtfRenderer for a custom HRTF set
+    this.hrtf = null;
+
+    // Stereo mode: per-channel panners, built on first use
+    this.inputSplitter = ctx.createChannelSplitter(2);
+    this.inputMerger.connect(this.inputSplitter);
+    this.pair = null; // { delayL, delayR, pannerL, pannerR, gainL, gainR, splitterL, splitterR, nearFieldL, nearFieldR }
+    this.pairRenderers = null; // [L, R] HrtfRenderers
 
     // Bypass path gains (default: ON = direct pass-through)
     this.directGainL = ctx.createGain();
@@ -51,11 +113,19 @@ export class Spatializer {
     this.spatGainL.gain.value = 0;
     this.spatGainR.gain.value = 0;
 
-    // Wire splitter → spatial gains
-    this.splitter.connect(this.spatGainL, 0);
-    this.splitter.connect(this.spatGainR, 1);
+    // Near-field stage of the mono source (the pair has one per channel).
+    // Flat beyond NEAR_FIELD_DISTANCE.
+    this.nearField = true;
+    [this.nearFieldL, this.nearFieldR] = createNearFieldStage(ctx, this.splitter, [this.spatGainL, this.spatGainR]);
 
     this.active = false;
+    this.position = { x: 0, y: 0, z: 0 };
+    this.stereo = false;
+    this.width = DEFAULT_STEREO_WIDTH;
+    this.positionL = null;
+    this.positionR = null;
+    this.motion = null; // { settings, path, phase, startedAt, scheduledUntil, timer }
+    this._layoutPair();
   }
 
   /**
@@ -63,17 +133,16 @@ export class Spatializer {
    */
   setActive(on) {
     this.active = on;
-    const t = this.ctx.currentTime;
     if (on) {
-      this.directGainL.gain.setTargetAtTime(0, t, 0.02);
-      this.directGainR.gain.setTargetAtTime(0, t, 0.02);
-      this.spatGainL.gain.setTargetAtTime(1, t, 0.02);
-      this.spatGainR.gain.setTargetAtTime(1, t, 0.02);
+      glideParam(this.ctx, this.directGainL.gain, 0);
+      glideParam(this.ctx, this.directGainR.gain, 0);
+      glideParam(this.ctx, this.spatGainL.gain, 1);
+      glideParam(this.ctx, this.spatGainR.gain, 1);
     } else {
-      this.directGainL.gain.setTargetAtTime(1, t, 0.02);
-      this.directGainR.gain.setTargetAtTime(1, t, 0.02);
-      this.spatGainL.gain.setTargetAtTime(0, t, 0.02);
-      this.spatGainR.gain.setTargetAtTime(0, t, 0.02);
+      glideParam(this.ctx, this.directGainL.gain, 1);
+      glideParam(this.ctx, this.directGainR.gain, 1);
+      glideParam(this.ctx, this.spatGainL.gain, 0);
+      glideParam(this.ctx, this.spatGainR.gain, 0);
     }
   }
 
@@ -81,22 +150,549 @@ export class Spatializer {
    * Smoothly update 3D position of the virtual source.
    */
   setPosition(x, y, z) {
+    this._stopMotion();
+    this.position = { x, y, z };
+    glideParam(this.ctx, this.panner.positionX, x);
+    glideParam(this.ctx, this.panner.positionY, y);
+    glideParam(this.ctx, this.panner.positionZ, z);
+    this._followDelay(this.sourceDelay, this.position);
+    if (this.renderer) this.renderer.setPosition(x, y, z);
+    this._layoutPair();
+  }
+
+  /**
+   * Switch between one downmixed source (mono) and per-channel placement.
+   * @param {boolean} on
+   * @param {number} [smoothing] crossfade time constant in seconds (0 = immediate)
+   */
+  setStereo(on, smoothing = 0.02) {
+    this.stereo = !!on;
+    if (this.stereo) {
+      this._ensurePair();
+      if (this.hrtf && !this.pairRenderers) this.pairRenderers = this._createPairRenderers();
+    }
+    this._applyRouting(smoothing);
+    if (this.motion) this._rescheduleMotion();
+    else this._updateNearField();
+  }
+
+  /**
+   * Spread the L/R pair `degrees` apart around the source position.
+   */
+  setWidth(degrees) {
+    this.width = Math.min(Math.max(degrees, 0), 180);
+    this._layoutPair();
+    if (this.motion) this._rescheduleMotion();
+  }
+
+  /**
+   * Place one source channel on its own (stereo mode). The pair is laid out
+   * around the source position again when that or the width changes.
+   * @param {'L'|'R'} channel
+   */
+  setChannelPosition(channel, x, y, z) {
+    this[`position${channel}`] = { x, y, z };
+    this._updatePair(channel);
+    this._updateNearField();
+  }
+
+  /**
+   * Near-field model for sources closer than about 1 m (on by default).
+   * @param {boolean} on
+   */
+  setNearField(on) {
+    this.nearField = !!on;
+    if (this.motion) this._rescheduleMotion();
+    else this._updateNearField();
+  }
+
+  /**
+   * Doppler shift from the sources' radial velocity, via propagation delays.
+   * @param {boolean} on
+   * @param {number} [glide] seconds to ramp the delays in or out (0 = jump)
+   */
+  setDoppler(on, glide = DOPPLER_GLIDE) {
+    this.doppler = !!on;
+    this._delayRampEnds.clear();
     const t = this.ctx.currentTime;
-    this.panner.positionX.setTargetAtTime(x, t, 0.02);
-    this.panner.positionY.setTargetAtTime(y, t, 0.02);
-    this.panner.positionZ.setTargetAtTime(z, t, 0.02);
+    const delays = [[this.sourceDelay, this.position]];
+    if (this.pair) delays.push([this.pair.delayL, this.positionL], [this.pair.delayR, this.positionR]);
+    for (const [delay, position] of delays) {
+      const param = delay.delayTime;
+      param.cancelScheduledValues(t);
+      if (glide > 0) {
+        param.setValueAtTime(param.value, t);
+        param.linearRampToValueAtTime(this._propagationDelay(position), t + glide);
+      } else {
+        param.setValueAtTime(this._propagationDelay(position), t);
+      }
+    }
+    if (this.motion) this._rescheduleMotion();
+  }
+
+  /**
+   * Move the source along a motion path until it is placed again
+   * (setPosition) or the motion is stopped. New settings for the running
+   * path type carry on from its current phase.
+   * @param {?{path:string, speed:number, radius:number, elevation:number, points?:?Array}} settings
+   *   speed in cycles per second; null stops the motion where the source is
+   */
+  setMotion(settings) {
+    if (!settings) {
+      this._stopMotion();
+      return;
+    }
+    const prev = this.motion;
+    if (prev && prev.settings.path === settings.path && prev.settings.points === settings.points) {
+      prev.path.radius = settings.radius;
+      prev.path.elevation = settings.elevation;
+      clearInterval(prev.timer);
+      this._startMotion(settings, prev.path, this._motionPhase(this.ctx.currentTime));
+    } else {
+      const path = new MotionPath(settings);
+      this._stopMotion();
+      this._startMotion(settings, path, 0);
+    }
+  }
+
+  /**
+   * Take over another spatializer's motion where it is now — same path,
+   * random-walk waypoints and phase — so an offline render moves the source
+   * the way it was heard.
+   * @param {Spatializer} source
+   */
+  continueMotion(source) {
+    const m = source.motion;
+    this._stopMotion();
+    if (!m) return;
+    this._startMotion(m.settings, m.path.clone(), source._motionPhase(source.ctx.currentTime));
+  }
+
+  /**
+   * Move the source along `positionAt(t)` (context time), scheduled like a
+   * motion path. Offline renders use it for spatial automation lanes.
+   * @param {(t:number) => {x:number, y:number, z:number}} positionAt
+   */
+  followTrajectory(positionAt) {
+    this._stopMotion();
+    this._startMotion({ path: 'trajectory', speed: 1 }, { pointAt: positionAt }, this.ctx.currentTime);
+  }
+
+  /**
+   * Motion state plus its scheduling: a live context keeps a lookahead
+   * topped up from a timer, an offline one gets the whole render at once.
+   */
+  _startMotion(settings, path, phase) {
+    const now = this.ctx.currentTime;
+    this.motion = { settings: { ...settings }, path, phase, startedAt: now, scheduledUntil: now, timer: null };
+
+    if (this.ctx instanceof OfflineAudioContext) {
+      // Rendering runs ahead of any timer: schedule the whole render at once
+      this._rescheduleMotion(this.ctx.length / this.ctx.sampleRate);
+      if (this.renderer || this.pairRenderers) this._followMotionOffline();
+    } else {
+      this._rescheduleMotion();
+      this.motion.timer = setInterval(() => this._followMotion(), MOTION_TICK_MS);
+    }
+  }
+
+  /**
+   * Where a running motion has the source right now.
+   * @returns {?{x:number, y:number, z:number}} null without a motion
+   */
+  motionPosition() {
+    return this.motion ? this.motion.path.pointAt(this._motionPhase(this.ctx.currentTime)) : null;
+  }
+
+  /**
+   * Points along the next cycle of a running motion, for drawing it.
+   * @param {number} [count] segments
+   * @returns {Array<{x:number, y:number, z:number}>} empty without a motion
+   */
+  motionPreview(count = 64) {
+    if (!this.motion) return [];
+    const phase = this._motionPhase(this.ctx.currentTime);
+    return Array.from({ length: count + 1 }, (_, i) => this.motion.path.pointAt(phase + i / count));
+  }
+
+  /**
+   * Render through a custom HRTF set, or the browser's built-in HRTF (null).
+   * @param {?object} hrtf prepared set from prepareHrtf
+   * @param {number} [smoothing] crossfade time constant in seconds (0 = immediate)
+   */
+  setHrtf(hrtf, smoothing = 0.02) {
+    if (this.renderer) this._retireRenderer(this.renderer, this.sourceDelay, smoothing);
+    if (this.pairRenderers) {
+      this.pairRenderers.forEach((renderer, i) => this._retireRenderer(renderer, i ? this.pair.delayR : this.pair.delayL, smoothing));
+    }
+
+    this.hrtf = hrtf;
+    this.renderer = null;
+    this.pairRenderers = null;
+    if (hrtf) {
+      this.renderer = new HrtfRenderer(this.ctx, hrtf, { ...RENDERER_OPTIONS, position: this.position });
+      this.renderer.output.gain.value = 0;
+      this.sourceDelay.connect(this.renderer.input);
+      this.renderer.connect(this.splitter);
+      if (this.stereo) this.pairRenderers = this._createPairRenderers();
+    }
+    this._applyRouting(smoothing);
   }
 
   /**
    * Disconnect all nodes.
    */
   dispose() {
+    if (this.motion) clearInterval(this.motion.timer);
+    this.motion = null;
     this.inputMerger.disconnect();
+    this.sourceDelay.disconnect();
     this.panner.disconnect();
+    this.builtinGain.disconnect();
+    this.inputSplitter.disconnect();
+    if (this.pair) {
+      const { delayL, delayR, pannerL, pannerR, gainL, gainR, splitterL, splitterR } = this.pair;
+      for (const node of [delayL, delayR, pannerL, pannerR, gainL, gainR, splitterL, splitterR]) node.disconnect();
+    }
+    if (this.renderer) this.renderer.dispose();
+    if (this.pairRenderers) this.pairRenderers.forEach((r) => r.dispose());
     this.splitter.disconnect();
     this.directGainL.disconnect();
     this.directGainR.disconnect();
+    const stages = [this.nearFieldL, this.nearFieldR];
+    if (this.pair) stages.push(...this.pair.nearFieldL, ...this.pair.nearFieldR);
+    for (const stage of stages) {
+      for (const node of [stage.low, stage.high, stage.gain]) node.disconnect();
+    }
     this.spatGainL.disconnect();
     this.spatGainR.disconnect();
   }
+
+  // ─── Internal ───
+
+  /**
+   * Fade between the mono and stereo paths and the built-in and custom HRTFs.
+   */
+  _applyRouting(smoothing) {
+    const custom = !!this.hrtf;
+    const targets = [[this.builtinGain.gain, !custom && !this.stereo ? 1 : 0]];
+    if (this.pair) {
+      targets.push([this.pair.gainL.gain, !custom && this.stereo ? 1 : 0], [this.pair.gainR.gain, !custom && this.stereo ? 1 : 0]);
+    }
+    if (this.renderer) targets.push([this.renderer.output.gain, this.stereo ? 0 : 1]);
+    for (const renderer of this.pairRenderers || []) targets.push([renderer.output.gain, this.stereo ? 1 : 0]);
+
+    const t = this.ctx.currentTime;
+    for (const [param, value] of targets) {
+      if (smoothing > 0) param.setTargetAtTime(value, t, smoothing);
+      else param.value = value;
+    }
+  }
+
+  _ensurePair() {
+    if (this.pair) return;
+    const ctx = this.ctx;
+    const pair = {
+      delayL: ctx.createDelay(MAX_DOPPLER_DELAY),
+      delayR: ctx.createDelay(MAX_DOPPLER_DELAY),
+      pannerL: new PannerNode(ctx, PANNER_OPTIONS),
+      pannerR: new PannerNode(ctx, PANNER_OPTIONS),
+      gainL: ctx.createGain(),
+      gainR: ctx.createGain(),
+      splitterL: ctx.createChannelSplitter(2),
+      splitterR: ctx.createChannelSplitter(2),
+    };
+    this.inputSplitter.connect(pair.delayL, 0);
+    this.inputSplitter.connect(pair.delayR, 1);
+    for (const channel of ['L', 'R']) {
+      const gain = pair[`gain${channel}`];
+      const splitter = pair[`splitter${channel}`];
+      gain.gain.value = 0;
+      pair[`delay${channel}`].connect(pair[`panner${channel}`]);
+      pair[`panner${channel}`].connect(gain);
+      gain.connect(splitter);
+      pair[`nearField${channel}`] = createNearFieldStage(ctx, splitter, [this.spatGainL, this.spatGainR]);
+    }
+    this.pair = pair;
+    for (const channel of ['L', 'R']) {
+      const panner = pair[`panner${channel}`];
+      const position = this[`position${channel}`];
+      panner.positionX.value = position.x;
+      panner.positionY.value = position.y;
+      panner.positionZ.value = position.z;
+      pair[`delay${channel}`].delayTime.value = this._propagationDelay(position);
+    }
+  }
+
+  _createPairRenderers() {
+    return ['L', 'R'].map((channel) => {
+      const renderer = new HrtfRenderer(this.ctx, this.hrtf, { ...RENDERER_OPTIONS, position: this[`position${channel}`] });
+      renderer.output.gain.value = 0;
+      this.pair[`delay${channel}`].connect(renderer.input);
+      renderer.connect(this.pair[`splitter${channel}`]);
+      return renderer;
+    });
+  }
+
+  _retireRenderer(renderer, source, smoothing) {
+    const t = this.ctx.currentTime;
+    if (smoothing > 0) renderer.output.gain.setTargetAtTime(0, t, smoothing);
+    else renderer.output.gain.value = 0;
+    // Faded out after ~10 time constants
+    setTimeout(() => {
+      try { source.disconnect(renderer.input); } catch (_) {}
+      renderer.dispose();
+    }, smoothing * 10 * 1000);
+  }
+
+  /** Lay the L/R pair out around the source position (see pairLayout). */
+  _layoutPair() {
+    [this.positionL, this.positionR] = pairLayout(this.position, this.width);
+    this._updatePair('L');
+    this._updatePair('R');
+    this._updateNearField();
+  }
+
+  /**
+   * Near-field stage params with their value for a source point and pair
+   * layout: the mono source's stage follows the point, each pair channel's
+   * stage its own speaker.
+   */
+  _nearFieldParams() {
+    const stages = [[[this.nearFieldL, this.nearFieldR], (point) => point]];
+    if (this.pair) {
+      stages.push([this.pair.nearFieldL, (point, pair) => pair[0]], [this.pair.nearFieldR, (point, pair) => pair[1]]);
+    }
+    const ears = (position) => (this.nearField ? nearFieldEars(position) : FAR_FIELD);
+    return stages.flatMap(([[left, right], pick]) => [['L', left], ['R', right]].flatMap(([ear, stage]) => [
+      [stage.low.gain, (point, pair) => ears(pick(point, pair))[ear].low],
+      [stage.high.gain, (point, pair) => ears(pick(point, pair))[ear].high],
+      [stage.gain.gain, (point, pair) => 10 ** (ears(pick(point, pair))[ear].level / 20)],
+    ]));
+  }
+
+  _updateNearField() {
+    // Built before the near-field stage in the constructor; scheduled with a running motion
+    if (!this.nearFieldL || this.motion) return;
+    const pair = [this.positionL, this.positionR];
+    for (const [param, value] of this._nearFieldParams()) {
+      glideParam(this.ctx, param, value(this.position, pair));
+    }
+  }
+
+  /**
+   * @param {'L'|'R'} channel
+   */
+  _updatePair(channel) {
+    const pos = this[`position${channel}`];
+    // A running motion has the panners' positions scheduled already
+    if (this.pair && !this.motion) {
+      const panner = this.pair[`panner${channel}`];
+      glideParam(this.ctx, panner.positionX, pos.x);
+      glideParam(this.ctx, panner.positionY, pos.y);
+      glideParam(this.ctx, panner.positionZ, pos.z);
+      this._followDelay(this.pair[`delay${channel}`], pos);
+    }
+    if (this.pairRenderers) this.pairRenderers[channel === 'L' ? 0 : 1].setPosition(pos.x, pos.y, pos.z);
+  }
+
+  /** Source-to-listener delay for a position (0 without Doppler). */
+  _propagationDelay({ x, y, z }) {
+    return this.doppler ? Math.min(Math.hypot(x, y, z) / SPEED_OF_SOUND, MAX_DOPPLER_DELAY) : 0;
+  }
+
+  /**
+   * Ramp a delay to a placed source's new distance. Ramps end DOPPLER_LEAD
+   * ahead, so successive moves chain into a continuous delay curve whose
+   * slope is the radial velocity. Once the last ramp has ended the delay is
+   * anchored at its value now first; a ramp from that old end point would
+   * jump.
+   */
+  _followDelay(delay, position) {
+    if (!this.doppler) return;
+    const param = delay.delayTime;
+    const now = this.ctx.currentTime;
+    if (!(this._delayRampEnds.get(delay) > now)) param.setValueAtTime(param.value, now);
+    param.linearRampToValueAtTime(this._propagationDelay(position), now + DOPPLER_LEAD);
+    this._delayRampEnds.set(delay, now + DOPPLER_LEAD);
+  }
+
+  // ─── Motion ───
+
+  _motionPhase(t) {
+    const m = this.motion;
+    return m.phase + (t - m.startedAt) * m.settings.speed;
+  }
+
+  /**
+   * Position params of every panner and its propagation delay, plus the
+   * near-field stage, with their value for a path point and its pair layout.
+   */
+  _motionParams() {
+    const params = [[this.panner, this.sourceDelay, (point) => point]];
+    if (this.pair) {
+      params.push([this.pair.pannerL, this.pair.delayL, (point, pair) => pair[0]]);
+      params.push([this.pair.pannerR, this.pair.delayR, (point, pair) => pair[1]]);
+    }
+    return params.flatMap(([panner, delay, pick]) => [
+      ...['x', 'y', 'z'].map((axis) => [
+        panner[`position${axis.toUpperCase()}`],
+        (point, pair) => pick(point, pair)[axis],
+      ]),
+      [delay.delayTime, (point, pair) => this._propagationDelay(pick(point, pair))],
+    ]).concat(this._nearFieldParams());
+  }
+
+  /**
+   * Drop the ramps scheduled so far and schedule the path again from now
+   * (through `until`, default the lookahead).
+   */
+  _rescheduleMotion(until) {
+    const m = this.motion;
+    const now = this.ctx.currentTime;
+    const params = this._motionParams();
+    for (const [param] of params) {
+      param.cancelScheduledValues(now);
+      param.setValueAtTime(param.value, now);
+    }
+    this._delayRampEnds.clear();
+    m.scheduledUntil = now;
+    this._scheduleMotion(until ?? now + MOTION_LOOKAHEAD, params);
+  }
+
+  _scheduleMotion(until, params = this._motionParams()) {
+    const m = this.motion;
+    let t = m.scheduledUntil;
+    while (t < until) {
+      t += MOTION_STEP;
+      const point = m.path.pointAt(this._motionPhase(t));
+      const pair = pairLayout(point, this.width);
+      for (const [param, value] of params) param.linearRampToValueAtTime(value(point, pair), t);
+    }
+    m.scheduledUntil = t;
+  }
+
+  /**
+   * Timer tick: bring the JS-side position (readout, stereo pair, custom
+   * HRTF renderers) up to date and keep the lookahead filled.
+   */
+  _followMotion() {
+    const { x, y, z } = this.motionPosition();
+    this.position = { x, y, z };
+    if (this.renderer) this.renderer.setPosition(x, y, z);
+    this._layoutPair();
+    if (!(this.ctx instanceof OfflineAudioContext)) this._scheduleMotion(this.ctx.currentTime + MOTION_LOOKAHEAD);
+  }
+
+  /**
+   * Offline rendering: custom HRTF renderers follow the path at suspend
+   * points (their HRIRs are swapped from JS, not scheduled). A suspend is
+   * only queued once the source — or a pair speaker — has turned by the
+   * renderer's MIN_ANGLE, since smaller moves don't load a new HRIR.
+   */
+  _followMotionOffline() {
+    const ctx = this.ctx;
+    const end = ctx.length / ctx.sampleRate;
+    const minCos = Math.cos((MIN_ANGLE * Math.PI) / 180);
+    const directions = (t) => {
+      const point = this.motion.path.pointAt(this._motionPhase(t));
+      const points = this.pairRenderers ? [point, ...pairLayout(point, this.width)] : [point];
+      return points.map(({ x, y, z }) => {
+        const length = Math.hypot(x, y, z) || 1;
+        return [x / length, y / length, z / length];
+      });
+    };
+
+    this._followMotion();
+    let loaded = directions(0);
+    for (let t = MOTION_STEP; t < end; t += MOTION_STEP) {
+      const next = directions(t);
+      if (next.every((d, i) => d[0] * loaded[i][0] + d[1] * loaded[i][1] + d[2] * loaded[i][2] > minCos)) continue;
+      loaded = next;
+      ctx.suspend(t).then(() => {
+        this._followMotion();
+        ctx.resume();
+      }).catch(() => {}); // the render ended or was abandoned first
+    }
+  }
+
+  /** End a running motion, holding the source where the path has it now. */
+  _stopMotion() {
+    const m = this.motion;
+    if (!m) return;
+    clearInterval(m.timer);
+    const now = this.ctx.currentTime;
+    const point = m.path.pointAt(this._motionPhase(now));
+    const pair = pairLayout(point, this.width);
+    for (const [param, value] of this._motionParams()) {
+      param.cancelScheduledValues(now);
+      param.setValueAtTime(value(point, pair), now);
+    }
+    this._delayRampEnds.clear();
+    this.motion = null;
+    this.position = point;
+    if (this.renderer) this.renderer.setPosition(point.x, point.y, point.z);
+    this._layoutPair();
+  }
+}
+
+/**
+ * Stereo pair positions `width` degrees apart, centred on the source's
+ * azimuth at its distance (at least 1 m, where the distance model stops
+ * attenuating).
+ * @returns {Array<{x:number, y:number, z:number}>} [L, R]
+ */
+function pairLayout({ x, y, z }, width) {
+  const horizontal = Math.hypot(x, z);
+  const radius = Math.max(horizontal, 1);
+  const azimuth = horizontal > 1e-3 ? Math.atan2(x, -z) : 0; // clockwise from the front
+  const half = (width * Math.PI) / 360;
+  return [
+    { x: radius * Math.sin(azimuth - half), y, z: -radius * Math.cos(azimuth - half) },
+    { x: radius * Math.sin(azimuth + half), y, z: -radius * Math.cos(azimuth + half) },
+  ];
+}
+
+/**
+ * Per-ear near-field stage from a stereo splitter into `outputs` [L, R]:
+ * low shelf → high shelf → level, flat until its gains are set.
+ * @returns {Array<{low:BiquadFilterNode, high:BiquadFilterNode, gain:GainNode}>} [L, R]
+ */
+function createNearFieldStage(ctx, splitter, outputs) {
+  return outputs.map((output, ear) => {
+    const stage = { low: ctx.createBiquadFilter(), high: ctx.createBiquadFilter(), gain: ctx.createGain() };
+    stage.low.type = 'lowshelf';
+    stage.low.frequency.value = 200;
+    stage.high.type = 'highshelf';
+    stage.high.frequency.value = 2500;
+    splitter.connect(stage.low, ear);
+    stage.low.connect(stage.high);
+    stage.high.connect(stage.gain);
+    stage.gain.connect(output);
+    return stage;
+  });
+}
+
+function distance({ x, y, z }) {
+  return Math.hypot(x, y, z);
+}
+
+/**
+ * Per-ear near-field adjustments in dB relative to the far-field HRTF, for a
+ * source in listener coordinates: `level` (broadband), `low` (low shelf) and
+ * `high` (high shelf). All zero from NEAR_FIELD_DISTANCE out; the effects
+ * grow linearly toward HEAD_RADIUS and with how far to the side the source is.
+ * Inside the head there is no direction to model: the effects fade back out
+ * toward the centre, so an unplaced source at (0, 0, 0) is left as it is.
+ */
+function nearFieldEars(position) {
+  const dist = distance(position);
+  const approach = (NEAR_FIELD_DISTANCE - dist) / (NEAR_FIELD_DISTANCE - HEAD_RADIUS);
+  const proximity = Math.min(Math.max(approach, 0), 1) * Math.min(dist / HEAD_RADIUS, 1);
+  if (proximity === 0) return FAR_FIELD;
+  const lateral = dist > 1e-6 ? position.x / dist : 0; // -1 left … 1 right
+  const side = Math.abs(lateral);
+  const near = { level: 6 * proximity * side, low: 6 * proximity, high: 0 };
+  const far = { level: -6 * proximity * side, low: 6 * proximity * (1 - side / 2), high: -12 * proximity * side };
+  return lateral >= 0 ? { L: far, R: near } : { L: near, R: far };
 }
@@ -0,0 +1,215 @@
+import { glideParam } from './param-glide.js';
+
+/**
+ * Stem — one track in a multi-track session.
+ *
+ * Holds the decoded mono L/R buffers, a start offset on the session timeline,
+ * and a persistent gain pair that per-play source nodes feed into. The engine
+ * starts each stem's sources at its offset (AudioBufferSourceNode.start(when,
+ * offset)), so all stems share one transport without padded copies.
+ *
+ * Signal flow:
+ *   bufferL/R or loopL/R → (source nodes) → fadeL/R → gainL/R → engine process bus or bypass bus
+ *
+ * The fade pair is reserved for transport-driven envelopes (playlist
+ * crossfades) so they never collide with user gain/mute/solo ramps.
+ */
+
+/**
+ * Where a loop seam of `crossfade` seconds goes (see Stem.buildLoopBuffers):
+ * 'tail' blends the audio before loop-in into the end of the region, 'head'
+ * blends the audio after loop-out into its start, and 'wrap' — a region with
+ * no room on either side, such as the whole session — blends the region's
+ * own head into its tail. A wrapped loop repeats from loop-in + `wrap`
+ * seconds, where the blended-in head left off.
+ * @returns {{ samples: number, placement: 'tail'|'head'|'wrap', wrap: number }}
+ */
+export function loopSeam(start, end, crossfade, sessionEnd, sampleRate) {
+  const a = Math.round(start * sampleRate);
+  const b = Math.round(end * sampleRate);
+  const length = Math.round(sessionEnd * sampleRate);
+  const samples = Math.max(0, Math.min(Math.round(crossfade * sampleRate), Math.floor((b - a) / 2)));
+  const placement = a >= samples ? 'tail' : b + samples <= length ? 'head' : 'wrap';
+  return { samples, placement, wrap: placement === 'wrap' ? samples / sampleRate : 0 };
+}
+
+export class Stem {
+  /**
+   * @param {BaseAudioContext} ctx
+   * @param {{ id: number, name: string, bufferL: AudioBuffer, bufferR: AudioBuffer, offset?: number }} options
+   */
+  constructor(ctx, { id, name, bufferL, bufferR, offset = 0 }) {
+    this.ctx = ctx;
+    this.id = id;
+    this.name = name;
+    this.bufferL = bufferL;
+    this.bufferR = bufferR;
+    this.offset = offset;
+
+    this.gain = 1;
+    this.muted = false;
+    this.solo = false;
+    this.processed = true; // true = through detune/smear chain, false = bypass
+    this.analysis = null; // detected tempo/key, filled by AudioEngine.analyseTrack()
+
+    // Source nodes of the current play (set by the engine)
+    this.sources = [];
+
+    // Loop-region copies, only while looping and only when the stem's own
+    // audio can't loop in place (see buildLoopBuffers)
+    this.loopL = null;
+    this.loopR = null;
+    this._loopKey = null;
+
+    this.fadeL = ctx.createGain();
+    this.fadeR = ctx.createGain();
+    this.gainL = ctx.createGain();
+    this.gainR = ctx.createGain();
+    this.fadeL.connect(this.gainL);
+    this.fadeR.connect(this.gainR);
+  }
+
+  get duration() {
+    return this.bufferL.duration;
+  }
+
+  /** Session time (seconds) where the stem's audio ends. */
+  get end() {
+    return this.offset + this.duration;
+  }
+
+  /**
+   * Whether the stem has audio over the whole of [start, end] (seconds), so
+   * its own buffer can loop in place.
+   */
+  covers(start, end) {
+    const tolerance = 1 / this.bufferL.sampleRate;
+    return this.offset <= start + tolerance && this.end >= end - tolerance;
+  }
+
+  /**
+   * Build the copies played on repeat while the session loops from loop-in
+   * to loop-out: one loop region long, with the stem placed at its offset and
+   * the seam crossfaded.
+   *
+   * No copy is needed when the stem covers the region and there is no
+   * crossfade (its buffer loops in place), or when it has no audio in the
+   * region.
+   *
+   * The audio just before loop-in is equal-power blended into the tail of the
+   * region, so the wrap lands exactly where that audio would have continued.
+   * When the region starts too close to the beginning, the audio just after
+   * loop-out is blended into the head of the region instead; with no room on
+   * either side the head itself is blended into the tail and repeats start
+   * after it (see loopSeam).
+   *
+   * @param {number} start loop-in (seconds)
+   * @param {number} end loop-out (seconds)
+   * @param {number} crossfade seam length (seconds)
+   * @param {number} sessionEnd session length (seconds)
+   */
+  buildLoopBuffers(start, end, crossfade, sessionEnd) {
+    const key = `${start}:${end}:${crossfade}:${sessionEnd}:${this.offset}`;
+    if (key === this._loopKey) return;
+    this._loopKey = key;
+    this.loopL = null;
+    this.loopR = null;
+
+    const sampleRate = this.bufferL.sampleRate;
+    const a = Math.round(start * sampleRate);
+    const b = Math.round(end * sampleRate);
+    const { samples: n, placement } = loopSeam(start, end, crossfade, sessionEnd, sampleRate);
+
+    const first = Math.round(this.offset * sampleRate);
+    const last = first + this.bufferL.length;
+    if (n <= 0 && this.covers(start, end)) return;
+    const before = placement === 'tail' ? n : 0;
+    const after = placement === 'head' ? n : 0;
+    if (last <= a - before || first >= b + after) return; // silent in and around the region
+
+    const bake = (buffer) => {
+      const src = buffer.getChannelData(0);
+      const at = (t) => (t >= first && t < last ? src[t - first] : 0); // session sample → stem sample
+      const out = this.ctx.createBuffer(1, b - a, sampleRate);
+      const data = out.getChannelData(0);
+      for (let i = Math.max(first, a); i < Math.min(last, b); i++) data[i - a] = src[i - first];
+      for (let i = 0; i < n; i++) {
+        const theta = (i / n) * Math.PI / 2;
+        if (placement === 'tail') {
+          data[b - a - n + i] = at(b - n + i) * Math.cos(theta) + at(a - n + i) * Math.sin(theta);
+        } else if (placement === 'head') {
+          data[i] = at(a + i) * Math.sin(theta) + at(b + i) * Math.cos(theta);
+        } else {
+          data[b - a - n + i] = at(b - n + i) * Math.cos(theta) + at(a + i) * Math.sin(theta);
+        }
+      }
+      return out;
+    };
+
+    this.loopL = bake(this.bufferL);
+    this.loopR = bake(this.bufferR);
+  }
+
+  clearLoopBuffers() {
+    this.loopL = null;
+    this.loopR = null;
+    this._loopKey = null;
+  }
+
+  /**
+   * Ramp the stem gain to its effective level.
+   * @param {boolean} audible false when muted or silenced by another stem's solo
+   */
+  applyGain(audible) {
+    const level = audible ? this.gain : 0;
+    glideParam(this.ctx, this.gainL.gain, level);
+    glideParam(this.ctx, this.gainR.gain, level);
+  }
+
+  /**
+   * Schedule a fade envelope on the fade pair.
+   * @param {Float32Array} curve gain values spread evenly over the duration
+   * @param {number} when context time the fade starts
+   * @param {number} duration seconds
+   */
+  scheduleFade(curve, when, duration) {
+    this.fadeL.gain.setValueCurveAtTime(curve, when, duration);
+    this.fadeR.gain.setValueCurveAtTime(curve, when, duration);
+  }
+
+  /**
+   * Drop any scheduled fade and return to unity.
+   */
+  resetFade() {
+    for (const param of [this.fadeL.gain, this.fadeR.gain]) {
+      param.cancelScheduledValues(0);
+      param.value = 1;
+    }
+  }
+
+  /**
+   * Copy this stem's settings onto another context (used for offline rendering).
+   * The decoded buffers are shared, not copied.
+   */
+  cloneFor(ctx) {
+    const clone = new Stem(ctx, {
+      id: this.id,
+      name: this.name,
+      bufferL: this.bufferL,
+      bufferR: this.bufferR,
+      offset: this.offset,
+    });
+    clone.gain = this.gain;
+    clone.muted = this.muted;
+    clone.solo = this.solo;
+    clone.processed = this.processed;
+    return clone;
+  }
+
+  dispose() {
+    this.fadeL.disconnect();
+    this.fadeR.disconnect();
+    this.gainL.disconnect();
+    this.gainR.disconnect();
+  }
+}
@@ -0,0 +1,240 @@
+/**
+ * ToneSafety — the binaural tone bus: a level ceiling and a session exposure
+ * limit applied to the sum of all tones.
+ *
+ * Signal flow:
+ *   tones → input (merger) → exposureGain → ceilingGain → clipIn → clipper → clipOut → splitter → (engine merger)
+ *                                        └→ analyser
+ *   output gain signal → clipInScale → clipIn.gain
+ *                      └→ reciprocal → clipOutScale → clipOut.gain
+ *
+ * The ceiling is in dBFS at analyserMaster: the analyser reads the tone bus
+ * before the ceiling, the level is scaled by the gain between the bus and
+ * the master analyser (master volume), and ceilingGain pulls the bus down to
+ * stay under the ceiling — fast when the level rises, slowly when it falls.
+ * That loop is metered every TICK_MS, so a sudden rise can overshoot until
+ * the next tick; the clipper hard-limits the bus at the ceiling meanwhile.
+ * clipIn scales the ceiling to full scale, the clipper clamps to ±1 and
+ * clipOut scales back, so below the ceiling the bus passes unchanged. Both
+ * are driven on the audio thread by the same signal as the master volume
+ * (followOutputGain), so volume changes move the clip level sample by sample.
+ *
+ * Exposure counts context time while any tone is on. When it reaches the
+ * limit the bus fades out and stays closed until resetExposure().
+ */
+
+export const DEFAULT_TONE_SAFETY = Object.freeze({
+  fadeIn: 3,
+  fadeOut: 3,
+  maxExposure: 0, // seconds, 0 = no limit
+  ceilingDb: -12,
+});
+
+const TICK_MS = 100;
+const CEILING_ATTACK = 0.02;
+const CEILING_RELEASE = 1.0;
+const SILENCE_DB = -120;
+const RECIPROCAL_SIZE = 16385;
+const MIN_OUTPUT_GAIN = 0.001; // below this the clip level stops rising (-60 dB)
+
+const toDb = (gain) => (gain > 0 ? 20 * Math.log10(gain) : -Infinity);
+
+/** WaveShaper curve mapping a gain in [-1, 1] to its reciprocal. */
+function reciprocalCurve() {
+  const curve = new Float32Array(RECIPROCAL_SIZE);
+  for (let i = 0; i < RECIPROCAL_SIZE; i++) {
+    const x = (2 * i) / (RECIPROCAL_SIZE - 1) - 1;
+    curve[i] = 1 / Math.max(x, MIN_OUTPUT_GAIN);
+  }
+  return curve;
+}
+
+export class ToneSafety {
+  constructor(ctx) {
+    this.ctx = ctx;
+
+    this.input = ctx.createChannelMerger(2);
+    this.exposureGain = ctx.createGain();
+    this.ceilingGain = ctx.createGain();
+    this.clipIn = ctx.createGain();
+    this.clipper = ctx.createWaveShaper();
+    this.clipper.curve = new Float32Array([-1, 1]);
+    this.clipOut = ctx.createGain();
+    this.clipInScale = ctx.createGain();
+    this.reciprocal = ctx.createWaveShaper();
+    this.reciprocal.curve = reciprocalCurve();
+    this.clipOutScale = ctx.createGain();
+    this.analyser = ctx.createAnalyser();
+    this.analyser.fftSize = 2048;
+    this.splitter = ctx.createChannelSplitter(2);
+
+    this.input.connect(this.exposureGain);
+    this.exposureGain.connect(this.ceilingGain);
+    this.exposureGain.connect(this.analyser);
+    this.ceilingGain.connect(this.clipIn).connect(this.clipper).connect(this.clipOut).connect(this.splitter);
+
+    this.fadeIn = DEFAULT_TONE_SAFETY.fadeIn; // seconds, used by the tones and the exposure fade
+    this.fadeOut = DEFAULT_TONE_SAFETY.fadeOut;
+    this.maxExposure = DEFAULT_TONE_SAFETY.maxExposure;
+    this.ceilingDb = DEFAULT_TONE_SAFETY.ceilingDb;
+
+    this.exposure = 0; // seconds
+    this.expired = false;
+    this.levelDb = -Infinity; // tone bus at the master analyser, before the ceiling
+    this.gain = 1; // ceiling gain the bus is heading to
+    this.onExpire = null; // callback()
+
+    this._timer = null;
+    this._lastTime = null;
+    this._following = false;
+    this._samples = new Float32Array(this.analyser.fftSize);
+    this._setClipLevel();
+  }
+
+  connect(merger) {
+    this.splitter.connect(merger, 0, 0);
+    this.splitter.connect(merger, 1, 1);
+  }
+
+  /**
+   * Drive the clip level from the output gain as an audio signal (0–1), the
+   * one that also sets the master volume. Until then the clipper assumes
+   * unity output gain.
+   * @param {AudioNode} source
+   */
+  followOutputGain(source) {
+    source.connect(this.clipInScale).connect(this.clipIn.gain);
+    source.connect(this.reciprocal).connect(this.clipOutScale).connect(this.clipOut.gain);
+    this._following = true;
+    const t = this.ctx.currentTime;
+    this.clipIn.gain.setValueAtTime(0, t);
+    this.clipOut.gain.setValueAtTime(0, t);
+    this._setClipLevel();
+  }
+
+  /**
+   * Start metering and the exposure clock.
+   * @param {() => number} outputGain gain from the tone bus to the master analyser
+   * @param {() => boolean} anyActive whether any tone is switched on
+   */
+  start(outputGain, anyActive) {
+    this.stop();
+    this._lastTime = this.ctx.currentTime;
+    this._timer = setInterval(() => this._tick(outputGain(), anyActive()), TICK_MS);
+  }
+
+  stop() {
+    if (this._timer) {
+      clearInterval(this._timer);
+      this._timer = null;
+    }
+  }
+
+  setCeiling(db) {
+    this.ceilingDb = db;
+    this._setClipLevel();
+  }
+
+  /**
+   * @param {number} seconds 0 = no limit
+   */
+  setMaxExposure(seconds) {
+    this.maxExposure = Math.max(0, seconds);
+  }
+
+  /**
+   * Start a new listening session: clear the exposure clock and reopen the bus.
+   */
+  resetExposure() {
+    this.exposure = 0;
+    if (!this.expired) return;
+    this.expired = false;
+    this._rampExposureGain(1, this.fadeIn);
+  }
+
+  /**
+   * @returns {{ levelDb: number, reductionDb: number, exposure: number, maxExposure: number, expired: boolean }}
+   *   levelDb is the tone bus at the master analyser after the ceiling
+   */
+  getStatus() {
+    const reductionDb = -toDb(this.ceilingGain.gain.value);
+    return {
+      levelDb: this.levelDb - reductionDb,
+      reductionDb,
+      exposure: this.exposure,
+      maxExposure: this.maxExposure,
+      expired: this.expired,
+    };
+  }
+
+  /**
+   * Hold a fixed ceiling gain (offline renders, which have no metering loop).
+   * @param {number} gain
+   */
+  applyGain(gain) {
+    this.gain = gain;
+    this.ceilingGain.gain.value = gain;
+  }
+
+  dispose() {
+    this.stop();
+    for (const node of [this.input, this.exposureGain, this.ceilingGain, this.clipIn, this.clipper, this.clipOut,
+      this.clipInScale, this.reciprocal, this.clipOutScale, this.analyser, this.splitter]) {
+      node.disconnect();
+    }
+  }
+
+  _tick(outputGain, anyActive) {
+    const now = this.ctx.currentTime;
+    const elapsed = now - this._lastTime;
+    this._lastTime = now;
+
+    // Exposure clock
+    if (anyActive && !this.expired) {
+      this.exposure += elapsed;
+      if (this.maxExposure > 0 && this.exposure >= this.maxExposure) {
+        this.expired = true;
+        this._rampExposureGain(0, this.fadeOut);
+        if (this.onExpire) this.onExpire();
+      }
+    }
+
+    // Ceiling
+    this.analyser.getFloatTimeDomainData(this._samples);
+    let peak = 0;
+    for (let i = 0; i < this._samples.length; i++) {
+      const v = Math.abs(this._samples[i]);
+      if (v > peak) peak = v;
+    }
+    this.levelDb = toDb(peak * outputGain);
+
+    const over = this.levelDb > SILENCE_DB ? this.levelDb - this.ceilingDb : 0;
+    const target = over > 0 ? Math.pow(10, -over / 20) : 1;
+    const timeConstant = target < this.gain ? CEILING_ATTACK : CEILING_RELEASE;
+    this.gain = target;
+    this.ceilingGain.gain.setTargetAtTime(target, now, timeConstant);
+  }
+
+  /**
+   * Move the clipper to the ceiling: clipIn scales by outputGain / ceiling and
+   * clipOut by ceiling / outputGain. Both step together so the level below
+   * the ceiling doesn't change.
+   */
+  _setClipLevel() {
+    const ceiling = Math.pow(10, this.ceilingDb / 20);
+    const [pre, post] = this._following
+      ? [this.clipInScale.gain, this.clipOutScale.gain]
+      : [this.clipIn.gain, this.clipOut.gain];
+    const t = this.ctx.currentTime;
+    pre.setValueAtTime(1 / ceiling, t);
+    post.setValueAtTime(ceiling, t);
+  }
+
+  _rampExposureGain(value, seconds) {
+    const param = this.exposureGain.gain;
+    const t = this.ctx.currentTime;
+    param.cancelScheduledValues(t);
+    param.setValueAtTime(param.value, t);
+    param.linearRampToValueAtTime(value, t + Math.max(seconds, 0.02));
+  }
+}
@@ -0,0 +1,305 @@
+/**
+ * Track analysis — offline tempo and key detection on decoded buffers, used
+ * to fit binaural tones to the music they are mixed with.
+ *
+ * Both detectors work on a mono downmix decimated to ~11 kHz:
+ *  - tempo: autocorrelation of a spectral-flux onset envelope, weighted
+ *    towards 120 BPM to avoid half/double-tempo picks. A pick whose
+ *    off-beats repeat the beat in every frequency band is a fast beat seen
+ *    every other time, and is doubled;
+ *  - key: a chroma profile (Hann-windowed FFT magnitudes folded onto pitch
+ *    classes) correlated with the Krumhansl–Kessler major/minor profiles.
+ */
+
+export const NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.6, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+const TARGET_RATE = 11025;
+const ONSET_HOP = 128;
+const ONSET_FFT_SIZE = 512;
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const DOUBLE_TEMPO_RATIO = 0.8; // off-beat onset strength (relative) that doubles the pick
+const ONSET_BAND_EDGES = [200, 2000]; // Hz; off-beats must match the beat in each band
+const FFT_SIZE = 4096;
+const CHROMA_MIN_HZ = 65;
+const CHROMA_MAX_HZ = 2100;
+const FRAMES_PER_YIELD = 64;
+
+/**
+ * Detect tempo and key. Yields to the event loop between chunks so long
+ * tracks don't freeze the UI.
+ * @param {AudioBuffer} bufferL
+ * @param {AudioBuffer} bufferR
+ * @returns {Promise<{bpm: ?number, key: ?{tonic:number, mode:'major'|'minor', name:string}}>}
+ */
+export async function analyseTrack(bufferL, bufferR) {
+  const { samples, rate } = downmix(bufferL, bufferR);
+  const bpm = await detectTempo(samples, rate);
+  const key = await detectKey(samples, rate);
+  return { bpm, key };
+}
+
+/**
+ * Nearest note of the key's tonic triad (equal temperament, A4 = 440 Hz).
+ */
+export function snapToKey(hz, key) {
+  const third = key.mode === 'minor' ? 3 : 4;
+  const classes = [key.tonic, (key.tonic + third) % 12, (key.tonic + 7) % 12];
+  const midi = 69 + 12 * Math.log2(hz / 440);
+
+  let best = Math.round(midi);
+  let bestDist = Infinity;
+  for (let m = Math.floor(midi) - 6; m <= Math.ceil(midi) + 6; m++) {
+    if (!classes.includes(((m % 12) + 12) % 12)) continue;
+    const dist = Math.abs(m - midi);
+    if (dist < bestDist) {
+      best = m;
+      bestDist = dist;
+    }
+  }
+  return 440 * Math.pow(2, (best - 69) / 12);
+}
+
+/**
+ * Nearest power-of-two multiple of the beat rate (bpm / 60 Hz) within [min, max].
+ */
+export function snapToTempo(hz, bpm, { min = 0.1, max = 100 } = {}) {
+  const beatHz = bpm / 60;
+  const k = Math.round(Math.log2(Math.max(hz, min) / beatHz));
+  let snapped = beatHz * Math.pow(2, k);
+  while (snapped > max) snapped /= 2;
+  while (snapped < min) snapped *= 2;
+  return snapped;
+}
+
+function downmix(bufferL, bufferR) {
+  const dataL = bufferL.getChannelData(0);
+  const dataR = bufferR.getChannelData(0);
+  const factor = Math.max(1, Math.floor(bufferL.sampleRate / TARGET_RATE));
+  const samples = new Float32Array(Math.floor(dataL.length / factor));
+  for (let i = 0; i < samples.length; i++) {
+    let sum = 0;
+    for (let j = i * factor; j < (i + 1) * factor; j++) sum += dataL[j] + dataR[j];
+    samples[i] = sum / (2 * factor);
+  }
+  return { samples, rate: bufferL.sampleRate / factor };
+}
+
+// ─── Tempo ───
+
+async function detectTempo(samples, rate) {
+  const frames = Math.floor((samples.length - ONSET_FFT_SIZE) / ONSET_HOP);
+  const fps = rate / ONSET_HOP;
+  if (frames < fps * 4) return null;
+
+  // Onset envelope: summed rise of log-compressed bin magnitudes (spectral
+  // flux). Per-bin, so beating between sustained partials doesn't register.
+  const window = hann(ONSET_FFT_SIZE);
+  const re = new Float32Array(ONSET_FFT_SIZE);
+  const im = new Float32Array(ONSET_FFT_SIZE);
+  let prev = new Float32Array(ONSET_FFT_SIZE / 2);
+  let mags = new Float32Array(ONSET_FFT_SIZE / 2);
+  const rise = new Float32Array(frames);
+  const edges = ONSET_BAND_EDGES.map((hz) => Math.round((hz * ONSET_FFT_SIZE) / rate));
+  const bandRise = [...edges, 0].map(() => new Float32Array(frames));
+  for (let f = 0; f < frames; f++) {
+    for (let i = 0; i < ONSET_FFT_SIZE; i++) {
+      re[i] = samples[f * ONSET_HOP + i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+    let band = 0;
+    for (let k = 1; k < ONSET_FFT_SIZE / 2; k++) {
+      mags[k] = Math.log(1 + 100 * Math.hypot(re[k], im[k]));
+      if (k >= edges[band]) band++;
+      if (f > 0) bandRise[band][f] += Math.max(0, mags[k] - prev[k]);
+    }
+    for (const r of bandRise) rise[f] += r[f];
+    [prev, mags] = [mags, prev];
+    if (f % (FRAMES_PER_YIELD * 16) === 0) await new Promise((r) => setTimeout(r, 0));
+  }
+
+  const onset = onsetEnvelope(rise, fps);
+  const minLag = Math.floor((60 * fps) / MAX_BPM);
+  const maxLag = Math.ceil((60 * fps) / MIN_BPM);
+  const scores = new Float32Array(maxLag + 2);
+  for (let lag = minLag; lag <= maxLag + 1; lag++) {
+    let sum = 0;
+    for (let f = lag; f < frames; f++) sum += onset[f] * onset[f - lag];
+    // Log-Gaussian preference around 120 BPM
+    const octaves = Math.log2((60 * fps) / lag / 120);
+    scores[lag] = (sum / (frames - lag)) * Math.exp(-0.5 * (octaves / 0.9) ** 2);
+  }
+
+  let best = minLag;
+  for (let lag = minLag + 1; lag <= maxLag; lag++) {
+    if (scores[lag] > scores[best]) best = lag;
+  }
+  if (scores[best] <= 0) return null;
+
+  // Parabolic interpolation around the peak for sub-frame precision
+  const a = scores[best - 1] || 0;
+  const b = scores[best];
+  const c = scores[best + 1] || 0;
+  const denom = a - 2 * b + c;
+  const shift = denom < 0 ? (0.5 * (a - c)) / denom : 0;
+  let period = best + shift;
+
+  // A pulse on every beat also correlates at every other beat, and the
+  // weighting alone reads tempos above ~170 BPM at half speed. When the
+  // onsets halfway between the picked beats are as strong as the ones on
+  // them in every band (the same hit, not a hi-hat between kicks), the
+  // faster pulse is the beat.
+  if (period / 2 >= minLag) {
+    let beat = 0;
+    for (let phase = 1; phase < period; phase++) {
+      if (pulseStrength(onset, period, phase) > pulseStrength(onset, period, beat)) beat = phase;
+    }
+    const repeats = bandRise.every((r) => {
+      const bandOnset = onsetEnvelope(r, fps);
+      const on = pulseStrength(bandOnset, period, beat);
+      const off = pulseStrength(bandOnset, period, beat + period / 2);
+      return Math.min(on, off) >= DOUBLE_TEMPO_RATIO * Math.max(on, off);
+    });
+    if (repeats) period /= 2;
+  }
+  return Math.round(((60 * fps) / period) * 10) / 10;
+}
+
+/**
+ * Blur flux spikes so beats a frame off the lag grid still line up, then
+ * subtract the local mean to keep only peaks.
+ */
+function onsetEnvelope(rise, fps) {
+  const frames = rise.length;
+  const flux = new Float32Array(frames);
+  for (let f = 0; f < frames; f++) {
+    for (let k = -2; k <= 2; k++) {
+      if (f + k >= 0 && f + k < frames) flux[f] += (rise[f + k] * (3 - Math.abs(k))) / 3;
+    }
+  }
+
+  const half = Math.round(fps / 4);
+  const onset = new Float32Array(frames);
+  let windowSum = 0;
+  for (let f = 0; f < frames; f++) {
+    windowSum += flux[f];
+    if (f >= 2 * half + 1) windowSum -= flux[f - 2 * half - 1];
+    const center = f - half;
+    if (center >= 0) onset[center] = Math.max(0, flux[center] - windowSum / (2 * half + 1));
+  }
+  return onset;
+}
+
+/** Mean onset strength at `phase`, `phase + period`, ... (frames). */
+function pulseStrength(onset, period, phase) {
+  let sum = 0;
+  let count = 0;
+  for (let f = phase; f < onset.length; f += period) {
+    sum += onset[Math.round(f)] || 0;
+    count++;
+  }
+  return count ? sum / count : 0;
+}
+
+// ─── Key ───
+
+async function detectKey(samples, rate) {
+  const frames = Math.floor(samples.length / FFT_SIZE);
+  if (frames === 0) return null;
+
+  const window = hann(FFT_SIZE);
+
+  // Pitch class of every FFT bin inside the chroma range (-1 = ignored)
+  const binClass = new Int8Array(FFT_SIZE / 2).fill(-1);
+  for (let k = 1; k < FFT_SIZE / 2; k++) {
+    const hz = (k * rate) / FFT_SIZE;
+    if (hz < CHROMA_MIN_HZ || hz > CHROMA_MAX_HZ) continue;
+    binClass[k] = ((Math.round(69 + 12 * Math.log2(hz / 440)) % 12) + 12) % 12;
+  }
+
+  const chroma = new Float64Array(12);
+  const re = new Float32Array(FFT_SIZE);
+  const im = new Float32Array(FFT_SIZE);
+  for (let f = 0; f < frames; f++) {
+    for (let i = 0; i < FFT_SIZE; i++) {
+      re[i] = samples[f * FFT_SIZE + i] * window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+    for (let k = 1; k < FFT_SIZE / 2; k++) {
+      if (binClass[k] >= 0) chroma[binClass[k]] += Math.sqrt(Math.hypot(re[k], im[k]));
+    }
+    if (f % FRAMES_PER_YIELD === FRAMES_PER_YIELD - 1) await new Promise((r) => setTimeout(r, 0));
+  }
+  if (chroma.every((v) => v === 0)) return null;
+
+  let best = null;
+  for (let tonic = 0; tonic < 12; tonic++) {
+    for (const [mode, profile] of [['major', MAJOR_PROFILE], ['minor', MINOR_PROFILE]]) {
+      const r = correlation(chroma, (pc) => profile[(pc - tonic + 12) % 12]);
+      if (!best || r > best.r) best = { tonic, mode, r };
+    }
+  }
+  return { tonic: best.tonic, mode: best.mode, name: `${NOTE_NAMES[best.tonic]} ${best.mode}` };
+}
+
+function correlation(chroma, profileAt) {
+  let meanX = 0;
+  let meanY = 0;
+  for (let pc = 0; pc < 12; pc++) {
+    meanX += chroma[pc] / 12;
+    meanY += profileAt(pc) / 12;
+  }
+  let sxy = 0;
+  let sxx = 0;
+  let syy = 0;
+  for (let pc = 0; pc < 12; pc++) {
+    const dx = chroma[pc] - meanX;
+    const dy = profileAt(pc) - meanY;
+    sxy += dx * dy;
+    sxx += dx * dx;
+    syy += dy * dy;
+  }
+  return sxy / Math.sqrt(sxx * syy || 1);
+}
+
+function hann(size) {
+  const window = new Float32Array(size);
+  for (let i = 0; i < size; i++) window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / size);
+  return window;
+}
+
+/** In-place iterative radix-2 FFT. */
+function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let size = 2; size <= n; size <<= 1) {
+    const step = (-2 * Math.PI) / size;
+    for (let k = 0; k < size / 2; k++) {
+      const wr = Math.cos(step * k);
+      const wi = Math.sin(step * k);
+      for (let start = 0; start < n; start += size) {
+        const a = start + k;
+        const b = a + size / 2;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
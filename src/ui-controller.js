@@ -1,3 +1,18 @@
+import { AUTOMATION_PARAMS, AUTOMATION_RANGES, AutomationController } from './automation.js';
+import { AudioEngine } from './audio-engine.js';
+import { Playlist } from './playlist.js';
+import { PresetStore, exportPresets, parsePresetFile } from './preset-library.js';
+import { PresetMorph, interpolatePreset, interpolateTone, changedKeys } from './preset-morph.js';
+import { encodeSessionState, decodeSessionState } from './session-url.js';
+import { UndoHistory } from './undo-history.js';
+import { parseProgramStages, formatProgramStages } from './beat-program.js';
+import { snapToKey, snapToTempo } from './track-analysis.js';
+import { parseHrtfFile } from './hrtf-set.js';
+
+const TONE_DOT_RADIUS = 6; // px, spatial tone dots on the pad
+const MOTION_RECORD_INTERVAL = 0.05; // s between recorded freehand points
+const AUTOMATION_LANE_PAD = 6; // px above and below the value range on a lane canvas
+
 /**
  * UIController — bridges DOM controls to AudioEngine and Visualizer.
  */
@@ -14,18 +29,65 @@ export class UIController {
     this.spatialNormY = 0;
     this.spatialElevation = 0;
 
+    // Spatial motion: the recorded freehand path, a recording in progress
+    // (armed by the Record button) and the pad animation frame
+    this.freehandPoints = null;
+    this.motionRecording = null; // { start, points }
+    this.motionFrame = null;
+
+    // Selected automation breakpoint
+    this.automationSelection = null; // { lane, index }
+
     // Walking mode
     this.walkingMode = null;
 
+    // Track queue (drives gapless track changes in the engine)
+    this.playlist = new Playlist(engine);
+
+    // User preset library (IndexedDB) and timed morphs between presets
+    this.presetStore = new PresetStore();
+    this.presetMorph = new PresetMorph();
+
+    // Saved beat programs, and the timer refreshing program progress in tone rows
+    this.programStore = new PresetStore('programs');
+    this.programInterval = null;
+
+    // Loaded HRTF sets, and the one in use ('' = browser built-in)
+    this.hrtfStore = new PresetStore('hrtfs');
+    this.hrtfId = '';
+
+    // Refreshes the tone bus level / exposure readout
+    this.toneSafetyInterval = null;
+
+    // Tempo/key of the loaded track, for snapping tones to the music
+    this.trackAnalysis = null;
+    this._analysisToken = 0;
+    this._analysedStem = null; // the main stem trackAnalysis belongs to
+
+    // Undo/redo for control changes, tone add/remove and presets
+    this.history = new UndoHistory();
+    this._controlStart = new WeakMap();
+    this.nextToneRowKey = 0;
+
     this._cacheElements();
     this._bindFileHandling();
+    this._bindQueue();
+    this._bindSession();
+    this._bindLiveInput();
     this._bindTransport();
     this._bindDetune();
     this._bindPhaseSmear();
     this._bindBinauralBeat();
+    this._bindBeatPrograms();
+    this._bindToneSafety();
     this._bindSpatial();
+    this._bindSpatialMotion();
+    this._bindHrtf();
     this._bindOutput();
+    this._bindAutomation();
     this._bindPresets();
+    this._bindSessionUrl();
+    this._bindHistory();
     this._bindKeyboard();
     this._bindModeToggle();
   }
@@ -35,6 +97,7 @@ export class UIController {
    */
   setWalkingMode(walkingMode) {
     this.walkingMode = walkingMode;
+    walkingMode.toneLabel = (toneId) => this._toneRow(toneId)?.querySelector('.tone-label').textContent;
   }
 
   // ─── Element caching ───
@@ -48,6 +111,23 @@ export class UIController {
       fileInfo: document.getElementById('file-info'),
       fileName: document.getElementById('file-name'),
       fileDuration: document.getElementById('file-duration'),
+      queue: document.getElementById('queue'),
+      queueItems: document.getElementById('queue-items'),
+      queueAdd: document.getElementById('queue-add'),
+      queueInput: document.getElementById('queue-input'),
+      queueCrossfade: document.getElementById('queue-crossfade'),
+      session: document.getElementById('session'),
+      sessionStems: document.getElementById('session-stems'),
+      sessionAddStem: document.getElementById('session-add-stem'),
+      stemInput: document.getElementById('stem-input'),
+      liveInputBtn: document.getElementById('live-input-btn'),
+      liveInput: document.getElementById('live-input'),
+      liveInputLabel: document.getElementById('live-input-label'),
+      liveInputDevice: document.getElementById('live-input-device'),
+      liveInputChL: document.getElementById('live-input-ch-l'),
+      liveInputChR: document.getElementById('live-input-ch-r'),
+      liveInputGain: document.getElementById('live-input-gain'),
+      liveInputStop: document.getElementById('live-input-stop'),
       transport: document.getElementById('transport'),
       btnPlay: document.getElementById('btn-play'),
       btnPause: document.getElementById('btn-pause'),
@@ -55,8 +135,23 @@ export class UIController {
       seekBar: document.getElementById('seek-bar'),
       timeDisplay: document.getElementById('time-display'),
       btnLoop: document.getElementById('btn-loop'),
+      loopRegion: document.getElementById('loop-region'),
+      loopMarkerIn: document.getElementById('loop-marker-in'),
+      loopMarkerOut: document.getElementById('loop-marker-out'),
+      loopCrossfade: document.getElementById('loop-crossfade'),
       controls: document.getElementById('controls'),
       presets: document.getElementById('presets'),
+      presetLibrary: document.getElementById('preset-library'),
+      presetName: document.getElementById('preset-name'),
+      presetSave: document.getElementById('preset-save'),
+      presetRename: document.getElementById('preset-rename'),
+      presetDelete: document.getElementById('preset-delete'),
+      presetExport: document.getElementById('preset-export'),
+      presetImport: document.getElementById('preset-import'),
+      presetImportInput: document.getElementById('preset-import-input'),
+      presetStatus: document.getElementById('preset-status'),
+      presetMorphTime: document.getElementById('preset-morph-time'),
+      btnShare: document.getElementById('btn-share'),
       visualization: document.getElementById('visualization'),
       smearIndicator: document.getElementById('smear-indicator'),
       // Detune
@@ -66,6 +161,10 @@ export class UIController {
       detuneRVal: document.getElementById('detune-r-val'),
       detuneLink: document.getElementById('detune-link'),
       detuneLinkMode: document.getElementById('detune-link-mode'),
+      formantL: document.getElementById('formant-l'),
+      formantR: document.getElementById('formant-r'),
+      pitchQuality: document.getElementById('pitch-quality'),
+      pitchProfile: document.getElementById('pitch-profile'),
       // Smear
       smearDepth: document.getElementById('smear-depth'),
       smearDepthVal: document.getElementById('smear-depth-val'),
@@ -80,8 +179,42 @@ export class UIController {
       // Binaural
       binauralTones: document.getElementById('binaural-tones'),
       binauralAddTone: document.getElementById('binaural-add-tone'),
+      trackAnalysis: document.getElementById('track-analysis'),
+      programLibrary: document.getElementById('program-library'),
+      programName: document.getElementById('program-name'),
+      programStages: document.getElementById('program-stages'),
+      programSave: document.getElementById('program-save'),
+      programDelete: document.getElementById('program-delete'),
+      programStatus: document.getElementById('program-status'),
+      toneFadeIn: document.getElementById('tone-fade-in'),
+      toneFadeInVal: document.getElementById('tone-fade-in-val'),
+      toneFadeOut: document.getElementById('tone-fade-out'),
+      toneFadeOutVal: document.getElementById('tone-fade-out-val'),
+      toneMaxExposure: document.getElementById('tone-max-exposure'),
+      toneMaxExposureVal: document.getElementById('tone-max-exposure-val'),
+      toneCeiling: document.getElementById('tone-ceiling'),
+      toneCeilingVal: document.getElementById('tone-ceiling-val'),
+      toneSafetyStatus: document.getElementById('tone-safety-status'),
+      toneExposureReset: document.getElementById('tone-exposure-reset'),
       // Spatial
       spatialActive: document.getElementById('spatial-active'),
+      spatialStereo: document.getElementById('spatial-stereo'),
+      spatialWidthControls: document.getElementById('spatial-width-controls'),
+      spatialWidth: document.getElementById('spatial-width'),
+      spatialWidthVal: document.getElementById('spatial-width-val'),
+      spatialMotion: document.getElementById('spatial-motion'),
+      spatialMotionControls: document.getElementById('spatial-motion-controls'),
+      spatialMotionPath: document.getElementById('spatial-motion-path'),
+      spatialMotionRecord: document.getElementById('spatial-motion-record'),
+      spatialMotionSpeed: document.getElementById('spatial-motion-speed'),
+      spatialMotionSpeedVal: document.getElementById('spatial-motion-speed-val'),
+      spatialMotionRadius: document.getElementById('spatial-motion-radius'),
+      spatialMotionRadiusVal: document.getElementById('spatial-motion-radius-val'),
+      spatialMotionElev: document.getElementById('spatial-motion-elev'),
+      spatialMotionElevVal: document.getElementById('spatial-motion-elev-val'),
+      spatialMotionStatus: document.getElementById('spatial-motion-status'),
+      spatialDoppler: document.getElementById('spatial-doppler'),
+      spatialNearField: document.getElementById('spatial-near-field'),
       spatialPad: document.getElementById('spatial-pad'),
       spatialAzimuth: document.getElementById('spatial-azimuth'),
       spatialDistance: document.getElementById('spatial-distance'),
@@ -89,12 +222,26 @@ export class UIController {
       spatialElevVal: document.getElementById('spatial-elev-val'),
       spatialX: document.getElementById('spatial-x'),
       spatialZ: document.getElementById('spatial-z'),
+      hrtfSelect: document.getElementById('hrtf-select'),
+      hrtfLoad: document.getElementById('hrtf-load'),
+      hrtfDelete: document.getElementById('hrtf-delete'),
+      hrtfInput: document.getElementById('hrtf-input'),
+      hrtfStatus: document.getElementById('hrtf-status'),
       // Output
       masterVol: document.getElementById('master-vol'),
       masterVolVal: document.getElementById('master-vol-val'),
       dryWet: document.getElementById('dry-wet'),
       dryWetVal: document.getElementById('dry-wet-val'),
       compressorActive: document.getElementById('compressor-active'),
+      exportFormat: document.getElementById('export-format'),
+      btnExport: document.getElementById('btn-export'),
+      exportStatus: document.getElementById('export-status'),
+      // Automation
+      automationActive: document.getElementById('automation-active'),
+      automationParam: document.getElementById('automation-param'),
+      automationTone: document.getElementById('automation-tone'),
+      automationAdd: document.getElementById('automation-add'),
+      automationLanes: document.getElementById('automation-lanes'),
     };
   }
 
@@ -118,17 +265,25 @@ export class UIController {
     dz.addEventListener('drop', (e) => {
       e.preventDefault();
       dz.classList.remove('drag-over');
-      const file = e.dataTransfer.files[0];
-      if (file) this._handleFile(file);
+      const [file, ...rest] = e.dataTransfer.files;
+      if (!file) return;
+      // Extra files go into the queue behind the first one
+      this._handleFile(file).then(() => {
+        if (this.fileLoaded) this.playlist.add(rest.filter((f) => this._isAudioFile(f)));
+      });
     });
   }
 
-  async _handleFile(file) {
+  _isAudioFile(file) {
     // Validate audio MIME (fall back to extension if type is empty)
     const audioExts = ['.mp3', '.wav', '.ogg', '.flac', '.aac', '.m4a', '.webm'];
     const hasAudioType = file.type && file.type.startsWith('audio/');
     const hasAudioExt = audioExts.some((ext) => file.name.toLowerCase().endsWith(ext));
-    if (!hasAudioType && !hasAudioExt) {
+    return hasAudioType || hasAudioExt;
+  }
+
+  async _handleFile(file) {
+    if (!this._isAudioFile(file)) {
       this._showError('Please drop an audio file (MP3, WAV, OGG, FLAC).');
       return;
     }
@@ -145,50 +300,117 @@ export class UIController {
       await this.engine.init();
 
       const info = await this.engine.loadFile(file);
-
-      // Setup visualizer
-      this.vis.setAnalysers(
-        this.engine.analyserL,
-        this.engine.analyserR,
-        this.engine.analyserMaster
-      );
-
-      // Show file info
-      this.el.fileName.textContent = info.name;
-      this.el.fileDuration.textContent =
-        `${this._formatTime(info.duration)} | ${info.channels}ch | ${info.sampleRate}Hz`;
+      this.playlist.reset(file);
+      this._showTrackInfo(info);
 
       // Reveal hidden sections
       this.el.fileInfo.hidden = false;
+      this.el.queue.hidden = false;
+      this.el.session.hidden = false;
       this.el.transport.hidden = false;
-      this.el.controls.hidden = false;
-      this.el.presets.hidden = false;
-      this.el.visualization.hidden = false;
-
-      // Reset transport UI
-      this.el.seekBar.max = info.duration;
-      this.el.seekBar.value = 0;
-      this._updateTimeDisplay();
+      this._showWorkspace();
 
       // Set engine callback for playback end
       this.engine.onPlaybackEnded = () => this._onPlaybackEnded();
 
       this.fileLoaded = true;
+    } catch (err) {
+      this._showError(`Error decoding audio: ${err.message}`);
+    }
+  }
 
-      // Add default binaural tone on first file load
-      if (!this.binauralInitialized) {
-        this._addBinauralToneRow();
-        this.binauralInitialized = true;
-      }
+  /**
+   * Reveal the effect controls and start the visualizer (file or live input).
+   */
+  _showWorkspace() {
+    this._startToneSafetyInterval();
+    this.el.controls.hidden = false;
+    this.el.presets.hidden = false;
+    this.el.visualization.hidden = false;
+
+    this.vis.setAnalysers(
+      this.engine.analyserL,
+      this.engine.analyserR,
+      this.engine.analyserMaster
+    );
+
+    // Add default binaural tone the first time the workspace opens
+    if (!this.binauralInitialized) {
+      this._addBinauralToneRow();
+      this.binauralInitialized = true;
+    }
 
-      // Redraw spatial pad now that controls are visible
-      requestAnimationFrame(() => this._drawSpatialPad());
+    // Restore a shared session link once the engine exists
+    if (this._pendingSession) {
+      const state = this._pendingSession;
+      this._pendingSession = null;
+      this._restoreSession(state);
+    }
 
-      // Start visualizer
-      this.vis.start();
-    } catch (err) {
-      this._showError(`Error decoding audio: ${err.message}`);
+    // Redraw spatial pad now that controls are visible
+    requestAnimationFrame(() => this._drawSpatialPad());
+
+    this.vis.start();
+  }
+
+  /**
+   * Show file info for a newly loaded track and reset the transport UI.
+   */
+  _showTrackInfo(info) {
+    this.el.fileName.textContent = info.name;
+    this.el.fileDuration.textContent =
+      `${this._formatTime(info.duration)} | ${info.channels}ch | ${info.sampleRate}Hz`;
+
+    this.el.seekBar.max = info.duration;
+    this.el.seekBar.value = this.engine.getCurrentTime();
+    this._updateTimeDisplay();
+    this._renderStems();
+    this._renderLoopMarkers();
+    this._analyseTrack();
+  }
+
+  /**
+   * Detect tempo and key of the main (first) stem in the background, then
+   * offer snapping in the tone rows. Results for a stem that has since been
+   * replaced are dropped.
+   */
+  async _analyseTrack() {
+    const token = ++this._analysisToken;
+    this.trackAnalysis = null;
+    this._analysedStem = this.engine.stems[0] || null;
+    if (!this._analysedStem) {
+      this._renderTrackAnalysis('');
+      return;
+    }
+    this._renderTrackAnalysis('Analysing track…');
+
+    let analysis = null;
+    try {
+      analysis = await this.engine.analyseTrack();
+    } catch (_) {
+      if (token === this._analysisToken) this._renderTrackAnalysis('Track: analysis failed');
+      return;
     }
+    if (token !== this._analysisToken) return;
+
+    this.trackAnalysis = analysis;
+    const parts = [];
+    if (analysis?.bpm) parts.push(`${analysis.bpm} BPM`);
+    if (analysis?.key) parts.push(analysis.key.name);
+    this._renderTrackAnalysis(parts.length ? `Track: ${parts.join(' · ')}` : 'Track: no tempo or key detected');
+  }
+
+  _renderTrackAnalysis(text) {
+    this.el.trackAnalysis.textContent = text;
+    this.el.trackAnalysis.hidden = !text;
+    for (const row of this.el.binauralTones.querySelectorAll('.binaural-tone')) this._showToneSync(row);
+  }
+
+  _showToneSync(row) {
+    const a = this.trackAnalysis;
+    row.querySelector('.tone-snap-key').hidden = !a?.key;
+    row.querySelector('.tone-snap-tempo').hidden = !a?.bpm;
+    row.querySelector('.tone-sync').hidden = !a?.key && !a?.bpm;
   }
 
   _showError(msg) {
@@ -196,6 +418,247 @@ export class UIController {
     this.el.dropError.hidden = !msg;
   }
 
+  // ─── Playlist queue ───
+
+  _bindQueue() {
+    this.playlist.onChange = () => this._renderQueue();
+    this.playlist.onTrackChange = (info) => this._showTrackInfo(info);
+
+    this.el.queueAdd.addEventListener('click', () => this.el.queueInput.click());
+    this.el.queueInput.addEventListener('change', (e) => {
+      this.playlist.add([...e.target.files].filter((f) => this._isAudioFile(f)));
+      e.target.value = '';
+    });
+
+    this.el.queueCrossfade.addEventListener('change', () => {
+      const val = parseFloat(this.el.queueCrossfade.value);
+      this.playlist.setCrossfade(Number.isFinite(val) ? val : 0);
+      this.el.queueCrossfade.value = this.playlist.crossfade;
+    });
+  }
+
+  async _playQueueItem(index) {
+    try {
+      const info = await this.playlist.load(index);
+      if (!info) return;
+      this._showError('');
+      this._showTrackInfo(info);
+      this._play();
+    } catch (err) {
+      this._showError(`Error decoding audio: ${err.message}`);
+    }
+  }
+
+  _renderQueue() {
+    const container = this.el.queueItems;
+    container.innerHTML = '';
+    const { items, currentIndex } = this.playlist;
+
+    items.forEach((item, index) => {
+      const row = document.createElement('div');
+      row.className = 'queue-row';
+      row.classList.toggle('active', index === currentIndex);
+      row.classList.toggle('error', !!item.error);
+      row.innerHTML = `
+        <span class="queue-index">${index + 1}</span>
+        <span class="stem-name"></span>
+        <button class="btn btn-stem-toggle queue-up" title="Move up" ${index === 0 ? 'disabled' : ''}>&#9650;</button>
+        <button class="btn btn-stem-toggle queue-down" title="Move down" ${index === items.length - 1 ? 'disabled' : ''}>&#9660;</button>
+        <button class="btn btn-tone-remove" title="Remove from queue" ${index === currentIndex ? 'hidden' : ''}>&times;</button>
+      `;
+
+      const nameEl = row.querySelector('.stem-name');
+      nameEl.textContent = item.name;
+      nameEl.title = item.error ? `Could not decode: ${item.error}` : 'Play now';
+      nameEl.addEventListener('click', () => this._playQueueItem(index));
+
+      row.querySelector('.queue-up').addEventListener('click', () => {
+        this.playlist.move(item.id, index - 1);
+      });
+      row.querySelector('.queue-down').addEventListener('click', () => {
+        this.playlist.move(item.id, index + 1);
+      });
+      row.querySelector('.btn-tone-remove').addEventListener('click', () => {
+        this.playlist.remove(item.id);
+      });
+
+      container.appendChild(row);
+    });
+  }
+
+  // ─── Session stems ───
+
+  _bindSession() {
+    this.el.sessionAddStem.addEventListener('click', () => this.el.stemInput.click());
+    this.el.stemInput.addEventListener('change', (e) => {
+      if (e.target.files.length) this._handleAddStem(e.target.files[0]);
+      e.target.value = '';
+    });
+  }
+
+  async _handleAddStem(file) {
+    if (!this._isAudioFile(file)) {
+      this._showError('Please choose an audio file (MP3, WAV, OGG, FLAC).');
+      return;
+    }
+    this._showError('');
+
+    try {
+      await this.engine.addStem(file);
+      this._renderStems();
+      this._onSessionChanged();
+    } catch (err) {
+      this._showError(`Error decoding audio: ${err.message}`);
+    }
+  }
+
+  /**
+   * Refresh transport + file info after the session length changed.
+   */
+  _onSessionChanged() {
+    const stems = this.engine.stems;
+    this.el.seekBar.max = this.engine.duration;
+    this.el.seekBar.value = this.engine.getCurrentTime();
+    if (stems.length > 1) {
+      this.el.fileName.textContent = `Session — ${stems.length} stems`;
+      this.el.fileDuration.textContent = this._formatTime(this.engine.duration);
+    }
+    this._updateTimeDisplay();
+    this._renderLoopMarkers();
+    // Removing the first stem promotes another to main
+    if (stems[0] !== this._analysedStem) this._analyseTrack();
+  }
+
+  _renderStems() {
+    const container = this.el.sessionStems;
+    container.innerHTML = '';
+    const stems = this.engine.stems;
+
+    for (const stem of stems) {
+      const row = document.createElement('div');
+      row.className = 'stem-row';
+      row.dataset.stemId = stem.id;
+      row.innerHTML = `
+        <span class="stem-name"></span>
+        <button class="btn btn-stem-toggle stem-mute ${stem.muted ? 'active' : ''}" title="Mute">M</button>
+        <button class="btn btn-stem-toggle stem-solo ${stem.solo ? 'active' : ''}" title="Solo">S</button>
+        <label class="toggle-label" title="Route through detune / smear">
+          <input type="checkbox" class="stem-fx" ${stem.processed ? 'checked' : ''} /> FX
+        </label>
+        <label class="stem-offset-label">@
+          <input type="number" class="stem-offset" min="0" step="0.1" value="${stem.offset.toFixed(1)}" />s
+        </label>
+        <input type="range" class="stem-gain" min="0" max="1.5" step="0.01" value="${stem.gain}" title="Gain" />
+        <button class="btn btn-tone-remove" title="Remove stem" ${stems.length === 1 ? 'hidden' : ''}>&times;</button>
+      `;
+
+      const nameEl = row.querySelector('.stem-name');
+      nameEl.textContent = stem.name;
+      nameEl.title = stem.name;
+
+      const muteBtn = row.querySelector('.stem-mute');
+      const soloBtn = row.querySelector('.stem-solo');
+
+      muteBtn.addEventListener('click', () => {
+        this.engine.setStemMute(stem.id, !stem.muted);
+        muteBtn.classList.toggle('active', stem.muted);
+      });
+      soloBtn.addEventListener('click', () => {
+        this.engine.setStemSolo(stem.id, !stem.solo);
+        soloBtn.classList.toggle('active', stem.solo);
+      });
+      row.querySelector('.stem-fx').addEventListener('change', (e) => {
+        this.engine.setStemProcessed(stem.id, e.target.checked);
+      });
+      row.querySelector('.stem-offset').addEventListener('change', (e) => {
+        const val = parseFloat(e.target.value);
+        this.engine.setStemOffset(stem.id, Number.isFinite(val) ? val : 0);
+        e.target.value = stem.offset.toFixed(1);
+        this._onSessionChanged();
+      });
+      row.querySelector('.stem-gain').addEventListener('input', (e) => {
+        this.engine.setStemGain(stem.id, parseFloat(e.target.value));
+      });
+      row.querySelector('.btn-tone-remove').addEventListener('click', () => {
+        this.engine.removeStem(stem.id);
+        this._renderStems();
+        this._onSessionChanged();
+      });
+
+      container.appendChild(row);
+    }
+  }
+
+  // ─── Live input ───
+
+  _bindLiveInput() {
+    this.el.liveInputBtn.addEventListener('click', () => this._startLiveInput());
+    this.el.liveInputStop.addEventListener('click', () => this._stopLiveInput());
+
+    this.el.liveInputDevice.addEventListener('change', () => {
+      this._startLiveInput(this.el.liveInputDevice.value);
+    });
+
+    const onRouting = () => {
+      this.engine.setLiveInputRouting(
+        parseInt(this.el.liveInputChL.value, 10),
+        parseInt(this.el.liveInputChR.value, 10)
+      );
+    };
+    this.el.liveInputChL.addEventListener('change', onRouting);
+    this.el.liveInputChR.addEventListener('change', onRouting);
+
+    this.el.liveInputGain.addEventListener('input', () => {
+      this.engine.setLiveInputGain(parseFloat(this.el.liveInputGain.value));
+    });
+  }
+
+  async _startLiveInput(deviceId) {
+    try {
+      await this.engine.init();
+      const info = await this.engine.startLiveInput({ deviceId });
+      this.engine.setLiveInputGain(parseFloat(this.el.liveInputGain.value));
+      this._showError('');
+
+      this.el.liveInputLabel.textContent = info.label;
+      this.el.liveInputLabel.title = info.label;
+      this._fillChannelSelect(this.el.liveInputChL, info.channels, info.channelL);
+      this._fillChannelSelect(this.el.liveInputChR, info.channels, info.channelR);
+      await this._fillDeviceSelect(deviceId);
+
+      this.el.liveInput.hidden = false;
+      this.el.liveInputBtn.hidden = true;
+      this._showWorkspace();
+    } catch (err) {
+      this._showError(`Could not open live input: ${err.message}`);
+    }
+  }
+
+  _stopLiveInput() {
+    this.engine.stopLiveInput();
+    this.el.liveInput.hidden = true;
+    this.el.liveInputBtn.hidden = false;
+  }
+
+  _fillChannelSelect(select, count, selected) {
+    select.innerHTML = '';
+    for (let i = 0; i < count; i++) {
+      select.add(new Option(String(i + 1), String(i), false, i === selected));
+    }
+  }
+
+  async _fillDeviceSelect(selectedId) {
+    const select = this.el.liveInputDevice;
+    const devices = await AudioEngine.listInputDevices();
+    select.innerHTML = '';
+    select.add(new Option('Default input', ''));
+    devices.forEach((d, i) => {
+      if (d.deviceId === 'default' || !d.deviceId) return;
+      select.add(new Option(d.label || `Input ${i + 1}`, d.deviceId));
+    });
+    select.value = selectedId || '';
+  }
+
   // ─── Transport ───
 
   _bindTransport() {
@@ -218,6 +681,94 @@ export class UIController {
 
     // Loop
     this.el.btnLoop.addEventListener('click', () => this._toggleLoop());
+    this.el.loopCrossfade.addEventListener('change', () => {
+      const ms = parseFloat(this.el.loopCrossfade.value);
+      this.engine.setLoopCrossfade(Number.isFinite(ms) ? ms / 1000 : 0);
+      this.el.loopCrossfade.value = Math.round(this.engine.loopCrossfade * 1000);
+    });
+    this._bindLoopMarker(this.el.loopMarkerIn, 'in');
+    this._bindLoopMarker(this.el.loopMarkerOut, 'out');
+  }
+
+  /**
+   * Drag a loop marker along the seek bar; the engine is updated on release.
+   * @param {'in'|'out'} which
+   */
+  _bindLoopMarker(marker, which) {
+    let dragTime = null;
+
+    marker.addEventListener('pointerdown', (e) => {
+      e.preventDefault();
+      marker.setPointerCapture(e.pointerId);
+      dragTime = which === 'in' ? this.engine.loopStart : this._loopOutTime();
+    });
+    marker.addEventListener('pointermove', (e) => {
+      if (dragTime === null) return;
+      const rect = this.el.seekBar.getBoundingClientRect();
+      const frac = Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+      dragTime = frac * this.engine.duration;
+      this._renderLoopMarkers(which === 'in' ? dragTime : null, which === 'out' ? dragTime : null);
+    });
+    const finish = () => {
+      if (dragTime === null) return;
+      if (which === 'in') this.engine.setLoopRegion(dragTime, null);
+      else this.engine.setLoopRegion(null, dragTime);
+      dragTime = null;
+      this._renderLoopMarkers();
+    };
+    marker.addEventListener('pointerup', finish);
+    marker.addEventListener('pointercancel', finish);
+  }
+
+  _setLoopPoint(which) {
+    const time = this.engine.getCurrentTime();
+    if (which === 'in') {
+      // The engine resets loop-out to the end if loop-in moves past it
+      this.engine.setLoopRegion(time, null);
+    } else {
+      this.engine.setLoopRegion(null, time);
+    }
+    this._renderLoopMarkers();
+  }
+
+  _clearLoopRegion() {
+    this.engine.clearLoopRegion();
+    this._renderLoopMarkers();
+  }
+
+  _loopOutTime() {
+    return this.engine.loopEnd || this.engine.duration;
+  }
+
+  _positionLoopMarker(marker, time) {
+    const duration = this.engine.duration;
+    marker.style.left = `${duration > 0 ? (time / duration) * 100 : 0}%`;
+  }
+
+  /**
+   * Place the loop markers and region highlight. The markers sit at the
+   * session edges until moved, so they can be dragged in; the highlight is
+   * only shown once a region narrower than the whole session is set.
+   * @param {?number} [start] override loop-in (while dragging)
+   * @param {?number} [end] override loop-out (while dragging)
+   */
+  _renderLoopMarkers(start = null, end = null) {
+    const duration = this.engine.duration;
+    const a = start ?? this.engine.loopStart;
+    const b = end ?? this._loopOutTime();
+    const hasRegion = duration > 0 && (a > 0 || b < duration);
+
+    this.el.loopMarkerIn.hidden = duration <= 0;
+    this.el.loopMarkerOut.hidden = duration <= 0;
+    this.el.loopRegion.hidden = !hasRegion;
+    if (duration <= 0) return;
+
+    this._positionLoopMarker(this.el.loopMarkerIn, a);
+    this._positionLoopMarker(this.el.loopMarkerOut, b);
+    if (!hasRegion) return;
+    const left = (Math.min(a, b) / duration) * 100;
+    this.el.loopRegion.style.left = `${left}%`;
+    this.el.loopRegion.style.width = `${(Math.abs(b - a) / duration) * 100}%`;
   }
 
   _play() {
@@ -323,6 +874,22 @@ export class UIController {
         this._applyLinkedDetune(parseInt(this.el.detuneL.value), 'L');
       }
     });
+
+    this.el.formantL.addEventListener('change', () => {
+      this.engine.setFormantPreservation('L', this.el.formantL.checked);
+    });
+
+    this.el.formantR.addEventListener('change', () => {
+      this.engine.setFormantPreservation('R', this.el.formantR.checked);
+    });
+
+    this.el.pitchQuality.addEventListener('change', () => {
+      this.engine.setPitchQuality(this.el.pitchQuality.value);
+    });
+
+    this.el.pitchProfile.addEventListener('change', () => {
+      this.engine.setPitchProfile(this.el.pitchProfile.value);
+    });
   }
 
   _applyLinkedDetune(val, source) {
@@ -400,8 +967,210 @@ export class UIController {
 
   _bindBinauralBeat() {
     this.el.binauralAddTone.addEventListener('click', () => {
-      this._addBinauralToneRow({ active: true });
+      const toneId = this._addBinauralToneRow({ active: true });
+      if (toneId === null) return;
+      const row = this._toneRow(toneId);
+      const { rowKey } = row.dataset;
+      const config = this._toneConfig(toneId);
+      const index = this._toneRowIndex(row);
+      this.history.push({
+        undo: () => this._removeToneRow(rowKey),
+        redo: () => this._addBinauralToneRow(config, { rowKey, index }),
+      });
+    });
+  }
+
+  // ─── Tone safety ───
+
+  _bindToneSafety() {
+    const el = this.el;
+
+    el.toneFadeIn.addEventListener('input', () => {
+      const seconds = parseFloat(el.toneFadeIn.value);
+      el.toneFadeInVal.textContent = seconds.toFixed(1);
+      this.engine.setToneSafety({ fadeIn: seconds });
+    });
+
+    el.toneFadeOut.addEventListener('input', () => {
+      const seconds = parseFloat(el.toneFadeOut.value);
+      el.toneFadeOutVal.textContent = seconds.toFixed(1);
+      this.engine.setToneSafety({ fadeOut: seconds });
+    });
+
+    el.toneMaxExposure.addEventListener('input', () => {
+      const minutes = parseInt(el.toneMaxExposure.value);
+      el.toneMaxExposureVal.textContent = minutes > 0 ? `${minutes} min` : 'Off';
+      this.engine.setToneSafety({ maxExposure: minutes * 60 });
+    });
+
+    el.toneCeiling.addEventListener('input', () => {
+      const db = parseFloat(el.toneCeiling.value);
+      el.toneCeilingVal.textContent = db;
+      this.engine.setToneSafety({ ceilingDb: db });
+    });
+
+    el.toneExposureReset.addEventListener('click', () => {
+      this.engine.resetToneExposure();
+      this._updateToneSafetyStatus();
+    });
+
+    // The engine has already faded the tones out; reflect it in the rows
+    this.engine.onToneExposureExpired = () => {
+      for (const checkbox of this.el.binauralTones.querySelectorAll('.tone-active')) checkbox.checked = false;
+      this._updateToneSafetyStatus();
+    };
+  }
+
+  /**
+   * Move the safety sliders and badges to the given engine settings.
+   */
+  _syncToneSafetyControls({ fadeIn, fadeOut, maxExposure, ceilingDb }) {
+    const el = this.el;
+    const minutes = Math.round(maxExposure / 60);
+    el.toneFadeIn.value = fadeIn;
+    el.toneFadeInVal.textContent = fadeIn.toFixed(1);
+    el.toneFadeOut.value = fadeOut;
+    el.toneFadeOutVal.textContent = fadeOut.toFixed(1);
+    el.toneMaxExposure.value = minutes;
+    el.toneMaxExposureVal.textContent = minutes > 0 ? `${minutes} min` : 'Off';
+    el.toneCeiling.value = ceilingDb;
+    el.toneCeilingVal.textContent = ceilingDb;
+  }
+
+  _startToneSafetyInterval() {
+    if (this.toneSafetyInterval) return;
+    this.toneSafetyInterval = setInterval(() => this._updateToneSafetyStatus(), 500);
+  }
+
+  _updateToneSafetyStatus() {
+    const status = this.engine.getToneSafetyStatus();
+    const el = this.el.toneSafetyStatus;
+    if (!status) {
+      el.textContent = '';
+      return;
+    }
+    const db = (v) => (Number.isFinite(v) ? v.toFixed(1) : '-∞');
+    const parts = [`Tones ${db(status.levelDb)} / master ${db(status.masterDb)} dBFS`];
+    if (status.reductionDb >= 0.1) parts.push(`ceiling −${status.reductionDb.toFixed(1)} dB`);
+    const limit = status.maxExposure > 0 ? ` / ${this._formatTime(status.maxExposure)}` : '';
+    parts.push(`exposure ${this._formatTime(status.exposure)}${limit}`);
+    if (status.expired) parts.push('limit reached, reset to continue');
+    el.textContent = parts.join(' · ');
+    el.classList.toggle('expired', status.expired);
+  }
+
+  // ─── Beat programs ───
+
+  _bindBeatPrograms() {
+    const el = this.el;
+
+    el.programLibrary.addEventListener('change', async () => {
+      const id = el.programLibrary.value;
+      if (!id) return;
+      const record = await this._programAction(() => this.programStore.get(id));
+      if (!record) return;
+      el.programName.value = record.name;
+      el.programStages.value = formatProgramStages(record.state.stages);
+    });
+
+    el.programSave.addEventListener('click', async () => {
+      const name = el.programName.value.trim() || `Program ${el.programLibrary.options.length}`;
+      const id = await this._programAction(() => {
+        const stages = parseProgramStages(el.programStages.value);
+        return this.programStore.save(name, { stages });
+      });
+      if (id) await this._refreshProgramLibrary(id, `Saved "${name}"`);
     });
+
+    el.programDelete.addEventListener('click', async () => {
+      const id = el.programLibrary.value;
+      if (!id) return;
+      await this._programAction(() => this.programStore.remove(id));
+      el.programName.value = '';
+      await this._refreshProgramLibrary();
+    });
+
+    this._refreshProgramLibrary();
+  }
+
+  /**
+   * Start the program in the editor on a tone. Its clock runs with the transport.
+   */
+  _runProgram(toneId) {
+    let stages;
+    try {
+      stages = parseProgramStages(this.el.programStages.value);
+    } catch (err) {
+      this._setProgramStatus(err.message);
+      return;
+    }
+    this._setProgramStatus('');
+    this.engine.binauralBeat.startProgram(toneId, stages, { name: this.el.programName.value.trim() });
+    this._startProgramInterval();
+  }
+
+  async _programAction(fn) {
+    try {
+      return await fn();
+    } catch (err) {
+      this._setProgramStatus(`Program error: ${err.message}`);
+      return null;
+    }
+  }
+
+  _setProgramStatus(msg) {
+    this.el.programStatus.textContent = msg;
+    this.el.programStatus.hidden = !msg;
+  }
+
+  async _refreshProgramLibrary(selectedId = null, status = '') {
+    const programs = await this._programAction(() => this.programStore.list());
+    if (!programs) return;
+
+    const select = this.el.programLibrary;
+    select.innerHTML = '';
+    select.add(new Option('Saved programs…', ''));
+    for (const p of programs) select.add(new Option(p.name, p.id));
+    select.value = selectedId || '';
+    this._setProgramStatus(status);
+  }
+
+  _startProgramInterval() {
+    if (this.programInterval) return;
+    this.programInterval = setInterval(() => this._updateProgramProgress(), 250);
+  }
+
+  /**
+   * Show each tone's program position and follow its frequencies on the sliders.
+   * The ramps themselves run on the audio clock; this is display only.
+   */
+  _updateProgramProgress() {
+    let anyProgram = false;
+    for (const row of this.el.binauralTones.querySelectorAll('.binaural-tone')) {
+      const tone = this.engine.binauralBeat.getTone(parseInt(row.dataset.toneId));
+      const progress = tone ? tone.getProgramProgress() : null;
+      const btn = row.querySelector('.tone-program-run');
+      // A program that just finished still needs its final values shown
+      if (progress || btn.classList.contains('active')) this._syncToneRow(row, tone);
+      btn.classList.toggle('active', !!progress);
+      btn.innerHTML = progress ? '&#9632;' : '&#9654;';
+      btn.title = progress ? 'Stop the program' : 'Run the beat program below on this tone';
+      row.querySelector('.tone-program-progress').value = progress ? progress.elapsed / progress.duration : 0;
+
+      let status = '';
+      if (progress) {
+        anyProgram = true;
+        status = `${progress.name ? `${progress.name} · ` : ''}Stage ${progress.stage + 1}/${progress.stageCount} · `
+          + `${this._formatTime(progress.elapsed)} / ${this._formatTime(progress.duration)}`
+          + (progress.running ? '' : ' (paused)');
+      }
+      row.querySelector('.tone-program-status').textContent = status;
+    }
+
+    if (!anyProgram && this.programInterval) {
+      clearInterval(this.programInterval);
+      this.programInterval = null;
+    }
   }
 
   // Log-scale mapping: slider 0–1000 → 10–10000 Hz
@@ -422,7 +1191,12 @@ export class UIController {
     return Math.round(Math.log10(Math.max(hz, 0.1) / 0.1) * (1000 / 3));
   }
 
-  _addBinauralToneRow(config = {}) {
+  /**
+   * @param {object} [config] tone settings
+   * @param {{ rowKey?: string, index?: number }} [placement] stable row key (for
+   *   undo history) and position; defaults to a new key at the end
+   */
+  _addBinauralToneRow(config = {}, { rowKey, index } = {}) {
     if (!this.engine.binauralBeat) return null;
 
     const { baseFreq = 200, beatDiff = 10, volume = 0.15, active = false } = config;
@@ -434,12 +1208,14 @@ export class UIController {
     const displayDiff = this._beatDiffFromSlider(diffSlider);
 
     const toneId = this.engine.binauralBeat.addTone({
-      baseFreq: displayBase, beatDiff: displayDiff, volume, active,
+      ...config, baseFreq: displayBase, beatDiff: displayDiff, volume, active,
     });
+    const { mode, pulseShape, dutyCycle, carrier, harmonics, noiseLevel, spatial } = this.engine.binauralBeat.getTone(toneId);
 
     const row = document.createElement('div');
     row.className = 'binaural-tone';
     row.dataset.toneId = toneId;
+    row.dataset.rowKey = rowKey ?? `tone-${this.nextToneRowKey++}`;
 
     row.innerHTML = `
       <div class="tone-header">
@@ -447,6 +1223,11 @@ export class UIController {
           <input type="checkbox" class="tone-active" ${active ? 'checked' : ''} />
           <span class="tone-label">Tone</span>
         </label>
+        <select class="tone-mode compact-select" title="Beat mode">
+          <option value="binaural">Binaural</option>
+          <option value="monaural">Monaural</option>
+          <option value="isochronic">Isochronic</option>
+        </select>
         <button class="btn btn-tone-remove" title="Remove tone">&times;</button>
       </div>
       <div class="control-row">
@@ -454,13 +1235,57 @@ export class UIController {
         <input type="range" class="tone-base" min="0" max="1000" step="1" value="${baseSlider}" />
       </div>
       <div class="control-row">
-        <label>Diff <span class="tone-diff-val val-badge">${displayDiff.toFixed(1)}</span> Hz</label>
+        <label><span class="tone-diff-label">Diff</span> <span class="tone-diff-val val-badge">${displayDiff.toFixed(1)}</span> Hz</label>
         <input type="range" class="tone-diff" min="0" max="1000" step="1" value="${diffSlider}" />
       </div>
+      <div class="control-row tone-pulse">
+        <label>Pulse
+          <select class="tone-pulse-shape compact-select">
+            <option value="square">Square</option>
+            <option value="triangle">Triangle</option>
+            <option value="sine">Sine</option>
+          </select>
+          Duty <span class="tone-duty-val val-badge">${Math.round(dutyCycle * 100)}</span>%
+        </label>
+        <input type="range" class="tone-duty" min="0.05" max="0.95" step="0.01" value="${dutyCycle}" />
+      </div>
       <div class="control-row">
         <label>Vol <span class="tone-vol-val val-badge">${volume.toFixed(2)}</span></label>
         <input type="range" class="tone-vol" min="0" max="1" step="0.01" value="${volume}" />
       </div>
+      <div class="control-row">
+        <label>Carrier
+          <select class="tone-carrier compact-select">
+            <option value="sine">Sine</option>
+            <option value="triangle">Triangle</option>
+            <option value="square">Square</option>
+            <option value="custom">Custom</option>
+            <option value="pink">Pink noise</option>
+            <option value="brown">Brown noise</option>
+          </select>
+          <input type="text" class="tone-harmonics" value="${harmonics.join(', ')}"
+            title="Harmonic amplitudes, fundamental first (e.g. 1, 0.35, 0.12)" />
+        </label>
+      </div>
+      <div class="control-row">
+        <label>Noise bed <span class="tone-noise-val val-badge">${noiseLevel.toFixed(2)}</span></label>
+        <input type="range" class="tone-noise" min="0" max="1" step="0.01" value="${noiseLevel}" />
+      </div>
+      <div class="control-row">
+        <label class="toggle-label" title="Give this tone its own 3D position: drag its dot on the spatial pad, or place it in walk mode">
+          <input type="checkbox" class="tone-spatial" ${spatial ? 'checked' : ''} />
+          Spatial
+        </label>
+      </div>
+      <div class="control-row tone-sync">
+        <button class="btn btn-preset tone-snap-key" title="Move the base frequency to the nearest note of the track's tonic chord">Snap to key</button>
+        <button class="btn btn-preset tone-snap-tempo" title="Set the beat to the nearest tempo subdivision (beat rate × 2ⁿ)">Snap to tempo</button>
+      </div>
+      <div class="control-row tone-program">
+        <button class="btn btn-stem-toggle tone-program-run" title="Run the beat program below on this tone">&#9654;</button>
+        <progress class="tone-program-progress" max="1" value="0"></progress>
+        <span class="tone-program-status"></span>
+      </div>
     `;
 
     const activeCheckbox = row.querySelector('.tone-active');
@@ -470,22 +1295,99 @@ export class UIController {
     const diffVal = row.querySelector('.tone-diff-val');
     const volInput = row.querySelector('.tone-vol');
     const volVal = row.querySelector('.tone-vol-val');
+    const modeSelect = row.querySelector('.tone-mode');
+    const shapeSelect = row.querySelector('.tone-pulse-shape');
+    const dutyInput = row.querySelector('.tone-duty');
+    const dutyVal = row.querySelector('.tone-duty-val');
+    const carrierSelect = row.querySelector('.tone-carrier');
+    const harmonicsInput = row.querySelector('.tone-harmonics');
+    const noiseInput = row.querySelector('.tone-noise');
+    const noiseVal = row.querySelector('.tone-noise-val');
+    const spatialCheckbox = row.querySelector('.tone-spatial');
     const removeBtn = row.querySelector('.btn-tone-remove');
+    const programBtn = row.querySelector('.tone-program-run');
 
-    activeCheckbox.addEventListener('change', () => {
+    modeSelect.value = mode;
+    shapeSelect.value = pulseShape;
+    carrierSelect.value = carrier;
+    harmonicsInput.hidden = carrier !== 'custom';
+    this._showToneMode(row, mode);
+    this._showToneSync(row);
+
+    row.querySelector('.tone-snap-key').addEventListener('click', () => {
       const tone = this.engine.binauralBeat.getTone(toneId);
-      if (tone) tone.setActive(activeCheckbox.checked);
+      if (tone && this.trackAnalysis?.key) {
+        this._snapTone(row, { baseFreq: snapToKey(tone.baseFreq, this.trackAnalysis.key) });
+      }
     });
 
-    baseInput.addEventListener('input', () => {
-      const hz = this._baseFreqFromSlider(parseInt(baseInput.value));
-      baseVal.textContent = hz;
+    row.querySelector('.tone-snap-tempo').addEventListener('click', () => {
       const tone = this.engine.binauralBeat.getTone(toneId);
-      if (tone) tone.setBaseFrequency(hz);
+      if (tone && this.trackAnalysis?.bpm) {
+        this._snapTone(row, { beatDiff: snapToTempo(tone.beatDiff, this.trackAnalysis.bpm) });
+      }
     });
 
-    diffInput.addEventListener('input', () => {
-      const hz = this._beatDiffFromSlider(parseInt(diffInput.value));
+    activeCheckbox.addEventListener('change', () => {
+      const tone = this.engine.binauralBeat.getTone(toneId);
+      if (tone) tone.setActive(activeCheckbox.checked);
+    });
+
+    modeSelect.addEventListener('change', () => {
+      const tone = this.engine.binauralBeat.getTone(toneId);
+      if (tone) tone.setMode(modeSelect.value);
+      this._showToneMode(row, modeSelect.value);
+    });
+
+    shapeSelect.addEventListener('change', () => {
+      const tone = this.engine.binauralBeat.getTone(toneId);
+      if (tone) tone.setPulseShape(shapeSelect.value);
+    });
+
+    carrierSelect.addEventListener('change', () => {
+      const tone = this.engine.binauralBeat.getTone(toneId);
+      if (tone) tone.setCarrier(carrierSelect.value);
+      harmonicsInput.hidden = carrierSelect.value !== 'custom';
+    });
+
+    harmonicsInput.addEventListener('change', () => {
+      const amplitudes = harmonicsInput.value.split(/[\s,]+/).map(parseFloat).filter(Number.isFinite);
+      const tone = this.engine.binauralBeat.getTone(toneId);
+      if (tone) {
+        tone.setCarrier('custom', { harmonics: amplitudes });
+        harmonicsInput.value = tone.harmonics.join(', ');
+      }
+    });
+
+    noiseInput.addEventListener('input', () => {
+      const level = parseFloat(noiseInput.value);
+      noiseVal.textContent = level.toFixed(2);
+      const tone = this.engine.binauralBeat.getTone(toneId);
+      if (tone) tone.setNoiseLevel(level);
+    });
+
+    spatialCheckbox.addEventListener('change', () => {
+      const tone = this.engine.binauralBeat.getTone(toneId);
+      if (tone) tone.setSpatial(spatialCheckbox.checked);
+      this._drawSpatialPad();
+    });
+
+    dutyInput.addEventListener('input', () => {
+      const duty = parseFloat(dutyInput.value);
+      dutyVal.textContent = Math.round(duty * 100);
+      const tone = this.engine.binauralBeat.getTone(toneId);
+      if (tone) tone.setDutyCycle(duty);
+    });
+
+    baseInput.addEventListener('input', () => {
+      const hz = this._baseFreqFromSlider(parseInt(baseInput.value));
+      baseVal.textContent = hz;
+      const tone = this.engine.binauralBeat.getTone(toneId);
+      if (tone) tone.setBaseFrequency(hz);
+    });
+
+    diffInput.addEventListener('input', () => {
+      const hz = this._beatDiffFromSlider(parseInt(diffInput.value));
       diffVal.textContent = hz.toFixed(1);
       const tone = this.engine.binauralBeat.getTone(toneId);
       if (tone) tone.setBeatDifference(hz);
@@ -498,23 +1400,94 @@ export class UIController {
       if (tone) tone.setVolume(val);
     });
 
+    programBtn.addEventListener('click', () => {
+      if (this.engine.binauralBeat.getProgramProgress(toneId)) {
+        this.engine.binauralBeat.stopProgram(toneId);
+      } else {
+        this._runProgram(toneId);
+      }
+      this._updateProgramProgress();
+    });
+
     removeBtn.addEventListener('click', () => {
-      this.engine.binauralBeat.removeTone(toneId);
-      row.remove();
-      this._updateToneLabels();
+      const key = row.dataset.rowKey;
+      const removed = this._toneConfig(toneId);
+      const at = this._toneRowIndex(row);
+      this._removeToneRow(key);
+      this.history.push({
+        undo: () => this._addBinauralToneRow(removed, { rowKey: key, index: at }),
+        redo: () => this._removeToneRow(key),
+      });
     });
 
-    this.el.binauralTones.appendChild(row);
+    const container = this.el.binauralTones;
+    container.insertBefore(row, index === undefined ? null : container.children[index] || null);
     this._updateToneLabels();
 
     return toneId;
   }
 
+  /**
+   * Isochronic tones pulse at the beat rate: relabel Diff and show the pulse controls.
+   */
+  _showToneMode(row, mode) {
+    const iso = mode === 'isochronic';
+    row.querySelector('.tone-diff-label').textContent = iso ? 'Rate' : 'Diff';
+    row.querySelector('.tone-pulse').hidden = !iso;
+  }
+
+  /**
+   * Set a tone's base and/or beat frequency as one undoable step.
+   */
+  _snapTone(row, values) {
+    const { rowKey } = row.dataset;
+    const apply = ({ baseFreq, beatDiff }) => {
+      const r = this.el.binauralTones.querySelector(`[data-row-key="${rowKey}"]`);
+      const tone = r && this.engine.binauralBeat.getTone(parseInt(r.dataset.toneId));
+      if (!tone) return;
+      if (baseFreq !== undefined) tone.setBaseFrequency(baseFreq);
+      if (beatDiff !== undefined) tone.setBeatDifference(beatDiff);
+      this._syncToneRow(r, tone);
+    };
+
+    const tone = this.engine.binauralBeat.getTone(parseInt(row.dataset.toneId));
+    const before = { baseFreq: tone.baseFreq, beatDiff: tone.beatDiff };
+    apply(values);
+    this.history.push({
+      undo: () => apply(before),
+      redo: () => apply(values),
+    });
+  }
+
+  _toneRow(toneId) {
+    return this.el.binauralTones.querySelector(`[data-tone-id="${toneId}"]`);
+  }
+
+  _toneRowIndex(row) {
+    return [...this.el.binauralTones.children].indexOf(row);
+  }
+
+  /**
+   * Current settings of a tone in the form _addBinauralToneRow() accepts.
+   */
+  _toneConfig(toneId) {
+    return this.engine.binauralBeat.getTone(toneId).getSettings();
+  }
+
+  _removeToneRow(rowKey) {
+    const row = this.el.binauralTones.querySelector(`[data-row-key="${rowKey}"]`);
+    if (!row) return;
+    this.engine.binauralBeat.removeTone(parseInt(row.dataset.toneId));
+    row.remove();
+    this._updateToneLabels();
+  }
+
   _clearBinauralTones() {
     if (this.engine.binauralBeat) {
       this.engine.binauralBeat.removeAllTones();
     }
     this.el.binauralTones.innerHTML = '';
+    this._updateAutomationTones();
   }
 
   _updateToneLabels() {
@@ -522,6 +1495,8 @@ export class UIController {
     rows.forEach((row, i) => {
       row.querySelector('.tone-label').textContent = `Tone ${i + 1}`;
     });
+    this._drawSpatialPad(); // tone dots are numbered like the rows
+    this._updateAutomationTones();
   }
 
   // ─── Spatial ───
@@ -532,19 +1507,76 @@ export class UIController {
       this._drawSpatialPad();
     });
 
+    this.el.spatialStereo.addEventListener('change', () => {
+      const on = this.el.spatialStereo.checked;
+      this.el.spatialWidthControls.hidden = !on;
+      this.engine.setSpatialStereo(on);
+      this._drawSpatialPad();
+    });
+
+    this.el.spatialWidth.addEventListener('input', () => {
+      const val = parseFloat(this.el.spatialWidth.value);
+      this.el.spatialWidthVal.textContent = val;
+      this.engine.setSpatialWidth(val);
+      this._drawSpatialPad();
+    });
+
     const pad = this.el.spatialPad;
+    let dragStart = null;
+    let dragRowKey = null; // set while dragging a spatial tone's dot instead of the source
+    let dragChannel = null; // 'L' / 'R' while dragging one of the stereo pair
     pad.addEventListener('pointerdown', (e) => {
       this.spatialDragging = true;
+      const row = this._spatialToneRowAt(e);
+      dragRowKey = row ? row.dataset.rowKey : null;
+      dragChannel = row ? null : this._stereoChannelAt(e);
+      if (row) {
+        dragStart = { ...this.engine.binauralBeat.getTone(parseInt(row.dataset.toneId)).position };
+      } else if (dragChannel) {
+        dragStart = { ...this.engine.spatializer[`position${dragChannel}`] };
+      } else {
+        dragStart = this.engine.spatializer ? { ...this.engine.spatializer.position } : null;
+      }
       pad.setPointerCapture(e.pointerId);
-      this._handleSpatialPointer(e);
+      this._handleSpatialPointer(e, dragRowKey, dragChannel);
     });
     pad.addEventListener('pointermove', (e) => {
       if (!this.spatialDragging) return;
-      this._handleSpatialPointer(e);
+      this._handleSpatialPointer(e, dragRowKey, dragChannel);
     });
     pad.addEventListener('pointerup', (e) => {
       this.spatialDragging = false;
       pad.releasePointerCapture(e.pointerId);
+
+      // A recording drag becomes the freehand path rather than an undo step
+      if (this.motionRecording && this.motionRecording.points.length && !dragRowKey && !dragChannel) {
+        dragStart = null;
+        this._finishMotionRecording();
+        return;
+      }
+
+      // One undo step per drag
+      if (!dragStart) return;
+      const before = dragStart;
+      const rowKey = dragRowKey;
+      const channel = dragChannel;
+      const tone = rowKey && this._toneByRowKey(rowKey);
+      const spatializer = this.engine.spatializer;
+      const after = { ...(tone ? tone.position : spatializer[channel ? `position${channel}` : 'position']) };
+      dragStart = null;
+      dragRowKey = null;
+      dragChannel = null;
+      if (before.x === after.x && before.y === after.y && before.z === after.z) return;
+      this.history.push(rowKey ? {
+        undo: () => this._applyTonePosition(rowKey, before),
+        redo: () => this._applyTonePosition(rowKey, after),
+      } : channel ? {
+        undo: () => this._applyChannelPosition(channel, before),
+        redo: () => this._applyChannelPosition(channel, after),
+      } : {
+        undo: () => this._applySpatialPosition(before),
+        redo: () => this._applySpatialPosition(after),
+      });
     });
     pad.addEventListener('pointercancel', (e) => {
       this.spatialDragging = false;
@@ -558,13 +1590,7 @@ export class UIController {
       this.spatialElevation = sign * (Math.abs(val) ** 3) * 10;
 
       // Recompute current wx/wz from pad state
-      const pixelDist = Math.sqrt(this.spatialNormX ** 2 + this.spatialNormY ** 2);
-      const worldDist = (pixelDist ** 3) * 10;
-      let wx = 0, wz = 0;
-      if (pixelDist > 0.001) {
-        wx = (this.spatialNormX / pixelDist) * worldDist;
-        wz = (this.spatialNormY / pixelDist) * worldDist;
-      }
+      const { x: wx, z: wz, dist: worldDist } = this._worldFromPad(this.spatialNormX, this.spatialNormY);
 
       this.engine.setSpatialPosition(wx, this.spatialElevation, wz);
       this._updateSpatialReadout(wx, wz, worldDist);
@@ -574,41 +1600,359 @@ export class UIController {
     this._drawSpatialPad();
   }
 
-  _handleSpatialPointer(e) {
+  // ─── Spatial motion ───
+
+  _bindSpatialMotion() {
+    const el = this.el;
+
+    el.spatialMotion.addEventListener('change', () => {
+      el.spatialMotionControls.hidden = !el.spatialMotion.checked;
+      this._updateSpatialMotion();
+    });
+    el.spatialMotionPath.addEventListener('change', () => this._updateSpatialMotion());
+    el.spatialDoppler.addEventListener('change', () => this.engine.setSpatialDoppler(el.spatialDoppler.checked));
+    el.spatialNearField.addEventListener('change', () => this.engine.setSpatialNearField(el.spatialNearField.checked));
+
+    const sliders = [
+      [el.spatialMotionSpeed, el.spatialMotionSpeedVal, 2],
+      [el.spatialMotionRadius, el.spatialMotionRadiusVal, 1],
+      [el.spatialMotionElev, el.spatialMotionElevVal, 1],
+    ];
+    for (const [slider, badge, digits] of sliders) {
+      slider.addEventListener('input', () => {
+        badge.textContent = parseFloat(slider.value).toFixed(digits);
+        this._updateSpatialMotion();
+      });
+    }
+
+    el.spatialMotionRecord.addEventListener('click', () => {
+      this.motionRecording = this.motionRecording ? null : { start: null, points: [] };
+      el.spatialMotionRecord.classList.toggle('active', !!this.motionRecording);
+      this._setMotionStatus(this.motionRecording ? 'Drag the source on the pad to draw the path' : '');
+    });
+  }
+
+  /**
+   * Start, update or stop the source's motion from the motion controls.
+   */
+  _updateSpatialMotion() {
+    const settings = this.el.spatialMotion.checked ? this._motionSettings() : null;
+    if (settings && settings.path === 'freehand' && !settings.points) {
+      this._setMotionStatus('Record a freehand path first');
+      this.engine.setSpatialMotion(null);
+      return;
+    }
+    if (!this.motionRecording) this._setMotionStatus('');
+    this.engine.setSpatialMotion(settings);
+    if (settings) this._startMotionFrame();
+  }
+
+  _motionSettings() {
+    const el = this.el;
+    const path = el.spatialMotionPath.value;
+    return {
+      path,
+      speed: parseFloat(el.spatialMotionSpeed.value),
+      radius: parseFloat(el.spatialMotionRadius.value),
+      elevation: parseFloat(el.spatialMotionElev.value),
+      points: path === 'freehand' ? this.freehandPoints : null,
+    };
+  }
+
+  /**
+   * Move the motion controls to the given settings (without applying them).
+   */
+  _setMotionControls({ path, speed, radius, elevation }) {
+    const el = this.el;
+    el.spatialMotionPath.value = path;
+    const sliders = [
+      [el.spatialMotionSpeed, el.spatialMotionSpeedVal, speed, 2],
+      [el.spatialMotionRadius, el.spatialMotionRadiusVal, radius, 1],
+      [el.spatialMotionElev, el.spatialMotionElevVal, elevation, 1],
+    ];
+    for (const [slider, badge, value, digits] of sliders) {
+      slider.value = value;
+      badge.textContent = parseFloat(slider.value).toFixed(digits);
+    }
+  }
+
+  /**
+   * Apply saved motion settings (presets, session links); null stops the motion.
+   */
+  _applySpatialMotion(motion) {
+    if (motion) {
+      if (motion.path === 'freehand' && motion.points) this.freehandPoints = motion.points;
+      this._setMotionControls(motion);
+    }
+    this.el.spatialMotion.checked = !!motion;
+    this.el.spatialMotionControls.hidden = !motion;
+    this._updateSpatialMotion();
+  }
+
+  /**
+   * Animate the pad while the source moves. The loop ends (and the Motion
+   * toggle clears) once the motion stops, e.g. when the source is placed.
+   */
+  _startMotionFrame() {
+    if (this.motionFrame) return;
+    const frame = () => {
+      const pos = this.engine.spatializer && this.engine.spatializer.motionPosition();
+      if (!pos) {
+        this.motionFrame = null;
+        if (this.el.spatialMotion.checked && !this.motionRecording) {
+          this.el.spatialMotion.checked = false;
+          this.el.spatialMotionControls.hidden = true;
+        }
+        this._drawSpatialPad();
+        return;
+      }
+      this._setSpatialFromWorld(pos.x, pos.y, pos.z);
+      this.motionFrame = requestAnimationFrame(frame);
+    };
+    this.motionFrame = requestAnimationFrame(frame);
+  }
+
+  _recordMotionPoint(x, z) {
+    const rec = this.motionRecording;
+    const now = performance.now() / 1000;
+    if (rec.start === null) rec.start = now;
+    const time = now - rec.start;
+    const last = rec.points[rec.points.length - 1];
+    if (last && time - last[0] < MOTION_RECORD_INTERVAL) return;
+    rec.points.push([Math.round(time * 1000) / 1000, x, z]);
+  }
+
+  /**
+   * Turn the recorded drag into the freehand path and start it, looping at
+   * the speed and size it was drawn.
+   */
+  _finishMotionRecording() {
+    const { points } = this.motionRecording;
+    this.motionRecording = null;
+    this.el.spatialMotionRecord.classList.remove('active');
+    const duration = points[points.length - 1][0];
+    if (points.length < 3 || duration <= 0) {
+      this._setMotionStatus('Path too short — press Record and try again');
+      return;
+    }
+
+    this.freehandPoints = points;
+    this._setMotionControls({
+      path: 'freehand',
+      speed: 1 / duration,
+      radius: Math.max(...points.map(([, x, z]) => Math.hypot(x, z))),
+      elevation: parseFloat(this.el.spatialMotionElev.value),
+    });
+    this.el.spatialMotion.checked = true;
+    this.el.spatialMotionControls.hidden = false;
+    this._updateSpatialMotion();
+  }
+
+  _setMotionStatus(msg) {
+    this.el.spatialMotionStatus.textContent = msg;
+    this.el.spatialMotionStatus.hidden = !msg;
+  }
+
+  // ─── Custom HRTF ───
+
+  _bindHrtf() {
+    const el = this.el;
+
+    el.hrtfSelect.addEventListener('change', () => this._selectHrtf(el.hrtfSelect.value));
+
+    el.hrtfLoad.addEventListener('click', () => el.hrtfInput.click());
+    el.hrtfInput.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+      this._setHrtfStatus(`Reading ${file.name}…`);
+      const id = await this._hrtfAction(async () => {
+        const set = await parseHrtfFile(await file.arrayBuffer(), file.name.replace(/\.[^.]+$/, ''));
+        return this.hrtfStore.save(set.name, set);
+      });
+      if (!id) return;
+      await this._refreshHrtfLibrary();
+      await this._selectHrtf(id);
+    });
+
+    el.hrtfDelete.addEventListener('click', async () => {
+      const id = el.hrtfSelect.value;
+      if (!id) return;
+      await this._hrtfAction(() => this.hrtfStore.remove(id));
+      await this._refreshHrtfLibrary();
+      await this._selectHrtf('');
+    });
+
+    this._refreshHrtfLibrary();
+  }
+
+  /**
+   * Switch the spatializer (and walking-mode speakers) to a stored HRTF set.
+   * @param {string} id record id, '' = browser built-in
+   */
+  async _selectHrtf(id) {
+    const ok = await this._hrtfAction(async () => {
+      const record = id ? await this.hrtfStore.get(id) : null;
+      if (id && !record) throw new Error('set not found');
+      await this.engine.setHrtfSet(record ? record.state : null);
+      return true;
+    });
+    if (ok) this.hrtfId = id;
+    this.el.hrtfSelect.value = this.hrtfId;
+    if (!ok) return;
+
+    const set = this.engine.hrtfSet;
+    this._setHrtfStatus(set ? `${set.name}: ${set.measurements.length} directions, ${set.sampleRate} Hz` : '');
+  }
+
+  async _hrtfAction(fn) {
+    try {
+      return await fn();
+    } catch (err) {
+      this._setHrtfStatus(`HRTF error: ${err.message}`);
+      return null;
+    }
+  }
+
+  _setHrtfStatus(msg) {
+    this.el.hrtfStatus.textContent = msg;
+    this.el.hrtfStatus.hidden = !msg;
+  }
+
+  async _refreshHrtfLibrary() {
+    const sets = await this._hrtfAction(() => this.hrtfStore.list());
+    if (!sets) return;
+
+    const select = this.el.hrtfSelect;
+    select.innerHTML = '';
+    select.add(new Option('Built-in HRTF', ''));
+    for (const s of sets) select.add(new Option(s.name, s.id));
+    select.value = sets.some((s) => s.id === this.hrtfId) ? this.hrtfId : '';
+  }
+
+  /**
+   * @param {PointerEvent} e
+   * @param {?string} [rowKey] move this spatial tone instead of the source
+   * @param {?('L'|'R')} [channel] move this channel of the stereo pair instead of the source
+   */
+  _handleSpatialPointer(e, rowKey = null, channel = null) {
     const pad = this.el.spatialPad;
     const rect = pad.getBoundingClientRect();
     if (rect.width === 0 || rect.height === 0) return;
 
     // Normalize to [-1, 1] from center
-    const nx = ((e.clientX - rect.left) / rect.width) * 2 - 1;
-    const ny = ((e.clientY - rect.top) / rect.height) * 2 - 1;
+    let nx = ((e.clientX - rect.left) / rect.width) * 2 - 1;
+    let ny = ((e.clientY - rect.top) / rect.height) * 2 - 1;
 
     // Clamp to unit circle
     const len = Math.sqrt(nx * nx + ny * ny);
     if (len > 1) {
-      this.spatialNormX = nx / len;
-      this.spatialNormY = ny / len;
-    } else {
-      this.spatialNormX = nx;
-      this.spatialNormY = ny;
+      nx /= len;
+      ny /= len;
     }
 
-    // Power-curve distance mapping: fine control near center
-    const pixelDist = Math.sqrt(this.spatialNormX ** 2 + this.spatialNormY ** 2);
-    const worldDist = (pixelDist ** 3) * 10;
+    const { x: wx, z: wz, dist: worldDist } = this._worldFromPad(nx, ny);
 
-    // Direction: normalize to unit vector, scale by worldDist
-    let wx = 0, wz = 0;
-    if (pixelDist > 0.001) {
-      wx = (this.spatialNormX / pixelDist) * worldDist;
-      wz = (this.spatialNormY / pixelDist) * worldDist; // canvas up (neg Y) → -Z (front for default listener)
+    if (rowKey) {
+      const tone = this._toneByRowKey(rowKey);
+      if (tone) tone.setPosition(wx, tone.position.y, wz);
+      this._drawSpatialPad();
+      return;
+    }
+    if (channel) {
+      const { y } = this.engine.spatializer[`position${channel}`];
+      this.engine.setSpatialChannelPosition(channel, wx, y, wz);
+      this._drawSpatialPad();
+      return;
     }
 
+    this.spatialNormX = nx;
+    this.spatialNormY = ny;
     this.engine.setSpatialPosition(wx, this.spatialElevation, wz);
+    if (this.motionRecording) this._recordMotionPoint(wx, wz);
     this._drawSpatialPad();
     this._updateSpatialReadout(wx, wz, worldDist);
   }
 
+  /**
+   * Pad coordinates ([-1, 1], +Y = back) → world X/Z. Power-curve distance
+   * mapping gives fine control near the center.
+   */
+  _worldFromPad(nx, ny) {
+    const pixelDist = Math.sqrt(nx * nx + ny * ny);
+    const dist = (pixelDist ** 3) * 10;
+    if (pixelDist <= 0.001) return { x: 0, z: 0, dist };
+    // canvas up (neg Y) → -Z (front for default listener)
+    return { x: (nx / pixelDist) * dist, z: (ny / pixelDist) * dist, dist };
+  }
+
+  /**
+   * Inverse of _worldFromPad() (distances beyond 10 m sit on the rim).
+   */
+  _padFromWorld(x, z) {
+    const worldDist = Math.sqrt(x * x + z * z);
+    if (worldDist <= 0.001) return { nx: 0, ny: 0 };
+    const pixelDist = Math.cbrt(Math.min(worldDist, 10) / 10);
+    return { nx: (x / worldDist) * pixelDist, ny: (z / worldDist) * pixelDist };
+  }
+
+  /**
+   * Rows of spatial tones, in row order, with their tones.
+   */
+  _spatialToneRows() {
+    if (!this.engine.binauralBeat) return [];
+    return [...this.el.binauralTones.querySelectorAll('.binaural-tone')]
+      .map((row, index) => ({ row, index, tone: this.engine.binauralBeat.getTone(parseInt(row.dataset.toneId)) }))
+      .filter(({ tone }) => tone && tone.spatial);
+  }
+
+  /**
+   * The spatial tone row whose pad dot is under the pointer, if any.
+   */
+  _spatialToneRowAt(e) {
+    // Topmost (last drawn) first
+    for (const { row, tone } of this._spatialToneRows().reverse()) {
+      if (this._isOverPadDot(e, tone.position)) return row;
+    }
+    return null;
+  }
+
+  /**
+   * The stereo pair channel ('L'/'R') whose pad dot is under the pointer, if any.
+   */
+  _stereoChannelAt(e) {
+    // While the source moves the pair follows its path
+    if (!this.el.spatialStereo.checked || !this.engine.spatializer || this.engine.spatializer.motion) return null;
+    return ['R', 'L'].find((channel) => this._isOverPadDot(e, this.engine.spatializer[`position${channel}`])) || null;
+  }
+
+  _isOverPadDot(e, { x, z }) {
+    const rect = this.el.spatialPad.getBoundingClientRect();
+    const cx = rect.width / 2;
+    const cy = rect.height / 2;
+    const maxR = Math.min(cx, cy) - 8;
+    const { nx, ny } = this._padFromWorld(x, z);
+    const dx = e.clientX - rect.left - (cx + nx * maxR);
+    const dy = e.clientY - rect.top - (cy + ny * maxR);
+    return Math.hypot(dx, dy) <= TONE_DOT_RADIUS + 3;
+  }
+
+  _applyChannelPosition(channel, { x, y, z }) {
+    this.engine.setSpatialChannelPosition(channel, x, y, z);
+    this._drawSpatialPad();
+  }
+
+  _toneByRowKey(rowKey) {
+    const row = this.el.binauralTones.querySelector(`[data-row-key="${rowKey}"]`);
+    return row ? this.engine.binauralBeat.getTone(parseInt(row.dataset.toneId)) : null;
+  }
+
+  _applyTonePosition(rowKey, { x, y, z }) {
+    const tone = this._toneByRowKey(rowKey);
+    if (tone) tone.setPosition(x, y, z);
+    this._drawSpatialPad();
+  }
+
   _drawSpatialPad() {
     const canvas = this.el.spatialPad;
     const rect = canvas.getBoundingClientRect();
@@ -677,6 +2021,22 @@ export class UIController {
     ctx.closePath();
     ctx.fill();
 
+    // Motion path: the next cycle ahead of the source
+    const preview = this.engine.spatializer ? this.engine.spatializer.motionPreview() : [];
+    if (preview.length) {
+      ctx.strokeStyle = active ? 'rgba(233,69,96,0.35)' : 'rgba(136,136,136,0.25)';
+      ctx.lineWidth = 1;
+      ctx.setLineDash([3, 3]);
+      ctx.beginPath();
+      preview.forEach(({ x, z }, i) => {
+        const { nx, ny } = this._padFromWorld(x, z);
+        if (i === 0) ctx.moveTo(cx + nx * maxR, cy + ny * maxR);
+        else ctx.lineTo(cx + nx * maxR, cy + ny * maxR);
+      });
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
     // Source dot
     const dotX = cx + this.spatialNormX * maxR;
     const dotY = cy + this.spatialNormY * maxR;
@@ -699,6 +2059,63 @@ export class UIController {
     ctx.beginPath();
     ctx.arc(dotX, dotY, 11, 0, Math.PI * 2);
     ctx.stroke();
+
+    ctx.font = 'bold 9px system-ui, sans-serif';
+    ctx.textAlign = 'center';
+
+    // Stereo pair: the L/R virtual speakers, tied to the source dot
+    if (this.el.spatialStereo.checked && this.engine.spatializer) {
+      for (const channel of ['L', 'R']) {
+        const pos = this.engine.spatializer[`position${channel}`];
+        const { nx, ny } = this._padFromWorld(pos.x, pos.z);
+        const chX = cx + nx * maxR;
+        const chY = cy + ny * maxR;
+        ctx.strokeStyle = active ? 'rgba(233,69,96,0.3)' : 'rgba(136,136,136,0.2)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        ctx.moveTo(dotX, dotY);
+        ctx.lineTo(chX, chY);
+        ctx.stroke();
+        ctx.fillStyle = active ? '#f28b9f' : '#aaa';
+        ctx.beginPath();
+        ctx.arc(chX, chY, TONE_DOT_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.fillStyle = '#0d0d0f';
+        ctx.fillText(channel, chX, chY + 3);
+      }
+    }
+
+    // Spatial tones, numbered like their rows
+    for (const { tone, index } of this._spatialToneRows()) {
+      const { nx, ny } = this._padFromWorld(tone.position.x, tone.position.z);
+      const toneX = cx + nx * maxR;
+      const toneY = cy + ny * maxR;
+      ctx.fillStyle = tone.active ? '#4ecca3' : 'rgba(78,204,163,0.4)';
+      ctx.beginPath();
+      ctx.arc(toneX, toneY, TONE_DOT_RADIUS, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.fillStyle = '#0d0d0f';
+      ctx.fillText(String(index + 1), toneX, toneY + 3);
+    }
+  }
+
+  /**
+   * Move the pad dot to a world-space position (inverse of the pointer mapping).
+   */
+  _setSpatialFromWorld(x, y, z) {
+    const worldDist = Math.sqrt(x * x + z * z);
+    const { nx, ny } = this._padFromWorld(x, z);
+    this.spatialNormX = nx;
+    this.spatialNormY = ny;
+    this.spatialElevation = y;
+    this.el.spatialElevSlider.value = Math.sign(y) * Math.cbrt(Math.min(Math.abs(y), 10) / 10);
+    this._drawSpatialPad();
+    this._updateSpatialReadout(x, z, worldDist);
+  }
+
+  _applySpatialPosition({ x, y, z }) {
+    this.engine.setSpatialPosition(x, y, z);
+    this._setSpatialFromWorld(x, y, z);
   }
 
   _updateSpatialReadout(wx, wz, dist) {
@@ -728,17 +2145,350 @@ export class UIController {
     this.el.compressorActive.addEventListener('change', () => {
       this.engine.setCompressorActive(this.el.compressorActive.checked);
     });
+
+    this.el.btnExport.addEventListener('click', () => this._exportWav());
+  }
+
+  async _exportWav() {
+    if (!this.fileLoaded) return;
+    const btn = this.el.btnExport;
+    const status = this.el.exportStatus;
+    btn.disabled = true;
+    status.hidden = false;
+    status.textContent = 'Rendering...';
+
+    try {
+      const blob = await this.engine.exportWav({ format: this.el.exportFormat.value });
+      const baseName = this.el.fileName.textContent.replace(/\.[^.]+$/, '') || 'render';
+      const url = URL.createObjectURL(blob);
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = `${baseName}-processed.wav`;
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+      if (this.walkingMode && this.walkingMode.active) {
+        status.textContent = 'Exported without walking mode (live only)';
+      } else {
+        status.hidden = true;
+      }
+    } catch (err) {
+      status.textContent = `Export failed: ${err.message}`;
+    } finally {
+      btn.disabled = false;
+    }
+  }
+
+  // ─── Automation ───
+
+  _bindAutomation() {
+    const automation = this.engine.automation;
+    automation.onApply = (values) => this._syncAutomatedControls(values);
+
+    this.el.automationActive.addEventListener('change', () => {
+      automation.setEnabled(this.el.automationActive.checked);
+    });
+
+    this.el.automationParam.addEventListener('change', () => {
+      this.el.automationTone.hidden = this.el.automationParam.value !== 'beatDiff';
+    });
+
+    this.el.automationAdd.addEventListener('click', () => {
+      if (!this.fileLoaded) return;
+      const param = this.el.automationParam.value;
+      const toneId = param === 'beatDiff' && this.el.automationTone.value !== ''
+        ? parseInt(this.el.automationTone.value)
+        : null;
+      const value = this._currentParamValue(param, toneId);
+      if (value === null) return;
+      const lane = automation.getLane(param, toneId);
+      this.automationSelection = { lane, index: lane.addPoint(this.engine.getCurrentTime(), value) };
+      this._renderAutomationLanes();
+    });
+  }
+
+  /**
+   * @param {string} param
+   * @param {?number} [toneId] beatDiff of one tone (default: the first tone)
+   */
+  _currentParamValue(param, toneId = null) {
+    const e = this.engine;
+    switch (param) {
+      case 'detuneL': return e.detuneL;
+      case 'detuneR': return e.detuneR;
+      case 'smearDepth': return e.phaseSmearL.depth;
+      case 'smearRate': return e.phaseSmearL.rate;
+      case 'dryWet': return e.dryWetMix;
+      case 'beatDiff': {
+        const tone = toneId === null ? e.binauralBeat.tones.values().next().value : e.binauralBeat.getTone(toneId);
+        return tone ? tone.beatDiff : null;
+      }
+      case 'spatialX': return e.spatializer.position.x;
+      case 'spatialY': return e.spatializer.position.y;
+      case 'spatialZ': return e.spatializer.position.z;
+      default: return null;
+    }
+  }
+
+  /**
+   * Refill the beatDiff tone picker and relabel per-tone lanes (tones were
+   * added, removed or renumbered).
+   */
+  _updateAutomationTones() {
+    const select = this.el.automationTone;
+    const current = select.value;
+    select.innerHTML = '<option value="">All tones</option>';
+    this.el.binauralTones.querySelectorAll('.binaural-tone').forEach((row) => {
+      const option = document.createElement('option');
+      option.value = row.dataset.toneId;
+      option.textContent = row.querySelector('.tone-label').textContent;
+      select.appendChild(option);
+    });
+    if ([...select.options].some((o) => o.value === current)) select.value = current;
+    this._renderAutomationLanes();
+  }
+
+  _automationLaneName(lane) {
+    const name = AUTOMATION_PARAMS[lane.param];
+    if (lane.param !== 'beatDiff') return name;
+    if (lane.toneId === null) return `${name} · all tones`;
+    const row = this._toneRow(lane.toneId);
+    return `${name} · ${row ? row.querySelector('.tone-label').textContent : 'removed tone'}`;
+  }
+
+  _renderAutomationLanes() {
+    const container = this.el.automationLanes;
+    container.innerHTML = '';
+    const selection = this.automationSelection;
+    if (selection && !this.engine.automation.lanes.has(AutomationController.laneKey(selection.lane.param, selection.lane.toneId))) {
+      this.automationSelection = null;
+    }
+
+    for (const lane of this.engine.automation.lanes.values()) {
+      const row = document.createElement('div');
+      row.className = 'automation-lane';
+      row.innerHTML = `
+        <div class="automation-lane-header">
+          <span class="automation-lane-name">${this._automationLaneName(lane)}</span>
+          <span class="automation-lane-points"></span>
+          <button class="btn btn-tone-remove" title="Clear lane">&times;</button>
+        </div>
+        <canvas class="automation-lane-canvas" tabindex="0"
+          title="Drag a point to move it. Double-click to add or remove a point; Delete removes the selected one."></canvas>
+      `;
+      row.querySelector('.btn-tone-remove').addEventListener('click', () => {
+        this.engine.automation.removeLane(lane.param, lane.toneId);
+        this._renderAutomationLanes();
+      });
+      container.appendChild(row);
+      this._bindAutomationLane(row, lane);
+      this._drawAutomationLane(row, lane);
+    }
+  }
+
+  /**
+   * Point editing on a lane canvas: drag moves a point, double-click adds
+   * one (empty space) or removes one, Delete / Backspace removes the
+   * selected point.
+   */
+  _bindAutomationLane(row, lane) {
+    const canvas = row.querySelector('.automation-lane-canvas');
+    let dragging = false;
+
+    const select = (index) => {
+      this.automationSelection = index === null ? null : { lane, index };
+      this._drawAutomationLane(row, lane);
+    };
+    const changed = () => {
+      this.engine.automation.refresh();
+      this._drawAutomationLane(row, lane);
+    };
+
+    canvas.addEventListener('pointerdown', (e) => {
+      const index = this._automationPointAt(canvas, lane, e);
+      select(index);
+      if (index === null) return;
+      dragging = true;
+      canvas.setPointerCapture(e.pointerId);
+    });
+    canvas.addEventListener('pointermove', (e) => {
+      if (!dragging) return;
+      const { time, value } = this._automationPointFromEvent(canvas, lane, e);
+      lane.movePoint(this.automationSelection.index, time, value);
+      changed();
+    });
+    const endDrag = () => { dragging = false; };
+    canvas.addEventListener('pointerup', endDrag);
+    canvas.addEventListener('pointercancel', endDrag);
+
+    canvas.addEventListener('dblclick', (e) => {
+      const index = this._automationPointAt(canvas, lane, e);
+      if (index !== null) {
+        lane.removePoint(index);
+        select(null);
+      } else {
+        const { time, value } = this._automationPointFromEvent(canvas, lane, e);
+        select(lane.addPoint(time, value));
+      }
+      changed();
+    });
+
+    canvas.addEventListener('keydown', (e) => {
+      if (e.code !== 'Delete' && e.code !== 'Backspace') return;
+      const selection = this.automationSelection;
+      if (!selection || selection.lane !== lane) return;
+      e.preventDefault();
+      e.stopPropagation();
+      lane.removePoint(selection.index);
+      select(null);
+      changed();
+    });
+  }
+
+  /** Lane time span: the session, or the points if they run past it. */
+  _automationSpan(lane) {
+    const last = lane.points.length ? lane.points[lane.points.length - 1].time : 0;
+    return Math.max(this.engine.duration, last, 1);
+  }
+
+  _automationPointFromEvent(canvas, lane, e) {
+    const rect = canvas.getBoundingClientRect();
+    const [min, max] = AUTOMATION_RANGES[lane.param];
+    const fx = Math.min(Math.max((e.clientX - rect.left) / rect.width, 0), 1);
+    const fy = Math.min(Math.max((e.clientY - rect.top - AUTOMATION_LANE_PAD) / (rect.height - 2 * AUTOMATION_LANE_PAD), 0), 1);
+    return { time: fx * this._automationSpan(lane), value: max - fy * (max - min) };
+  }
+
+  /** Index of the point under a pointer event, or null. */
+  _automationPointAt(canvas, lane, e) {
+    const rect = canvas.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    const y = e.clientY - rect.top;
+    let best = null;
+    let bestDist = 8; // px
+    lane.points.forEach((p, i) => {
+      const [px, py] = this._automationCanvasPoint(lane, p, rect.width, rect.height);
+      const dist = Math.hypot(px - x, py - y);
+      if (dist < bestDist) {
+        best = i;
+        bestDist = dist;
+      }
+    });
+    return best;
+  }
+
+  _automationCanvasPoint(lane, { time, value }, w, h) {
+    const [min, max] = AUTOMATION_RANGES[lane.param];
+    const fy = (max - Math.min(Math.max(value, min), max)) / (max - min);
+    return [(time / this._automationSpan(lane)) * w, AUTOMATION_LANE_PAD + fy * (h - 2 * AUTOMATION_LANE_PAD)];
+  }
+
+  _drawAutomationLane(row, lane) {
+    const canvas = row.querySelector('.automation-lane-canvas');
+    const selection = this.automationSelection;
+    const selected = selection && selection.lane === lane ? selection.index : null;
+
+    const info = row.querySelector('.automation-lane-points');
+    const point = lane.points[selected];
+    info.textContent = point
+      ? `${this._formatTime(point.time)} → ${point.value.toFixed(2)}`
+      : `${lane.points.length} pts`;
+
+    const rect = canvas.getBoundingClientRect();
+    if (rect.width === 0 || rect.height === 0) return;
+    const dpr = window.devicePixelRatio || 1;
+    const w = rect.width;
+    const h = rect.height;
+    canvas.width = w * dpr;
+    canvas.height = h * dpr;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+
+    ctx.fillStyle = '#0d0d0f';
+    ctx.fillRect(0, 0, w, h);
+    if (lane.points.length === 0) return;
+
+    // Envelope, held flat before the first and after the last point
+    const coords = lane.points.map((p) => this._automationCanvasPoint(lane, p, w, h));
+    ctx.strokeStyle = 'rgba(233,69,96,0.6)';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.moveTo(0, coords[0][1]);
+    for (const [x, y] of coords) ctx.lineTo(x, y);
+    ctx.lineTo(w, coords[coords.length - 1][1]);
+    ctx.stroke();
+
+    coords.forEach(([x, y], i) => {
+      ctx.fillStyle = i === selected ? '#f28b9f' : '#e94560';
+      ctx.beginPath();
+      ctx.arc(x, y, i === selected ? 5 : 3.5, 0, Math.PI * 2);
+      ctx.fill();
+    });
+  }
+
+  /**
+   * Reflect automated values back into the controls (no engine calls).
+   */
+  _syncAutomatedControls(values) {
+    let spatialChanged = false;
+
+    for (const [key, value] of Object.entries(values)) {
+      const [param, toneId] = key.split(':');
+      switch (param) {
+        case 'detuneL':
+          this.el.detuneL.value = value;
+          this.el.detuneLVal.textContent = Math.round(value);
+          break;
+        case 'detuneR':
+          this.el.detuneR.value = value;
+          this.el.detuneRVal.textContent = Math.round(value);
+          break;
+        case 'smearDepth':
+          this.el.smearDepth.value = value;
+          this.el.smearDepthVal.textContent = value.toFixed(2);
+          this.el.smearIndicator.hidden = value === 0;
+          break;
+        case 'smearRate':
+          this.el.smearRate.value = value;
+          this.el.smearRateVal.textContent = value.toFixed(1);
+          break;
+        case 'dryWet':
+          this.el.dryWet.value = value;
+          this.el.dryWetVal.textContent = value.toFixed(2);
+          break;
+        case 'beatDiff':
+          this.el.binauralTones.querySelectorAll('.binaural-tone').forEach((row) => {
+            if (toneId !== undefined && row.dataset.toneId !== toneId) return;
+            row.querySelector('.tone-diff').value = this._beatDiffToSlider(value);
+            row.querySelector('.tone-diff-val').textContent = value.toFixed(1);
+          });
+          break;
+        case 'spatialX':
+        case 'spatialY':
+        case 'spatialZ':
+          spatialChanged = true;
+          break;
+      }
+    }
+
+    if (spatialChanged) {
+      const { x, y, z } = this.engine.spatializer.position;
+      this._setSpatialFromWorld(x, y, z);
+    }
   }
 
   // ─── Presets ───
 
+  /**
+   * Built-in presets set the controls they name and leave the rest as they
+   * are (they are loaded over the current state).
+   */
   _bindPresets() {
     const presets = {
       subtle: {
         detuneL: 8, detuneR: -8, detuneLink: true, detuneLinkMode: 'mirror',
         smearDepth: 0.2, smearRate: 1.5, smearIndependent: false,
         binauralTones: [],
-        spatialActive: false,
+        spatialActive: false, spatialPosition: { x: 0, y: 0, z: 0 },
         masterVol: 0.8, dryWet: 0.4, compressorActive: true,
       },
       full: {
@@ -746,27 +2496,161 @@ export class UIController {
         smearDepth: 0.7, smearRate: 3.5, smearIndependent: true,
         smearRateL: 3.5, smearRateR: 5.0,
         binauralTones: [],
-        spatialActive: false,
+        spatialActive: false, spatialPosition: { x: 0, y: 0, z: 0 },
         masterVol: 0.8, dryWet: 0.8, compressorActive: true,
       },
       focus: {
         detuneL: 0, detuneR: 0, detuneLink: false, detuneLinkMode: 'mirror',
         smearDepth: 0, smearRate: 1.0, smearIndependent: false,
         binauralTones: [{ baseFreq: 200, beatDiff: 10, volume: 0.15, active: true }],
-        spatialActive: false,
+        spatialActive: false, spatialPosition: { x: 0, y: 0, z: 0 },
         masterVol: 0.8, dryWet: 0, compressorActive: true,
       },
     };
 
-    document.querySelectorAll('.btn-preset').forEach((btn) => {
+    this.el.presets.querySelectorAll('[data-preset]').forEach((btn) => {
       btn.addEventListener('click', () => {
         const p = presets[btn.dataset.preset];
-        if (p) this._applyPreset(p);
+        if (p) this._loadPreset({ ...this._capturePreset(), ...p });
+      });
+    });
+
+    this._bindPresetLibrary();
+  }
+
+  // ─── User preset library ───
+
+  _bindPresetLibrary() {
+    const el = this.el;
+
+    el.presetLibrary.addEventListener('change', async () => {
+      const id = el.presetLibrary.value;
+      if (!id) return;
+      const preset = await this._presetAction(() => this.presetStore.get(id));
+      if (!preset) return;
+      el.presetName.value = preset.name;
+      this._loadPreset(preset.state);
+    });
+
+    el.presetSave.addEventListener('click', async () => {
+      const name = el.presetName.value.trim() || `Preset ${el.presetLibrary.options.length}`;
+      const id = await this._presetAction(() => this.presetStore.save(name, this._capturePreset()));
+      if (id) await this._refreshPresetLibrary(id, `Saved "${name}"`);
+    });
+
+    el.presetRename.addEventListener('click', async () => {
+      const id = el.presetLibrary.value;
+      const name = el.presetName.value.trim();
+      if (!id || !name) return;
+      await this._presetAction(() => this.presetStore.rename(id, name));
+      await this._refreshPresetLibrary(id);
+    });
+
+    el.presetDelete.addEventListener('click', async () => {
+      const id = el.presetLibrary.value;
+      if (!id) return;
+      await this._presetAction(() => this.presetStore.remove(id));
+      el.presetName.value = '';
+      await this._refreshPresetLibrary();
+    });
+
+    el.presetExport.addEventListener('click', async () => {
+      const presets = await this._presetAction(() => this.presetStore.list());
+      if (!presets || presets.length === 0) {
+        this._setPresetStatus('No user presets to export');
+        return;
+      }
+      const url = URL.createObjectURL(exportPresets(presets));
+      const a = document.createElement('a');
+      a.href = url;
+      a.download = 'binaural-presets.json';
+      a.click();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    });
+
+    el.presetImport.addEventListener('click', () => el.presetImportInput.click());
+    el.presetImportInput.addEventListener('change', async (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (!file) return;
+      const count = await this._presetAction(async () => {
+        const presets = parsePresetFile(await file.text());
+        for (const p of presets) await this.presetStore.save(p.name, p.state);
+        return presets.length;
       });
+      if (count) await this._refreshPresetLibrary(null, `Imported ${count} preset${count === 1 ? '' : 's'}`);
     });
+
+    this._refreshPresetLibrary();
+  }
+
+  /**
+   * Run a preset store operation, reporting failures in the status line.
+   */
+  async _presetAction(fn) {
+    try {
+      return await fn();
+    } catch (err) {
+      this._setPresetStatus(`Preset error: ${err.message}`);
+      return null;
+    }
+  }
+
+  _setPresetStatus(msg) {
+    this.el.presetStatus.textContent = msg;
+    this.el.presetStatus.hidden = !msg;
+  }
+
+  async _refreshPresetLibrary(selectedId = null, status = '') {
+    const presets = await this._presetAction(() => this.presetStore.list());
+    if (!presets) return;
+
+    const select = this.el.presetLibrary;
+    select.innerHTML = '';
+    select.add(new Option('User presets…', ''));
+    for (const p of presets) select.add(new Option(p.name, p.id));
+    select.value = selectedId || '';
+    this._setPresetStatus(status);
+  }
+
+  /**
+   * Snapshot the full effect state in the format _applyPreset() accepts.
+   */
+  _capturePreset() {
+    const e = this.engine;
+    return {
+      detuneL: e.detuneL,
+      detuneR: e.detuneR,
+      detuneLink: this.el.detuneLink.checked,
+      detuneLinkMode: this.el.detuneLinkMode.value,
+      formantL: e.formantL,
+      formantR: e.formantR,
+      pitchQuality: e.pitchQuality,
+      pitchProfile: e.pitchProfile,
+      smearDepth: e.phaseSmearL.depth,
+      smearRate: parseFloat(this.el.smearRate.value),
+      smearIndependent: this.el.smearIndependent.checked,
+      smearRateL: e.phaseSmearL.rate,
+      smearRateR: e.phaseSmearR.rate,
+      binauralTones: [...e.binauralBeat.tones.values()].map((t) => t.getSettings()),
+      spatialActive: e.spatialActive,
+      spatialPosition: { ...e.spatializer.position },
+      spatialStereo: e.spatializer.stereo,
+      spatialWidth: e.spatializer.width,
+      spatialPositionL: { ...e.spatializer.positionL },
+      spatialPositionR: { ...e.spatializer.positionR },
+      spatialMotion: e.spatializer.motion ? { ...e.spatializer.motion.settings } : null,
+      spatialDoppler: e.spatializer.doppler,
+      spatialNearField: e.spatializer.nearField,
+      masterVol: e.masterVolume,
+      dryWet: e.dryWetMix,
+      compressorActive: e.compressorActive,
+    };
   }
 
   _applyPreset(p) {
+    this._applyPresetSwitches(p);
+
     // Detune
     this.el.detuneL.value = p.detuneL;
     this.el.detuneR.value = p.detuneR;
@@ -774,9 +2658,6 @@ export class UIController {
     this.el.detuneRVal.textContent = p.detuneR;
     this.engine.setDetune('L', p.detuneL);
     this.engine.setDetune('R', p.detuneR);
-    this.el.detuneLink.checked = p.detuneLink;
-    this.el.detuneLinkMode.value = p.detuneLinkMode;
-    this.el.detuneLinkMode.disabled = !p.detuneLink;
 
     // Smear
     this.el.smearDepth.value = p.smearDepth;
@@ -788,9 +2669,6 @@ export class UIController {
     this.el.smearRate.value = p.smearRate;
     this.el.smearRateVal.textContent = p.smearRate.toFixed(1);
 
-    this.el.smearIndependent.checked = p.smearIndependent;
-    this.el.smearIndependentControls.hidden = !p.smearIndependent;
-
     if (p.smearIndependent) {
       const rateL = p.smearRateL || p.smearRate;
       const rateR = p.smearRateR || p.smearRate;
@@ -805,28 +2683,20 @@ export class UIController {
       this.engine.phaseSmearR.setRate(p.smearRate);
     }
 
-    // Binaural
+    // Binaural — rows keep their history keys by position
+    const rowKeys = [...this.el.binauralTones.children].map((row) => row.dataset.rowKey);
     this._clearBinauralTones();
     if (p.binauralTones) {
-      for (const t of p.binauralTones) {
-        this._addBinauralToneRow(t);
-      }
+      p.binauralTones.forEach((t, i) => {
+        this._addBinauralToneRow(t, { rowKey: rowKeys[i] });
+      });
     }
 
     // Spatial
-    if (p.spatialActive !== undefined) {
-      this.el.spatialActive.checked = p.spatialActive;
-      this.engine.setSpatialActive(p.spatialActive);
-      if (!p.spatialActive) {
-        this.spatialNormX = 0;
-        this.spatialNormY = 0;
-        this.spatialElevation = 0;
-        this.el.spatialElevSlider.value = 0;
-        this.engine.setSpatialPosition(0, 0, 0);
-        this._updateSpatialReadout(0, 0, 0);
-      }
-      this._drawSpatialPad();
-    }
+    this._applySpatialPosition(p.spatialPosition);
+    this._applySpatialPair(p);
+    this._applySpatialMotion(p.spatialMotion);
+    this._drawSpatialPad();
 
     // Output
     this.el.masterVol.value = p.masterVol;
@@ -836,11 +2706,386 @@ export class UIController {
     this.el.dryWet.value = p.dryWet;
     this.el.dryWetVal.textContent = p.dryWet.toFixed(2);
     this.engine.setDryWetMix(p.dryWet);
+  }
+
+  /**
+   * Apply a preset's on/off and mode settings (everything that can't glide).
+   */
+  _applyPresetSwitches(p) {
+    this.el.detuneLink.checked = p.detuneLink;
+    this.el.detuneLinkMode.value = p.detuneLinkMode;
+    this.el.detuneLinkMode.disabled = !p.detuneLink;
+
+    this.el.formantL.checked = p.formantL;
+    this.engine.setFormantPreservation('L', p.formantL);
+    this.el.formantR.checked = p.formantR;
+    this.engine.setFormantPreservation('R', p.formantR);
+    this.el.pitchQuality.value = p.pitchQuality;
+    this.engine.setPitchQuality(p.pitchQuality);
+    this.el.pitchProfile.value = p.pitchProfile;
+    this.engine.setPitchProfile(p.pitchProfile);
+
+    this.el.smearIndependent.checked = p.smearIndependent;
+    this.el.smearIndependentControls.hidden = !p.smearIndependent;
+
+    this.el.spatialActive.checked = p.spatialActive;
+    this.engine.setSpatialActive(p.spatialActive);
+    this.el.spatialStereo.checked = p.spatialStereo;
+    this.el.spatialWidthControls.hidden = !p.spatialStereo;
+    this.engine.setSpatialStereo(p.spatialStereo);
+    this.el.spatialDoppler.checked = p.spatialDoppler;
+    this.engine.setSpatialDoppler(p.spatialDoppler);
+    this.el.spatialNearField.checked = p.spatialNearField;
+    this.engine.setSpatialNearField(p.spatialNearField);
 
     this.el.compressorActive.checked = p.compressorActive;
     this.engine.setCompressorActive(p.compressorActive);
   }
 
+  /**
+   * Apply a preset's stereo pair width, then its explicit channel positions
+   * (after the source position, which lays the pair out again). Null
+   * channel positions keep the pair laid out around the source.
+   */
+  _applySpatialPair(p) {
+    this._syncSpatialWidth(p.spatialWidth);
+    for (const channel of ['L', 'R']) {
+      const pos = p[`spatialPosition${channel}`];
+      if (pos) this.engine.setSpatialChannelPosition(channel, pos.x, pos.y, pos.z);
+    }
+  }
+
+  _syncSpatialWidth(degrees) {
+    this.el.spatialWidth.value = degrees;
+    this.el.spatialWidthVal.textContent = Math.round(degrees);
+    this.engine.setSpatialWidth(degrees);
+  }
+
+  /**
+   * Load a preset — gliding over the morph time, or instantly when it is 0.
+   */
+  _loadPreset(p) {
+    if (this.presetMorph.active) this.presetMorph.finish();
+    const before = this._capturePreset();
+    const seconds = parseFloat(this.el.presetMorphTime.value);
+    if (Number.isFinite(seconds) && seconds > 0) {
+      this._morphToPreset(p, seconds);
+    } else {
+      this._applyPreset(p);
+    }
+
+    // Undo/redo jump straight to the end state. It is captured when the
+    // load is undone (a morph has landed by then), so redo restores exactly
+    // what the load produced rather than `before` patched with the preset.
+    let after = null;
+    this.history.push({
+      undo: () => {
+        this.presetMorph.finish();
+        after = this._capturePreset();
+        this._applyPreset(before);
+      },
+      redo: () => this._applyPreset(after),
+    });
+  }
+
+  /**
+   * Interpolate from the current state to a preset over `seconds`.
+   * Switches flip at the start; tones are matched by position, extra target
+   * tones fade in and surplus current tones fade out and are removed.
+   */
+  _morphToPreset(p, seconds) {
+    const engine = this.engine;
+    const from = this._capturePreset();
+    const to = { ...from, ...p };
+    to.smearRateL = to.smearIndependent ? (p.smearRateL || to.smearRate) : to.smearRate;
+    to.smearRateR = to.smearIndependent ? (p.smearRateR || to.smearRate) : to.smearRate;
+
+    this._applyPresetSwitches(to);
+
+    // Pair current tone rows with target tones; volumes glide between effective levels
+    const targetTones = p.binauralTones || [];
+    const rows = [...this.el.binauralTones.querySelectorAll('.binaural-tone')];
+    const glides = rows.map((row, i) => {
+      const tone = engine.binauralBeat.getTone(parseInt(row.dataset.toneId));
+      const { baseFreq: startFreq, beatDiff: startDiff } = tone.getSettings(); // where a running program is now
+      const start = { baseFreq: startFreq, beatDiff: startDiff, volume: tone.active ? tone.volume : 0 };
+      const target = targetTones[i];
+      if (!target) return { tone, row, start, end: { ...start, volume: 0 }, remove: true };
+
+      const { baseFreq = 200, beatDiff = 10, volume = 0.15, active = false } = target;
+      this._syncToneSwitches(row, tone, target);
+      if (active && !tone.active) {
+        tone.setVolume(0);
+        tone.setActive(true);
+        row.querySelector('.tone-active').checked = true;
+      }
+      return { tone, row, start, end: { baseFreq, beatDiff, volume: active ? volume : 0 }, active, volume };
+    });
+    for (const target of targetTones.slice(rows.length)) {
+      const toneId = this._addBinauralToneRow({ ...target, volume: 0 });
+      const tone = engine.binauralBeat.getTone(toneId);
+      const row = this._toneRow(toneId);
+      const volume = target.volume ?? 0.15;
+      const start = { baseFreq: tone.baseFreq, beatDiff: tone.beatDiff, volume: 0 };
+      glides.push({ tone, row, start, end: { ...start, volume }, active: !!target.active, volume });
+    }
+
+    // Only values that change are driven: setting a position or frequency
+    // would end a motion path or beat program that has nowhere to go
+    const moving = changedKeys(interpolatePreset, from, to);
+    for (const g of glides) g.moving = changedKeys(interpolateTone, g.start, g.end);
+
+    const frame = (t) => {
+      const v = interpolatePreset(from, to, t);
+      if (moving.has('detuneL')) engine.setDetune('L', v.detuneL);
+      if (moving.has('detuneR')) engine.setDetune('R', v.detuneR);
+      if (moving.has('smearDepth')) {
+        engine.phaseSmearL.setDepth(v.smearDepth);
+        engine.phaseSmearR.setDepth(v.smearDepth);
+      }
+      if (moving.has('smearRateL')) engine.phaseSmearL.setRate(v.smearRateL);
+      if (moving.has('smearRateR')) engine.phaseSmearR.setRate(v.smearRateR);
+      if (moving.has('dryWet')) engine.setDryWetMix(v.dryWet);
+      if (moving.has('masterVol')) engine.setMasterVolume(v.masterVol);
+      const { x, y, z } = v.spatialPosition;
+      if (moving.has('spatialWidth')) this._syncSpatialWidth(v.spatialWidth);
+      if (moving.has('spatialPosition')) engine.setSpatialPosition(x, y, z);
+
+      for (const g of glides) {
+        const tv = interpolateTone(g.start, g.end, t);
+        if (g.moving.has('baseFreq')) g.tone.setBaseFrequency(tv.baseFreq);
+        if (g.moving.has('beatDiff')) g.tone.setBeatDifference(tv.beatDiff);
+        if (g.moving.has('volume')) g.tone.setVolume(tv.volume);
+        if (g.moving.size) this._syncToneRow(g.row, tv);
+      }
+
+      this._syncAutomatedControls({
+        detuneL: v.detuneL, detuneR: v.detuneR, smearDepth: v.smearDepth,
+        smearRate: v.smearRate, dryWet: v.dryWet, spatialX: x,
+      });
+      this._syncSmearRateControls(v.smearRateL, v.smearRateR);
+      this.el.masterVol.value = v.masterVol;
+      this.el.masterVolVal.textContent = v.masterVol.toFixed(2);
+    };
+
+    const complete = () => {
+      for (const g of glides) {
+        if (g.remove) {
+          engine.binauralBeat.removeTone(g.tone.id);
+          g.row.remove();
+        } else if (!g.active) {
+          // Faded out to silence — switch off and restore its stored volume
+          g.tone.setActive(false);
+          g.tone.setVolume(g.volume);
+          g.row.querySelector('.tone-active').checked = false;
+          this._syncToneRow(g.row, { ...g.end, volume: g.volume });
+        }
+      }
+      this._updateToneLabels();
+      // Hand-placed channels land once the pair has glided into place
+      this._applySpatialPair(to);
+      // ...and a motion path starts from where the glide ends
+      this._applySpatialMotion(to.spatialMotion);
+      this._drawSpatialPad();
+    };
+
+    this.presetMorph.start(seconds, frame, complete);
+  }
+
+  /**
+   * Move a tone row's sliders and badges to the given values.
+   */
+  _syncToneRow(row, { baseFreq, beatDiff, volume }) {
+    row.querySelector('.tone-base').value = this._baseFreqToSlider(baseFreq);
+    row.querySelector('.tone-base-val').textContent = Math.round(baseFreq);
+    row.querySelector('.tone-diff').value = this._beatDiffToSlider(beatDiff);
+    row.querySelector('.tone-diff-val').textContent = beatDiff.toFixed(1);
+    row.querySelector('.tone-vol').value = volume;
+    row.querySelector('.tone-vol-val').textContent = volume.toFixed(2);
+  }
+
+  /**
+   * Apply a tone's mode, pulse and carrier settings (switches — not
+   * interpolated) to engine and row.
+   */
+  _syncToneSwitches(row, tone, {
+    mode = 'binaural', pulseShape = 'square', dutyCycle = 0.5, carrier = 'sine', harmonics, noiseLevel = 0,
+    spatial = false, position, scenePosition,
+  }) {
+    tone.setMode(mode);
+    tone.setPulseShape(pulseShape);
+    tone.setDutyCycle(dutyCycle);
+    tone.setCarrier(carrier, { harmonics });
+    tone.setNoiseLevel(noiseLevel);
+    row.querySelector('.tone-carrier').value = tone.carrier;
+    row.querySelector('.tone-harmonics').value = tone.harmonics.join(', ');
+    row.querySelector('.tone-harmonics').hidden = tone.carrier !== 'custom';
+    row.querySelector('.tone-noise').value = tone.noiseLevel;
+    row.querySelector('.tone-noise-val').textContent = tone.noiseLevel.toFixed(2);
+    row.querySelector('.tone-mode').value = tone.mode;
+    row.querySelector('.tone-pulse-shape').value = tone.pulseShape;
+    row.querySelector('.tone-duty').value = tone.dutyCycle;
+    row.querySelector('.tone-duty-val').textContent = Math.round(tone.dutyCycle * 100);
+    this._showToneMode(row, tone.mode);
+
+    if (position) tone.setPosition(position.x, position.y, position.z);
+    if (scenePosition !== undefined) tone.setScenePosition(scenePosition);
+    tone.setSpatial(spatial);
+    row.querySelector('.tone-spatial').checked = tone.spatial;
+    this._drawSpatialPad();
+  }
+
+  _syncSmearRateControls(rateL, rateR) {
+    this.el.smearRateL.value = rateL;
+    this.el.smearRateLVal.textContent = rateL.toFixed(1);
+    this.el.smearRateR.value = rateR;
+    this.el.smearRateRVal.textContent = rateR.toFixed(1);
+  }
+
+  // ─── Session URL ───
+
+  _bindSessionUrl() {
+    // Applied when the workspace first opens (the engine doesn't exist yet)
+    this._pendingSession = decodeSessionState(location.hash);
+
+    window.addEventListener('hashchange', () => {
+      const state = decodeSessionState(location.hash);
+      if (!state) return;
+      if (this.el.controls.hidden) this._pendingSession = state;
+      else this._restoreSession(state);
+    });
+
+    this.el.btnShare.addEventListener('click', () => this._copySessionLink());
+  }
+
+  _captureSession() {
+    const state = this._capturePreset();
+    state.safety = this.engine.getToneSafety();
+    if (this.walkingMode) {
+      state.walking = { active: this.walkingMode.active, ...this.walkingMode.getSettings() };
+    }
+    return state;
+  }
+
+  /**
+   * Apply a decoded session link. Missing fields keep their current values.
+   */
+  _restoreSession(state) {
+    const { walking, safety, ...preset } = state;
+    this._applyPreset({ ...this._capturePreset(), ...preset });
+
+    if (safety) {
+      this.engine.setToneSafety(safety);
+      this._syncToneSafetyControls(this.engine.getToneSafety());
+    }
+
+    if (walking && this.walkingMode) {
+      this.walkingMode.setSettings(walking);
+      if (walking.active !== undefined && walking.active !== this.walkingMode.active) {
+        this.walkingMode.toggle();
+      }
+    }
+  }
+
+  async _copySessionLink() {
+    const hash = encodeSessionState(this._captureSession());
+    const url = `${location.origin}${location.pathname}${location.search}${hash}`;
+    // replaceState doesn't fire hashchange, so the session isn't re-applied
+    history.replaceState(null, '', url);
+    try {
+      await navigator.clipboard.writeText(url);
+      this._setPresetStatus('Session link copied');
+    } catch (_) {
+      this._setPresetStatus('Session link is in the address bar');
+    }
+  }
+
+  // ─── Undo / redo ───
+
+  /**
+   * Record every user edit of a control in #controls as an undoable command.
+   * The value is snapshotted when a gesture starts and the command is pushed
+   * on 'change', so a slider drag becomes one step; the changes of one held
+   * key (pointer/key down to up) merge into one step as well. Undo/redo set
+   * the value and re-dispatch the control's events, reusing its normal
+   * handler.
+   */
+  _bindHistory() {
+    const root = this.el.controls;
+
+    const snapshot = (e) => {
+      if (this._isHistoryControl(e.target)) this._controlStart.set(e.target, this._controlValue(e.target));
+    };
+    const begin = (e) => {
+      if (e.repeat || !this._isHistoryControl(e.target)) return;
+      snapshot(e);
+      this.history.beginGesture(this._controlSelector(e.target));
+    };
+    const end = () => this.history.endGesture();
+    root.addEventListener('pointerdown', begin, true);
+    root.addEventListener('keydown', begin, true);
+    window.addEventListener('pointerup', end);
+    window.addEventListener('pointercancel', end);
+    window.addEventListener('keyup', end);
+    root.addEventListener('focusin', (e) => {
+      if (!this._controlStart.has(e.target)) snapshot(e);
+    });
+
+    root.addEventListener('change', (e) => {
+      const el = e.target;
+      if (!this._isHistoryControl(el)) return;
+      const after = this._controlValue(el);
+      const before = el.type === 'checkbox' ? !after : this._controlStart.get(el);
+      this._controlStart.set(el, after);
+      if (this.history.applying || before === undefined || before === after) return;
+
+      const selector = this._controlSelector(el);
+      this.history.push({
+        mergeKey: selector,
+        undo: () => this._setControlValue(selector, before),
+        redo: () => this._setControlValue(selector, after),
+      });
+    });
+  }
+
+  _isHistoryControl(el) {
+    if (!el.matches('input, select') || el.type === 'text') return false;
+    if (el.closest('[data-no-history]')) return false;
+    return !!(el.id || el.closest('[data-row-key]'));
+  }
+
+  _controlValue(el) {
+    return el.type === 'checkbox' ? el.checked : el.value;
+  }
+
+  /**
+   * Selector that finds the control again, even after its tone row is re-created.
+   */
+  _controlSelector(el) {
+    if (el.id) return `#${el.id}`;
+    const row = el.closest('[data-row-key]');
+    return `[data-row-key="${row.dataset.rowKey}"] .${el.classList[0]}`;
+  }
+
+  _setControlValue(selector, value) {
+    const el = document.querySelector(selector);
+    if (!el) return;
+    if (el.type === 'checkbox') el.checked = value;
+    else el.value = value;
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  _undo() {
+    this.presetMorph.finish();
+    this.history.undo();
+  }
+
+  _redo() {
+    this.presetMorph.finish();
+    this.history.redo();
+  }
+
   // ─── Keyboard shortcuts ───
 
   _bindKeyboard() {
@@ -849,6 +3094,14 @@ export class UIController {
       if (e.target.tagName === 'INPUT' && e.target.type !== 'range') return;
       if (e.target.tagName === 'SELECT') return;
 
+      // Undo / redo (Ctrl+Z / Ctrl+Shift+Z, Cmd on macOS)
+      if ((e.ctrlKey || e.metaKey) && e.code === 'KeyZ') {
+        e.preventDefault();
+        if (e.shiftKey) this._redo();
+        else this._undo();
+        return;
+      }
+
       // In walking mode, skip keys that PlayerController handles
       if (this.walkingMode && this.walkingMode.active) {
         const walkingKeys = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight',
@@ -873,7 +3126,14 @@ export class UIController {
           this._stop();
           break;
         case 'KeyL':
-          this._toggleLoop();
+          if (e.shiftKey) this._clearLoopRegion();
+          else this._toggleLoop();
+          break;
+        case 'KeyI':
+          this._setLoopPoint('in');
+          break;
+        case 'KeyO':
+          this._setLoopPoint('out');
           break;
         case 'ArrowLeft':
           e.preventDefault();
@@ -0,0 +1,97 @@
+/**
+ * UndoHistory — command stack for undo/redo.
+ *
+ * A command is `{ undo(), redo(), mergeKey? }`. Commands pushed during one
+ * gesture (beginGesture … endGesture) with the gesture's mergeKey are folded
+ * into one step (keeping the first undo and the latest redo), so key-repeat
+ * nudges of a held key become a single step while separate drags or presses
+ * of the same control stay separate.
+ */
+
+const DEFAULT_LIMIT = 200;
+
+export class UndoHistory {
+  constructor({ limit = DEFAULT_LIMIT } = {}) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.applying = false; // true while a command's undo/redo runs
+    this._gesture = null; // { mergeKey, command } while a gesture is open
+  }
+
+  get canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Start a gesture on a control (pointer or key down). Until endGesture,
+   * pushes with this mergeKey fold into one step.
+   * @param {string} mergeKey
+   */
+  beginGesture(mergeKey) {
+    this._gesture = { mergeKey, command: null };
+  }
+
+  /** End the current gesture (pointer or key up). */
+  endGesture() {
+    this._gesture = null;
+  }
+
+  /**
+   * Record a command that has already been carried out.
+   * Ignored while an undo/redo is being applied.
+   */
+  push(command) {
+    if (this.applying) return;
+    const gesture = this._gesture && command.mergeKey === this._gesture.mergeKey ? this._gesture : null;
+    const top = this.undoStack[this.undoStack.length - 1];
+
+    if (gesture && gesture.command && gesture.command === top) {
+      top.redo = command.redo;
+    } else {
+      const entry = { ...command };
+      this.undoStack.push(entry);
+      if (this.undoStack.length > this.limit) this.undoStack.shift();
+      if (gesture) gesture.command = entry;
+    }
+
+    this.redoStack = [];
+  }
+
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return false;
+    this._run(() => command.undo());
+    this.redoStack.push(command);
+    this._gesture = null;
+    return true;
+  }
+
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return false;
+    this._run(() => command.redo());
+    this.undoStack.push(command);
+    this._gesture = null;
+    return true;
+  }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this._gesture = null;
+  }
+
+  _run(fn) {
+    this.applying = true;
+    try {
+      fn();
+    } finally {
+      this.applying = false;
+    }
+  }
+}
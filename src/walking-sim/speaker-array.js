@@ -1,10 +1,32 @@
 /**
  * SpeakerArray — creates N speaker channels, each with DelayNode (propagation delay)
  * → PannerNode (HRTF, inverse distance). Updates AudioListener and per-speaker delay each frame.
+ * With a custom HRTF set loaded, each speaker also gets an HrtfRenderer and the
+ * panners are faded out.
+ *
+ * With Doppler on, the delays follow each speaker's radial velocity as linear
+ * ramps (instead of smoothing toward the current distance), so walking or
+ * sprinting past a speaker bends its pitch like the real thing.
  *
  * Signal flow:
- *   inputBus (mono merge of L+R) → DelayNode[i] → PannerNode[i] → shared sumNode → splitter → outputL / outputR
+ *   inputBus (mono merge of L+R) → DelayNode[i] ─┬→ PannerNode[i] → builtinBus ─┬→ shared sumNode → splitter → outputL / outputR
+ *                                                └→ HrtfRenderer[i] ─────────────┘
  */
+import { HrtfRenderer, DEFAULT_LISTENER } from '../hrtf-renderer.js';
+
+const SPEAKER_PANNER = {
+  refDistance: 1,
+  maxDistance: 100,
+  rolloffFactor: 1.5,
+  coneInnerAngle: 120,
+  coneOuterAngle: 180,
+  coneOuterGain: 0.3,
+};
+
+const SPEED_OF_SOUND = 343; // m/s
+const DOPPLER_LEAD = 0.05; // s each delay ramp ends ahead of the frame
+const MAX_RADIAL_SPEED = 100; // m/s; faster jumps (teleports) aren't extrapolated
+
 export class SpeakerArray {
   /**
    * @param {AudioContext} ctx
@@ -30,6 +52,15 @@ export class SpeakerArray {
     this.sumNode.channelCountMode = 'explicit';
     this.sumNode.channelInterpretation = 'speakers';
 
+    // Built-in panners feed the sum through builtinBus, faded out while
+    // custom HRTF renderers are in use
+    this.builtinBus = ctx.createGain();
+    this.builtinBus.connect(this.sumNode);
+    this.hrtf = null;
+    this.listener = DEFAULT_LISTENER;
+    this.doppler = false;
+    this._lastUpdate = null; // context time of the previous updateSpeakers()
+
     // Splitter to separate stereo sum into L/R
     this.splitter = ctx.createChannelSplitter(2);
     this.sumNode.connect(this.splitter);
@@ -64,12 +95,7 @@ export class SpeakerArray {
     const panner = new PannerNode(ctx, {
       panningModel: 'HRTF',
       distanceModel: 'inverse',
-      refDistance: 1,
-      maxDistance: 100,
-      rolloffFactor: 1.5,
-      coneInnerAngle: 120,
-      coneOuterAngle: 180,
-      coneOuterGain: 0.3,
+      ...SPEAKER_PANNER,
     });
 
     // Speaker points downward (cone faces down)
@@ -82,22 +108,38 @@ export class SpeakerArray {
     panner.positionY.value = pos.y;
     panner.positionZ.value = pos.z;
 
-    // Wire: inputBus → gain → delay → panner → sumNode
+    // Wire: inputBus → gain → delay → panner → builtinBus
     this.inputBus.connect(gain);
     gain.connect(delay);
     delay.connect(panner);
-    panner.connect(this.sumNode);
+    panner.connect(this.builtinBus);
 
     this.speakers.push({
       position: { x: pos.x, y: pos.y, z: pos.z },
       gain,
       delay,
       panner,
+      renderer: null,
+      distance: null,
       active: true,
       index,
     });
   }
 
+  _createRenderer(speaker) {
+    const renderer = new HrtfRenderer(this.ctx, this.hrtf, {
+      ...SPEAKER_PANNER,
+      position: speaker.position,
+      orientation: { x: 0, y: -1, z: 0 }, // pointing down, like the panners
+      listener: this.listener,
+    });
+    renderer.output.gain.value = 0;
+    renderer.output.gain.setTargetAtTime(1, this.ctx.currentTime, 0.02);
+    speaker.delay.connect(renderer.input);
+    renderer.connect(this.sumNode);
+    return renderer;
+  }
+
   /**
    * Get input merger node for connecting sources.
    * Connect sourceL → inputMerger channel 0, sourceR → channel 1.
@@ -130,6 +172,49 @@ export class SpeakerArray {
     this.sumNode.gain.setTargetAtTime(value, t, 0.02);
   }
 
+  /**
+   * Doppler shift from the listener's radial velocity to each speaker.
+   * @param {boolean} on
+   */
+  setDoppler(on) {
+    this.doppler = !!on;
+    // Start over from the delays as they are now
+    const t = this.ctx.currentTime;
+    for (const speaker of this.speakers) {
+      const param = speaker.delay.delayTime;
+      param.cancelScheduledValues(t);
+      param.setValueAtTime(param.value, t);
+    }
+    this._lastUpdate = null;
+  }
+
+  /**
+   * Render the speakers through a custom HRTF set, or the browser's built-in HRTF (null).
+   * @param {?object} hrtf prepared set from prepareHrtf
+   */
+  setHrtf(hrtf) {
+    const t = this.ctx.currentTime;
+    const old = [];
+    this.hrtf = hrtf;
+    for (const speaker of this.speakers) {
+      if (speaker.renderer) {
+        speaker.renderer.output.gain.setTargetAtTime(0, t, 0.02);
+        old.push([speaker, speaker.renderer]);
+      }
+      speaker.renderer = hrtf ? this._createRenderer(speaker) : null;
+    }
+    this.builtinBus.gain.setTargetAtTime(hrtf ? 0 : 1, t, 0.02);
+
+    // Drop the old renderers once they have faded out
+    if (old.length === 0) return;
+    setTimeout(() => {
+      for (const [speaker, renderer] of old) {
+        try { speaker.delay.disconnect(renderer.input); } catch (_) {}
+        renderer.dispose();
+      }
+    }, 200);
+  }
+
   /**
    * Update listener position/orientation and per-speaker delays.
    * Call each frame from the animation loop.
@@ -156,6 +241,12 @@ export class SpeakerArray {
       listener.setPosition(playerPos.x, playerPos.y, playerPos.z);
       listener.setOrientation(forward.x, forward.y, forward.z, up.x, up.y, up.z);
     }
+
+    // Custom HRTF renderers can't read the AudioListener; hand them the pose
+    this.listener = { position: { ...playerPos }, forward: { ...forward }, up: { ...up } };
+    for (const speaker of this.speakers) {
+      if (speaker.renderer && speaker.active) speaker.renderer.setListener(playerPos, forward, up);
+    }
   }
 
   /**
@@ -165,6 +256,8 @@ export class SpeakerArray {
    */
   updateSpeakers(playerPos) {
     const t = this.ctx.currentTime;
+    const dt = this._lastUpdate === null ? 0 : t - this._lastUpdate;
+    this._lastUpdate = t;
     const distances = [];
 
     for (const speaker of this.speakers) {
@@ -175,8 +268,12 @@ export class SpeakerArray {
       distances.push(dist);
 
       // Propagation delay: distance / speed of sound
-      const propDelay = dist / 343;
-      speaker.delay.delayTime.setTargetAtTime(propDelay, t, 0.02);
+      if (this.doppler) {
+        this._followDistance(speaker, dist, dt, t);
+      } else {
+        speaker.delay.delayTime.setTargetAtTime(dist / SPEED_OF_SOUND, t, 0.02);
+      }
+      speaker.distance = dist;
 
       // Activation: mute speakers beyond activation distance to save CPU
       const shouldBeActive = dist <= this.activationDistance;
@@ -192,6 +289,24 @@ export class SpeakerArray {
     return distances;
   }
 
+  /**
+   * Doppler: ramp the delay to where the speaker's distance will be
+   * DOPPLER_LEAD from now at its current radial velocity. Ramps chain frame
+   * to frame, so the delay's slope — and the pitch shift — track the velocity.
+   */
+  _followDistance(speaker, dist, dt, t) {
+    const param = speaker.delay.delayTime;
+    let velocity = dt > 0 && speaker.distance !== null ? (dist - speaker.distance) / dt : 0;
+    if (Math.abs(velocity) > MAX_RADIAL_SPEED) {
+      // A jump, not movement: restart the ramps from the new distance
+      param.cancelScheduledValues(t);
+      param.setValueAtTime(dist / SPEED_OF_SOUND, t);
+      velocity = 0;
+    }
+    const ahead = Math.max(0, dist + velocity * DOPPLER_LEAD);
+    param.linearRampToValueAtTime(Math.min(ahead / SPEED_OF_SOUND, param.maxValue), t + DOPPLER_LEAD);
+  }
+
   /**
    * Disconnect all nodes for cleanup.
    */
@@ -199,6 +314,7 @@ export class SpeakerArray {
     this.inputBus.disconnect();
     this.inputMerger.disconnect();
     this.sumNode.disconnect();
+    this.builtinBus.disconnect();
     this.splitter.disconnect();
     this.outputL.disconnect();
     this.outputR.disconnect();
@@ -206,6 +322,7 @@ export class SpeakerArray {
       s.gain.disconnect();
       s.delay.disconnect();
       s.panner.disconnect();
+      if (s.renderer) s.renderer.dispose();
     }
   }
 }
@@ -4,6 +4,20 @@ import { PlayerController } from './player-controller.js';
 import { SpeakerArray } from './speaker-array.js';
 import { WalkingUI } from './walking-ui.js';
 
+// Where unplaced spatial tones appear: in front of the soda machine, spread along Z
+const TONE_DEFAULT_OFFSET = { x: -1.5, y: 1.5 };
+const TONE_DEFAULT_SPACING = 1.5;
+const TONE_PLACE_DISTANCE = 2;
+const TONE_PLACE_HEIGHT = 1.5;
+
+const DEFAULT_SETTINGS = {
+  speakerVolume: 1.0,
+  reverbAmount: 0.3,
+  reverbDecay: 2.5,
+  reverbDamping: 4000,
+  doppler: false,
+};
+
 /**
  * WalkingMode — orchestrator that ties scene + player + speaker array + UI.
  * Runs animation loop, handles activate/deactivate, rewires audio graph.
@@ -21,11 +35,16 @@ export class WalkingMode {
     this.speakerArray = null;
     this.ui = new WalkingUI();
 
+    // Speaker volume, hallway reverb and Doppler, kept across activations
+    this.settings = { ...DEFAULT_SETTINGS };
+
     this._animId = null;
     this._clock = new THREE.Clock();
     this._tmpForward = new THREE.Vector3();
     this._tmpUp = new THREE.Vector3(0, 1, 0);
     this.sodaMachinePos = null;
+    this.toneLabel = null; // (toneId) => display label, set by the UI
+    this._toneSignature = null;
   }
 
   /**
@@ -36,17 +55,14 @@ export class WalkingMode {
     this.active = true;
 
     // Switch DOM layout
-    this.ui.onVolumeChange = (val) => {
-      if (this.speakerArray) this.speakerArray.setVolume(val);
-    };
+    this.ui.onVolumeChange = (val) => this.setSettings({ speakerVolume: val });
     this.ui.onReverbChange = ({ amount, decay, damping }) => {
-      const reverb = this.engine.getHallwayReverb();
-      if (!reverb) return;
-      if (amount !== undefined) reverb.setAmount(amount);
-      if (decay !== undefined) reverb.setDecayTime(decay);
-      if (damping !== undefined) reverb.setAbsorption(damping);
+      this.setSettings({ reverbAmount: amount, reverbDecay: decay, reverbDamping: damping });
     };
-    this.ui.activate();
+    this.ui.onDopplerChange = (on) => this.setSettings({ doppler: on });
+    this.ui.onPlaceTone = (id) => this.placeTone(id);
+    this.ui.activate(this.settings);
+    this._toneSignature = null;
 
     // Create 3D scene
     this.scene = new WalkingScene();
@@ -74,9 +90,10 @@ export class WalkingMode {
     if (!this.active) return;
     this.active = false;
 
-    // Restore binaural beat to normal volume
+    // Restore binaural beat to normal volume and spatial tones to their pad positions
     if (this.engine.binauralBeat) {
       this.engine.binauralBeat.updateDistanceAttenuation(1.0);
+      this.engine.binauralBeat.setWalkingActive(false);
     }
 
     // Stop animation loop
@@ -119,6 +136,90 @@ export class WalkingMode {
     }
   }
 
+  /**
+   * Update speaker volume / reverb / Doppler settings (undefined fields are left as is).
+   * Applied immediately when walking mode is running, otherwise on activation.
+   * @param {{ speakerVolume?: number, reverbAmount?: number, reverbDecay?: number, reverbDamping?: number, doppler?: boolean }} settings
+   */
+  setSettings(settings) {
+    const changed = {};
+    for (const key of Object.keys(DEFAULT_SETTINGS)) {
+      if (settings[key] !== undefined && settings[key] !== this.settings[key]) {
+        changed[key] = this.settings[key] = settings[key];
+      }
+    }
+    this._applySettings(changed);
+    if (this.active) this.ui.syncSettings(this.settings);
+  }
+
+  getSettings() {
+    return { ...this.settings };
+  }
+
+  /**
+   * Move a spatial tone to just in front of the player.
+   * @param {number} toneId
+   */
+  placeTone(toneId) {
+    const tone = this.engine.binauralBeat?.getTone(toneId);
+    if (!tone || !this.player) return;
+    const pos = this.player.getPosition();
+    this.scene.camera.getWorldDirection(this._tmpForward);
+    this._tmpForward.y = 0;
+    if (this._tmpForward.lengthSq() < 1e-6) this._tmpForward.set(0, 0, -1);
+    this._tmpForward.normalize();
+    tone.setScenePosition({
+      x: pos.x + this._tmpForward.x * TONE_PLACE_DISTANCE,
+      y: TONE_PLACE_HEIGHT,
+      z: pos.z + this._tmpForward.z * TONE_PLACE_DISTANCE,
+    });
+  }
+
+  /**
+   * Keep spatial tones in walking mode: give unplaced ones a default spot,
+   * then refresh the scene markers and HUD list when anything changed.
+   */
+  _syncTones() {
+    const bb = this.engine.binauralBeat;
+    if (!bb) return;
+    if (!bb.walking) bb.setWalkingActive(true);
+
+    const tones = [...bb.tones.values()].filter((tone) => tone.spatial);
+    const unplaced = tones.filter((tone) => !tone.scenePosition);
+    unplaced.forEach((tone, i) => {
+      tone.setScenePosition({
+        x: this.sodaMachinePos.x + TONE_DEFAULT_OFFSET.x,
+        y: TONE_DEFAULT_OFFSET.y,
+        z: this.sodaMachinePos.z + (i - (unplaced.length - 1) / 2) * TONE_DEFAULT_SPACING,
+      });
+    });
+
+    const entries = tones.map((tone) => ({
+      id: tone.id,
+      label: (this.toneLabel && this.toneLabel(tone.id)) || `Tone ${tone.id + 1}`,
+      position: tone.scenePosition,
+    }));
+    const signature = JSON.stringify(entries);
+    if (signature === this._toneSignature) return;
+    this._toneSignature = signature;
+    this.scene.setToneMarkers(entries);
+    this.ui.setTones(entries);
+  }
+
+  _applySettings(settings) {
+    if (this.speakerArray && settings.speakerVolume !== undefined) {
+      this.speakerArray.setVolume(settings.speakerVolume);
+    }
+    if (this.speakerArray && settings.doppler !== undefined) {
+      this.speakerArray.setDoppler(settings.doppler);
+    }
+    const reverb = this.engine.getHallwayReverb();
+    if (!reverb) return;
+    if (settings.reverbAmount !== undefined) reverb.setAmount(settings.reverbAmount);
+    if (settings.reverbDecay !== undefined) reverb.setDecayTime(settings.reverbDecay);
+    if (settings.reverbDamping !== undefined) reverb.setAbsorption(settings.reverbDamping);
+  }
+
   /**
    * Initialize speaker array if AudioContext is available.
    * Called on activate and lazily from animation loop if context wasn't ready initially.
@@ -133,6 +234,13 @@ export class WalkingMode {
     }));
     this.speakerArray = new SpeakerArray(ctx, positions);
     this.engine.connectSpeakerArray(this.speakerArray);
+
+    // Fresh speaker array / reverb start at the defaults — apply what differs
+    const changed = {};
+    for (const [key, value] of Object.entries(this.settings)) {
+      if (value !== DEFAULT_SETTINGS[key]) changed[key] = value;
+    }
+    this._applySettings(changed);
   }
 
   /**
@@ -183,6 +291,9 @@ export class WalkingMode {
       this.engine.binauralBeat.updateDistanceAttenuation(gain);
     }
 
+    // Spatial tone markers and placements
+    this._syncTones();
+
     // Update speaker glow based on proximity
     this.scene.updateSpeakerGlow(playerPos);
 
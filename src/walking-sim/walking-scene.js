@@ -5,6 +5,7 @@ import * as THREE from 'three';
  *
  * Hallway: 10 wide (X), 5 tall (Y), 320 long (Z, extending in -Z direction).
  * 10 ceiling speakers staggered left/right at 32-unit intervals.
+ * Spatial binaural tones show up as glowing markers at their scene positions.
  */
 
 const HALL_LENGTH = 320;
@@ -24,6 +25,8 @@ export class WalkingScene {
     this.sodaMachinePosition = new THREE.Vector3(44, 1.0, -48);
     this._sodaMachineLight = null;
     this._sodaMachineIndicator = null;
+    this._toneMarkers = [];
+    this._toneMarkerParts = null; // shared geometry/materials, built on first use
     this._clock = new THREE.Clock();
   }
 
@@ -558,6 +561,42 @@ export class WalkingScene {
     }
   }
 
+  /**
+   * Replace the tone markers: a glowing sphere per tone with a stem down to the floor.
+   * @param {Array<{ id: number, position: { x: number, y: number, z: number } }>} markers
+   */
+  setToneMarkers(markers) {
+    for (const group of this._toneMarkers) this.scene.remove(group);
+    this._toneMarkers = [];
+
+    if (!this._toneMarkerParts) {
+      this._toneMarkerParts = {
+        sphere: new THREE.SphereGeometry(0.15, 16, 12),
+        halo: new THREE.SphereGeometry(0.3, 16, 12),
+        stem: new THREE.CylinderGeometry(0.01, 0.01, 1, 6),
+        coreMat: new THREE.MeshBasicMaterial({ color: 0x4ecca3 }),
+        haloMat: new THREE.MeshBasicMaterial({ color: 0x4ecca3, transparent: true, opacity: 0.2 }),
+        stemMat: new THREE.MeshBasicMaterial({ color: 0x4ecca3, transparent: true, opacity: 0.35 }),
+      };
+    }
+    const parts = this._toneMarkerParts;
+
+    for (const { position } of markers) {
+      const group = new THREE.Group();
+      group.position.set(position.x, position.y, position.z);
+      group.add(new THREE.Mesh(parts.sphere, parts.coreMat));
+      group.add(new THREE.Mesh(parts.halo, parts.haloMat));
+      if (position.y > 0) {
+        const stem = new THREE.Mesh(parts.stem, parts.stemMat);
+        stem.scale.y = position.y;
+        stem.position.y = -position.y / 2;
+        group.add(stem);
+      }
+      this.scene.add(group);
+      this._toneMarkers.push(group);
+    }
+  }
+
   render() {
     this.renderer.render(this.scene, this.camera);
   }
@@ -568,6 +607,9 @@ export class WalkingScene {
 
   dispose() {
     window.removeEventListener('resize', this._onResize);
+    if (this._toneMarkerParts) {
+      for (const part of Object.values(this._toneMarkerParts)) part.dispose();
+    }
     if (this.renderer) {
       this.renderer.dispose();
       this.renderer.domElement.remove();
@@ -11,12 +11,15 @@ export class WalkingUI {
     this._onPointerLockChange = this._onPointerLockChange.bind(this);
     this.onVolumeChange = null; // callback(value)
     this.onReverbChange = null; // callback({ amount, decay, damping })
+    this.onDopplerChange = null; // callback(on)
+    this.onPlaceTone = null; // callback(toneId)
   }
 
   /**
    * Activate walking mode layout.
+   * @param {{ speakerVolume: number, reverbAmount: number, reverbDecay: number, reverbDamping: number, doppler: boolean }} settings initial HUD values
    */
-  activate() {
+  activate(settings) {
     const appLayout = document.getElementById('app-layout');
     const viewport = document.getElementById('walking-viewport');
 
@@ -33,6 +36,7 @@ export class WalkingUI {
 
     // Create HUD overlay
     this._createHUD(viewport);
+    this.syncSettings(settings);
 
     // Listen for pointer lock changes
     document.addEventListener('pointerlockchange', this._onPointerLockChange);
@@ -120,6 +124,15 @@ export class WalkingUI {
           <label>Damping <span id="walking-damping-val" class="val-badge">4000</span></label>
           <input type="range" id="walking-damping" min="500" max="12000" step="100" value="4000" />
         </div>
+        <div class="walking-doppler-control">
+          <label class="toggle-label" title="Bend the speakers' pitch as you move toward or away from them">
+            <input type="checkbox" id="walking-doppler" /> Doppler
+          </label>
+        </div>
+        <div class="walking-tone-control">
+          <select id="walking-tone" class="compact-select" title="Spatial tone to place"></select>
+          <button id="walking-place-tone" class="btn btn-preset" title="Put the tone 2 m in front of you">Place tone here</button>
+        </div>
       </div>
       <div class="walking-controls-hint">WASD / Arrows to move &middot; Shift to sprint &middot; Esc to release mouse</div>
     `;
@@ -157,9 +170,56 @@ export class WalkingUI {
 
     dampingSlider.addEventListener('input', () => {
       const v = parseFloat(dampingSlider.value);
-      dampingVal.textContent = v >= 1000 ? (v / 1000).toFixed(1) + 'k' : v.toString();
+      dampingVal.textContent = formatHz(v);
       if (this.onReverbChange) this.onReverbChange({ damping: v });
     });
+
+    const doppler = hud.querySelector('#walking-doppler');
+    doppler.addEventListener('change', () => {
+      if (this.onDopplerChange) this.onDopplerChange(doppler.checked);
+    });
+
+    // Tone placement
+    const toneSelect = hud.querySelector('#walking-tone');
+    hud.querySelector('#walking-place-tone').addEventListener('click', () => {
+      const id = parseInt(toneSelect.value);
+      if (!Number.isNaN(id) && this.onPlaceTone) this.onPlaceTone(id);
+    });
+    this.setTones([]);
+  }
+
+  /**
+   * List the spatial tones that can be placed.
+   * @param {Array<{ id: number, label: string }>} tones
+   */
+  setTones(tones) {
+    const hud = this._hud;
+    if (!hud) return;
+    const select = hud.querySelector('#walking-tone');
+    const previous = select.value;
+    select.innerHTML = tones.length
+      ? tones.map(({ id, label }) => `<option value="${id}">${label}</option>`).join('')
+      : '<option value="">No spatial tones</option>';
+    if (tones.some(({ id }) => String(id) === previous)) select.value = previous;
+    select.disabled = tones.length === 0;
+    hud.querySelector('#walking-place-tone').disabled = tones.length === 0;
+  }
+
+  /**
+   * Move the HUD sliders and badges to the given settings.
+   */
+  syncSettings({ speakerVolume, reverbAmount, reverbDecay, reverbDamping, doppler }) {
+    const hud = this._hud;
+    if (!hud) return;
+    hud.querySelector('#walking-vol').value = speakerVolume;
+    hud.querySelector('#walking-vol-val').textContent = speakerVolume.toFixed(2);
+    hud.querySelector('#walking-reverb').value = reverbAmount;
+    hud.querySelector('#walking-reverb-val').textContent = reverbAmount.toFixed(2);
+    hud.querySelector('#walking-decay').value = reverbDecay;
+    hud.querySelector('#walking-decay-val').textContent = reverbDecay.toFixed(1) + 's';
+    hud.querySelector('#walking-damping').value = reverbDamping;
+    hud.querySelector('#walking-damping-val').textContent = formatHz(reverbDamping);
+    hud.querySelector('#walking-doppler').checked = doppler;
   }
 
   _onPointerLockChange() {
@@ -169,3 +229,7 @@ export class WalkingUI {
     }
   }
 }
+
+function formatHz(v) {
+  return v >= 1000 ? (v / 1000).toFixed(1) + 'k' : v.toString();
+}
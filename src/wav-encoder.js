@@ -0,0 +1,88 @@
+/**
+ * WAV encoder — serializes an AudioBuffer to a RIFF/WAVE Blob.
+ *
+ * Supported formats:
+ *   'int16'   — 16-bit PCM
+ *   'int24'   — 24-bit PCM
+ *   'float32' — 32-bit IEEE float (WAVE_FORMAT_IEEE_FLOAT)
+ *
+ * No dither is applied so repeated encodes of the same buffer are bit-identical.
+ */
+
+const FORMATS = {
+  int16: { bytes: 2, tag: 1 },
+  int24: { bytes: 3, tag: 1 },
+  float32: { bytes: 4, tag: 3 },
+};
+
+/**
+ * Encode an AudioBuffer as an interleaved WAV file.
+ * @param {AudioBuffer} buffer
+ * @param {'int16'|'int24'|'float32'} [format]
+ * @returns {Blob}
+ */
+export function encodeWav(buffer, format = 'int16') {
+  const spec = FORMATS[format];
+  if (!spec) throw new Error(`Unsupported WAV format: ${format}`);
+
+  const numChannels = buffer.numberOfChannels;
+  const length = buffer.length;
+  const blockAlign = numChannels * spec.bytes;
+  const dataSize = length * blockAlign;
+  const arrayBuffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(arrayBuffer);
+
+  // RIFF header
+  writeString(view, 0, 'RIFF');
+  view.setUint32(4, 36 + dataSize, true);
+  writeString(view, 8, 'WAVE');
+
+  // fmt chunk
+  writeString(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, spec.tag, true);
+  view.setUint16(22, numChannels, true);
+  view.setUint32(24, buffer.sampleRate, true);
+  view.setUint32(28, buffer.sampleRate * blockAlign, true);
+  view.setUint16(32, blockAlign, true);
+  view.setUint16(34, spec.bytes * 8, true);
+
+  // data chunk
+  writeString(view, 36, 'data');
+  view.setUint32(40, dataSize, true);
+
+  const channels = [];
+  for (let c = 0; c < numChannels; c++) channels.push(buffer.getChannelData(c));
+
+  let offset = 44;
+  for (let i = 0; i < length; i++) {
+    for (let c = 0; c < numChannels; c++) {
+      const s = channels[c][i];
+      if (format === 'float32') {
+        view.setFloat32(offset, s, true);
+      } else if (format === 'int24') {
+        const v = toInt(s, 0x7fffff);
+        view.setUint8(offset, v & 0xff);
+        view.setUint8(offset + 1, (v >> 8) & 0xff);
+        view.setUint8(offset + 2, (v >> 16) & 0xff);
+      } else {
+        view.setInt16(offset, toInt(s, 0x7fff), true);
+      }
+      offset += spec.bytes;
+    }
+  }
+
+  return new Blob([arrayBuffer], { type: 'audio/wav' });
+}
+
+/** Clamp a float sample to [-1, 1] and scale to a signed integer range. */
+function toInt(sample, max) {
+  const s = Math.max(-1, Math.min(1, sample));
+  return Math.round(s < 0 ? s * (max + 1) : s * max);
+}
+
+function writeString(view, offset, str) {
+  for (let i = 0; i < str.length; i++) {
+    view.setUint8(offset + i, str.charCodeAt(i));
+  }
+}
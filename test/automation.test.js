@@ -0,0 +1,149 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { AutomationLane, AutomationController } from '../src/automation.js';
+
+test('an empty lane has no value', () => {
+  assert.equal(new AutomationLane('dryWet').valueAt(3), null);
+});
+
+test('interpolates linearly and holds flat outside the points', () => {
+  const lane = new AutomationLane('dryWet', { points: [{ time: 4, value: 1 }, { time: 2, value: 0 }] });
+  assert.deepEqual(lane.points.map((p) => p.time), [2, 4]);
+  assert.equal(lane.valueAt(0), 0);
+  assert.equal(lane.valueAt(2), 0);
+  assert.equal(lane.valueAt(3), 0.5);
+  assert.equal(lane.valueAt(3.5), 0.75);
+  assert.equal(lane.valueAt(10), 1);
+});
+
+test('addPoint replaces a point at the same time and returns its index', () => {
+  const lane = new AutomationLane('detuneL');
+  assert.equal(lane.addPoint(5, 10), 0);
+  assert.equal(lane.addPoint(1, 20), 0);
+  assert.equal(lane.addPoint(5.0004, 30), 1);
+  assert.deepEqual(lane.points, [{ time: 1, value: 20 }, { time: 5, value: 30 }]);
+});
+
+test('movePoint keeps a point between its neighbours', () => {
+  const lane = new AutomationLane('detuneL', { points: [{ time: 1, value: 0 }, { time: 2, value: 0 }, { time: 3, value: 0 }] });
+  lane.movePoint(1, 2.5, 40);
+  assert.deepEqual(lane.points[1], { time: 2.5, value: 40 });
+  lane.movePoint(1, 10, 40);
+  assert.ok(lane.points[1].time < 3);
+  lane.movePoint(0, -5, 1);
+  assert.equal(lane.points[0].time, 0);
+  assert.deepEqual(lane.points.map((p) => p.time), [...lane.points.map((p) => p.time)].sort((a, b) => a - b));
+});
+
+test('removePoint drops one point', () => {
+  const lane = new AutomationLane('detuneL', { points: [{ time: 1, value: 0 }, { time: 2, value: 5 }] });
+  lane.removePoint(0);
+  assert.deepEqual(lane.points, [{ time: 2, value: 5 }]);
+});
+
+test('beatDiff lanes apply to their own tone, ahead of the all-tones lane', () => {
+  const set = [];
+  const tones = new Map([0, 1].map((id) => [id, { id, setBeatDifference: (hz) => set.push([id, hz]) }]));
+  const engine = { ctx: {}, getCurrentTime: () => 0, binauralBeat: { tones } };
+  const automation = new AutomationController(engine);
+  automation.getLane('beatDiff', 1).addPoint(0, 7);
+  automation.apply(0);
+  assert.deepEqual(set, [[1, 7]]);
+
+  set.length = 0;
+  automation.getLane('beatDiff').addPoint(0, 4);
+  automation.refresh();
+  assert.deepEqual(set.sort(), [[0, 4], [1, 7]]);
+});
+
+test('serialises and reloads lanes with their tone', () => {
+  const automation = new AutomationController({ ctx: null });
+  automation.getLane('beatDiff', 2).addPoint(1, 3);
+  automation.getLane('dryWet').addPoint(0, 0.5);
+  const copy = new AutomationController({ ctx: null });
+  copy.load(JSON.parse(JSON.stringify(automation.toJSON())));
+  assert.deepEqual(copy.toJSON(), automation.toJSON());
+  assert.equal(copy.getLane('beatDiff', 2).valueAt(5), 3);
+});
+
+/** AudioParam stand-in that records its schedule. */
+const recorder = () => {
+  const events = [];
+  return {
+    events,
+    cancelScheduledValues: () => events.splice(0),
+    setValueAtTime: (value, time) => events.push(['set', value, time]),
+    linearRampToValueAtTime: (value, time) => events.push(['ramp', value, time]),
+  };
+};
+
+test('scheduleOffline ramps through each breakpoint and splits curved mappings', () => {
+  const cents = recorder();
+  const wet = recorder();
+  const target = {
+    pitchShifterL: { centsParam: cents },
+    dryWetParams: () => [[wet, (v) => Math.sin(v * Math.PI / 2)]],
+  };
+  const automation = new AutomationController({ binauralBeat: { tones: new Map() } });
+  automation.getLane('detuneL').addPoint(2, 10);
+  automation.getLane('detuneL').addPoint(6, -10);
+  automation.getLane('dryWet').addPoint(0, 0);
+  automation.getLane('dryWet').addPoint(8, 1);
+  automation.scheduleOffline(target, new Map());
+
+  assert.deepEqual(cents.events, [['set', 10, 0], ['ramp', 10, 2], ['ramp', -10, 6]]);
+  assert.deepEqual(wet.events[0], ['set', 0, 0]);
+  assert.ok(wet.events.length > 10);
+  for (const [, value, time] of wet.events) {
+    assert.ok(Math.abs(value - Math.sin((time / 8) * Math.PI / 2)) < 1e-12);
+  }
+  // Between breakpoints the straight ramps stay within the tolerance of the curve
+  for (let i = 1; i < wet.events.length; i++) {
+    const [, a, ta] = wet.events[i - 1];
+    const [, b, tb] = wet.events[i];
+    const t = (ta + tb) / 2;
+    assert.ok(Math.abs((a + b) / 2 - Math.sin((t / 8) * Math.PI / 2)) < 0.002);
+  }
+});
+
+test('scheduleOffline maps tone lanes to the target tones and ends their programs', () => {
+  const stopped = [];
+  const params = new Map();
+  const targetTone = (id) => {
+    params.set(id, recorder());
+    return { stopProgram: () => stopped.push(id), beatDiffParams: () => [[params.get(id), (hz) => hz]] };
+  };
+  const targetTones = new Map([[0, targetTone(0)], [1, targetTone(1)]]);
+  const target = { binauralBeat: { getTone: (id) => targetTones.get(id) } };
+  const automation = new AutomationController({ binauralBeat: { tones: new Map([[3, {}], [5, {}]]) } });
+  automation.getLane('beatDiff', 5).addPoint(0, 7);
+  automation.getLane('beatDiff').addPoint(0, 4);
+  automation.scheduleOffline(target, new Map([[3, 0], [5, 1]]));
+
+  assert.deepEqual(stopped.sort(), [0, 1]);
+  assert.deepEqual(params.get(0).events, [['set', 4, 0]]);
+  assert.deepEqual(params.get(1).events, [['set', 7, 0]]);
+});
+
+test('scheduleOffline moves the source along the spatial lanes, holding other axes', () => {
+  let trajectory = null;
+  const spatializer = {
+    position: { x: 1, y: 2, z: 3 },
+    setMotion: () => {},
+    followTrajectory: (positionAt) => { trajectory = positionAt; },
+  };
+  const automation = new AutomationController({ binauralBeat: { tones: new Map() } });
+  automation.getLane('spatialX').addPoint(0, -4);
+  automation.getLane('spatialX').addPoint(10, 4);
+  automation.scheduleOffline({ spatializer }, new Map());
+  assert.deepEqual(trajectory(5), { x: 0, y: 2, z: 3 });
+});
+
+test('scheduleOffline leaves the target alone while automation is off', () => {
+  const cents = recorder();
+  const automation = new AutomationController({ binauralBeat: { tones: new Map() } });
+  automation.getLane('detuneL').addPoint(0, 10);
+  automation.enabled = false;
+  automation.scheduleOffline({ pitchShifterL: { centsParam: cents } }, new Map());
+  assert.deepEqual(cents.events, []);
+});
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseProgramStages, formatProgramStages, programBreakpoints, programValueAt } from '../src/beat-program.js';
+
+test('parses durations, targets and holds', () => {
+  assert.deepEqual(parseProgramStages('0s 14Hz, 5m 10Hz, 2m hold, 1.5h 6Hz base 180'), [
+    { duration: 0, beatDiff: 14 },
+    { duration: 300, beatDiff: 10 },
+    { duration: 120 },
+    { duration: 5400, baseFreq: 180, beatDiff: 6 },
+  ]);
+});
+
+test('parses units and keywords case-insensitively and skips empty stages', () => {
+  assert.deepEqual(parseProgramStages(' 30S 8hz ,, 1M BASE 200hz '), [
+    { duration: 30, beatDiff: 8 },
+    { duration: 60, baseFreq: 200 },
+  ]);
+});
+
+test('rejects programs it cannot read', () => {
+  assert.throws(() => parseProgramStages(' , '), /no stages/);
+  assert.throws(() => parseProgramStages('14Hz'), /Stage 1 \("14Hz"\) must start with a duration/);
+  assert.throws(() => parseProgramStages('5m 10Hz, 2m faster'), /Stage 2 \("2m faster"\) has unrecognised text/);
+});
+
+test('formats stages back to text that parses to the same stages', () => {
+  const stages = [
+    { duration: 0, beatDiff: 14 },
+    { duration: 300, beatDiff: 10 },
+    { duration: 120 },
+    { duration: 7200, beatDiff: 6, baseFreq: 180 },
+    { duration: 90, baseFreq: 200 },
+  ];
+  const text = formatProgramStages(stages);
+  assert.equal(text, '0s 14Hz, 5m 10Hz, 2m hold, 2h 6Hz base 180, 90s base 200');
+  assert.deepEqual(parseProgramStages(text), stages);
+});
+
+test('breakpoints carry values forward from the starting point', () => {
+  const points = programBreakpoints(parseProgramStages('10s 4Hz, 5s hold, 10s base 300'), { baseFreq: 200, beatDiff: 10 });
+  assert.deepEqual(points, [
+    { time: 0, baseFreq: 200, beatDiff: 10 },
+    { time: 10, baseFreq: 200, beatDiff: 4 },
+    { time: 15, baseFreq: 200, beatDiff: 4 },
+    { time: 25, baseFreq: 300, beatDiff: 4 },
+  ]);
+});
+
+test('programValueAt interpolates within stages and holds at the end', () => {
+  const points = programBreakpoints(parseProgramStages('10s 4Hz, 5s hold, 10s base 300'), { baseFreq: 200, beatDiff: 10 });
+  assert.deepEqual(programValueAt(points, 0), { baseFreq: 200, beatDiff: 10, stage: 0 });
+  assert.deepEqual(programValueAt(points, 5), { baseFreq: 200, beatDiff: 7, stage: 0 });
+  assert.deepEqual(programValueAt(points, 12), { baseFreq: 200, beatDiff: 4, stage: 1 });
+  assert.deepEqual(programValueAt(points, 20), { baseFreq: 250, beatDiff: 4, stage: 2 });
+  assert.deepEqual(programValueAt(points, 60), { baseFreq: 300, beatDiff: 4, stage: 2 });
+});
+
+test('a zero-duration stage jumps', () => {
+  const points = programBreakpoints(parseProgramStages('0s 14Hz, 10s 4Hz'), { baseFreq: 200, beatDiff: 10 });
+  assert.deepEqual(programValueAt(points, 0), { baseFreq: 200, beatDiff: 14, stage: 1 });
+  assert.deepEqual(programValueAt(points, 5), { baseFreq: 200, beatDiff: 9, stage: 1 });
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { Hdf5File } from '../src/hdf5-reader.js';
+import { parseHrtfFile } from '../src/hrtf-set.js';
+
+// SimpleFreeFieldHRIR fixtures written with h5py: 3 measurements × 2 ears ×
+// 8 samples, IR[m][r][n] = (m + 1) / 10 + r / 100 + n / 1000.
+//  - hrir-contiguous.sofa: libver 'earliest' (superblock 0, symbol-table
+//    group), contiguous layout, fixed-length string attributes
+//  - hrir-chunked-btree.sofa: the same with (1, 2, 8) chunks, deflate and a
+//    v1 B-tree chunk index
+//  - hrir-chunked.sofa: libver 'latest' (superblock 3, link messages),
+//    (1, 2, 8) chunks with shuffle + deflate in a fixed-array index,
+//    variable-length string attributes
+const FIXTURES = ['hrir-contiguous.sofa', 'hrir-chunked-btree.sofa', 'hrir-chunked.sofa'];
+
+const load = (name) => {
+  const bytes = readFileSync(new URL(`./fixtures/${name}`, import.meta.url));
+  return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+};
+
+const expectedIr = (m, r, n) => (m + 1) * 0.1 + r * 0.01 + n * 0.001;
+
+for (const name of FIXTURES) {
+  test(`${name}: reads Data.IR, SourcePosition and attributes`, async () => {
+    const buffer = load(name);
+    assert.equal(Hdf5File.isHdf5(buffer), true);
+    const file = new Hdf5File(buffer);
+
+    assert.deepEqual(file.list().sort(), ['Data.Delay', 'Data.IR', 'Data.SamplingRate', 'SourcePosition']);
+    assert.equal(file.attribute('/', 'SOFAConventions'), 'SimpleFreeFieldHRIR');
+    assert.equal(file.attribute('SourcePosition', 'Type'), 'spherical');
+    assert.equal(file.attribute('/', 'Missing'), undefined);
+
+    const ir = await file.read('Data.IR');
+    assert.deepEqual(ir.shape, [3, 2, 8]);
+    for (let m = 0; m < 3; m++) {
+      for (let r = 0; r < 2; r++) {
+        for (let n = 0; n < 8; n++) {
+          assert.ok(Math.abs(ir.data[(m * 2 + r) * 8 + n] - expectedIr(m, r, n)) < 1e-12);
+        }
+      }
+    }
+
+    const positions = await file.read('SourcePosition');
+    assert.deepEqual(positions.shape, [3, 3]);
+    assert.deepEqual(Array.from(positions.data), [0, 0, 1.2, 90, 0, 1.2, 270, 30, 1.2]);
+
+    const rate = await file.read('Data.SamplingRate');
+    assert.deepEqual(Array.from(rate.data), [48000]);
+  });
+}
+
+test('parses a SOFA file into an HRTF set', async () => {
+  const set = await parseHrtfFile(load('hrir-chunked.sofa'), 'fallback');
+  assert.equal(set.name, 'fixture-chunked');
+  assert.equal(set.sampleRate, 48000);
+  assert.equal(set.measurements.length, 3);
+  const { azimuth, elevation, distance } = set.measurements[2];
+  assert.deepEqual([azimuth, elevation, distance], [270, 30, 1.2]);
+});
+
+test('rejects files that are not HDF5', () => {
+  const buffer = new TextEncoder().encode('{"not": "hdf5"}').buffer;
+  assert.equal(Hdf5File.isHdf5(buffer), false);
+  assert.throws(() => new Hdf5File(buffer), /Not an HDF5 file/);
+});
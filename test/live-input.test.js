@@ -0,0 +1,96 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { LiveInput } from '../src/live-input.js';
+
+/** Audio node stand-in that tracks its connections as [destination, output]. */
+class FakeNode {
+  constructor(name) {
+    this.name = name;
+    this.connections = [];
+    this.gain = { value: 1, setTargetAtTime: (value) => { this.gain.value = value; } };
+  }
+
+  connect(destination, output = 0) {
+    this.connections.push([destination, output]);
+    return destination;
+  }
+
+  disconnect(destination, output) {
+    if (destination === undefined) this.connections = [];
+    else this.connections = this.connections.filter(([d, o]) => d !== destination || (output !== undefined && o !== output));
+  }
+}
+
+const fakeContext = () => ({
+  currentTime: 0,
+  createMediaStreamSource: (stream) => Object.assign(new FakeNode('source'), { mediaStream: stream }),
+  createChannelSplitter: (count) => Object.assign(new FakeNode('splitter'), { numberOfOutputs: count }),
+  createGain: () => new FakeNode('gain'),
+});
+
+/** MediaStream stand-in with one audio track of `channelCount` channels. */
+const fakeStream = (channelCount) => {
+  const track = {
+    label: 'Fake interface',
+    stopped: false,
+    getSettings: () => ({ channelCount }),
+    stop() { this.stopped = true; },
+  };
+  return { track, getAudioTracks: () => [track], getTracks: () => [track] };
+};
+
+/** Stream channel feeding each ear. */
+const feeds = (input) => {
+  const channelOf = (gain) => input.splitter.connections.filter(([d]) => d === gain).map(([, o]) => o);
+  return { L: channelOf(input.gainL), R: channelOf(input.gainR) };
+};
+
+test('splits a stereo stream into left and right feeds', () => {
+  const ctx = fakeContext();
+  const input = new LiveInput(ctx, fakeStream(2));
+  assert.equal(input.label, 'Fake interface');
+  assert.equal(input.channelCount, 2);
+  assert.equal(input.splitter.numberOfOutputs, 2);
+  assert.deepEqual(input.source.connections, [[input.splitter, 0]]);
+  assert.deepEqual(feeds(input), { L: [0], R: [1] });
+});
+
+test('routes any two channels of a multi-channel interface', () => {
+  const input = new LiveInput(fakeContext(), fakeStream(4));
+  input.setRouting(2, 3);
+  assert.deepEqual(feeds(input), { L: [2], R: [3] });
+  input.setRouting(9, -1);
+  assert.deepEqual(feeds(input), { L: [3], R: [0] });
+});
+
+test('feeds a mono stream to both ears', () => {
+  const input = new LiveInput(fakeContext(), fakeStream(1));
+  assert.equal(input.channelCount, 1);
+  assert.deepEqual(feeds(input), { L: [0], R: [0] });
+  input.setRouting(0, 1);
+  assert.deepEqual(feeds(input), { L: [0], R: [0] });
+});
+
+test('assumes stereo when the track does not report its channels', () => {
+  const stream = fakeStream(undefined);
+  const input = new LiveInput(fakeContext(), stream);
+  assert.equal(input.channelCount, 2);
+  assert.deepEqual(feeds(input), { L: [0], R: [1] });
+});
+
+test('rejects a stream without audio', () => {
+  const stream = { getAudioTracks: () => [], getTracks: () => [] };
+  assert.throws(() => new LiveInput(fakeContext(), stream), /no audio track/);
+});
+
+test('dispose stops the tracks only when the stream is owned', () => {
+  const shared = fakeStream(2);
+  const borrowed = new LiveInput(fakeContext(), shared);
+  borrowed.dispose();
+  assert.equal(shared.track.stopped, false);
+  assert.deepEqual(borrowed.splitter.connections, []);
+
+  const own = fakeStream(2);
+  new LiveInput(fakeContext(), own, { ownsStream: true }).dispose();
+  assert.equal(own.track.stopped, true);
+});
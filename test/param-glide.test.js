@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { glideParam, isPreRender } from '../src/param-glide.js';
+
+class FakeParam {
+  constructor() {
+    this.value = 0;
+    this.targets = [];
+  }
+
+  setTargetAtTime(value, time, timeConstant) {
+    this.targets.push([value, time, timeConstant]);
+  }
+}
+
+globalThis.OfflineAudioContext = class {
+  constructor() {
+    this.currentTime = 0;
+  }
+};
+
+test('sets the value outright on an offline context before rendering', () => {
+  const ctx = new OfflineAudioContext();
+  const param = new FakeParam();
+  assert.equal(isPreRender(ctx), true);
+  glideParam(ctx, param, 0.7);
+  assert.equal(param.value, 0.7);
+  assert.deepEqual(param.targets, []);
+});
+
+test('glides once an offline render is running', () => {
+  const ctx = new OfflineAudioContext();
+  ctx.currentTime = 1.5;
+  const param = new FakeParam();
+  glideParam(ctx, param, 0.7, 0.05);
+  assert.deepEqual(param.targets, [[0.7, 1.5, 0.05]]);
+});
+
+test('glides on a live context', () => {
+  const ctx = { currentTime: 0 };
+  const param = new FakeParam();
+  assert.equal(isPreRender(ctx), false);
+  glideParam(ctx, param, 1);
+  assert.deepEqual(param.targets, [[1, 0, 0.02]]);
+  assert.equal(param.value, 0);
+});
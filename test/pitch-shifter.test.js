@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PITCH_PROFILES, PITCH_QUALITY_MODES, profileGeometry } from '../src/pitch-shifter.js';
+
+// The worklet registers its processor on the AudioWorkletGlobalScope
+const SAMPLE_RATE = 48000;
+let Processor = null;
+globalThis.sampleRate = SAMPLE_RATE;
+globalThis.AudioWorkletProcessor = class {};
+globalThis.registerProcessor = (name, processor) => { Processor = processor; };
+await import('../src/pitch-shifter-worklet.js');
+
+const BLOCK = 128;
+
+/** Run a sine through a processor, returning the output. */
+function render(processor, hz, seconds, { centsAt, quality = 0 }) {
+  const blocks = Math.round((seconds * SAMPLE_RATE) / BLOCK);
+  const out = new Float32Array(blocks * BLOCK);
+  const input = new Float32Array(BLOCK);
+  for (let b = 0; b < blocks; b++) {
+    for (let i = 0; i < BLOCK; i++) input[i] = Math.sin((2 * Math.PI * hz * (b * BLOCK + i)) / SAMPLE_RATE);
+    const params = { pitchCents: [centsAt(b * BLOCK / SAMPLE_RATE)], preserveFormants: [0], quality: [quality] };
+    processor.process([[input]], [[out.subarray(b * BLOCK, (b + 1) * BLOCK)]], params);
+  }
+  return out;
+}
+
+const rms = (samples) => Math.sqrt(samples.reduce((sum, v) => sum + v * v, 0) / samples.length);
+
+for (const profile of Object.keys(PITCH_PROFILES)) {
+  for (const [mode, quality] of Object.entries(PITCH_QUALITY_MODES)) {
+    test(`${profile} / ${mode}: a barely shifted sine comes back at unity gain`, () => {
+      for (const hz of [220, 1000, 5000]) {
+        const processor = new Processor({ processorOptions: profileGeometry(profile) });
+        const out = render(processor, hz, 0.6, { centsAt: () => 0.02, quality });
+        const level = rms(out.subarray(0.3 * SAMPLE_RATE)) / Math.SQRT1_2;
+        assert.ok(Math.abs(level - 1) < 0.005, `${hz} Hz at ${level.toFixed(4)}`);
+      }
+    });
+  }
+}
+
+test('leaving bypass keeps the level and the timing', () => {
+  for (const profile of Object.keys(PITCH_PROFILES)) {
+    const processor = new Processor({ processorOptions: profileGeometry(profile) });
+    const out = render(processor, 440, 0.6, { centsAt: (t) => (t < 0.3 ? 0 : 0.02) });
+    // Max sample step of a 440 Hz sine at full scale, plus a little
+    const limit = (2 * Math.PI * 440) / SAMPLE_RATE + 0.005;
+    for (let i = 0.1 * SAMPLE_RATE; i < out.length; i++) {
+      assert.ok(Math.abs(out[i] - out[i - 1]) < limit, `${profile}: jump at sample ${i}`);
+    }
+  }
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Playlist } from '../src/playlist.js';
+
+/** Engine stand-in: files named 'bad*' fail to decode. */
+const fakeEngine = () => ({
+  queued: null,
+  onQueueAdvanced: null,
+  async loadFile(file) { return { name: file.name }; },
+  async decodeFile(file) {
+    if (file.name.startsWith('bad')) throw new Error('Unable to decode audio data');
+    return { name: file.name };
+  },
+  queueNext(track) { this.queued = track.name; },
+  clearQueue() { this.queued = null; },
+});
+
+const file = (name) => ({ name });
+const settle = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+test('queues the item after the current one', async () => {
+  const engine = fakeEngine();
+  const playlist = new Playlist(engine);
+  playlist.reset(file('a'));
+  playlist.add([file('b'), file('c')]);
+  await settle();
+  assert.equal(engine.queued, 'b');
+});
+
+test('skips items that fail to decode and queues the next decodable one', async () => {
+  const engine = fakeEngine();
+  const playlist = new Playlist(engine);
+  playlist.reset(file('a'));
+  playlist.add([file('bad-1'), file('bad-2'), file('d')]);
+  await settle();
+  assert.equal(engine.queued, 'd');
+  assert.deepEqual(playlist.items.map((item) => !!item.error), [false, true, true, false]);
+
+  engine.onQueueAdvanced({});
+  assert.equal(playlist.current.name, 'd');
+});
+
+test('clears the queue when nothing after the current item decodes', async () => {
+  const engine = fakeEngine();
+  const playlist = new Playlist(engine);
+  playlist.reset(file('a'));
+  playlist.add([file('b')]);
+  await settle();
+  playlist.add([file('bad')]);
+  playlist.remove(playlist.items[1].id);
+  await settle();
+  assert.equal(engine.queued, null);
+  assert.equal(playlist.next, null);
+});
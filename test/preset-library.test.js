@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PRESET_VERSION, exportPresets, parsePresetFile, migratePresetState } from '../src/preset-library.js';
+
+// A preset as the first schema saved it
+const V1_STATE = {
+  detuneL: 8, detuneR: -8, detuneLink: true, detuneLinkMode: 'mirror',
+  formantL: false, formantR: true, pitchQuality: 'identity', pitchProfile: 'balanced',
+  smearDepth: 0.2, smearRate: 1.5, smearIndependent: false, smearRateL: 1.5, smearRateR: 1.5,
+  binauralTones: [{ baseFreq: 200, beatDiff: 10, volume: 0.15, active: true }],
+  spatialActive: true, spatialPosition: { x: 1, y: 0, z: -2 },
+  masterVol: 0.8, dryWet: 0.4, compressorActive: true,
+};
+
+test('version 1 states gain the version 2 fields, as they sounded', () => {
+  const state = migratePresetState(V1_STATE, 1);
+  assert.equal(state.spatialStereo, false);
+  assert.equal(state.spatialWidth, 60);
+  assert.equal(state.spatialPositionL, null);
+  assert.equal(state.spatialMotion, null);
+  assert.equal(state.spatialDoppler, false);
+  assert.equal(state.spatialNearField, false);
+  assert.deepEqual(state.binauralTones[0], {
+    baseFreq: 200, beatDiff: 10, volume: 0.15, active: true,
+    mode: 'binaural', pulseShape: 'square', dutyCycle: 0.5, carrier: 'sine',
+    harmonics: [1, 0.35, 0.12, 0.05], noiseLevel: 0, spatial: false,
+    position: { x: 0, y: 0, z: -2 }, scenePosition: null,
+  });
+  // Fields the preset has are kept
+  assert.equal(state.pitchQuality, 'identity');
+  assert.deepEqual(state.spatialPosition, { x: 1, y: 0, z: -2 });
+});
+
+test('defaults are copies, not shared between presets', () => {
+  const a = migratePresetState(V1_STATE, 1);
+  const b = migratePresetState(V1_STATE, 1);
+  a.binauralTones[0].harmonics.push(0.01);
+  a.binauralTones[0].position.x = 5;
+  assert.deepEqual(b.binauralTones[0].harmonics, [1, 0.35, 0.12, 0.05]);
+  assert.equal(b.binauralTones[0].position.x, 0);
+});
+
+test('current states pass through unchanged', () => {
+  const state = { ...migratePresetState(V1_STATE, 1), spatialDoppler: true };
+  assert.deepEqual(migratePresetState(state, PRESET_VERSION), state);
+});
+
+test('rejects unknown and newer versions', () => {
+  assert.throws(() => migratePresetState(V1_STATE, 0), /Unknown preset version/);
+  assert.throws(() => migratePresetState(V1_STATE, PRESET_VERSION + 1), /newer than this app supports/);
+});
+
+test('export files carry the schema version and import migrates them', async () => {
+  const blob = exportPresets([{ name: 'Old', version: 1, state: V1_STATE }]);
+  const data = JSON.parse(await blob.text());
+  assert.equal(data.version, PRESET_VERSION);
+  assert.equal(data.presets[0].version, 1);
+
+  const [preset] = parsePresetFile(JSON.stringify(data));
+  assert.equal(preset.name, 'Old');
+  assert.equal(preset.state.spatialNearField, false);
+  assert.equal(preset.state.binauralTones[0].carrier, 'sine');
+});
+
+test('rejects files that are not preset exports', () => {
+  assert.throws(() => parsePresetFile('not json'), /Not a valid JSON file/);
+  assert.throws(() => parsePresetFile('{"type":"other"}'), /Not a preset export file/);
+  assert.throws(() => parsePresetFile('{"type":"binaural-dissonance-presets","presets":[{}]}'), /Preset 1 has no state/);
+});
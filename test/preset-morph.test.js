@@ -0,0 +1,33 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { interpolatePreset, interpolateTone, changedKeys } from '../src/preset-morph.js';
+
+const STATE = {
+  detuneL: 0, detuneR: 0, smearDepth: 0, smearRate: 1, smearRateL: 1, smearRateR: 1,
+  dryWet: 0, masterVol: 0.8, spatialWidth: 60, spatialPosition: { x: 0, y: 0, z: -1 },
+};
+
+test('interpolates continuous values linearly', () => {
+  const to = { ...STATE, detuneL: 20, dryWet: 1, spatialPosition: { x: 2, y: 0, z: -1 } };
+  const v = interpolatePreset(STATE, to, 0.25);
+  assert.equal(v.detuneL, 5);
+  assert.equal(v.dryWet, 0.25);
+  assert.deepEqual(v.spatialPosition, { x: 0.5, y: 0, z: -1 });
+});
+
+test('tone frequencies move geometrically', () => {
+  const v = interpolateTone({ baseFreq: 100, beatDiff: 4, volume: 0 }, { baseFreq: 400, beatDiff: 8, volume: 0.2 }, 0.5);
+  assert.equal(v.baseFreq, 200);
+  assert.equal(v.beatDiff, 6);
+  assert.equal(v.volume, 0.1);
+});
+
+test('changedKeys lists only the values that move', () => {
+  assert.deepEqual(changedKeys(interpolatePreset, STATE, { ...STATE }), new Set());
+  const to = { ...STATE, detuneR: -10, spatialPosition: { x: 0, y: 1, z: -1 } };
+  assert.deepEqual(changedKeys(interpolatePreset, STATE, to), new Set(['detuneR', 'spatialPosition']));
+
+  const tone = { baseFreq: 200, beatDiff: 10, volume: 0.15 };
+  assert.deepEqual(changedKeys(interpolateTone, tone, { ...tone }), new Set());
+  assert.deepEqual(changedKeys(interpolateTone, tone, { ...tone, volume: 0 }), new Set(['volume']));
+});
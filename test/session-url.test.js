@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeSessionState, decodeSessionState } from '../src/session-url.js';
+
+const encodeData = (data) => `#s=${Buffer.from(JSON.stringify(data)).toString('base64url')}`;
+
+test('round-trips scalars, tones, points and motion', () => {
+  const state = {
+    detuneL: 8.12345,
+    detuneR: -8,
+    detuneLink: true,
+    detuneLinkMode: 'parallel',
+    pitchQuality: 'identity',
+    pitchProfile: 'highResolution',
+    spatialStereo: true,
+    spatialPosition: { x: 1, y: 0, z: -2 },
+    spatialPositionL: { x: 0.5, y: 0, z: -2 },
+    spatialPositionR: { x: 1.5, y: 0, z: -2 },
+    spatialMotion: { path: 'freehand', speed: 0.5, radius: 2, elevation: 0, points: [[0, 0, -1], [1, 0, -1]] },
+    binauralTones: [
+      { baseFreq: 200, beatDiff: 10, volume: 0.3, active: true, mode: 'isochronic', pulseShape: 'sine', dutyCycle: 0.25, carrier: 'pink' },
+    ],
+    walking: { active: true, reverbAmount: 0.4 },
+    safety: { ceilingDb: -12 },
+  };
+  const decoded = decodeSessionState(encodeSessionState(state));
+
+  assert.equal(decoded.detuneL, 8.123);
+  assert.equal(decoded.detuneLinkMode, 'parallel');
+  assert.equal(decoded.pitchQuality, 'identity');
+  assert.equal(decoded.pitchProfile, 'highResolution');
+  assert.deepEqual(decoded.spatialPositionR, { x: 1.5, y: 0, z: -2 });
+  assert.deepEqual(decoded.spatialMotion, state.spatialMotion);
+  assert.deepEqual(decoded.walking, { active: true, reverbAmount: 0.4 });
+  assert.deepEqual(decoded.safety, { ceilingDb: -12 });
+  assert.deepEqual(decoded.binauralTones, [
+    { baseFreq: 200, beatDiff: 10, volume: 0.3, active: true, mode: 'isochronic', pulseShape: 'sine', dutyCycle: 0.25, carrier: 'pink' },
+  ]);
+});
+
+test('returns null for fragments without a session', () => {
+  assert.equal(decodeSessionState(''), null);
+  assert.equal(decodeSessionState('#other=1'), null);
+  assert.equal(decodeSessionState('#s=not-json'), null);
+  assert.equal(decodeSessionState(encodeData([1, 2])), null);
+  assert.equal(decodeSessionState(encodeData({ dl: 5 })), null);
+  assert.equal(decodeSessionState(encodeData({ v: 0, dl: 5 })), null);
+});
+
+test('drops values of the wrong type and unknown option names', () => {
+  const decoded = decodeSessionState(encodeData({
+    v: 1,
+    dl: '5',
+    lk: 1,
+    lm: 'sideways',
+    pq: 'ultra',
+    pp: 'constructor',
+    sd: 0.5,
+    m: ['zigzag', 1, 1, 0],
+    p: [1, 2],
+    t: [[200, 10, 0.3, 1, 'warble', 'square', 0.5, 'noise'], ['x', 1, 1]],
+  }));
+  assert.deepEqual(decoded, {
+    smearDepth: 0.5,
+    binauralTones: [{ baseFreq: 200, beatDiff: 10, volume: 0.3, active: true, pulseShape: 'square', dutyCycle: 0.5 }],
+  });
+});
+
+test('ignores keys from newer builds', () => {
+  assert.deepEqual(decodeSessionState(encodeData({ v: 2, dl: 3, zz: 'new' })), { detuneL: 3 });
+});
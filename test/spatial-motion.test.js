@@ -0,0 +1,73 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MotionPath } from '../src/spatial-motion.js';
+
+const close = (actual, expected, message) => {
+  for (const axis of ['x', 'y', 'z']) {
+    assert.ok(Math.abs(actual[axis] - expected[axis]) < 1e-9, `${message ?? ''} ${axis}: ${actual[axis]} ≠ ${expected[axis]}`);
+  }
+};
+
+test('circle runs clockwise from the front at the radius and elevation', () => {
+  const path = new MotionPath({ path: 'circle', radius: 2, elevation: 0.5 });
+  close(path.pointAt(0), { x: 0, y: 0.5, z: -2 }, 'front');
+  close(path.pointAt(0.25), { x: 2, y: 0.5, z: 0 }, 'right');
+  close(path.pointAt(0.5), { x: 0, y: 0.5, z: 2 }, 'behind');
+  close(path.pointAt(1.75), { x: -2, y: 0.5, z: 0 }, 'left, second cycle');
+});
+
+test('figure-eight crosses over the listener between side lobes', () => {
+  const path = new MotionPath({ path: 'figure8', radius: 1 });
+  close(path.pointAt(0), { x: 0, y: 0, z: 0 });
+  close(path.pointAt(0.125), { x: Math.SQRT1_2, y: 0, z: -0.5 });
+  close(path.pointAt(0.5), { x: 0, y: 0, z: 0 });
+  close(path.pointAt(0.75), { x: -1, y: 0, z: 0 });
+});
+
+test('radius and elevation can be changed in place', () => {
+  const path = new MotionPath({ path: 'circle' });
+  path.radius = 3;
+  path.elevation = -1;
+  close(path.pointAt(0.25), { x: 3, y: -1, z: 0 });
+});
+
+test('freehand follows the recording scaled to the radius and closes the loop', () => {
+  // Recorded [time, x, z] every second: front → right → back
+  const path = new MotionPath({ path: 'freehand', radius: 1, points: [[10, 0, -2], [11, 2, 0], [12, 0, 2]] });
+  // Three samples one second apart loop over three seconds
+  close(path.pointAt(0), { x: 0, y: 0, z: -1 }, 'start');
+  close(path.pointAt(1 / 3), { x: 1, y: 0, z: 0 }, 'second sample');
+  close(path.pointAt(0.5), { x: 0.5, y: 0, z: 0.5 }, 'between samples');
+  close(path.pointAt(2 / 3), { x: 0, y: 0, z: 1 }, 'last sample');
+  // Closing segment: from the last sample back to the first
+  close(path.pointAt(5 / 6), { x: 0, y: 0, z: 0 }, 'closing segment');
+  close(path.pointAt(1 - 1e-12), { x: 0, y: 0, z: -1 }, 'end of the loop');
+  close(path.pointAt(1), path.pointAt(0), 'next cycle');
+});
+
+test('freehand needs a recording and unknown paths are rejected', () => {
+  assert.throws(() => new MotionPath({ path: 'freehand' }), /recorded path/);
+  assert.throws(() => new MotionPath({ path: 'freehand', points: [[0, 1, 1]] }), /recorded path/);
+  assert.throws(() => new MotionPath({ path: 'spiral' }), /Unknown motion path "spiral"/);
+});
+
+test('random walk starts in front, stays inside the radius and is repeatable', () => {
+  const path = new MotionPath({ path: 'random', radius: 2 });
+  close(path.pointAt(0), { x: 0, y: 0, z: -2 });
+  for (let phase = 0; phase < 20; phase += 1) {
+    const { x, z } = path.pointAt(phase);
+    assert.ok(Math.hypot(x, z) <= 2 + 1e-9);
+  }
+  close(path.pointAt(7.3), path.pointAt(7.3), 'same phase, same point');
+});
+
+test('a clone keeps the waypoints taken so far and walks on independently', () => {
+  const path = new MotionPath({ path: 'random', radius: 1 });
+  const before = path.pointAt(4.5);
+  const copy = path.clone();
+  close(copy.pointAt(4.5), before);
+  copy.pointAt(30);
+  assert.equal(path._waypoints.length, 7);
+  copy.radius = 2;
+  assert.equal(path.radius, 1);
+});
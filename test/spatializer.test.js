@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Spatializer } from '../src/spatializer.js';
+
+/** AudioParam stand-in that keeps its event list and evaluates it. */
+class FakeParam {
+  constructor(ctx, value = 0) {
+    this.ctx = ctx;
+    this.defaultValue = value;
+    this.events = [];
+  }
+
+  get value() {
+    return this.valueAt(this.ctx.currentTime);
+  }
+
+  set value(v) {
+    this.defaultValue = v;
+    this.events = [];
+  }
+
+  setValueAtTime(value, time) {
+    this._insert({ type: 'set', value, time });
+  }
+
+  linearRampToValueAtTime(value, time) {
+    this._insert({ type: 'ramp', value, time });
+  }
+
+  setTargetAtTime(value, time) {
+    this._insert({ type: 'set', value, time }); // settles at once; only delays are checked
+  }
+
+  cancelScheduledValues(time) {
+    this.events = this.events.filter((e) => e.time < time);
+  }
+
+  /** Value at `time` from set and linear-ramp events, as the spec runs them. */
+  valueAt(time) {
+    let prev = { time: 0, value: this.defaultValue };
+    for (const e of this.events) {
+      if (e.time <= time) {
+        prev = e;
+        continue;
+      }
+      if (e.type !== 'ramp') break;
+      return prev.value + ((e.value - prev.value) * (time - prev.time)) / (e.time - prev.time);
+    }
+    return prev.value;
+  }
+
+  _insert(event) {
+    const i = this.events.findIndex((e) => e.time > event.time);
+    this.events.splice(i < 0 ? this.events.length : i, 0, event);
+  }
+}
+
+class FakeNode {
+  constructor(ctx, params = ['gain']) {
+    for (const name of params) this[name] = new FakeParam(ctx, 1);
+  }
+
+  connect(destination) {
+    return destination;
+  }
+
+  disconnect() {}
+}
+
+globalThis.PannerNode = class extends FakeNode {
+  constructor(ctx) {
+    super(ctx, ['positionX', 'positionY', 'positionZ']);
+  }
+};
+
+const fakeContext = () => {
+  const ctx = { currentTime: 0 };
+  Object.assign(ctx, {
+    createChannelMerger: () => new FakeNode(ctx, []),
+    createChannelSplitter: () => new FakeNode(ctx, []),
+    createGain: () => new FakeNode(ctx),
+    createDelay: () => new FakeNode(ctx, ['delayTime']),
+    createBiquadFilter: () => new FakeNode(ctx, ['frequency', 'gain']),
+  });
+  return ctx;
+};
+
+/** Place the source `ms` milliseconds of sound travel in front. */
+const placeAt = (spatializer, ms) => spatializer.setPosition(0, 0, -0.343 * ms);
+
+const near = (actual, expected, message) => assert.ok(Math.abs(actual - expected) < 1e-9, `${message}: ${actual} ≠ ${expected}`);
+
+test('a Doppler delay moves on from its current value after a pause', () => {
+  const ctx = fakeContext();
+  const spatializer = new Spatializer(ctx);
+  const delay = spatializer.sourceDelay.delayTime;
+  spatializer.setDoppler(true, 0);
+  placeAt(spatializer, 10);
+
+  ctx.currentTime = 5;
+  near(delay.valueAt(5), 0.01, 'held after the first move');
+  placeAt(spatializer, 20);
+  near(delay.valueAt(5), 0.01, 'no jump at the second move');
+  near(delay.valueAt(5.025), 0.015, 'halfway');
+  near(delay.valueAt(5.05), 0.02, 'there after the lead');
+});
+
+test('Doppler delay moves in quick succession chain into one curve', () => {
+  const ctx = fakeContext();
+  const spatializer = new Spatializer(ctx);
+  const delay = spatializer.sourceDelay.delayTime;
+  spatializer.setDoppler(true, 0);
+  placeAt(spatializer, 10);
+
+  ctx.currentTime = 0.02;
+  const before = delay.valueAt(0.02);
+  placeAt(spatializer, 20);
+  near(delay.valueAt(0.02), before, 'continuous at the second move');
+  assert.equal(delay.events.filter((e) => e.type === 'set').length, 2, 'anchored at the first move only');
+  near(delay.valueAt(0.07), 0.02, 'there after the lead');
+});
+
+test('each speaker of the stereo pair gets its own near-field colouring', () => {
+  const spatializer = new Spatializer(fakeContext());
+  spatializer.setStereo(true);
+  spatializer.setChannelPosition('L', -0.3, 0, 0); // close, on the left
+  spatializer.setChannelPosition('R', 3, 0, 0); // far field
+
+  const settings = (stage) => stage.map(({ low, high, gain }) => [low.gain.value, high.gain.value, gain.gain.value]);
+  const [nearEar, farEar] = settings(spatializer.pair.nearFieldL);
+  assert.ok(nearEar[0] > 0 && nearEar[2] > 1, 'bass and level up at the near ear');
+  assert.ok(farEar[1] < 0 && farEar[2] < 1, 'shadowed far ear');
+  assert.deepEqual(settings(spatializer.pair.nearFieldR), [[0, 0, 1], [0, 0, 1]]);
+  assert.deepEqual(settings([spatializer.nearFieldL, spatializer.nearFieldR]), [[0, 0, 1], [0, 0, 1]]);
+});
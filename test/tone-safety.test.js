@@ -0,0 +1,84 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { ToneSafety } from '../src/tone-safety.js';
+
+/** AudioParam stand-in holding its last set value. */
+const fakeParam = (value = 1) => ({
+  value,
+  setValueAtTime(v) { this.value = v; },
+  setTargetAtTime(v) { this.value = v; },
+});
+
+class FakeNode {
+  constructor() {
+    this.gain = fakeParam();
+    this.connections = [];
+  }
+
+  connect(destination) {
+    this.connections.push(destination);
+    return destination;
+  }
+
+  disconnect() {
+    this.connections = [];
+  }
+}
+
+const fakeContext = () => ({
+  currentTime: 0,
+  createChannelMerger: () => new FakeNode(),
+  createChannelSplitter: () => new FakeNode(),
+  createGain: () => new FakeNode(),
+  createWaveShaper: () => new FakeNode(),
+  createAnalyser: () => new FakeNode(),
+});
+
+/** WaveShaper transfer (linear interpolation over [-1, 1], per the spec). */
+function shape(curve, x) {
+  const v = ((curve.length - 1) / 2) * (Math.max(-1, Math.min(1, x)) + 1);
+  const k = Math.min(Math.floor(v), curve.length - 2);
+  return curve[k] + (v - k) * (curve[k + 1] - curve[k]);
+}
+
+/** Bus sample `x` as heard at the master output for master volume `master`. */
+function atMaster(safety, x, master) {
+  const pre = safety.clipIn.gain.value + master * safety.clipInScale.gain.value;
+  const post = safety.clipOut.gain.value + shape(safety.reciprocal.curve, master) * safety.clipOutScale.gain.value;
+  return Math.max(-1, Math.min(1, x * pre)) * post * master;
+}
+
+const dbToGain = (db) => Math.pow(10, db / 20);
+
+test('clips the tone bus at the ceiling for any master volume', () => {
+  const safety = new ToneSafety(fakeContext());
+  const master = new FakeNode();
+  safety.followOutputGain(master);
+  assert.deepEqual(master.connections, [safety.clipInScale, safety.reciprocal]);
+  assert.deepEqual(safety.clipInScale.connections, [safety.clipIn.gain]);
+  assert.deepEqual(safety.clipOutScale.connections, [safety.clipOut.gain]);
+
+  for (const db of [-12, -24]) {
+    safety.setCeiling(db);
+    for (const volume of [1, 0.8, 0.3, 0.05, 0.01]) {
+      const out = atMaster(safety, 1000, volume);
+      assert.ok(Math.abs(out / dbToGain(db) - 1) < 1e-3, `${db} dB at volume ${volume}: ${out}`);
+    }
+  }
+});
+
+test('passes the tone bus unchanged below the ceiling', () => {
+  const safety = new ToneSafety(fakeContext());
+  safety.followOutputGain(new FakeNode());
+  for (const volume of [1, 0.5, 0.02]) {
+    const x = (0.5 * dbToGain(safety.ceilingDb)) / volume;
+    assert.ok(Math.abs(atMaster(safety, x, volume) / (x * volume) - 1) < 1e-3);
+  }
+});
+
+test('assumes unity output gain until it follows one', () => {
+  const safety = new ToneSafety(fakeContext());
+  const ceiling = dbToGain(safety.ceilingDb);
+  assert.ok(Math.abs(safety.clipIn.gain.value - 1 / ceiling) < 1e-9);
+  assert.ok(Math.abs(safety.clipOut.gain.value - ceiling) < 1e-9);
+});
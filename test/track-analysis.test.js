@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { analyseTrack, snapToKey, snapToTempo } from '../src/track-analysis.js';
+
+const C_MAJOR = { tonic: 0, mode: 'major', name: 'C major' };
+const A_MINOR = { tonic: 9, mode: 'minor', name: 'A minor' };
+
+/** Equal-tempered frequency of a MIDI note (A4 = 69 = 440 Hz). */
+const note = (midi) => 440 * Math.pow(2, (midi - 69) / 12);
+
+const RATE = 22050;
+
+/** Analyse a mono signal as both channels of a track. */
+const analyse = (data) => {
+  const buffer = { sampleRate: RATE, getChannelData: () => data };
+  return analyseTrack(buffer, buffer);
+};
+
+/** Add a decaying sine burst at `start` (samples). */
+function hit(data, start, hz, decay, length) {
+  for (let i = 0; i < length && start + i < data.length; i++) {
+    data[start + i] += Math.sin((2 * Math.PI * hz * i) / RATE) * Math.exp(-i / decay);
+  }
+}
+
+/** 1 kHz clicks on every beat. */
+function clickTrack(bpm, seconds = 15) {
+  const data = new Float32Array(RATE * seconds);
+  const period = (60 / bpm) * RATE;
+  for (let t = 0; t < data.length; t += period) hit(data, Math.floor(t), 1000, 40, 200);
+  return data;
+}
+
+/** A 60 Hz kick on the beats and noise hi-hats on the eighths. */
+function kickAndHats(bpm, seconds = 15) {
+  const data = new Float32Array(RATE * seconds);
+  const period = (60 / bpm) * RATE;
+  let seed = 1;
+  const noise = () => ((seed = (seed * 16807) % 2147483647) / 2147483647) * 2 - 1;
+  for (let n = 0; (n * period) / 2 < data.length; n++) {
+    const start = Math.floor((n * period) / 2);
+    if (n % 2 === 0) hit(data, start, 60, 750, 2000);
+    for (let i = 0; i < 750 && start + i < data.length; i++) {
+      data[start + i] += 0.6 * noise() * Math.exp(-i / 150);
+    }
+  }
+  return data;
+}
+
+/** Sustained sines at the given MIDI notes. */
+function chord(midis, seconds = 3) {
+  const data = new Float32Array(RATE * seconds);
+  for (const midi of midis) {
+    for (let i = 0; i < data.length; i++) data[i] += 0.2 * Math.sin((2 * Math.PI * note(midi) * i) / RATE);
+  }
+  return data;
+}
+
+test('analyseTrack finds the tempo of a click track', async () => {
+  for (const bpm of [90, 128, 174]) {
+    const result = await analyse(clickTrack(bpm));
+    assert.ok(Math.abs(result.bpm - bpm) <= 1, `${bpm} BPM read as ${result.bpm}`);
+  }
+});
+
+test('analyseTrack does not double a beat with hi-hats between the kicks', async () => {
+  for (const bpm of [90, 100]) {
+    const result = await analyse(kickAndHats(bpm));
+    assert.ok(Math.abs(result.bpm - bpm) <= 1, `${bpm} BPM read as ${result.bpm}`);
+  }
+});
+
+test('analyseTrack finds the key of a triad', async () => {
+  assert.equal((await analyse(chord([60, 64, 67]))).key.name, 'C major');
+  assert.equal((await analyse(chord([57, 60, 64]))).key.name, 'A minor');
+});
+
+test('analyseTrack reports no tempo for a short buffer', async () => {
+  assert.equal((await analyse(clickTrack(120, 2))).bpm, null);
+});
+
+test('snapToKey keeps notes of the tonic triad', () => {
+  for (const midi of [60, 64, 67, 72]) assert.equal(snapToKey(note(midi), C_MAJOR), note(midi));
+});
+
+test('snapToKey moves to the nearest triad note', () => {
+  assert.equal(snapToKey(note(61.4), C_MAJOR), note(60)); // C#-ish → C
+  assert.equal(snapToKey(note(62.2), C_MAJOR), note(64)); // D → E
+  assert.equal(snapToKey(note(69.2), C_MAJOR), note(67)); // A → G
+  assert.equal(snapToKey(note(69.8), C_MAJOR), note(72)); // A → C5
+  assert.equal(snapToKey(200, C_MAJOR), note(55)); // G3 = 196 Hz
+});
+
+test('snapToKey uses the minor third in minor keys', () => {
+  assert.equal(snapToKey(note(73), A_MINOR), note(72)); // C#5 → C5
+  assert.equal(snapToKey(note(64.4), A_MINOR), note(64)); // E4
+  assert.equal(snapToKey(note(73), { tonic: 9, mode: 'major', name: 'A major' }), note(73));
+});
+
+test('snapToTempo picks the nearest power-of-two multiple of the beat rate', () => {
+  // 120 BPM = 2 Hz
+  assert.equal(snapToTempo(2, 120), 2);
+  assert.equal(snapToTempo(7, 120), 8);
+  assert.equal(snapToTempo(10, 120), 8);
+  assert.equal(snapToTempo(0.6, 120), 0.5);
+  assert.equal(snapToTempo(13, 90), 12); // 1.5 Hz × 8
+});
+
+test('snapToTempo stays within its range', () => {
+  assert.equal(snapToTempo(100, 120, { max: 20 }), 16);
+  assert.equal(snapToTempo(0.01, 120, { min: 1 }), 1);
+  assert.equal(snapToTempo(0, 120), 0.125);
+});
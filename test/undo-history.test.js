@@ -0,0 +1,117 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { UndoHistory } from '../src/undo-history.js';
+
+/** A command that moves `state.value` from `before` to `after`. */
+const setter = (state, before, after, mergeKey) => {
+  state.value = after;
+  return { mergeKey, undo: () => { state.value = before; }, redo: () => { state.value = after; } };
+};
+
+test('undo and redo walk the stack', () => {
+  const history = new UndoHistory();
+  const state = { value: 0 };
+  history.push(setter(state, 0, 1));
+  history.push(setter(state, 1, 2));
+
+  assert.equal(history.undo(), true);
+  assert.equal(state.value, 1);
+  assert.equal(history.undo(), true);
+  assert.equal(state.value, 0);
+  assert.equal(history.undo(), false);
+  assert.equal(history.canUndo, false);
+
+  assert.equal(history.redo(), true);
+  assert.equal(state.value, 1);
+  assert.equal(history.canRedo, true);
+});
+
+test('a new push clears the redo stack', () => {
+  const history = new UndoHistory();
+  const state = { value: 0 };
+  history.push(setter(state, 0, 1));
+  history.undo();
+  history.push(setter(state, 0, 5));
+  assert.equal(history.canRedo, false);
+  assert.equal(history.redo(), false);
+});
+
+test('pushes within one gesture merge into one step', () => {
+  const history = new UndoHistory();
+  const state = { value: 0 };
+  history.beginGesture('#detune-l');
+  history.push(setter(state, 0, 1, '#detune-l'));
+  history.push(setter(state, 1, 2, '#detune-l'));
+  history.push(setter(state, 2, 3, '#detune-l'));
+  history.endGesture();
+
+  assert.equal(history.undoStack.length, 1);
+  history.undo();
+  assert.equal(state.value, 0);
+  history.redo();
+  assert.equal(state.value, 3);
+});
+
+test('separate gestures on the same control stay separate steps', () => {
+  const history = new UndoHistory();
+  const state = { value: 0 };
+  for (const [before, after] of [[0, 1], [1, 2]]) {
+    history.beginGesture('#detune-l');
+    history.push(setter(state, before, after, '#detune-l'));
+    history.endGesture();
+  }
+  assert.equal(history.undoStack.length, 2);
+  history.undo();
+  assert.equal(state.value, 1);
+});
+
+test('only pushes with the gesture key merge', () => {
+  const history = new UndoHistory();
+  const state = { value: 0 };
+  history.beginGesture('#detune-l');
+  history.push(setter(state, 0, 1, '#detune-l'));
+  history.push(setter(state, 1, 2, '#detune-r'));
+  history.push(setter(state, 2, 3, '#detune-l'));
+  assert.equal(history.undoStack.length, 3);
+
+  // Outside a gesture nothing merges
+  history.endGesture();
+  history.push(setter(state, 3, 4, '#detune-l'));
+  assert.equal(history.undoStack.length, 4);
+});
+
+test('undo ends the gesture so the next push starts a new step', () => {
+  const history = new UndoHistory();
+  const state = { value: 0 };
+  history.beginGesture('#detune-l');
+  history.push(setter(state, 0, 1, '#detune-l'));
+  history.undo();
+  history.push(setter(state, 0, 2, '#detune-l'));
+  assert.equal(history.undoStack.length, 1);
+  history.undo();
+  assert.equal(state.value, 0);
+});
+
+test('pushes made while applying undo/redo are ignored', () => {
+  const history = new UndoHistory();
+  const state = { value: 0 };
+  history.push({
+    undo: () => history.push(setter(state, 1, 0)),
+    redo: () => {},
+  });
+  history.undo();
+  assert.equal(history.undoStack.length, 0);
+  assert.equal(history.redoStack.length, 1);
+});
+
+test('drops the oldest steps past the limit', () => {
+  const history = new UndoHistory({ limit: 2 });
+  const state = { value: 0 };
+  history.push(setter(state, 0, 1));
+  history.push(setter(state, 1, 2));
+  history.push(setter(state, 2, 3));
+  history.undo();
+  history.undo();
+  assert.equal(history.undo(), false);
+  assert.equal(state.value, 1);
+});
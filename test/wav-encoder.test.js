@@ -0,0 +1,71 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeWav } from '../src/wav-encoder.js';
+
+/** Minimal AudioBuffer stand-in: what encodeWav reads. */
+function fakeBuffer(channels, sampleRate = 48000) {
+  return {
+    numberOfChannels: channels.length,
+    length: channels[0].length,
+    sampleRate,
+    getChannelData: (c) => Float32Array.from(channels[c]),
+  };
+}
+
+async function view(blob) {
+  return new DataView(await blob.arrayBuffer());
+}
+
+function readString(v, offset, length) {
+  return String.fromCharCode(...Array.from({ length }, (_, i) => v.getUint8(offset + i)));
+}
+
+test('writes a RIFF/WAVE header for interleaved 16-bit PCM', async () => {
+  const blob = encodeWav(fakeBuffer([[0, 0.5], [-0.5, 1]], 44100));
+  assert.equal(blob.type, 'audio/wav');
+  const v = await view(blob);
+  assert.equal(v.byteLength, 44 + 2 * 2 * 2);
+  assert.equal(readString(v, 0, 4), 'RIFF');
+  assert.equal(v.getUint32(4, true), 36 + 8);
+  assert.equal(readString(v, 8, 4), 'WAVE');
+  assert.equal(readString(v, 12, 4), 'fmt ');
+  assert.equal(v.getUint16(20, true), 1); // PCM
+  assert.equal(v.getUint16(22, true), 2);
+  assert.equal(v.getUint32(24, true), 44100);
+  assert.equal(v.getUint32(28, true), 44100 * 4);
+  assert.equal(v.getUint16(32, true), 4);
+  assert.equal(v.getUint16(34, true), 16);
+  assert.equal(readString(v, 36, 4), 'data');
+  assert.equal(v.getUint32(40, true), 8);
+  // L0, R0, L1, R1
+  assert.deepEqual([0, 1, 2, 3].map((i) => v.getInt16(44 + i * 2, true)), [0, -16384, 16384, 32767]);
+});
+
+test('clamps out-of-range samples', async () => {
+  const v = await view(encodeWav(fakeBuffer([[2, -2]])));
+  assert.equal(v.getInt16(44, true), 32767);
+  assert.equal(v.getInt16(46, true), -32768);
+});
+
+test('packs 24-bit samples little-endian', async () => {
+  const v = await view(encodeWav(fakeBuffer([[1, -1, 0.5]]), 'int24'));
+  assert.equal(v.getUint16(34, true), 24);
+  assert.equal(v.getUint16(32, true), 3);
+  const sample = (i) => {
+    const u = v.getUint8(44 + i * 3) | (v.getUint8(45 + i * 3) << 8) | (v.getUint8(46 + i * 3) << 16);
+    return u & 0x800000 ? u - 0x1000000 : u;
+  };
+  assert.deepEqual([0, 1, 2].map(sample), [0x7fffff, -0x800000, Math.round(0.5 * 0x7fffff)]);
+});
+
+test('writes float32 with the IEEE float format tag', async () => {
+  const v = await view(encodeWav(fakeBuffer([[0.25, -0.75]]), 'float32'));
+  assert.equal(v.getUint16(20, true), 3);
+  assert.equal(v.getUint16(34, true), 32);
+  assert.equal(v.getFloat32(44, true), 0.25);
+  assert.equal(v.getFloat32(48, true), -0.75);
+});
+
+test('rejects unknown formats', () => {
+  assert.throws(() => encodeWav(fakeBuffer([[0]]), 'int8'), /Unsupported WAV format/);
+});